@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Offline recall quality benchmark.
+ *
+ * Runs a labelled query set against a fixture workspace through the real
+ * recall pipeline (in-process, in-memory database) and reports recall@k,
+ * MRR, and false-abstention and false-answer rates. With --compare, runs a
+ * second scoring configuration and prints both side by side.
+ * File formats are documented in src/services/recall-benchmark.js.
+ *
+ * Usage:
+ *   node scripts/recall-benchmark.js [options]
+ *
+ * Options:
+ *   --memories <file>  Fixture workspace JSONL (default: scripts/fixtures/recall-benchmark-memories.jsonl)
+ *   --queries <file>   Labelled query JSONL (default: scripts/fixtures/recall-benchmark-queries.jsonl)
+ *   --config <file>    Scoring configuration JSON (default: workspace defaults)
+ *   --compare <file>   Second scoring configuration to compare against --config
+ *   --k <n>            Result limit (default: 5)
+ *   --json             Print the full results as JSON
+ *   --help             Print this usage
+ *
+ * Embeddings are off unless a provider is configured (EMBEDDING_PROVIDER,
+ * NOMIC_API_KEY or EMBEDDING_API_URL, see src/services/embedding-providers.js);
+ * then vectors are kept in the benchmark database and recall is hybrid.
+ */
+
+import { readFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import {
+  DEFAULT_K,
+  formatReport,
+  loadFixture,
+  loadQueries,
+  parseJsonl,
+  runBenchmark,
+} from "../src/services/recall-benchmark.js";
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+const USAGE = `Usage: node scripts/recall-benchmark.js [options]
+
+Options:
+  --memories <file>  Fixture workspace JSONL (default: scripts/fixtures/recall-benchmark-memories.jsonl)
+  --queries <file>   Labelled query JSONL (default: scripts/fixtures/recall-benchmark-queries.jsonl)
+  --config <file>    Scoring configuration JSON (default: workspace defaults)
+  --compare <file>   Second scoring configuration to compare against --config
+  --k <n>            Result limit (default: ${DEFAULT_K})
+  --json             Print the full results as JSON
+  --help             Print this usage`;
+
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      memories: { type: "string", default: join(FIXTURES, "recall-benchmark-memories.jsonl") },
+      queries: { type: "string", default: join(FIXTURES, "recall-benchmark-queries.jsonl") },
+      config: { type: "string" },
+      compare: { type: "string" },
+      k: { type: "string", default: String(DEFAULT_K) },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  }));
+} catch (err) {
+  console.error(`${err.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+if (args.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+function readConfig(path, fallbackName) {
+  if (!path) return { name: fallbackName };
+  const config = JSON.parse(readFileSync(path, "utf8"));
+  return { name: config.name || path, settings: config.settings || {} };
+}
+
+const k = parseInt(args.k, 10);
+if (!(k >= 1 && k <= 100)) {
+  console.error("--k must be between 1 and 100");
+  process.exit(1);
+}
+
+let fixture, queries, configs;
+try {
+  fixture = loadFixture(parseJsonl(readFileSync(args.memories, "utf8"), args.memories));
+  queries = loadQueries(parseJsonl(readFileSync(args.queries, "utf8"), args.queries), fixture);
+  configs = [readConfig(args.config, "default")];
+  if (args.compare) configs.push(readConfig(args.compare, "compare"));
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const runs = [];
+for (const config of configs) {
+  runs.push(await runBenchmark({ fixture, queries, config, k }));
+}
+
+console.log(args.json ? JSON.stringify(runs, null, 2) : formatReport(...runs));
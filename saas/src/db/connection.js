@@ -114,6 +114,67 @@ CREATE TABLE IF NOT EXISTS workspaces (
   UNIQUE(user_id, name)
 );
 
+CREATE TABLE IF NOT EXISTS workspace_members (
+  workspace_id TEXT NOT NULL REFERENCES workspaces(id),
+  user_id TEXT NOT NULL REFERENCES users(id),
+  role TEXT NOT NULL DEFAULT 'viewer',
+  name TEXT NOT NULL,
+  invited_by TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  PRIMARY KEY (workspace_id, user_id),
+  UNIQUE(user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS workspace_invites (
+  id TEXT PRIMARY KEY,
+  workspace_id TEXT NOT NULL REFERENCES workspaces(id),
+  token_hash TEXT UNIQUE NOT NULL,
+  role TEXT NOT NULL,
+  invitee_user_id TEXT,
+  created_by TEXT NOT NULL,
+  api_key_id TEXT NOT NULL,
+  expires_at TEXT,
+  accepted_by TEXT,
+  accepted_at TEXT,
+  revoked_at TEXT,
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id TEXT PRIMARY KEY,
+  workspace_id TEXT NOT NULL REFERENCES workspaces(id),
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT NOT NULL,
+  description TEXT,
+  active INTEGER DEFAULT 1,
+  last_event_id INTEGER DEFAULT 0,
+  created_by TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_workspace ON webhooks(workspace_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  webhook_id TEXT NOT NULL REFERENCES webhooks(id),
+  workspace_id TEXT NOT NULL,
+  event_id INTEGER NOT NULL,
+  event_type TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at TEXT,
+  response_status INTEGER,
+  error TEXT,
+  delivered_at TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  UNIQUE(webhook_id, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(workspace_id, status, next_attempt_at);
+
 CREATE TABLE IF NOT EXISTS processed_webhook_events (
   event_id TEXT PRIMARY KEY,
   event_type TEXT NOT NULL,
@@ -212,6 +273,45 @@ CREATE TABLE IF NOT EXISTS activity_log (
   created_at TEXT DEFAULT (datetime('now'))
 );
 
+CREATE TABLE IF NOT EXISTS memory_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  memory_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  type TEXT,
+  tags TEXT DEFAULT '[]',
+  expires_at TEXT,
+  linkages TEXT DEFAULT '[]',
+  source TEXT NOT NULL DEFAULT 'api',
+  created_at TEXT DEFAULT (datetime('now')),
+  UNIQUE(memory_id, version)
+);
+
+CREATE TABLE IF NOT EXISTS consolidation_proposals (
+  id TEXT PRIMARY KEY,
+  source_ids TEXT NOT NULL DEFAULT '[]',
+  summary TEXT NOT NULL,
+  template_summary TEXT,
+  method TEXT DEFAULT 'template',
+  type TEXT,
+  tags TEXT DEFAULT '[]',
+  cohesion REAL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  memory_id TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  resolved_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_consolidation_proposals_status ON consolidation_proposals(status);
+
+-- Recall index, maintained by services/fts.js (blind tokens when encrypted)
+CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
+  memory_id UNINDEXED,
+  content,
+  tags,
+  tokenize = 'unicode61'
+);
+
 `;
 
 /**
@@ -247,6 +347,13 @@ async function runControlMigrations(db) {
     `ALTER TABLE workspaces ADD COLUMN encrypted_key TEXT`,
     `ALTER TABLE users ADD COLUMN stripe_customer_id TEXT`,
     `ALTER TABLE users ADD COLUMN stripe_subscription_id TEXT`,
+    `ALTER TABLE workspaces ADD COLUMN key_version INTEGER DEFAULT 1`,
+    `ALTER TABLE workspaces ADD COLUMN pending_key TEXT`,
+    `ALTER TABLE workspaces ADD COLUMN key_rotation TEXT`,
+    `ALTER TABLE workspaces ADD COLUMN key_rotated_at TEXT`,
+    `ALTER TABLE api_keys ADD COLUMN scopes TEXT`,
+    `ALTER TABLE api_keys ADD COLUMN workspaces TEXT`,
+    `ALTER TABLE api_keys ADD COLUMN expires_at TEXT`,
   ];
   for (const sql of migrations) {
     try {
@@ -275,6 +382,11 @@ async function runMigrations(db) {
     `ALTER TABLE consolidations ADD COLUMN template_summary TEXT`,
     `ALTER TABLE memories ADD COLUMN images TEXT DEFAULT '[]'`,
     `ALTER TABLE memories ADD COLUMN image_embedded_at TEXT`,
+    `ALTER TABLE memories ADD COLUMN embedding_model TEXT`,
+    `ALTER TABLE memories ADD COLUMN blind_index TEXT`,
+    `ALTER TABLE activity_log ADD COLUMN entity_id TEXT`,
+    `ALTER TABLE memories ADD COLUMN pinned INTEGER DEFAULT 0`,
+    `ALTER TABLE memory_revisions ADD COLUMN blind_index TEXT`,
   ];
   for (const sql of migrations) {
     try {
@@ -2,8 +2,9 @@
  * Auth middleware — API key validation via SHA-256 hash lookup.
  *
  * Expects: Authorization: Bearer mp_live_...
- * On success: sets userId, apiKeyId on Hono context.
- * On failure: returns 401 with MCP-format error.
+ * On success: sets userId, apiKeyId, apiKeyScopes and apiKeyWorkspaces on
+ * Hono context (the last two are null for unrestricted keys).
+ * On failure (unknown, revoked or expired key): returns 401 with MCP-format error.
  */
 
 import { createHash } from "node:crypto";
@@ -17,6 +18,28 @@ export function hashApiKey(key) {
   return createHash("sha256").update(key).digest("hex");
 }
 
+/**
+ * Parse a JSON array column (scopes, workspaces). NULL or malformed means
+ * unrestricted.
+ * @returns {string[]|null}
+ */
+export function parseKeyList(value) {
+  if (!value) return null;
+  try {
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? list : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a key's expires_at has passed.
+ */
+export function isKeyExpired(expiresAt) {
+  return Boolean(expiresAt) && Date.parse(expiresAt) <= Date.now();
+}
+
 /**
  * Hono middleware that validates API keys.
  */
@@ -50,7 +73,8 @@ export function authMiddleware() {
     const db = getControlDb();
 
     const result = await db.execute({
-      sql: `SELECT ak.id, ak.user_id, ak.revoked_at, ak.key_prefix, u.plan
+      sql: `SELECT ak.id, ak.user_id, ak.revoked_at, ak.key_prefix, ak.scopes,
+                   ak.workspaces, ak.expires_at, u.plan
             FROM api_keys ak JOIN users u ON ak.user_id = u.id
             WHERE ak.key_hash = ?`,
       args: [keyHash],
@@ -79,6 +103,18 @@ export function authMiddleware() {
       );
     }
 
+    if (isKeyExpired(row.expires_at)) {
+      logAuditEvent(db, "auth.expired_key_used", {
+        userId: row.user_id,
+        details: `key prefix: ${row.key_prefix}`,
+        ip,
+      });
+      return c.json(
+        { content: [{ type: "text", text: "Invalid or missing API key" }] },
+        401
+      );
+    }
+
     // Update last_used_at (fire-and-forget, don't block the request)
     db.execute({
       sql: "UPDATE api_keys SET last_used_at = datetime('now') WHERE id = ?",
@@ -90,6 +126,8 @@ export function authMiddleware() {
     c.set("userId", row.user_id);
     c.set("apiKeyId", row.id);
     c.set("userPlan", row.plan || "free");
+    c.set("apiKeyScopes", parseKeyList(row.scopes));
+    c.set("apiKeyWorkspaces", parseKeyList(row.workspaces));
 
     await next();
   };
@@ -0,0 +1,127 @@
+/**
+ * Scope middleware — enforces API key scopes on every /v1 route.
+ *
+ * A scope is "<resource>:<action>" where action is read, write or *
+ * ("memories:read", "items:*"). A bare resource name means all of its
+ * actions ("admin"), and "*" grants everything. write includes read.
+ * Keys created before scopes existed (scopes NULL) have full access.
+ *
+ * The resource comes from the route prefix (ROUTE_RESOURCES); the action
+ * from the method — GET is a read, anything else a write, except the POST
+ * search routes in READ_POSTS. Routes missing from the table need "*".
+ *
+ * The workspace allow-list is enforced by the workspace middleware.
+ */
+
+/** Scope resources and the /v1 route prefixes they cover. */
+const ROUTE_RESOURCES = [
+  ["/working-memory", "items"],
+  ["/memories", "memories"],
+  ["/consolidate", "memories"],
+  ["/context", "memories"],
+  ["/distill", "memories"],
+  ["/extract", "memories"],
+  ["/images", "memories"],
+  ["/activity", "memories"],
+  ["/events", "memories"],
+  ["/skip-list", "skip"],
+  ["/identity", "identity"],
+  ["/settings", "settings"],
+  ["/webhooks", "webhooks"],
+  ["/workspaces", "workspaces"],
+  ["/admin", "admin"],
+  ["/billing", "admin"],
+  ["/auth/keys", "admin"],
+];
+
+export const SCOPE_RESOURCES = [...new Set(ROUTE_RESOURCES.map(([, resource]) => resource))];
+
+/** Routes any valid key may call (rotating a key keeps its scopes). */
+const OPEN_ROUTES = new Set(["/health", "/auth/rotate"]);
+
+/** POST routes that only read. */
+const READ_POSTS = new Set(["/memories/recall", "/context"]);
+
+const ACTIONS = new Set(["read", "write", "*"]);
+
+/**
+ * Whether a scope string is well-formed.
+ * @param {string} scope
+ * @returns {boolean}
+ */
+export function isValidScope(scope) {
+  if (scope === "*") return true;
+  if (typeof scope !== "string") return false;
+  const [resource, action = "*", ...rest] = scope.split(":");
+  return rest.length === 0 && SCOPE_RESOURCES.includes(resource) && ACTIONS.has(action);
+}
+
+/**
+ * Whether granted scopes allow an action on a resource.
+ * @param {string[]|null} scopes - null means full access
+ * @param {string} resource
+ * @param {"read"|"write"} action
+ * @returns {boolean}
+ */
+export function hasScope(scopes, resource, action) {
+  if (!scopes) return true;
+  return scopes.some((scope) => {
+    if (scope === "*") return true;
+    const [r, a = "*"] = scope.split(":");
+    return r === resource && (a === "*" || a === action || (a === "write" && action === "read"));
+  });
+}
+
+/**
+ * Whether granted scopes cover every requested scope — a key can only
+ * create keys with the same or fewer privileges.
+ * @param {string[]|null} granted
+ * @param {string[]} requested
+ * @returns {boolean}
+ */
+export function coversScopes(granted, requested) {
+  if (!granted) return true;
+  return requested.every((scope) => {
+    if (scope === "*") return granted.includes("*");
+    const [resource, action = "*"] = scope.split(":");
+    return hasScope(granted, resource, action === "read" ? "read" : "write");
+  });
+}
+
+/**
+ * The scope a request needs, or null for open routes.
+ * @param {string} method
+ * @param {string} path - Path below /v1
+ * @returns {{ resource: string, action: "read"|"write" }|{ resource: "*" }|null}
+ */
+export function requiredScope(method, path) {
+  if (OPEN_ROUTES.has(path)) return null;
+  const match = ROUTE_RESOURCES.find(([prefix]) => path === prefix || path.startsWith(`${prefix}/`));
+  if (!match) return { resource: "*" };
+  const action = method === "GET" || method === "HEAD" || READ_POSTS.has(path) ? "read" : "write";
+  return { resource: match[1], action };
+}
+
+/**
+ * Hono middleware that rejects requests outside the API key's scopes.
+ * Runs after authMiddleware, which sets apiKeyScopes.
+ */
+export function scopeMiddleware() {
+  return async (c, next) => {
+    const scopes = c.get("apiKeyScopes");
+    if (scopes) {
+      const path = c.req.path.replace(/^\/v1/, "") || "/";
+      const needed = requiredScope(c.req.method, path);
+      const allowed = !needed || (needed.resource === "*" ? scopes.includes("*") : hasScope(scopes, needed.resource, needed.action));
+      if (!allowed) {
+        const scope = needed.resource === "*" ? "*" : `${needed.resource}:${needed.action}`;
+        const message = `This API key lacks the "${scope}" scope.`;
+        return c.json(
+          { error: "insufficient_scope", message, required_scope: scope, content: [{ type: "text", text: message }] },
+          403
+        );
+      }
+    }
+    await next();
+  };
+}
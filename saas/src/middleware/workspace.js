@@ -5,6 +5,17 @@
  * If workspace doesn't exist for this user, auto-creates it and initializes tables.
  * In Turso mode, creates a new edge database per workspace.
  * Attaches workspaceId, workspaceName, and workspaceDb to context.
+ *
+ * Workspaces shared with the user (workspace_members) resolve by the name on
+ * their membership row when the user has no workspace of that name. The
+ * member's role is enforced per request (see services/members.js), and
+ * every successful write to a shared workspace is recorded in audit_log
+ * as "workspace.write" with the acting user. Successful writes also
+ * dispatch the workspace's outgoing webhooks (services/webhooks.js).
+ *
+ * API keys with a workspace allow-list (apiKeyWorkspaces) are refused for
+ * other workspaces, skip peek workspaces outside the list, and cannot use
+ * the /v1/workspaces management routes, which address workspaces by ID.
  */
 
 import { randomUUID } from "node:crypto";
@@ -16,6 +27,11 @@ import {
 } from "../services/turso.js";
 import { getLimits } from "../config/plans.js";
 import { getWorkspaceKey } from "../services/crypto.js";
+import { findSharedWorkspace, roleAllows, isShared } from "../services/members.js";
+import { logAuditEvent } from "../services/audit.js";
+import { dispatchWebhooks } from "../services/webhooks.js";
+import { publishEvents } from "../services/event-hub.js";
+import { requiredScope } from "./scopes.js";
 
 /**
  * Seed default working memory sections in a new workspace.
@@ -38,9 +54,42 @@ async function seedWorkingMemory(db) {
   }
 }
 
+/** Routes about the user's account rather than the selected workspace. */
+const ACCOUNT_ROUTES = /^\/(auth|billing|workspaces)(\/|$)/;
+
 /** Track which workspace IDs have had schema applied this worker lifecycle. */
 const migratedWorkspaces = new Set();
 
+/**
+ * Open the workspaces a request may peek into: the caller's own or shared
+ * with them, and inside the API key's workspace allow-list. Unknown or
+ * disallowed names are skipped silently.
+ * @param {import("hono").Context} c - After auth (userId, apiKeyWorkspaces)
+ * @param {string[]} names
+ * @returns {Promise<Map<string, { db: object, encKey: CryptoKey|null }>>}
+ */
+export async function resolvePeekDbs(c, names) {
+  const userId = c.get("userId");
+  const allowed = c.get("apiKeyWorkspaces");
+  const controlDb = getControlDb();
+  const peekMap = new Map();
+  for (const name of names) {
+    if (allowed && !allowed.includes(name)) continue; // outside the key's allow-list
+    // Own or shared with this user only — critical for security
+    const peekResult = await controlDb.execute({
+      sql: "SELECT id, db_url, db_token FROM workspaces WHERE user_id = ? AND name = ?",
+      args: [userId, name],
+    });
+    const peekRow = peekResult.rows[0] || (await findSharedWorkspace(controlDb, userId, name));
+    if (!peekRow) continue; // silently skip non-existent
+
+    const peekDb = getWorkspaceDb(peekRow.db_url, peekRow.db_token);
+    const peekEncKey = await getWorkspaceKey(peekRow.id, c.env, controlDb).catch(() => null);
+    peekMap.set(name, { db: peekDb, encKey: peekEncKey });
+  }
+  return peekMap;
+}
+
 /**
  * Hono middleware that resolves the workspace for the current request.
  */
@@ -49,6 +98,16 @@ export function workspaceMiddleware() {
     const userId = c.get("userId");
     const workspaceName = c.req.header("X-Memento-Workspace") || "default";
 
+    const allowed = c.get("apiKeyWorkspaces");
+    if (allowed && !allowed.includes(workspaceName)) {
+      const message = `This API key is not allowed to access workspace "${workspaceName}".`;
+      return c.json({ error: "workspace_not_allowed", message, content: [{ type: "text", text: message }] }, 403);
+    }
+    if (allowed && /^\/v1\/workspaces(\/|$)/.test(c.req.path)) {
+      const message = "Workspace management requires a key that is not restricted to specific workspaces.";
+      return c.json({ error: "workspace_not_allowed", message, content: [{ type: "text", text: message }] }, 403);
+    }
+
     const controlDb = getControlDb();
 
     // Look up workspace
@@ -60,8 +119,20 @@ export function workspaceMiddleware() {
     let workspaceId;
     let dbUrl = null;
     let dbToken = null;
+    let role = "owner";
+    let resolvedName = workspaceName;
+    let workspacePlan = c.get("userPlan");
+
+    const shared = result.rows.length === 0 ? await findSharedWorkspace(controlDb, userId, workspaceName) : null;
 
-    if (result.rows.length === 0) {
+    if (shared) {
+      workspaceId = shared.id;
+      dbUrl = shared.db_url;
+      dbToken = shared.db_token;
+      role = shared.role;
+      resolvedName = shared.name;
+      workspacePlan = shared.plan || "free";
+    } else if (result.rows.length === 0) {
       // Workspace quota check before auto-creating
       const limits = getLimits(c.get("userPlan"));
       if (limits.workspaces !== Infinity) {
@@ -122,6 +193,14 @@ export function workspaceMiddleware() {
       }
     }
 
+    // Roles govern routes that act on this workspace, not account routes
+    const path = c.req.path.replace(/^\/v1/, "") || "/";
+    const needed = ACCOUNT_ROUTES.test(path) ? null : requiredScope(c.req.method, path);
+    if (!roleAllows(role, needed)) {
+      const message = `Your role in workspace "${workspaceName}" (${role}) does not allow this request.`;
+      return c.json({ error: "forbidden_role", message, role, content: [{ type: "text", text: message }] }, 403);
+    }
+
     // Get workspace DB client (uses Turso URL if available, falls back to dev DB)
     const wsDb = getWorkspaceDb(dbUrl, dbToken);
 
@@ -131,9 +210,13 @@ export function workspaceMiddleware() {
       migratedWorkspaces.add(workspaceId);
     }
 
+    // Shared workspaces resolve to the owner's name -- vector IDs and image
+    // paths are keyed by it.
     c.set("workspaceId", workspaceId);
-    c.set("workspaceName", workspaceName);
+    c.set("workspaceName", resolvedName);
     c.set("workspaceDb", wsDb);
+    c.set("workspaceRole", role);
+    c.set("workspacePlan", workspacePlan);
 
     // Resolve workspace encryption key (null if encryption not configured)
     const encKey = await getWorkspaceKey(workspaceId, c.env, controlDb).catch(() => null);
@@ -153,25 +236,32 @@ export function workspaceMiddleware() {
     }
 
     if (peekNames.length > 0) {
-      const peekMap = new Map();
-      for (const name of peekNames) {
-        // Same user only — critical for security
-        const peekResult = await controlDb.execute({
-          sql: "SELECT id, db_url, db_token FROM workspaces WHERE user_id = ? AND name = ?",
-          args: [userId, name],
-        });
-        if (peekResult.rows.length === 0) continue; // silently skip non-existent
-
-        const peekRow = peekResult.rows[0];
-        const peekDb = getWorkspaceDb(peekRow.db_url, peekRow.db_token);
-        const peekEncKey = await getWorkspaceKey(peekRow.id, c.env, controlDb).catch(() => null);
-        peekMap.set(name, { db: peekDb, encKey: peekEncKey });
-      }
-      c.set("peekDbs", peekMap);
+      c.set("peekDbs", await resolvePeekDbs(c, peekNames));
     } else {
       c.set("peekDbs", null);
     }
 
     await next();
+
+    if (needed?.action !== "write" || c.res.status >= 400) return;
+
+    if (role !== "owner" || (await isShared(controlDb, workspaceId))) {
+      logAuditEvent(controlDb, "workspace.write", {
+        userId,
+        details: `workspace: ${workspaceId}, role: ${role}, ${c.req.method} ${c.req.path}`,
+      });
+    }
+
+    // Outgoing webhooks and WebSocket subscribers (Workers) for whatever this
+    // write logged. On Workers, keep the request alive until both finish.
+    const dispatch = Promise.all([
+      dispatchWebhooks(controlDb, wsDb, { workspaceId, workspaceName: resolvedName, encKey }).catch(() => {}),
+      publishEvents(c.env, workspaceId).catch(() => {}),
+    ]);
+    try {
+      c.executionCtx.waitUntil(dispatch);
+    } catch {
+      // No execution context outside Workers -- the promise runs on its own
+    }
   };
 }
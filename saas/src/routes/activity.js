@@ -37,7 +37,7 @@ activity.get("/", async (c) => {
   args.push(limit);
 
   const result = await db.execute({
-    sql: `SELECT id, action, memory_id, detail, created_at
+    sql: `SELECT id, action, memory_id, entity_id, detail, created_at
           FROM activity_log
           WHERE ${whereClauses.join(" AND ")}
           ORDER BY created_at DESC
@@ -2,6 +2,9 @@
  * Admin routes for maintenance tasks.
  *
  * POST /v1/admin/backfill-embeddings — Backfill vectors for un-embedded memories
+ * POST /v1/admin/rotate-workspace-key — Rotate the workspace key (batched, resumable)
+ * POST /v1/admin/rotate-master-key — Re-wrap workspace keys under a new master key (admin only)
+ * GET  /v1/admin/key-rotation — Key rotation status
  */
 
 import { Hono } from "hono";
@@ -9,9 +12,21 @@ import { backfillWorkspace } from "../services/embeddings.js";
 import { getControlDb } from "../db/connection.js";
 import { PLANS } from "../config/plans.js";
 import { encryptField, isEncrypted } from "../services/crypto.js";
+import {
+  rotateWorkspaceKey,
+  rewrapMasterKeys,
+  countStaleWorkspaces,
+  getKeyRotationStatus,
+} from "../services/key-rotation.js";
 
 const admin = new Hono();
 
+/** Whether the caller is the operator (MEMENTO_ADMIN_USER_ID). */
+function isAdminUser(c) {
+  const adminUserId = process.env.MEMENTO_ADMIN_USER_ID;
+  return !!adminUserId && c.get("userId") === adminUserId;
+}
+
 // POST /v1/admin/backfill-embeddings — Backfill all un-embedded memories
 admin.post("/backfill-embeddings", async (c) => {
   const db = c.get("workspaceDb");
@@ -31,6 +46,9 @@ admin.post("/backfill-embeddings", async (c) => {
 
   const opts = { imagesOnly: !!body.images_only };
   const result = await backfillWorkspace(c.env, db, workspaceName, encKey, batchSize, opts);
+  if (result.error) {
+    return c.json({ error: result.error }, 400);
+  }
 
   const imgStats = result.images_embedded > 0 || result.images_errors > 0
     ? `, ${result.images_embedded} images embedded, ${result.images_errors} image errors`
@@ -53,9 +71,8 @@ admin.post("/backfill-embeddings", async (c) => {
 // PUT /v1/admin/plan — Admin-only plan changes (normal users upgrade via Stripe)
 admin.put("/plan", async (c) => {
   const userId = c.get("userId");
-  const adminUserId = process.env.MEMENTO_ADMIN_USER_ID;
 
-  if (!adminUserId || userId !== adminUserId) {
+  if (!isAdminUser(c)) {
     return c.json(
       { error: "Plan changes require a Stripe subscription. Use the checkout link to upgrade." },
       403
@@ -103,6 +120,8 @@ admin.post("/encrypt-workspace", async (c) => {
     working_memory_sections: { total: 0, encrypted: 0, skipped: 0 },
     skip_list: { total: 0, encrypted: 0, skipped: 0 },
     consolidations: { total: 0, encrypted: 0, skipped: 0 },
+    memory_revisions: { total: 0, encrypted: 0, skipped: 0 },
+    consolidation_proposals: { total: 0, encrypted: 0, skipped: 0 },
   };
 
   // Helper: encrypt rows and batch-update to stay within Workers subrequest limits.
@@ -171,6 +190,20 @@ admin.post("/encrypt-workspace", async (c) => {
     return { sql: "UPDATE consolidations SET summary = ?, template_summary = ? WHERE id = ?", args: [encSummary, encTemplate, row.id] };
   });
 
+  // 7. Encrypt memory_revisions.content
+  await batchEncryptTable("memory_revisions", "SELECT id, content FROM memory_revisions", async (row) => {
+    if (isEncrypted(row.content)) return null;
+    return { sql: "UPDATE memory_revisions SET content = ? WHERE id = ?", args: [await encryptField(row.content, encKey), row.id] };
+  });
+
+  // 8. Encrypt consolidation_proposals (summary, template_summary)
+  await batchEncryptTable("consolidation_proposals", "SELECT id, summary, template_summary FROM consolidation_proposals", async (row) => {
+    if (isEncrypted(row.summary)) return null;
+    const encSummary = await encryptField(row.summary, encKey);
+    const encTemplate = row.template_summary ? await encryptField(row.template_summary, encKey) : row.template_summary;
+    return { sql: "UPDATE consolidation_proposals SET summary = ?, template_summary = ? WHERE id = ?", args: [encSummary, encTemplate, row.id] };
+  });
+
   const lines = Object.entries(stats).map(
     ([table, s]) => `  ${table}: ${s.encrypted} encrypted, ${s.skipped} skipped (${s.total} total)`
   );
@@ -184,4 +217,66 @@ admin.post("/encrypt-workspace", async (c) => {
   });
 });
 
+// POST /v1/admin/rotate-workspace-key — Re-encrypt the workspace under a new key.
+// Each call handles up to batch_size rows; call again until status is "complete".
+admin.post("/rotate-workspace-key", async (c) => {
+  const db = c.get("workspaceDb");
+  const body = await c.req.json().catch(() => ({}));
+  const batchSize = Math.min(2000, Math.max(1, parseInt(body.batch_size || "500", 10)));
+
+  const result = await rotateWorkspaceKey(db, getControlDb(), c.env, c.get("workspaceId"), batchSize);
+  if (result.error) {
+    return c.json({ error: result.error }, 400);
+  }
+
+  const unreadableStr = result.unreadable ? `, ${result.unreadable} unreadable` : "";
+  const text = result.status === "complete"
+    ? `Workspace key rotation complete: ${result.rotated} rows re-encrypted, ${result.skipped} unchanged${unreadableStr}.`
+    : `Workspace key rotation ${result.started ? "started" : "in progress"}: ${result.rotated} rows re-encrypted, ${result.skipped} unchanged${unreadableStr}.\n${result.remaining} rows remaining — call again to continue.`;
+
+  return c.json({ content: [{ type: "text", text }], rotation: result });
+});
+
+// POST /v1/admin/rotate-master-key — Re-wrap workspace keys still under an
+// older ENCRYPTION_MASTER_KEY_VERSION. Operator only; call again until remaining is 0.
+admin.post("/rotate-master-key", async (c) => {
+  if (!isAdminUser(c)) {
+    return c.json({ error: "Master key rotation is restricted to the operator." }, 403);
+  }
+
+  const body = await c.req.json().catch(() => ({}));
+  const batchSize = Math.min(500, Math.max(1, parseInt(body.batch_size || "50", 10)));
+
+  const result = await rewrapMasterKeys(getControlDb(), c.env, batchSize);
+  if (result.error) {
+    return c.json({ error: result.error }, 400);
+  }
+
+  const failedStr = result.failed.length
+    ? `\nFailed: ${result.failed.map((f) => `${f.id} (${f.error})`).join(", ")}`
+    : "";
+  const remainStr = result.remaining > 0
+    ? `\n${result.remaining} workspaces remaining — call again to continue.`
+    : "\nAll workspace keys are on the current master key. ENCRYPTION_MASTER_KEY_PREVIOUS can be removed.";
+
+  return c.json({
+    content: [{
+      type: "text",
+      text: `Re-wrapped ${result.rewrapped} workspace keys under master key version ${result.version}.${failedStr}${remainStr}`,
+    }],
+    rotation: result,
+  });
+});
+
+// GET /v1/admin/key-rotation — Key rotation status for this workspace
+// (plus the fleet-wide master key count for the operator)
+admin.get("/key-rotation", async (c) => {
+  const controlDb = getControlDb();
+  const status = await getKeyRotationStatus(c.get("workspaceDb"), controlDb, c.env, c.get("workspaceId"));
+  if (isAdminUser(c)) {
+    status.master_key.stale_workspaces = await countStaleWorkspaces(controlDb, c.env);
+  }
+  return c.json(status);
+});
+
 export default admin;
@@ -3,6 +3,11 @@
  *
  * POST /v1/auth/signup — Create a new account and API key (unauthenticated).
  * Rate limited by IP: 5/hour, 20/day.
+ *
+ * POST   /v1/auth/rotate   — Rotate the current API key.
+ * POST   /v1/auth/keys     — Create a named key with scopes, a workspace allow-list and an expiry.
+ * GET    /v1/auth/keys     — List the user's keys.
+ * DELETE /v1/auth/keys/:id — Revoke a key.
  */
 
 import { randomUUID, createHash, randomBytes } from "node:crypto";
@@ -14,6 +19,8 @@ import {
 } from "../services/turso.js";
 import { PLANS } from "../config/plans.js";
 import { logAuditEvent } from "../services/audit.js";
+import { parseKeyList, isKeyExpired } from "../middleware/auth.js";
+import { isValidScope, coversScopes } from "../middleware/scopes.js";
 
 /**
  * In-memory rate limit tracker.
@@ -201,11 +208,139 @@ export function registerAuthRoutes(app) {
   });
 }
 
+// ---------------------------------------------------------------------------
+// Named keys
+// ---------------------------------------------------------------------------
+
+const MAX_KEY_DAYS = 3650;
+
+/**
+ * Validate a POST /auth/keys body against the calling key. Omitted fields
+ * inherit the caller's restrictions, and a new key can never be broader
+ * than the key that created it.
+ * @returns {{ error?: string, status?: number, key?: { name: string, scopes: string[]|null, workspaces: string[]|null, expiresAt: string|null } }}
+ */
+export function resolveNewKey(body, caller) {
+  const name = typeof body.name === "string" && body.name.trim() ? body.name.trim().slice(0, 100) : "default";
+
+  let scopes = caller.scopes;
+  if (body.scopes !== undefined && body.scopes !== null) {
+    if (!Array.isArray(body.scopes) || body.scopes.length === 0) {
+      return { error: "scopes must be a non-empty array." };
+    }
+    const invalid = body.scopes.filter((scope) => !isValidScope(scope));
+    if (invalid.length > 0) return { error: `Invalid scope: ${invalid.join(", ")}` };
+    if (!coversScopes(caller.scopes, body.scopes)) {
+      return { error: "A key cannot grant scopes its creator lacks.", status: 403 };
+    }
+    scopes = [...new Set(body.scopes)];
+  }
+
+  let workspaces = caller.workspaces;
+  if (body.workspaces !== undefined && body.workspaces !== null) {
+    if (
+      !Array.isArray(body.workspaces) ||
+      body.workspaces.length === 0 ||
+      body.workspaces.some((w) => typeof w !== "string" || !w.trim())
+    ) {
+      return { error: "workspaces must be a non-empty array of workspace names." };
+    }
+    workspaces = [...new Set(body.workspaces.map((w) => w.trim()))];
+    if (caller.workspaces && workspaces.some((w) => !caller.workspaces.includes(w))) {
+      return { error: "A key cannot reach workspaces its creator cannot.", status: 403 };
+    }
+  }
+
+  let expiresAt = caller.expiresAt;
+  if (body.expires_at !== undefined || body.expires_in_days !== undefined) {
+    let expires;
+    if (body.expires_in_days !== undefined) {
+      const days = Number(body.expires_in_days);
+      if (!Number.isFinite(days) || days <= 0 || days > MAX_KEY_DAYS) {
+        return { error: `expires_in_days must be between 0 and ${MAX_KEY_DAYS}.` };
+      }
+      expires = Date.now() + days * 86400_000;
+    } else {
+      expires = Date.parse(body.expires_at);
+      if (Number.isNaN(expires)) return { error: "expires_at must be an ISO 8601 date." };
+    }
+    if (expires <= Date.now()) return { error: "Expiry must be in the future." };
+    if (caller.expiresAt && expires > Date.parse(caller.expiresAt)) {
+      return { error: "A key cannot outlive the key that created it.", status: 403 };
+    }
+    expiresAt = new Date(expires).toISOString();
+  }
+
+  return { key: { name, scopes, workspaces, expiresAt } };
+}
+
+/**
+ * Whether a key is no broader than the caller -- the same rule
+ * resolveNewKey applies to creation, used to gate revocation.
+ * @param {{ scopes: string[]|null, workspaces: string[]|null, expiresAt: string|null }} key
+ * @param {{ scopes: string[]|null, workspaces: string[]|null, expiresAt: string|null }} caller
+ * @returns {boolean}
+ */
+export function keyWithinCaller(key, caller) {
+  if (!coversScopes(caller.scopes, key.scopes || ["*"])) return false;
+  if (caller.workspaces && (!key.workspaces || key.workspaces.some((w) => !caller.workspaces.includes(w)))) {
+    return false;
+  }
+  if (caller.expiresAt && (!key.expiresAt || Date.parse(key.expiresAt) > Date.parse(caller.expiresAt))) {
+    return false;
+  }
+  return true;
+}
+
+function keyStatus(row) {
+  if (row.revoked_at) return "revoked";
+  if (isKeyExpired(row.expires_at)) return "expired";
+  return "active";
+}
+
+function formatKey(row, currentKeyId) {
+  return {
+    id: row.id,
+    name: row.name,
+    key_prefix: row.key_prefix,
+    scopes: parseKeyList(row.scopes),
+    workspaces: parseKeyList(row.workspaces),
+    expires_at: row.expires_at || null,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at || null,
+    revoked_at: row.revoked_at || null,
+    status: keyStatus(row),
+    current: row.id === currentKeyId,
+  };
+}
+
+async function insertApiKey(controlDb, userId, { name, scopes, workspaces, expiresAt }) {
+  const apiKey = generateApiKey();
+  const keyHash = createHash("sha256").update(apiKey).digest("hex");
+  const keyId = randomUUID().slice(0, 8);
+  const keyPrefix = apiKey.slice(0, 12);
+
+  await controlDb.execute({
+    sql: `INSERT INTO api_keys (id, user_id, key_hash, key_prefix, name, scopes, workspaces, expires_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    args: [
+      keyId,
+      userId,
+      keyHash,
+      keyPrefix,
+      name,
+      scopes ? JSON.stringify(scopes) : null,
+      workspaces ? JSON.stringify(workspaces) : null,
+      expiresAt || null,
+    ],
+  });
+
+  return { apiKey, keyId, keyPrefix };
+}
+
 /**
  * Register authenticated auth routes on a Hono v1 sub-app.
  * These require auth middleware (mounted inside /v1).
- *
- * POST /v1/auth/rotate — Rotate the current API key.
  */
 export function registerAuthenticatedRoutes(v1) {
   v1.post("/auth/rotate", async (c) => {
@@ -216,21 +351,18 @@ export function registerAuthenticatedRoutes(v1) {
 
     // Look up old key prefix for audit logging (no PII)
     const oldKeyRow = await controlDb.execute({
-      sql: "SELECT key_prefix FROM api_keys WHERE id = ?",
+      sql: "SELECT key_prefix, expires_at FROM api_keys WHERE id = ?",
       args: [oldKeyId],
     });
     const oldKeyPrefix = oldKeyRow.rows[0]?.key_prefix || "unknown";
 
-    // Generate new key
-    const newApiKey = generateApiKey();
-    const newKeyHash = createHash("sha256").update(newApiKey).digest("hex");
-    const newKeyId = randomUUID().slice(0, 8);
-    const newKeyPrefix = newApiKey.slice(0, 12);
-
-    // Insert new key FIRST — if this fails, old key stays active
-    await controlDb.execute({
-      sql: "INSERT INTO api_keys (id, user_id, key_hash, key_prefix, name) VALUES (?, ?, ?, ?, ?)",
-      args: [newKeyId, userId, newKeyHash, newKeyPrefix, "rotated"],
+    // Insert new key FIRST — if this fails, old key stays active.
+    // The new key keeps the old key's scopes, workspaces and expiry.
+    const { apiKey: newApiKey, keyPrefix: newKeyPrefix } = await insertApiKey(controlDb, userId, {
+      name: "rotated",
+      scopes: c.get("apiKeyScopes"),
+      workspaces: c.get("apiKeyWorkspaces"),
+      expiresAt: oldKeyRow.rows[0]?.expires_at,
     });
 
     // Revoke old key AFTER new key is safely stored
@@ -251,4 +383,94 @@ export function registerAuthenticatedRoutes(v1) {
       message: "Save this key now — it cannot be retrieved again.",
     });
   });
+
+  v1.post("/auth/keys", async (c) => {
+    const userId = c.get("userId");
+    const controlDb = getControlDb();
+
+    let body;
+    try {
+      body = await c.req.json();
+    } catch {
+      body = {};
+    }
+
+    const callerRow = await controlDb.execute({
+      sql: "SELECT expires_at FROM api_keys WHERE id = ?",
+      args: [c.get("apiKeyId")],
+    });
+    const resolved = resolveNewKey(body, {
+      scopes: c.get("apiKeyScopes"),
+      workspaces: c.get("apiKeyWorkspaces"),
+      expiresAt: callerRow.rows[0]?.expires_at || null,
+    });
+    if (resolved.error) return c.json({ error: resolved.error }, resolved.status || 400);
+
+    const { apiKey, keyId } = await insertApiKey(controlDb, userId, resolved.key);
+    const row = await controlDb.execute({ sql: "SELECT * FROM api_keys WHERE id = ?", args: [keyId] });
+
+    logAuditEvent(controlDb, "key.created", {
+      userId,
+      details: `key prefix: ${apiKey.slice(0, 12)}, scopes: ${resolved.key.scopes ? resolved.key.scopes.join(" ") : "*"}`,
+    });
+
+    return c.json(
+      {
+        api_key: apiKey,
+        key: formatKey(row.rows[0], c.get("apiKeyId")),
+        message: "Save this key now — it cannot be retrieved again.",
+      },
+      201
+    );
+  });
+
+  v1.get("/auth/keys", async (c) => {
+    const controlDb = getControlDb();
+    const result = await controlDb.execute({
+      sql: "SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at DESC, id",
+      args: [c.get("userId")],
+    });
+    return c.json({ keys: result.rows.map((row) => formatKey(row, c.get("apiKeyId"))) });
+  });
+
+  v1.delete("/auth/keys/:id", async (c) => {
+    const userId = c.get("userId");
+    const keyId = c.req.param("id");
+    const controlDb = getControlDb();
+
+    const result = await controlDb.execute({
+      sql: "SELECT key_prefix, revoked_at, scopes, workspaces, expires_at FROM api_keys WHERE id = ? AND user_id = ?",
+      args: [keyId, userId],
+    });
+    if (result.rows.length === 0) {
+      return c.json({ content: [{ type: "text", text: `Key ${keyId} not found.` }] }, 404);
+    }
+
+    // A key can only revoke keys that are no broader than itself
+    const callerRow = await controlDb.execute({
+      sql: "SELECT expires_at FROM api_keys WHERE id = ?",
+      args: [c.get("apiKeyId")],
+    });
+    const target = result.rows[0];
+    const within = keyWithinCaller(
+      { scopes: parseKeyList(target.scopes), workspaces: parseKeyList(target.workspaces), expiresAt: target.expires_at || null },
+      { scopes: c.get("apiKeyScopes"), workspaces: c.get("apiKeyWorkspaces"), expiresAt: callerRow.rows[0]?.expires_at || null }
+    );
+    if (!within) {
+      return c.json({ error: "A key cannot revoke a key broader than itself." }, 403);
+    }
+
+    if (!result.rows[0].revoked_at) {
+      await controlDb.execute({
+        sql: "UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ?",
+        args: [keyId],
+      });
+      logAuditEvent(controlDb, "key.revoked", {
+        userId,
+        details: `key prefix: ${result.rows[0].key_prefix}`,
+      });
+    }
+
+    return c.json({ content: [{ type: "text", text: `Key ${keyId} revoked.` }], revoked: true });
+  });
 }
@@ -2,14 +2,38 @@
  * Consolidation routes.
  *
  * POST /v1/consolidate       — Trigger memory consolidation for the workspace
+ * GET  /v1/consolidate/preview — Dry run: the groups consolidation would create
  * POST /v1/consolidate/group — Consolidate specific memory IDs into a new memory
+ * POST /v1/consolidate/:id/undo — Restore the sources of a consolidation
+ *
+ * Review queue (see services/proposals.js):
+ * GET  /v1/consolidate/proposals             — List proposals (?status=pending|approved|rejected|all)
+ * POST /v1/consolidate/proposals             — Queue proposals now (what the cron does in review mode)
+ * PUT  /v1/consolidate/proposals/:id         — Edit a pending proposal
+ * POST /v1/consolidate/proposals/:id/approve — Apply a proposal (optionally with edits)
+ * POST /v1/consolidate/proposals/:id/reject  — Reject a proposal
  */
 
 import { Hono } from "hono";
 import { randomUUID } from "node:crypto";
-import { consolidateMemories, generateAISummary } from "../services/consolidation.js";
-import { embedAndStore } from "../services/embeddings.js";
+import {
+  consolidateMemories,
+  planConsolidation,
+  generateAISummary,
+  undoConsolidation,
+} from "../services/consolidation.js";
+import {
+  PROPOSAL_STATUSES,
+  proposeConsolidations,
+  listProposals,
+  updateProposal,
+  approveProposal,
+  rejectProposal,
+} from "../services/proposals.js";
+import { embedAndStore, parseClientEmbedding, storeClientVector } from "../services/embeddings.js";
 import { encryptField, decryptField } from "../services/crypto.js";
+import { indexMemory, removeFromIndex, normalizeClientIndex } from "../services/fts.js";
+import { recordRevision } from "../services/revisions.js";
 
 const consolidation = new Hono();
 
@@ -49,6 +73,42 @@ consolidation.post("/", async (c) => {
   });
 });
 
+// GET /v1/consolidate/preview — Dry run with optional overrides:
+// ?mode=similarity|tags&threshold=&max_group_size=&min_cohesion=
+consolidation.get("/preview", async (c) => {
+  const db = c.get("workspaceDb");
+  const encKey = c.get("encryptionKey");
+  const workspaceName = c.get("workspaceName");
+
+  const mode = c.req.query("mode");
+  if (mode && mode !== "similarity" && mode !== "tags") {
+    return c.json({ error: "Invalid mode. Must be one of: similarity, tags" }, 400);
+  }
+
+  const { options, groups } = await planConsolidation(db, c.env, encKey, workspaceName, {
+    mode,
+    threshold: c.req.query("threshold"),
+    maxGroupSize: c.req.query("max_group_size"),
+    minCohesion: c.req.query("min_cohesion"),
+  });
+
+  return c.json({
+    mode: options.mode,
+    options: {
+      threshold: options.threshold,
+      max_group_size: options.maxGroupSize,
+      min_cohesion: options.minCohesion,
+    },
+    groups: groups.map((g) => ({
+      source_ids: g.memories.map((m) => m.id),
+      size: g.memories.length,
+      cohesion: g.cohesion === null ? null : Math.round(g.cohesion * 1000) / 1000,
+      tags: Array.from(new Set(g.memories.flatMap((m) => m.tags))).sort(),
+      memories: g.memories.map((m) => ({ id: m.id, content: m.content, type: m.type, tags: m.tags })),
+    })),
+  });
+});
+
 // POST /v1/consolidate/group — Consolidate specific memory IDs into a new memory
 consolidation.post("/group", async (c) => {
   const db = c.get("workspaceDb");
@@ -62,7 +122,7 @@ consolidation.post("/group", async (c) => {
   // Fetch the specified memories (must be active, not already consolidated)
   const placeholders = sourceIds.map(() => "?").join(", ");
   const result = await db.execute({
-    sql: `SELECT id, content, type, tags, access_count, linkages
+    sql: `SELECT id, content, type, tags, access_count, linkages, blind_index, pinned
           FROM memories WHERE id IN (${placeholders}) AND consolidated = 0`,
     args: sourceIds,
   });
@@ -91,6 +151,15 @@ consolidation.post("/group", async (c) => {
   }
   const memories = memoriesList;
 
+  // Client-encrypted sources can't be summarized here; the client sends the
+  // (encrypted) content and its blind index
+  const clientIndex = normalizeClientIndex(body.blind_index);
+  if (!body.content && memories.some((m) => m.blind_index)) {
+    return c.json({
+      content: [{ type: "text", text: "These memories are end-to-end encrypted. Provide the consolidated content." }],
+    }, 400);
+  }
+
   // Determine content: use agent-provided content, or generate summary
   let content;
   if (body.content) {
@@ -124,6 +193,8 @@ consolidation.post("/group", async (c) => {
 
   // Sum access counts from all sources
   const totalAccessCount = memories.reduce((sum, m) => sum + (m.access_count || 0), 0);
+  // A pinned source keeps the consolidated memory pinned
+  const pinned = memories.some((m) => m.pinned) ? 1 : 0;
 
   // Build linkages: consolidated-from for each source + deduplicated linkages from sources
   const consolidatedFromLinks = memories.map((m) => ({
@@ -152,16 +223,22 @@ consolidation.post("/group", async (c) => {
   const newId = randomUUID().slice(0, 8);
   const storedContent = encKey ? await encryptField(content, encKey) : content;
   await db.execute({
-    sql: `INSERT INTO memories (id, content, type, tags, access_count, linkages)
-          VALUES (?, ?, ?, ?, ?, ?)`,
-    args: [newId, storedContent, type, JSON.stringify(tagArray), totalAccessCount, JSON.stringify(allLinkages)],
+    sql: `INSERT INTO memories (id, content, type, tags, access_count, linkages, blind_index, pinned)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    args: [newId, storedContent, type, JSON.stringify(tagArray), totalAccessCount, JSON.stringify(allLinkages), clientIndex, pinned],
   });
 
   // Fire-and-forget: embed the new memory for vector search (uses plaintext)
-  embedAndStore(c.env, c.get("workspaceName"), newId, content).catch(() => {});
+  if (!clientIndex) {
+    embedAndStore(c.env, c.get("workspaceName"), newId, content, db).catch(() => {});
+  } else {
+    const embedding = parseClientEmbedding(body.embedding);
+    if (embedding) storeClientVector(c.env, c.get("workspaceName"), newId, embedding, db).catch(() => {});
+  }
 
   // Mark each source as consolidated, pointing to the new memory's ID
   for (const mem of memories) {
+    await recordRevision(db, mem.id, "consolidation");
     await db.execute({
       sql: "UPDATE memories SET consolidated = 1, consolidated_into = ? WHERE id = ?",
       args: [newId, mem.id],
@@ -169,6 +246,8 @@ consolidation.post("/group", async (c) => {
   }
 
   const foundIds = memories.map((m) => m.id);
+  await removeFromIndex(db, foundIds);
+  await indexMemory(db, { id: newId, content, tags: tagArray }, encKey);
 
   // Fire-and-forget activity log
   db.execute({
@@ -184,4 +263,87 @@ consolidation.post("/group", async (c) => {
   });
 });
 
+// GET /v1/consolidate/proposals — List proposals with their source memories
+consolidation.get("/proposals", async (c) => {
+  const status = c.req.query("status") || "pending";
+  if (status !== "all" && !PROPOSAL_STATUSES.includes(status)) {
+    return c.json({ error: `Invalid status. Must be one of: ${PROPOSAL_STATUSES.join(", ")}, all` }, 400);
+  }
+
+  const proposals = await listProposals(c.get("workspaceDb"), c.get("encryptionKey"), status);
+  return c.json({ proposals });
+});
+
+// POST /v1/consolidate/proposals — Queue proposals for review instead of consolidating
+consolidation.post("/proposals", async (c) => {
+  const { proposed, sourceCount } = await proposeConsolidations(
+    c.get("workspaceDb"), c.env, c.get("encryptionKey"), c.get("workspaceName")
+  );
+
+  const text = proposed === 0
+    ? "No new consolidation candidates to propose."
+    : `Proposed ${proposed} consolidation${proposed === 1 ? "" : "s"} covering ${sourceCount} memories. Review with GET /v1/consolidate/proposals.`;
+  return c.json({ content: [{ type: "text", text }] });
+});
+
+// PUT /v1/consolidate/proposals/:id — Edit summary, type, tags or drop sources
+consolidation.put("/proposals/:id", async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  const result = await updateProposal(c.get("workspaceDb"), c.get("encryptionKey"), c.req.param("id"), body);
+  if (result.error) return c.json({ error: result.error }, result.status);
+  return c.json(result.proposal);
+});
+
+// POST /v1/consolidate/proposals/:id/approve — Consolidate the proposal's sources
+consolidation.post("/proposals/:id/approve", async (c) => {
+  const id = c.req.param("id");
+  const body = await c.req.json().catch(() => ({}));
+  const result = await approveProposal(
+    c.get("workspaceDb"), c.env, c.get("encryptionKey"), c.get("workspaceName"), id, body
+  );
+
+  if (result.error) {
+    return c.json({ content: [{ type: "text", text: result.error }] }, result.status);
+  }
+
+  const { memoryId, sourceIds } = result;
+  return c.json({
+    content: [{
+      type: "text",
+      text: `Approved proposal ${id}: consolidated ${sourceIds.length} memories into ${memoryId}. Sources: [${sourceIds.join(", ")}]`,
+    }],
+  });
+});
+
+// POST /v1/consolidate/proposals/:id/reject — Drop the proposal
+consolidation.post("/proposals/:id/reject", async (c) => {
+  const id = c.req.param("id");
+  const result = await rejectProposal(c.get("workspaceDb"), id);
+
+  if (result.error) {
+    return c.json({ content: [{ type: "text", text: result.error }] }, result.status);
+  }
+  return c.json({ content: [{ type: "text", text: `Rejected proposal ${id}. Its sources stay active.` }] });
+});
+
+// POST /v1/consolidate/:id/undo — Reactivate sources, delete the summary memory
+consolidation.post("/:id/undo", async (c) => {
+  const db = c.get("workspaceDb");
+  const result = await undoConsolidation(
+    db, c.env, c.get("encryptionKey"), c.get("workspaceName"), c.req.param("id")
+  );
+
+  if (result.error) {
+    return c.json({ content: [{ type: "text", text: result.error }] }, result.status);
+  }
+
+  const { summaryId, restoredIds } = result;
+  return c.json({
+    content: [{
+      type: "text",
+      text: `Restored ${restoredIds.length} memories from ${summaryId}. Sources: [${restoredIds.join(", ")}]. Summary memory ${summaryId} deleted.`,
+    }],
+  });
+});
+
 export default consolidation;
@@ -3,14 +3,19 @@
  *
  * POST /v1/context — Single call that returns everything relevant for a message.
  * Replaces the entire hook chain: working memory + memory recall + skip check + identity.
+ * With `explain: true`, memories.explain breaks down each candidate's score
+ * (services/recall-explain.js).
  */
 
 import { Hono } from "hono";
 import { scoreAndRankMemories, hybridRank } from "../services/scoring.js";
 import { semanticSearch, semanticMultiSearch } from "../services/embeddings.js";
-import { decryptField, getWorkspaceKey } from "../services/crypto.js";
-import { getControlDb, getWorkspaceDb } from "../db/connection.js";
+import { decryptField } from "../services/crypto.js";
+import { resolvePeekDbs } from "../middleware/workspace.js";
 import { validateSearchImages } from "../services/image-validation.js";
+import { purgeExpiredSkips } from "../services/skip-list.js";
+import { loadDecayPolicies } from "../services/decay-policies.js";
+import { explainCandidates, addVectorScores, finishExplanation } from "../services/recall-explain.js";
 const context = new Hono();
 
 function safeParseTags(tagsStr) {
@@ -66,25 +71,8 @@ context.post("/", async (c) => {
     if (bodyPeekWorkspaces.length > 5) {
       return c.json({ error: "Too many peek workspaces. Maximum is 5." }, 400);
     }
-
-    const userId = c.get("userId");
-    const controlDb = getControlDb();
-    peekDbs = new Map();
-
-    for (const name of bodyPeekWorkspaces) {
-      if (typeof name !== "string" || !name.trim()) continue;
-      const trimmed = name.trim();
-      const peekResult = await controlDb.execute({
-        sql: "SELECT id, db_url, db_token FROM workspaces WHERE user_id = ? AND name = ?",
-        args: [userId, trimmed],
-      });
-      if (peekResult.rows.length === 0) continue;
-
-      const peekRow = peekResult.rows[0];
-      const peekWsDb = getWorkspaceDb(peekRow.db_url, peekRow.db_token);
-      const peekEncKey = await getWorkspaceKey(peekRow.id, c.env, controlDb).catch(() => null);
-      peekDbs.set(trimmed, { db: peekWsDb, encKey: peekEncKey });
-    }
+    const names = bodyPeekWorkspaces.filter((name) => typeof name === "string" && name.trim());
+    peekDbs = await resolvePeekDbs(c, names.map((name) => name.trim()));
   }
 
   const peekedWorkspaceNames = peekDbs ? [...peekDbs.keys()] : [];
@@ -165,7 +153,7 @@ context.post("/", async (c) => {
 
     const memoriesResult = await db.execute({
       sql: `SELECT id, content, type, tags, created_at, expires_at,
-                   access_count, last_accessed_at, linkages
+                   access_count, last_accessed_at, linkages, pinned
             FROM memories
             WHERE consolidated = 0
               AND (expires_at IS NULL OR expires_at > ?)
@@ -181,7 +169,9 @@ context.post("/", async (c) => {
     }
 
     // Keyword scoring (existing behavior)
-    const keywordResults = scoreAndRankMemories(memoriesResult.rows, message, now, 20);
+    const policies = await loadDecayPolicies(db);
+    const keywordResults = scoreAndRankMemories(memoriesResult.rows, message, now, 20, policies);
+    const explained = body.explain === true ? explainCandidates(memoriesResult.rows, message, now, policies) : null;
 
     // Apply recall_threshold: filter out keyword results below the configured minimum score
     const thresholdResult = await db.execute({
@@ -198,10 +188,11 @@ context.post("/", async (c) => {
 
     let topResults;
     let isHybrid = false;
+    let alpha;
 
     if (vectorResults.length > 0) {
       // Read alpha from workspace_settings (default 0.5)
-      let alpha = 0.5;
+      alpha = 0.5;
       try {
         const alphaResult = await db.execute({
           sql: "SELECT value FROM workspace_settings WHERE key = 'recall_alpha'",
@@ -218,13 +209,14 @@ context.post("/", async (c) => {
       }
 
       const hybridResults = hybridRank(filteredKeyword, vectorResults, alpha, 10);
+      if (explained) addVectorScores(explained, hybridRank(filteredKeyword, vectorResults, alpha, Infinity), { hybrid: true });
 
       // Fetch memory objects for vector-only results (those without a memory object)
       for (const hr of hybridResults) {
         if (!hr.memory && hr.memoryId) {
           const memRow = await db.execute({
             sql: `SELECT id, content, type, tags, created_at, expires_at,
-                         access_count, last_accessed_at, linkages
+                         access_count, last_accessed_at, linkages, pinned
                   FROM memories WHERE id = ? AND consolidated = 0`,
             args: [hr.memoryId],
           });
@@ -258,7 +250,7 @@ context.post("/", async (c) => {
       for (const [wsName, { db: peekDb, encKey: peekEncKey }] of peekDbs) {
         const peekMemResult = await peekDb.execute({
           sql: `SELECT id, content, type, tags, created_at, expires_at,
-                       access_count, last_accessed_at, linkages
+                       access_count, last_accessed_at, linkages, pinned
                 FROM memories
                 WHERE consolidated = 0
                   AND (expires_at IS NULL OR expires_at > ?)
@@ -277,7 +269,11 @@ context.post("/", async (c) => {
           row._peekWorkspace = wsName;
         }
 
-        const peekScored = scoreAndRankMemories(peekMemResult.rows, message, now, 20);
+        const peekPolicies = await loadDecayPolicies(peekDb);
+        const peekScored = scoreAndRankMemories(peekMemResult.rows, message, now, 20, peekPolicies);
+        if (explained) {
+          explained.push(...explainCandidates(peekMemResult.rows, message, now, peekPolicies, { workspace: wsName }));
+        }
         for (const r of peekScored) {
           r.memory._peekWorkspace = wsName;
           topResults.push(r);
@@ -348,6 +344,15 @@ context.post("/", async (c) => {
       query_terms: keywords,
       ranking: isHybrid ? "hybrid" : "keyword",
     };
+    if (explained) {
+      result.memories.explain = finishExplanation(explained, {
+        query: message,
+        returned: topResults,
+        threshold,
+        alpha,
+        ranking: result.memories.ranking,
+      });
+    }
 
     // Also count total memories for meta
     const countResult = await db.execute({
@@ -360,10 +365,7 @@ context.post("/", async (c) => {
   // 3. Skip list check (LOCAL ONLY — no peek)
   if (include.includes("skip_list") && message) {
     // Purge expired
-    await db.execute({
-      sql: "DELETE FROM skip_list WHERE expires_at <= ?",
-      args: [nowISO],
-    });
+    await purgeExpiredSkips(db, nowISO);
 
     const skipResult = await db.execute(
       "SELECT id, item, reason, expires_at FROM skip_list"
@@ -97,7 +97,12 @@ distill.post("/", async (c) => {
     });
   }
 
-  const summary = stored.map((m) => `- **${m.id}** (${m.type}): ${m.content}`).join("\n");
+  const summary = stored
+    .map((m) => {
+      const conflictStr = m.conflicts ? ` — possible contradiction with ${m.conflicts.join(", ")}` : "";
+      return `- **${m.id}** (${m.type}): ${m.content}${conflictStr}`;
+    })
+    .join("\n");
 
   return c.json(
     {
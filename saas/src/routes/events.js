@@ -0,0 +1,106 @@
+/**
+ * Change feed routes — workspace writes as a stream of events.
+ *
+ * GET /v1/events — Server-Sent Events stream (Node), or a WebSocket on
+ *                   Workers (send Upgrade: websocket)
+ * GET /v1/events?format=json — one batch of events, for clients that poll
+ *
+ * Query params:
+ *   types         — comma-separated event types or groups (memory, item, skip,
+ *                   identity, consolidation)
+ *   last_event_id — resume after this id (also read from the Last-Event-ID
+ *                   header that EventSource sends on reconnect). Without
+ *                   it the stream starts with the next write.
+ *   limit         — batch size for format=json (default 100, max 500)
+ *
+ * The stream polls activity_log every second, sends a comment every 15s to
+ * keep proxies from closing it, and ends after MAX_STREAM_MS. EventSource
+ * reconnects on its own and resumes by id.
+ *
+ * Holding a request open to poll the database is fine for a Node server but
+ * not on Workers, where every open stream is billed. There WebSocket
+ * upgrades go to the workspace's EventHub Durable Object, which pushes
+ * events as writes happen (services/event-hub.js). A plain stream request
+ * on Workers answers 501; such clients poll format=json instead (or
+ * subscribe a webhook).
+ */
+
+import { Hono } from "hono";
+import { streamSSE } from "hono/streaming";
+import { parseEventTypes, readEvents, latestEventId } from "../services/events.js";
+import { subscribeEvents } from "../services/event-hub.js";
+
+const events = new Hono();
+
+const POLL_MS = 1000;
+const HEARTBEAT_MS = 15_000;
+const MAX_STREAM_MS = 10 * 60_000;
+const RETRY_MS = 3000;
+
+/** Workers pass an execution context; Hono throws when there is none. */
+function runsOnWorkers(c) {
+  try {
+    return Boolean(c.executionCtx);
+  } catch {
+    return false;
+  }
+}
+
+events.get("/", async (c) => {
+  const db = c.get("workspaceDb");
+
+  const { actions, unknown } = parseEventTypes(c.req.query("types"));
+  if (unknown.length > 0) {
+    return c.json({ error: `Unknown event type: ${unknown.join(", ")}` }, 400);
+  }
+
+  const resumeFrom = c.req.header("Last-Event-ID") ?? c.req.query("last_event_id");
+  let lastId = resumeFrom !== undefined && resumeFrom !== "" ? parseInt(resumeFrom, 10) : await latestEventId(db);
+  if (Number.isNaN(lastId) || lastId < 0) {
+    return c.json({ error: "last_event_id must be a non-negative integer." }, 400);
+  }
+
+  if (c.req.query("format") === "json") {
+    const limit = Math.min(500, Math.max(1, parseInt(c.req.query("limit") || "100", 10)));
+    const batch = await readEvents(db, { afterId: lastId, actions, limit });
+    return c.json({ events: batch, last_event_id: batch.length ? batch[batch.length - 1].id : lastId });
+  }
+
+  if (runsOnWorkers(c)) {
+    const upgrade = c.req.header("Upgrade")?.toLowerCase() === "websocket";
+    const hub = upgrade ? subscribeEvents(c.env, c.get("workspaceId"), { actions, lastId }) : null;
+    if (hub) return hub;
+    return c.json(
+      {
+        error: c.env?.EVENT_HUB
+          ? "Server-Sent Events are not available on this deployment. Connect with a WebSocket (Upgrade: websocket), poll with format=json or subscribe a webhook."
+          : "The event stream is not available on this deployment. Poll with format=json or subscribe a webhook.",
+      },
+      501
+    );
+  }
+
+  return streamSSE(c, async (stream) => {
+    const started = Date.now();
+    let lastWrite = started;
+    await stream.writeSSE({ event: "ready", data: JSON.stringify({ last_event_id: lastId }), retry: RETRY_MS });
+
+    while (!stream.aborted && Date.now() - started < MAX_STREAM_MS) {
+      const batch = await readEvents(db, { afterId: lastId, actions });
+      for (const event of batch) {
+        await stream.writeSSE({ id: String(event.id), event: event.type, data: JSON.stringify(event) });
+        lastId = event.id;
+        lastWrite = Date.now();
+      }
+      if (batch.length === 100) continue; // catching up
+
+      if (Date.now() - lastWrite >= HEARTBEAT_MS) {
+        await stream.write(": keep-alive\n\n");
+        lastWrite = Date.now();
+      }
+      await stream.sleep(POLL_MS);
+    }
+  });
+});
+
+export default events;
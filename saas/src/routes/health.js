@@ -64,6 +64,15 @@ health.get("/", async (c) => {
     `  Total: ${total} (${active} active, ${expired} expired, ${consolidated} consolidated)`
   );
 
+  const pendingProposals = await db.execute(
+    "SELECT COUNT(*) as count FROM consolidation_proposals WHERE status = 'pending'"
+  );
+  if (pendingProposals.rows[0].count > 0) {
+    lines.push(
+      `  Consolidation proposals awaiting review: ${pendingProposals.rows[0].count} (memento_consolidation_proposals)`
+    );
+  }
+
   // Skip list stats
   lines.push("");
   lines.push("**Skip List**");
@@ -87,7 +96,7 @@ health.get("/", async (c) => {
   lines.push(`  Total accesses: ${accessCount.rows[0].count}`);
 
   // Quota info
-  const plan = c.get("userPlan") || "free";
+  const plan = c.get("workspacePlan") || "free";
   const limits = getLimits(plan);
   const itemCount = await db.execute(
     "SELECT COUNT(*) as count FROM working_memory_items WHERE status != 'archived'"
@@ -76,6 +76,12 @@ identity.put("/", async (c) => {
     args: [id, storedCrystal, sourceCount],
   });
 
+  // Fire-and-forget activity log
+  db.execute({
+    sql: `INSERT INTO activity_log (action, entity_id, detail) VALUES (?, ?, ?)`,
+    args: ["identity_update", id, `${crystal.trim().length} chars`],
+  }).catch(() => {});
+
   return c.json({
     content: [
       {
@@ -92,6 +98,12 @@ identity.post("/crystallize", async (c) => {
   const encKey = c.get("encryptionKey");
   const { id, sourceCount } = await crystallizeIdentity(db, encKey);
 
+  // Fire-and-forget activity log
+  db.execute({
+    sql: `INSERT INTO activity_log (action, entity_id, detail) VALUES (?, ?, ?)`,
+    args: ["crystallize", id, `${sourceCount} sources`],
+  }).catch(() => {});
+
   return c.json({
     content: [
       {
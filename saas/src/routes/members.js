@@ -0,0 +1,203 @@
+/**
+ * Workspace sharing routes — members and invitations.
+ *
+ * GET    /v1/workspaces/:id/members          -- List owner, members and pending invites
+ * POST   /v1/workspaces/:id/invites          -- Create an invitation token (owner)
+ * DELETE /v1/workspaces/:id/invites/:invite  -- Revoke an invitation (owner)
+ * PUT    /v1/workspaces/:id/members/:user    -- Change a member's role (owner)
+ * DELETE /v1/workspaces/:id/members/:user    -- Remove a member (owner), or leave
+ * POST   /v1/workspaces/invites/accept       -- Join a workspace with an invitation token
+ */
+
+import { Hono } from "hono";
+import { getControlDb } from "../db/connection.js";
+import { logAuditEvent } from "../services/audit.js";
+import {
+  MEMBER_ROLES,
+  getWorkspaceRole,
+  listMembers,
+  createInvite,
+  acceptInvite,
+} from "../services/members.js";
+
+const members = new Hono();
+
+const MAX_INVITE_DAYS = 30;
+
+function text(message) {
+  return [{ type: "text", text: message }];
+}
+
+/**
+ * Resolve the caller's role in :id, or a 404 response when they have none
+ * (or, with requireOwner, a 403 when they are not an owner).
+ */
+async function callerRole(c, controlDb, { requireOwner = false } = {}) {
+  const role = await getWorkspaceRole(controlDb, c.req.param("id"), c.get("userId"));
+  if (!role) return { response: c.json({ content: text("Workspace not found.") }, 404) };
+  if (requireOwner && role !== "owner") {
+    return { response: c.json({ content: text("Only workspace owners can manage members.") }, 403) };
+  }
+  return { role };
+}
+
+// POST /v1/workspaces/invites/accept -- Join a workspace
+members.post("/invites/accept", async (c) => {
+  const userId = c.get("userId");
+  const body = await c.req.json().catch(() => ({}));
+  if (!body.token || typeof body.token !== "string") {
+    return c.json({ content: text("token is required.") }, 400);
+  }
+  const name = typeof body.name === "string" && body.name.trim() ? body.name.trim().slice(0, 100) : undefined;
+
+  const controlDb = getControlDb();
+  const result = await acceptInvite(controlDb, body.token, userId, name);
+  if (result.error) return c.json({ content: text(result.error) }, result.status);
+
+  const { workspaceId, name: joinedAs, role } = result.membership;
+  logAuditEvent(controlDb, "workspace.member_joined", {
+    userId,
+    details: `workspace: ${workspaceId}, role: ${role}`,
+  });
+
+  return c.json({
+    content: text(`Joined workspace "${joinedAs}" as ${role}. Use X-Memento-Workspace: ${joinedAs}.`),
+    workspace: { id: workspaceId, name: joinedAs, role },
+  });
+});
+
+// GET /v1/workspaces/:id/members -- List members
+members.get("/:id/members", async (c) => {
+  const controlDb = getControlDb();
+  const { response } = await callerRole(c, controlDb);
+  if (response) return response;
+
+  const list = await listMembers(controlDb, c.req.param("id"));
+  return c.json({ content: text(JSON.stringify(list, null, 2)), ...list });
+});
+
+// POST /v1/workspaces/:id/invites -- Create an invitation
+members.post("/:id/invites", async (c) => {
+  const userId = c.get("userId");
+  const workspaceId = c.req.param("id");
+  const controlDb = getControlDb();
+  const { response } = await callerRole(c, controlDb, { requireOwner: true });
+  if (response) return response;
+
+  const body = await c.req.json().catch(() => ({}));
+  const role = body.role || "viewer";
+  if (!MEMBER_ROLES.includes(role)) {
+    return c.json({ content: text(`role must be one of: ${MEMBER_ROLES.join(", ")}.`) }, 400);
+  }
+  let expiresInDays;
+  if (body.expires_in_days !== undefined) {
+    expiresInDays = Number(body.expires_in_days);
+    if (!Number.isFinite(expiresInDays) || expiresInDays <= 0 || expiresInDays > MAX_INVITE_DAYS) {
+      return c.json({ content: text(`expires_in_days must be between 0 and ${MAX_INVITE_DAYS}.`) }, 400);
+    }
+  }
+
+  const invite = await createInvite(controlDb, {
+    workspaceId,
+    role,
+    userId,
+    apiKeyId: c.get("apiKeyId"),
+    inviteeUserId: typeof body.user_id === "string" ? body.user_id : null,
+    expiresInDays,
+  });
+
+  logAuditEvent(controlDb, "workspace.invite_created", {
+    userId,
+    details: `workspace: ${workspaceId}, invite: ${invite.id}, role: ${role}`,
+  });
+
+  return c.json(
+    {
+      content: text(`Invitation created (${role}). Share this token — it cannot be retrieved again: ${invite.token}`),
+      token: invite.token,
+      invite: { id: invite.id, role, expires_at: invite.expiresAt },
+    },
+    201
+  );
+});
+
+// DELETE /v1/workspaces/:id/invites/:invite -- Revoke an invitation
+members.delete("/:id/invites/:invite", async (c) => {
+  const workspaceId = c.req.param("id");
+  const inviteId = c.req.param("invite");
+  const controlDb = getControlDb();
+  const { response } = await callerRole(c, controlDb, { requireOwner: true });
+  if (response) return response;
+
+  const result = await controlDb.execute({
+    sql: `UPDATE workspace_invites SET revoked_at = datetime('now')
+          WHERE id = ? AND workspace_id = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+    args: [inviteId, workspaceId],
+  });
+  if (result.rowsAffected === 0) {
+    return c.json({ content: text("Invitation not found.") }, 404);
+  }
+
+  logAuditEvent(controlDb, "workspace.invite_revoked", {
+    userId: c.get("userId"),
+    details: `workspace: ${workspaceId}, invite: ${inviteId}`,
+  });
+
+  return c.json({ content: text(`Invitation ${inviteId} revoked.`) });
+});
+
+// PUT /v1/workspaces/:id/members/:user -- Change a member's role
+members.put("/:id/members/:user", async (c) => {
+  const workspaceId = c.req.param("id");
+  const memberId = c.req.param("user");
+  const controlDb = getControlDb();
+  const { response } = await callerRole(c, controlDb, { requireOwner: true });
+  if (response) return response;
+
+  const body = await c.req.json().catch(() => ({}));
+  if (!MEMBER_ROLES.includes(body.role)) {
+    return c.json({ content: text(`role must be one of: ${MEMBER_ROLES.join(", ")}.`) }, 400);
+  }
+
+  const result = await controlDb.execute({
+    sql: "UPDATE workspace_members SET role = ? WHERE workspace_id = ? AND user_id = ?",
+    args: [body.role, workspaceId, memberId],
+  });
+  if (result.rowsAffected === 0) {
+    return c.json({ content: text("Member not found.") }, 404);
+  }
+
+  logAuditEvent(controlDb, "workspace.member_role_changed", {
+    userId: c.get("userId"),
+    details: `workspace: ${workspaceId}, member: ${memberId}, role: ${body.role}`,
+  });
+
+  return c.json({ content: text(`Member ${memberId} is now ${body.role}.`) });
+});
+
+// DELETE /v1/workspaces/:id/members/:user -- Remove a member or leave
+members.delete("/:id/members/:user", async (c) => {
+  const userId = c.get("userId");
+  const workspaceId = c.req.param("id");
+  const memberId = c.req.param("user");
+  const controlDb = getControlDb();
+  const { response } = await callerRole(c, controlDb, { requireOwner: memberId !== userId });
+  if (response) return response;
+
+  const result = await controlDb.execute({
+    sql: "DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?",
+    args: [workspaceId, memberId],
+  });
+  if (result.rowsAffected === 0) {
+    return c.json({ content: text("Member not found.") }, 404);
+  }
+
+  logAuditEvent(controlDb, "workspace.member_removed", {
+    userId,
+    details: `workspace: ${workspaceId}, member: ${memberId}`,
+  });
+
+  return c.json({ content: text(memberId === userId ? "You left the workspace." : `Member ${memberId} removed.`) });
+});
+
+export default members;
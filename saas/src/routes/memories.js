@@ -6,21 +6,60 @@
  * GET    /v1/memories/recall       — Search memories by query, tags, type
  * POST   /v1/memories/recall       — Search memories by query, tags, type, and/or images
  * POST   /v1/memories/ingest       — Bulk store memories (pre-compact)
+ * GET    /v1/memories/conflicts    — Unresolved "contradicts" links between active memories
  * GET    /v1/memories/:id/graph    — Full subgraph traversal via BFS
  * GET    /v1/memories/:id/related  — Direct connections only
+ * GET    /v1/memories/:id/history  — Current version and prior revisions
+ * POST   /v1/memories/:id/revert   — Restore a prior revision
  * GET    /v1/memories/:id          — Get single memory
  * PUT    /v1/memories/:id          — Update memory (partial)
  * DELETE /v1/memories/:id          — Delete a specific memory
+ *
+ * Client-encrypted memories (end-to-end mode) are stored with the client's
+ * `blind_index` and optional `embedding`; recall matches them when called
+ * with `blind` and a query made of client tokens (see docs/encryption.md).
+ *
+ * Both recall routes take `explain` (query param on GET, body field on POST)
+ * and then add an `explain` object with each candidate's score factors and
+ * why any was left out (see services/recall-explain.js).
+ *
+ * The recall `query` and the list route's `query` accept the recall query
+ * language: tag:, type:, before:, after:, accessed:, linked:, "phrases"
+ * and -negation (see services/recall-query.js).
+ *
+ * Store and ingest check each write for a near-duplicate and, per the
+ * dedup_mode setting, reject it, merge it into the existing memory or link
+ * it as `duplicate_of`; the response's `dedup` (store) or `duplicates`
+ * (ingest) says which (see services/duplicates.js). A rejected or merged
+ * store answers 200 instead of 201; a merge also returns the existing
+ * memory's `id` and emits memory.updated for it. Writes carrying a client
+ * `blind_index` are never deduplicated.
  */
 
 import { Hono } from "hono";
 import { randomUUID } from "node:crypto";
 import { scoreAndRankMemories, shouldAbstain, hybridRank } from "../services/scoring.js";
-import { embedAndStore, embedImageAndStore, removeVector, removeImageVectors, semanticMultiSearch } from "../services/embeddings.js";
+import { loadDecayPolicies } from "../services/decay-policies.js";
+import { explainCandidates, filteredCandidate, addVectorScores, finishExplanation } from "../services/recall-explain.js";
+import { parseRecallQuery, loadLinkTargets, matchesQuery } from "../services/recall-query.js";
+import {
+  embedAndStore,
+  embedImageAndStore,
+  removeVector,
+  removeImageVectors,
+  semanticMultiSearch,
+  parseClientEmbedding,
+  storeClientVector,
+  clientVectorSearch,
+} from "../services/embeddings.js";
 import { traverseGraph, getRelated } from "../services/graph.js";
 import { getLimits } from "../config/plans.js";
 import { encryptField, decryptField } from "../services/crypto.js";
 import { validateSearchImages } from "../services/image-validation.js";
+import { ftsCandidateIds, indexMemory, removeFromIndex, normalizeClientIndex, recallFilterSql, FTS_CANDIDATE_MIN } from "../services/fts.js";
+import { REVISION_SOURCES, recordRevision, listRevisions, getRevision, deleteRevisions } from "../services/revisions.js";
+import { checkNewMemory, formatConflicts, listConflicts } from "../services/contradictions.js";
+import { DUPLICATE_LABEL, checkDuplicate, mergeDuplicate, linkDuplicate, dedupResult } from "../services/duplicates.js";
 
 const MAX_IMAGES_PER_MEMORY = 5;
 const MAX_IMAGE_BYTES = 10 * 1024 * 1024; // 10MB decoded
@@ -36,6 +75,63 @@ function safeParseTags(tagsStr) {
   }
 }
 
+/**
+ * Load active recall candidates. The FTS index pre-selects rows by BM25 and
+ * only those are scored. Every row is scanned only when the index finds
+ * nothing (or the query has no indexable terms), so a memory the keyword
+ * scorer matches on a substring the token index cannot find still turns up.
+ * Client blind-index queries only ever match through the index. `type` and
+ * `tags` apply in SQL either way.
+ */
+async function loadRecallCandidates(db, query, encKey, now, limit, { blind = false, type = null, tags = null } = {}) {
+  const pool = Math.max(FTS_CANDIDATE_MIN, limit * 20);
+  let ids = await ftsCandidateIds(db, query, encKey, pool, { blind, type, tags });
+  if (ids && ids.length === 0) {
+    if (blind) return [];
+    ids = null;
+  }
+
+  const filter = recallFilterSql({ type, tags });
+  const idFilter = ids ? `AND id IN (${ids.map(() => "?").join(", ")})` : "";
+  const result = await db.execute({
+    sql: `SELECT id, content, type, tags, pinned, created_at, expires_at,
+                 access_count, last_accessed_at, linkages, images, blind_index
+          FROM memories
+          WHERE consolidated = 0
+            AND (expires_at IS NULL OR expires_at > ?)
+            ${filter.sql}
+            ${idFilter}
+          ORDER BY created_at DESC`,
+    args: [now, ...filter.args, ...(ids || [])],
+  });
+  return result.rows;
+}
+
+/**
+ * Parse a recall query. A blind query is client tokens, not query language.
+ * @returns {{ text: string, parsed: object|null }|{ error: string }}
+ */
+function parseQueryParam(query, blind) {
+  if (blind) return { text: query, parsed: null };
+  const parsed = parseRecallQuery(query);
+  if (parsed.error) return { error: `Invalid query: ${parsed.error}` };
+  if (!parsed.text && parsed.clauses.length === 0) return { error: "Invalid query: nothing to search for." };
+  return { text: parsed.text, parsed: parsed.clauses.length ? parsed : null };
+}
+
+/**
+ * Score and rank recall candidates under the workspace's decay policies.
+ * A blind query (client tokens) is scored against each memory's blind
+ * index, since its content is ciphertext.
+ */
+function rankCandidates(candidates, query, limit, blind, policies) {
+  if (!blind) return scoreAndRankMemories(candidates, query, new Date(), limit, policies);
+  const byId = new Map(candidates.map((m) => [m.id, m]));
+  const tokens = candidates.map((m) => ({ ...m, content: m.blind_index || "" }));
+  return scoreAndRankMemories(tokens, query, new Date(), limit, policies)
+    .map((r) => ({ memory: byId.get(r.memory.id), score: r.score }));
+}
+
 function safeParseJson(str, fallback = []) {
   try {
     return JSON.parse(str || JSON.stringify(fallback));
@@ -71,7 +167,7 @@ memories.post("/", async (c) => {
   const db = c.get("workspaceDb");
 
   // Quota check
-  const limits = getLimits(c.get("userPlan"));
+  const limits = getLimits(c.get("workspacePlan"));
   if (limits.memories !== Infinity) {
     const countResult = await db.execute("SELECT COUNT(*) as count FROM memories");
     if (countResult.rows[0].count >= limits.memories) {
@@ -92,11 +188,42 @@ memories.post("/", async (c) => {
     );
   }
 
+  // Who is writing -- attributed on the revision when a duplicate is merged
+  const source = body.source ?? "api";
+  if (!REVISION_SOURCES.includes(source)) {
+    return c.json({ error: `Invalid source. Must be one of: ${REVISION_SOURCES.join(", ")}` }, 400);
+  }
+
   const id = randomUUID().slice(0, 8);
   const type = body.type || "observation";
   const tags = JSON.stringify(body.tags || []);
   const expiresAt = body.expires || null;
-  const linkages = JSON.stringify(validateLinkages(body.linkages || []));
+  const pinned = body.pinned ? 1 : 0;
+
+  // Client-encrypted content: the client supplies the search index and vector
+  const clientIndex = normalizeClientIndex(body.blind_index);
+  const encKey = c.get("encryptionKey");
+
+  // Near-duplicates are rejected, merged or linked per dedup_mode
+  // (not possible on client ciphertext)
+  const dup = clientIndex
+    ? null
+    : await checkDuplicate(db, c.env, encKey, c.get("workspaceName"), { content });
+  if (dup?.mode === "reject") {
+    return c.json({
+      content: [{ type: "text", text: `Not stored: duplicate of memory ${dup.duplicate.id} (${dup.duplicate.match} match).` }],
+      dedup: dedupResult("rejected", dup.duplicate),
+    });
+  }
+  if (dup?.mode === "merge") {
+    const added = await mergeDuplicate(db, encKey, dup.duplicate, body.tags || [], source);
+    const addedStr = added.length ? `, added tags [${added.join(", ")}]` : "";
+    return c.json({
+      content: [{ type: "text", text: `Merged into memory ${dup.duplicate.id} (${dup.duplicate.match} match)${addedStr}.` }],
+      id: dup.duplicate.id,
+      dedup: dedupResult("merged", dup.duplicate, added),
+    });
+  }
 
   // Process images if provided
   let imagesMeta = [];
@@ -143,18 +270,34 @@ memories.post("/", async (c) => {
     }
   }
 
+  // Flag likely contradictions with existing memories and link them
+  // (not possible on client ciphertext)
+  const check = clientIndex
+    ? { conflicts: [], linkages: validateLinkages(body.linkages || []) }
+    : await checkNewMemory(db, c.env, encKey, c.get("workspaceName"), {
+        content,
+        tags: body.tags || [],
+        linkages: validateLinkages(body.linkages || []),
+      });
+  const linkages = JSON.stringify(dup ? linkDuplicate(check.linkages, dup.duplicate) : check.linkages);
+
   // Encrypt content if workspace encryption is configured
-  const encKey = c.get("encryptionKey");
   const storedContent = encKey ? await encryptField(content, encKey) : content;
 
   await db.execute({
-    sql: `INSERT INTO memories (id, content, type, tags, expires_at, linkages, images)
-          VALUES (?, ?, ?, ?, ?, ?, ?)`,
-    args: [id, storedContent, type, tags, expiresAt, linkages, JSON.stringify(imagesMeta)],
+    sql: `INSERT INTO memories (id, content, type, tags, expires_at, linkages, images, blind_index, pinned)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    args: [id, storedContent, type, tags, expiresAt, linkages, JSON.stringify(imagesMeta), clientIndex, pinned],
   });
+  await indexMemory(db, { id, content, tags }, encKey);
 
   // Fire-and-forget embedding (uses plaintext for vector indexing)
-  embedAndStore(c.env, c.get("workspaceName"), id, content).catch(() => {});
+  if (!clientIndex) {
+    embedAndStore(c.env, c.get("workspaceName"), id, content, db).catch(() => {});
+  } else {
+    const embedding = parseClientEmbedding(body.embedding);
+    if (embedding) storeClientVector(c.env, c.get("workspaceName"), id, embedding, db).catch(() => {});
+  }
 
   // Fire-and-forget image embeddings — each image gets its own vector in the same space
   if (imagesMeta.length > 0) {
@@ -172,18 +315,21 @@ memories.post("/", async (c) => {
 
   const tagList = body.tags && body.tags.length ? ` [${body.tags.join(", ")}]` : "";
   const imgStr = imagesMeta.length ? ` (${imagesMeta.length} image${imagesMeta.length === 1 ? "" : "s"})` : "";
-
-  return c.json(
-    {
-      content: [
-        {
-          type: "text",
-          text: `Stored memory ${id} (${type})${tagList}${imgStr}`,
-        },
-      ],
-    },
-    201
-  );
+  const dupStr = dup ? `\nLinked as "${DUPLICATE_LABEL}" memory ${dup.duplicate.id} (${dup.duplicate.match} match).` : "";
+
+  const response = {
+    content: [
+      {
+        type: "text",
+        text: `Stored memory ${id} (${type}${pinned ? ", pinned" : ""})${tagList}${imgStr}${dupStr}${formatConflicts(check.conflicts)}`,
+      },
+    ],
+  };
+  if (check.conflicts.length > 0) {
+    response.conflicts = check.conflicts.map(({ id: conflictId, reason }) => ({ id: conflictId, reason }));
+  }
+  if (dup) response.dedup = dedupResult("linked", dup.duplicate);
+  return c.json(response, 201);
 });
 
 // GET /v1/memories — List/browse all memories
@@ -191,6 +337,7 @@ memories.get("/", async (c) => {
   const db = c.get("workspaceDb");
   const typeParam = c.req.query("type");
   const tagsParam = c.req.query("tags");
+  const queryParam = c.req.query("query");
   const statusParam = c.req.query("status") || "active";
   const sort = c.req.query("sort") || "created_at";
   const order = c.req.query("order") || "desc";
@@ -198,6 +345,12 @@ memories.get("/", async (c) => {
   const offset = Math.max(0, parseInt(c.req.query("offset") || "0", 10));
   const now = new Date().toISOString();
 
+  let parsed = null;
+  if (queryParam) {
+    parsed = parseRecallQuery(queryParam);
+    if (parsed.error) return c.json({ error: `Invalid query: ${parsed.error}` }, 400);
+  }
+
   let whereClauses = [];
   const args = [];
 
@@ -235,33 +388,53 @@ memories.get("/", async (c) => {
   const sortCol = validSorts.includes(sort) ? sort : "created_at";
   const sortOrder = order === "asc" ? "ASC" : "DESC";
 
-  // Count total
-  const countResult = await db.execute({
-    sql: `SELECT COUNT(*) as count FROM memories ${whereStr}`,
-    args,
-  });
-  const total = countResult.rows[0].count;
+  const columns = `id, content, type, tags, created_at, expires_at, relevance,
+                   access_count, last_accessed_at, consolidated, consolidated_into, linkages, images, pinned`;
+  const encKey = c.get("encryptionKey");
+  let total;
+  let rows;
 
-  // Fetch page
-  const result = await db.execute({
-    sql: `SELECT id, content, type, tags, created_at, expires_at, relevance,
-                 access_count, last_accessed_at, consolidated, consolidated_into, linkages, images
-          FROM memories ${whereStr}
-          ORDER BY ${sortCol} ${sortOrder}
-          LIMIT ? OFFSET ?`,
-    args: [...args, limit, offset],
-  });
+  if (parsed) {
+    // Query filters need decrypted content, so filter every row, then page
+    const result = await db.execute({
+      sql: `SELECT ${columns} FROM memories ${whereStr} ORDER BY ${sortCol} ${sortOrder}`,
+      args,
+    });
+    const links = await loadLinkTargets(db, parsed);
+    const matched = [];
+    for (const row of result.rows) {
+      if (encKey) row.content = await decryptField(row.content, encKey);
+      if (matchesQuery(row, parsed, { links, requireWords: true })) matched.push(row);
+    }
+    total = matched.length;
+    rows = matched.slice(offset, offset + limit);
+  } else {
+    const countResult = await db.execute({
+      sql: `SELECT COUNT(*) as count FROM memories ${whereStr}`,
+      args,
+    });
+    total = countResult.rows[0].count;
+
+    const result = await db.execute({
+      sql: `SELECT ${columns} FROM memories ${whereStr}
+            ORDER BY ${sortCol} ${sortOrder}
+            LIMIT ? OFFSET ?`,
+      args: [...args, limit, offset],
+    });
+    rows = result.rows;
+    for (const row of rows) {
+      if (encKey) row.content = await decryptField(row.content, encKey);
+    }
+  }
 
-  const encKey = c.get("encryptionKey");
   const memoriesList = [];
-  for (const row of result.rows) {
-    const content = encKey ? await decryptField(row.content, encKey) : row.content;
+  for (const row of rows) {
     memoriesList.push({
       ...row,
-      content,
       tags: safeParseTags(row.tags),
       linkages: safeParseJson(row.linkages, []),
       images: safeParseJson(row.images, []),
+      pinned: Boolean(row.pinned),
     });
   }
 
@@ -277,6 +450,8 @@ memories.get("/recall", async (c) => {
   const limitParam = parseInt(c.req.query("limit") || "10", 10);
   const format = c.req.query("format");
   const trackAccess = c.req.query("track_access") !== "false";
+  const blind = c.req.query("blind") === "true";
+  const explain = c.req.query("explain") === "true";
 
   if (!query) {
     return c.json(
@@ -285,27 +460,31 @@ memories.get("/recall", async (c) => {
     );
   }
 
+  const parsedQuery = parseQueryParam(query, blind);
+  if (parsedQuery.error) return c.json({ error: parsedQuery.error }, 400);
+  const { text, parsed } = parsedQuery;
+
   const tags = tagsParam ? tagsParam.split(",").map((t) => t.trim()) : null;
   const limit = Math.max(1, Math.min(100, limitParam));
   const now = new Date().toISOString();
 
-  // Fetch all non-expired memories (SQLite doesn't have great full-text search
-  // without FTS extension, so we do keyword scoring in JS like the reference server)
-  const result = await db.execute({
-    sql: `SELECT id, content, type, tags, created_at, expires_at,
-                 access_count, last_accessed_at, linkages, images
-          FROM memories
-          WHERE consolidated = 0
-            AND (expires_at IS NULL OR expires_at > ?)
-          ORDER BY created_at DESC`,
-    args: [now],
-  });
+  // BM25 pre-selection via FTS, then keyword/recency/access scoring in JS.
+  // Explain loads unfiltered candidates so it can say what type/tags left out.
+  const encKey = c.get("encryptionKey");
+  const filters = explain ? { blind } : { blind, type: typeParam, tags };
+  const rows = await loadRecallCandidates(db, text, encKey, now, limit, filters);
+  const links = parsed ? await loadLinkTargets(db, parsed) : null;
+
+  // Explain mode: score factors per candidate, and why any was left out
+  const explained = explain ? [] : null;
 
   // Decrypt content for scoring + pre-filter by type and tags
-  const encKey = c.get("encryptionKey");
   const candidates = [];
-  for (const row of result.rows) {
-    if (typeParam && row.type !== typeParam) continue;
+  for (const row of rows) {
+    if (typeParam && row.type !== typeParam) {
+      explained?.push(filteredCandidate(row, "type"));
+      continue;
+    }
 
     if (tags && tags.length > 0) {
       let memTags;
@@ -315,28 +494,42 @@ memories.get("/recall", async (c) => {
         memTags = [];
       }
       const hasTag = tags.some((t) => memTags.includes(t.toLowerCase()));
-      if (!hasTag) continue;
+      if (!hasTag) {
+        explained?.push(filteredCandidate(row, "tags"));
+        continue;
+      }
     }
 
     if (encKey) {
       row.content = await decryptField(row.content, encKey);
     }
+    if (parsed && !matchesQuery(row, parsed, { links })) {
+      explained?.push(filteredCandidate(row, "query"));
+      continue;
+    }
     candidates.push(row);
   }
 
+  const policies = await loadDecayPolicies(db);
+  if (explained) explained.push(...explainCandidates(candidates, text, new Date(), policies, { blind }));
+
   // Zero-match abstention: if a specific query term is entirely absent from storage,
   // return empty rather than returning a hallucinated best-match.
-  if (shouldAbstain(candidates, query)) {
+  if (!blind && shouldAbstain(candidates, text)) {
+    const explainField = explained
+      ? { explain: finishExplanation(explained, { query: text, returned: [], abstained: true, ranking: "keyword" }) }
+      : {};
     if (format === "json") {
-      return c.json({ text: `No memories found matching "${query}".`, memories: [] });
+      return c.json({ text: `No memories found matching "${query}".`, memories: [], ...explainField });
     }
     return c.json({
       content: [{ type: "text", text: `No memories found matching "${query}".` }],
+      ...explainField,
     });
   }
 
   // Score and rank using the scoring service
-  const scored = scoreAndRankMemories(candidates, query, new Date(), limit);
+  const scored = rankCandidates(candidates, text, limit, blind, policies);
 
   // Apply recall_threshold: filter out memories below the configured minimum score
   const thresholdResult = await db.execute({
@@ -350,19 +543,15 @@ memories.get("/recall", async (c) => {
   const peekDbs = c.get("peekDbs");
   if (peekDbs && peekDbs.size > 0) {
     for (const [wsName, { db: peekDb, encKey: peekEncKey }] of peekDbs) {
-      const peekResult = await peekDb.execute({
-        sql: `SELECT id, content, type, tags, created_at, expires_at,
-                     access_count, last_accessed_at, linkages, images
-              FROM memories
-              WHERE consolidated = 0
-                AND (expires_at IS NULL OR expires_at > ?)
-              ORDER BY created_at DESC`,
-        args: [now],
-      });
+      const peekRows = await loadRecallCandidates(peekDb, text, peekEncKey, now, limit, filters);
+      const peekLinks = parsed ? await loadLinkTargets(peekDb, parsed) : null;
 
       const peekCandidates = [];
-      for (const row of peekResult.rows) {
-        if (typeParam && row.type !== typeParam) continue;
+      for (const row of peekRows) {
+        if (typeParam && row.type !== typeParam) {
+          explained?.push(filteredCandidate(row, "type", wsName));
+          continue;
+        }
 
         if (tags && tags.length > 0) {
           let memTags;
@@ -372,17 +561,28 @@ memories.get("/recall", async (c) => {
             memTags = [];
           }
           const hasTag = tags.some((t) => memTags.includes(t.toLowerCase()));
-          if (!hasTag) continue;
+          if (!hasTag) {
+            explained?.push(filteredCandidate(row, "tags", wsName));
+            continue;
+          }
         }
 
         if (peekEncKey) {
           row.content = await decryptField(row.content, peekEncKey);
         }
+        if (parsed && !matchesQuery(row, parsed, { links: peekLinks })) {
+          explained?.push(filteredCandidate(row, "query", wsName));
+          continue;
+        }
         row._peekWorkspace = wsName;
         peekCandidates.push(row);
       }
 
-      const peekScored = scoreAndRankMemories(peekCandidates, query, new Date(), limit);
+      const peekPolicies = await loadDecayPolicies(peekDb);
+      if (explained) {
+        explained.push(...explainCandidates(peekCandidates, text, new Date(), peekPolicies, { blind, workspace: wsName }));
+      }
+      const peekScored = rankCandidates(peekCandidates, text, limit, blind, peekPolicies);
       for (const r of peekScored) {
         r.memory._peekWorkspace = wsName;
         topResults.push(r);
@@ -397,12 +597,17 @@ memories.get("/recall", async (c) => {
     topResults = topResults.slice(0, limit);
   }
 
+  const explainField = explained
+    ? { explain: finishExplanation(explained, { query: text, returned: topResults, threshold, ranking: "keyword" }) }
+    : {};
+
   if (topResults.length === 0) {
     if (format === "json") {
-      return c.json({ text: `No memories found matching "${query}".`, memories: [] });
+      return c.json({ text: `No memories found matching "${query}".`, memories: [], ...explainField });
     }
     return c.json({
       content: [{ type: "text", text: `No memories found matching "${query}".` }],
+      ...explainField,
     });
   }
 
@@ -446,7 +651,7 @@ memories.get("/recall", async (c) => {
       const imgStr = memImages.length
         ? `\n📷 ${memImages.length} image${memImages.length === 1 ? "" : "s"} → memento_view_image("${m.id}")`
         : "";
-      return `**${m.id}** (${m.type})${tagStr}${wsStr}${expStr}\n${m.content}${linkStr}${imgStr}`;
+      return `**${m.id}** (${m.type}${m.pinned ? ", pinned" : ""})${tagStr}${wsStr}${expStr}\n${m.content}${linkStr}${imgStr}`;
     })
     .join("\n\n---\n\n");
 
@@ -463,6 +668,7 @@ memories.get("/recall", async (c) => {
           type: m.type,
           tags: safeParseTags(m.tags),
           images: safeParseJson(m.images, []),
+          pinned: Boolean(m.pinned),
           created_at: m.created_at,
           relevance_score: r.score,
         };
@@ -471,11 +677,13 @@ memories.get("/recall", async (c) => {
         }
         return entry;
       }),
+      ...explainField,
     });
   }
 
   return c.json({
     content: [{ type: "text", text: summaryText }],
+    ...explainField,
   });
 });
 
@@ -489,11 +697,14 @@ memories.post("/recall", async (c) => {
   const typeParam = body.type || null;
   const limitParam = Math.max(1, Math.min(100, body.limit || 10));
   const trackAccess = body.track_access !== false;
+  const blind = body.blind === true;
+  const explained = body.explain === true ? [] : null;
+  const queryEmbedding = blind ? parseClientEmbedding(body.query_embedding) : null;
   const now = new Date().toISOString();
 
-  // At least one of query or images is required
+  // At least one of query, images or a client query vector is required
   const hasImages = Array.isArray(body.images) && body.images.length > 0;
-  if (!query && !hasImages) {
+  if (!query && !hasImages && !queryEmbedding) {
     return c.json(
       { content: [{ type: "text", text: 'At least one of "query" or "images" is required.' }] },
       400
@@ -510,36 +721,54 @@ memories.post("/recall", async (c) => {
     decodedImages = validation.decoded;
   }
 
+  let text = query;
+  let parsed = null;
+  if (query) {
+    const parsedQuery = parseQueryParam(query, blind);
+    if (parsedQuery.error) return c.json({ error: parsedQuery.error }, 400);
+    ({ text, parsed } = parsedQuery);
+  }
+
   const encKey = c.get("encryptionKey");
   const workspaceName = c.get("workspaceName");
+  const links = parsed ? await loadLinkTargets(db, parsed) : null;
+  const passesQuery = (mem) => !parsed || matchesQuery(mem, parsed, { links });
 
   // Keyword scoring (only if text query provided)
   let keywordResults = [];
+  let threshold = 0;
+  let abstained = false;
   if (query) {
-    const result = await db.execute({
-      sql: `SELECT id, content, type, tags, created_at, expires_at,
-                   access_count, last_accessed_at, linkages, images
-            FROM memories
-            WHERE consolidated = 0
-              AND (expires_at IS NULL OR expires_at > ?)
-            ORDER BY created_at DESC`,
-      args: [now],
-    });
+    const filters = explained ? { blind } : { blind, type: typeParam, tags };
+    const rows = await loadRecallCandidates(db, text, encKey, now, limitParam, filters);
 
     const candidates = [];
-    for (const row of result.rows) {
-      if (typeParam && row.type !== typeParam) continue;
+    for (const row of rows) {
+      if (typeParam && row.type !== typeParam) {
+        explained?.push(filteredCandidate(row, "type"));
+        continue;
+      }
       if (tags && tags.length > 0) {
         let memTags;
         try { memTags = JSON.parse(row.tags || "[]").map((t) => t.toLowerCase()); } catch { memTags = []; }
-        if (!tags.some((t) => memTags.includes(t.toLowerCase()))) continue;
+        if (!tags.some((t) => memTags.includes(t.toLowerCase()))) {
+          explained?.push(filteredCandidate(row, "tags"));
+          continue;
+        }
       }
       if (encKey) row.content = await decryptField(row.content, encKey);
+      if (!passesQuery(row)) {
+        explained?.push(filteredCandidate(row, "query"));
+        continue;
+      }
       candidates.push(row);
     }
 
-    if (!shouldAbstain(candidates, query)) {
-      keywordResults = scoreAndRankMemories(candidates, query, new Date(), limitParam);
+    const policies = await loadDecayPolicies(db);
+    if (explained) explained.push(...explainCandidates(candidates, text, new Date(), policies, { blind }));
+    abstained = !blind && shouldAbstain(candidates, text);
+    if (!abstained) {
+      keywordResults = rankCandidates(candidates, text, limitParam, blind, policies);
     }
 
     // Apply recall_threshold
@@ -547,23 +776,32 @@ memories.post("/recall", async (c) => {
       sql: "SELECT value FROM workspace_settings WHERE key = 'recall_threshold'",
       args: [],
     });
-    const threshold = parseFloat(thresholdResult.rows[0]?.value ?? "0") || 0;
+    threshold = parseFloat(thresholdResult.rows[0]?.value ?? "0") || 0;
     if (threshold > 0) {
       keywordResults = keywordResults.filter((r) => r.score >= threshold);
     }
   }
 
-  // Semantic search (text + images in parallel)
-  const vectorResults = await semanticMultiSearch(
-    c.env, workspaceName,
-    { text: query || undefined, images: decodedImages.length > 0 ? decodedImages : undefined },
-    10
-  );
+  // Semantic search (text + images in parallel). A blind query is opaque
+  // tokens, so only the client's own query vector can be used.
+  let vectorResults;
+  if (blind) {
+    vectorResults = queryEmbedding ? await clientVectorSearch(c.env, workspaceName, queryEmbedding, 10) : [];
+  } else {
+    vectorResults = await semanticMultiSearch(
+      c.env, workspaceName,
+      { text: text || undefined, images: decodedImages.length > 0 ? decodedImages : undefined },
+      10
+    );
+  }
 
   let topResults;
+  let alpha;
+  let ranking = "keyword";
   if (vectorResults.length > 0 && keywordResults.length > 0) {
     // Hybrid: keyword + vector
-    let alpha = 0.5;
+    alpha = 0.5;
+    ranking = "hybrid";
     try {
       const alphaResult = await db.execute({
         sql: "SELECT value FROM workspace_settings WHERE key = 'recall_alpha'",
@@ -576,12 +814,13 @@ memories.post("/recall", async (c) => {
     } catch { /* use default */ }
 
     const hybridResults = hybridRank(keywordResults, vectorResults, alpha, limitParam);
+    if (explained) addVectorScores(explained, hybridRank(keywordResults, vectorResults, alpha, Infinity), { hybrid: true });
 
     // Fetch memory objects for vector-only results
     for (const hr of hybridResults) {
       if (!hr.memory && hr.memoryId) {
         const memRow = await db.execute({
-          sql: `SELECT id, content, type, tags, created_at, expires_at,
+          sql: `SELECT id, content, type, tags, pinned, created_at, expires_at,
                        access_count, last_accessed_at, linkages, images
                 FROM memories WHERE id = ? AND consolidated = 0`,
           args: [hr.memoryId],
@@ -589,7 +828,7 @@ memories.post("/recall", async (c) => {
         if (memRow.rows.length > 0) {
           const mem = memRow.rows[0];
           if (encKey) mem.content = await decryptField(mem.content, encKey);
-          hr.memory = mem;
+          if (passesQuery(mem)) hr.memory = mem;
         }
       }
     }
@@ -599,10 +838,12 @@ memories.post("/recall", async (c) => {
       .map((hr) => ({ memory: hr.memory, score: hr.score }));
   } else if (vectorResults.length > 0) {
     // Image-only (no text): vector results are sole signal
+    ranking = "vector";
+    if (explained) addVectorScores(explained, vectorResults, { hybrid: false });
     topResults = [];
     for (const vr of vectorResults.slice(0, limitParam)) {
       const memRow = await db.execute({
-        sql: `SELECT id, content, type, tags, created_at, expires_at,
+        sql: `SELECT id, content, type, tags, pinned, created_at, expires_at,
                      access_count, last_accessed_at, linkages, images
               FROM memories WHERE id = ? AND consolidated = 0`,
         args: [vr.id],
@@ -610,7 +851,7 @@ memories.post("/recall", async (c) => {
       if (memRow.rows.length > 0) {
         const mem = memRow.rows[0];
         if (encKey) mem.content = await decryptField(mem.content, encKey);
-        topResults.push({ memory: mem, score: vr.score });
+        if (passesQuery(mem)) topResults.push({ memory: mem, score: vr.score });
       }
     }
   } else {
@@ -618,11 +859,16 @@ memories.post("/recall", async (c) => {
     topResults = keywordResults;
   }
 
+  const explainField = explained
+    ? { explain: finishExplanation(explained, { query: text, returned: topResults, threshold, abstained, alpha, ranking }) }
+    : {};
+
   if (topResults.length === 0) {
-    const queryDesc = query ? `"${query}"` : "provided image(s)";
+    const queryDesc = query ? `"${query}"` : hasImages ? "provided image(s)" : "the query";
     return c.json({
       text: `No memories found matching ${queryDesc}.`,
       memories: [],
+      ...explainField,
     });
   }
 
@@ -631,7 +877,7 @@ memories.post("/recall", async (c) => {
     for (const r of topResults) {
       db.execute({
         sql: "INSERT INTO access_log (memory_id, query) VALUES (?, ?)",
-        args: [r.memory.id, (query || "image-search").slice(0, 200)],
+        args: [r.memory.id, (query || (hasImages ? "image-search" : "vector-search")).slice(0, 200)],
       }).catch(() => {});
       db.execute({
         sql: "UPDATE memories SET access_count = access_count + 1, last_accessed_at = datetime('now') WHERE id = ?",
@@ -652,7 +898,7 @@ memories.post("/recall", async (c) => {
       const imgStr = memImages.length
         ? `\n📷 ${memImages.length} image${memImages.length === 1 ? "" : "s"} → memento_view_image("${m.id}")`
         : "";
-      return `**${m.id}** (${m.type})${tagStr}${expStr}\n${m.content}${imgStr}`;
+      return `**${m.id}** (${m.type}${m.pinned ? ", pinned" : ""})${tagStr}${expStr}\n${m.content}${imgStr}`;
     })
     .join("\n\n---\n\n");
 
@@ -666,9 +912,11 @@ memories.post("/recall", async (c) => {
       type: r.memory.type,
       tags: safeParseTags(r.memory.tags),
       images: safeParseJson(r.memory.images, []),
+      pinned: Boolean(r.memory.pinned),
       created_at: r.memory.created_at,
       relevance_score: r.score,
     })),
+    ...explainField,
   });
 });
 
@@ -693,7 +941,7 @@ memories.post("/ingest", async (c) => {
   }
 
   // Quota check — current count + batch size must not exceed limit
-  const limits = getLimits(c.get("userPlan"));
+  const limits = getLimits(c.get("workspacePlan"));
   if (limits.memories !== Infinity) {
     const countResult = await db.execute("SELECT COUNT(*) as count FROM memories");
     const current = countResult.rows[0].count;
@@ -709,24 +957,58 @@ memories.post("/ingest", async (c) => {
   const source = body.source || "bulk";
   const encKey = c.get("encryptionKey");
   const ids = [];
+  const conflicts = [];
+  const duplicates = [];
 
-  for (const item of items) {
+  for (const [index, item] of items.entries()) {
     if (!item.content) continue;
 
+    // Client-encrypted items carry their own search index and vector; they are
+    // not checked for duplicates or conflicts (not possible on client ciphertext)
+    const clientIndex = normalizeClientIndex(item.blind_index);
+    const dup = clientIndex
+      ? null
+      : await checkDuplicate(db, c.env, encKey, c.get("workspaceName"), { content: item.content });
+    if (dup?.mode === "reject") {
+      duplicates.push({ index, ...dedupResult("rejected", dup.duplicate) });
+      continue;
+    }
+    if (dup?.mode === "merge") {
+      const added = await mergeDuplicate(db, encKey, dup.duplicate, item.tags || [], "hook");
+      duplicates.push({ index, ...dedupResult("merged", dup.duplicate, added) });
+      continue;
+    }
+
     const id = randomUUID().slice(0, 8);
     const type = item.type || "observation";
     const tags = JSON.stringify([...(item.tags || []), `source:${source}`]);
     const expiresAt = item.expires || null;
     const storedContent = encKey ? await encryptField(item.content, encKey) : item.content;
+    const check = clientIndex
+      ? { conflicts: [], linkages: [] }
+      : await checkNewMemory(db, c.env, encKey, c.get("workspaceName"), {
+          content: item.content,
+          tags: item.tags || [],
+        });
+    if (check.conflicts.length > 0) {
+      conflicts.push({ id, conflicts_with: check.conflicts.map(({ id: conflictId, reason }) => ({ id: conflictId, reason })) });
+    }
+    if (dup) duplicates.push({ index, id, ...dedupResult("linked", dup.duplicate) });
 
     await db.execute({
-      sql: `INSERT INTO memories (id, content, type, tags, expires_at)
-            VALUES (?, ?, ?, ?, ?)`,
-      args: [id, storedContent, type, tags, expiresAt],
+      sql: `INSERT INTO memories (id, content, type, tags, expires_at, linkages, blind_index)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      args: [id, storedContent, type, tags, expiresAt, JSON.stringify(dup ? linkDuplicate(check.linkages, dup.duplicate) : check.linkages), clientIndex],
     });
+    await indexMemory(db, { id, content: item.content, tags }, encKey);
 
     // Fire-and-forget embedding (uses plaintext for vector indexing)
-    embedAndStore(c.env, c.get("workspaceName"), id, item.content).catch(() => {});
+    if (!clientIndex) {
+      embedAndStore(c.env, c.get("workspaceName"), id, item.content, db).catch(() => {});
+    } else {
+      const embedding = parseClientEmbedding(item.embedding);
+      if (embedding) storeClientVector(c.env, c.get("workspaceName"), id, embedding, db).catch(() => {});
+    }
 
     ids.push(id);
   }
@@ -738,11 +1020,17 @@ memories.post("/ingest", async (c) => {
   }).catch(() => {});
 
   return c.json(
-    { ingested: ids.length, ids, source },
+    { ingested: ids.length, ids, source, conflicts, duplicates },
     201
   );
 });
 
+// GET /v1/memories/conflicts — Memories linked as contradicting each other
+memories.get("/conflicts", async (c) => {
+  const conflicts = await listConflicts(c.get("workspaceDb"), c.get("encryptionKey"));
+  return c.json({ conflicts, total: conflicts.length });
+});
+
 // GET /v1/memories/:id/graph — Full subgraph traversal via BFS
 memories.get("/:id/graph", async (c) => {
   const db = c.get("workspaceDb");
@@ -773,6 +1061,121 @@ memories.get("/:id/related", async (c) => {
   return c.json(related);
 });
 
+// GET /v1/memories/:id/history — Current version and prior revisions
+memories.get("/:id/history", async (c) => {
+  const db = c.get("workspaceDb");
+  const memoryId = c.req.param("id");
+
+  const result = await db.execute({
+    sql: "SELECT id, content, type, tags, expires_at, linkages FROM memories WHERE id = ?",
+    args: [memoryId],
+  });
+  if (result.rows.length === 0) {
+    return c.json({ error: "Memory not found." }, 404);
+  }
+
+  const encKey = c.get("encryptionKey");
+  const decrypt = (value) => (encKey ? decryptField(value, encKey) : value);
+  const row = result.rows[0];
+  const revisions = await listRevisions(db, memoryId);
+
+  return c.json({
+    id: memoryId,
+    current: {
+      version: revisions.length + 1,
+      content: await decrypt(row.content),
+      type: row.type,
+      tags: safeParseTags(row.tags),
+      expires_at: row.expires_at,
+      linkages: safeParseJson(row.linkages, []),
+    },
+    revisions: await Promise.all(
+      revisions.map(async (r) => ({
+        version: r.version,
+        content: await decrypt(r.content),
+        type: r.type,
+        tags: safeParseTags(r.tags),
+        expires_at: r.expires_at,
+        linkages: safeParseJson(r.linkages, []),
+        source: r.source,
+        replaced_at: r.created_at,
+      }))
+    ),
+  });
+});
+
+// POST /v1/memories/:id/revert — Restore a prior revision
+memories.post("/:id/revert", async (c) => {
+  const db = c.get("workspaceDb");
+  const memoryId = c.req.param("id");
+  const body = await c.req.json().catch(() => ({}));
+
+  const version = Number(body.version);
+  if (!Number.isInteger(version) || version < 1) {
+    return c.json({ error: "version must be a positive integer." }, 400);
+  }
+
+  const existing = await db.execute({
+    sql: "SELECT id FROM memories WHERE id = ?",
+    args: [memoryId],
+  });
+  if (existing.rows.length === 0) {
+    return c.json({ error: "Memory not found." }, 404);
+  }
+
+  const revision = await getRevision(db, memoryId, version);
+  if (!revision) {
+    return c.json({ error: `Version ${version} of memory ${memoryId} not found.` }, 404);
+  }
+
+  // The current version becomes a revision too, so a revert can itself be undone
+  const replaced = await recordRevision(db, memoryId, "revert");
+  await db.execute({
+    sql: `UPDATE memories SET content = ?, type = ?, tags = ?, expires_at = ?, linkages = ?, blind_index = ?
+          WHERE id = ?`,
+    args: [revision.content, revision.type, revision.tags, revision.expires_at, revision.linkages, revision.blind_index, memoryId],
+  });
+
+  // Fire-and-forget activity log
+  db.execute({
+    sql: `INSERT INTO activity_log (action, memory_id, detail) VALUES (?, ?, ?)`,
+    args: ["revert", memoryId, `v${version}`],
+  }).catch(() => {});
+
+  const result = await db.execute({
+    sql: `SELECT id, content, type, tags, created_at, expires_at, relevance,
+                 access_count, last_accessed_at, consolidated, consolidated_into, linkages, images, pinned
+          FROM memories WHERE id = ?`,
+    args: [memoryId],
+  });
+
+  const row = result.rows[0];
+  const encKey = c.get("encryptionKey");
+  const content = encKey ? await decryptField(row.content, encKey) : row.content;
+  if (!row.consolidated) {
+    await indexMemory(db, { id: memoryId, content, tags: row.tags }, encKey);
+  }
+
+  // Re-embed the restored content. A client-encrypted memory's vector came
+  // from the client and described the replaced content, so it is dropped.
+  if (revision.blind_index) {
+    removeVector(c.env, c.get("workspaceName"), memoryId).catch(() => {});
+  } else if (!row.consolidated) {
+    embedAndStore(c.env, c.get("workspaceName"), memoryId, content, db).catch(() => {});
+  }
+
+  return c.json({
+    ...row,
+    content,
+    tags: safeParseTags(row.tags),
+    linkages: safeParseJson(row.linkages, []),
+    images: safeParseJson(row.images, []),
+    pinned: Boolean(row.pinned),
+    version: replaced + 1,
+    reverted_to: version,
+  });
+});
+
 // GET /v1/memories/:id — Get single memory
 memories.get("/:id", async (c) => {
   const db = c.get("workspaceDb");
@@ -780,7 +1183,7 @@ memories.get("/:id", async (c) => {
 
   const result = await db.execute({
     sql: `SELECT id, content, type, tags, created_at, expires_at, relevance,
-                 access_count, last_accessed_at, consolidated, consolidated_into, linkages, images
+                 access_count, last_accessed_at, consolidated, consolidated_into, linkages, images, pinned
           FROM memories WHERE id = ?`,
     args: [memoryId],
   });
@@ -797,6 +1200,7 @@ memories.get("/:id", async (c) => {
     tags: safeParseTags(row.tags),
     linkages: safeParseJson(row.linkages, []),
     images: safeParseJson(row.images, []),
+    pinned: Boolean(row.pinned),
   });
 });
 
@@ -815,14 +1219,19 @@ memories.put("/:id", async (c) => {
     return c.json({ error: "Memory not found." }, 404);
   }
 
+  const source = body.source ?? "api";
+  if (!REVISION_SOURCES.includes(source)) {
+    return c.json({ error: `Invalid source. Must be one of: ${REVISION_SOURCES.join(", ")}` }, 400);
+  }
+
   const encKey = c.get("encryptionKey");
   const updates = [];
   const args = [];
 
   if (body.content !== undefined) {
     const storedContent = encKey ? await encryptField(body.content, encKey) : body.content;
-    updates.push("content = ?");
-    args.push(storedContent);
+    updates.push("content = ?", "blind_index = ?");
+    args.push(storedContent, normalizeClientIndex(body.blind_index));
   }
   if (body.type !== undefined) {
     updates.push("type = ?");
@@ -840,11 +1249,20 @@ memories.put("/:id", async (c) => {
     updates.push("linkages = ?");
     args.push(JSON.stringify(validateLinkages(body.linkages)));
   }
+  // Pinning is not an edit, so it doesn't add a revision
+  const revised = updates.length > 0;
+  if (body.pinned !== undefined) {
+    updates.push("pinned = ?");
+    args.push(body.pinned ? 1 : 0);
+  }
 
   if (updates.length === 0) {
     return c.json({ error: "No fields to update." }, 400);
   }
 
+  // Keep the version being overwritten
+  if (revised) await recordRevision(db, memoryId, source);
+
   args.push(memoryId);
   await db.execute({
     sql: `UPDATE memories SET ${updates.join(", ")} WHERE id = ?`,
@@ -854,24 +1272,34 @@ memories.put("/:id", async (c) => {
   // Fire-and-forget activity log
   db.execute({
     sql: `INSERT INTO activity_log (action, memory_id, detail) VALUES (?, ?, ?)`,
-    args: ["update", memoryId, Object.keys(body).join(",")],
+    args: ["update", memoryId, Object.keys(body).filter((k) => k !== "source").join(",")],
   }).catch(() => {});
 
   // Return updated (decrypted)
   const result = await db.execute({
     sql: `SELECT id, content, type, tags, created_at, expires_at, relevance,
-                 access_count, last_accessed_at, consolidated, consolidated_into, linkages, images
+                 access_count, last_accessed_at, consolidated, consolidated_into, linkages, images, pinned
           FROM memories WHERE id = ?`,
     args: [memoryId],
   });
 
   const row = result.rows[0];
+  const content = encKey ? await decryptField(row.content, encKey) : row.content;
+
+  // Keep the recall index in sync with searchable fields
+  if ((body.content !== undefined || body.tags !== undefined) && !row.consolidated) {
+    await indexMemory(db, { id: memoryId, content, tags: row.tags }, encKey);
+  }
+  const embedding = body.content !== undefined && body.blind_index ? parseClientEmbedding(body.embedding) : null;
+  if (embedding) storeClientVector(c.env, c.get("workspaceName"), memoryId, embedding, db).catch(() => {});
+
   return c.json({
     ...row,
-    content: encKey ? await decryptField(row.content, encKey) : row.content,
+    content,
     tags: safeParseTags(row.tags),
     linkages: safeParseJson(row.linkages, []),
     images: safeParseJson(row.images, []),
+    pinned: Boolean(row.pinned),
   });
 });
 
@@ -910,6 +1338,8 @@ memories.delete("/:id", async (c) => {
     sql: "DELETE FROM memories WHERE id = ?",
     args: [memoryId],
   });
+  await removeFromIndex(db, [memoryId]);
+  await deleteRevisions(db, [memoryId]);
 
   // Clean up vector index (fire-and-forget) — text + image vectors
   removeVector(c.env, c.get("workspaceName"), memoryId).catch(() => {});
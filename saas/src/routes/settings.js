@@ -8,12 +8,63 @@
  * Known settings:
  *   recall_alpha     (float 0-1) — Hybrid search weight: keyword vs vector. Default: 0.5
  *   recall_threshold (float 0-1) — Minimum score to return a memory. Default: 0 (disabled)
+ *   consolidation_mode           ("similarity" | "tags") — How consolidation groups memories. Default: similarity once
+ *                                the workspace has embeddings, tags until then
+ *   consolidation_threshold      (float 0-1) — Minimum pairwise similarity to group. Default: 0.8
+ *   consolidation_max_group_size (int >= 3) — Largest group consolidation will create. Default: 10
+ *   consolidation_min_cohesion   (float 0-1) — Minimum mean pairwise similarity of a group. Default: 0.75
+ *   consolidation_approval       ("auto" | "review") — Daily cron consolidates, or queues proposals. Default: auto
+ *   contradiction_check          ("on" | "off") — Flag and link conflicting memories on store. Default: on
+ *   dedup_mode                   ("off" | "reject" | "merge" | "link") — What to do with a near-duplicate write. Default: off
+ *   dedup_threshold              (float 0-1) — Minimum vector similarity for a near-duplicate. Default: 0.92
+ *   e2e_params                   (JSON) — End-to-end encryption salt, KDF and check value, written by the first client.
+ *                                Write-once: PUT returns 409 when it is set; DELETE it first to replace it
+ *   decay_policies               (JSON) — Half-lives in days (or "never") by type and tag. Default: 7 days for all
+ *
+ * PUT checks enumerated and numeric settings against the values above and
+ * answers 400 invalid_value otherwise. Unknown keys are stored as given.
  */
 
 import { Hono } from "hono";
+import { DECAY_SETTING, parseDecayPolicies } from "../services/decay-policies.js";
+import { DEDUP_MODES } from "../services/duplicates.js";
 
 const settings = new Hono();
 
+const E2E_SETTING = "e2e_params";
+
+/** Settings that take one of a fixed set of values. */
+const ENUM_SETTINGS = {
+  consolidation_mode: ["similarity", "tags"],
+  consolidation_approval: ["auto", "review"],
+  contradiction_check: ["on", "off"],
+  dedup_mode: DEDUP_MODES,
+};
+
+const UNIT = { test: (v) => v >= 0 && v <= 1, expected: "a number from 0 to 1" };
+
+/** Numeric settings and their valid range. */
+const NUMBER_SETTINGS = {
+  recall_alpha: UNIT,
+  recall_threshold: UNIT,
+  consolidation_threshold: UNIT,
+  consolidation_min_cohesion: UNIT,
+  dedup_threshold: UNIT,
+  consolidation_max_group_size: { test: (v) => Number.isInteger(v) && v >= 3, expected: "an integer of at least 3" },
+};
+
+/** Error message for an invalid value of a known setting, or null. */
+function invalidValue(key, value) {
+  if (ENUM_SETTINGS[key] && !ENUM_SETTINGS[key].includes(value)) {
+    return `"${key}" must be one of: ${ENUM_SETTINGS[key].join(", ")}.`;
+  }
+  const range = NUMBER_SETTINGS[key];
+  if (range && (value.trim() === "" || !range.test(Number(value)))) {
+    return `"${key}" must be ${range.expected}.`;
+  }
+  return null;
+}
+
 // GET /v1/settings — list all settings for this workspace
 settings.get("/", async (c) => {
   const db = c.get("workspaceDb");
@@ -42,18 +93,30 @@ settings.get("/", async (c) => {
 settings.put("/:key", async (c) => {
   const db = c.get("workspaceDb");
   const key = c.req.param("key");
-  const body = await c.req.json();
+  const body = await c.req.json().catch(() => ({}));
 
-  if (!("value" in body)) {
+  if (!body || typeof body !== "object" || !("value" in body)) {
     return c.json({ error: "missing_field", message: "Field 'value' is required." }, 400);
   }
 
-  const value = String(body.value);
+  let value = String(body.value);
+  const invalid = invalidValue(key, value);
+  if (invalid) return c.json({ error: "invalid_value", message: invalid }, 400);
+  if (key === DECAY_SETTING) {
+    const parsed = parseDecayPolicies(body.value);
+    if (parsed.error) return c.json({ error: "invalid_value", message: parsed.error }, 400);
+    if (typeof body.value === "object") value = JSON.stringify(body.value);
+  }
 
-  await db.execute({
-    sql: "INSERT OR REPLACE INTO workspace_settings (key, value) VALUES (?, ?)",
+  // Replacing e2e_params would lock every other client out of the
+  // ciphertext they wrote, so two clients racing to set it keep the first
+  const result = await db.execute({
+    sql: `INSERT OR ${key === E2E_SETTING ? "IGNORE" : "REPLACE"} INTO workspace_settings (key, value) VALUES (?, ?)`,
     args: [key, value],
   });
+  if (result.rowsAffected === 0) {
+    return c.json({ error: "already_set", message: `Setting "${key}" is already set. Delete it first to replace it.` }, 409);
+  }
 
   return c.json({
     content: [
@@ -10,6 +10,7 @@
 import { Hono } from "hono";
 import { randomUUID } from "node:crypto";
 import { encryptField, decryptField } from "../services/crypto.js";
+import { purgeExpiredSkips } from "../services/skip-list.js";
 
 const skipList = new Hono();
 
@@ -30,10 +31,7 @@ skipList.get("/", async (c) => {
   const now = new Date().toISOString();
 
   // Purge expired entries first
-  await db.execute({
-    sql: "DELETE FROM skip_list WHERE expires_at <= ?",
-    args: [now],
-  });
+  await purgeExpiredSkips(db, now);
 
   const result = await db.execute("SELECT id, item, reason, expires_at FROM skip_list ORDER BY added_at DESC");
   const encKey = c.get("encryptionKey");
@@ -79,6 +77,12 @@ skipList.post("/", async (c) => {
     args: [id, storedItem, storedReason, expires],
   });
 
+  // Fire-and-forget activity log
+  db.execute({
+    sql: `INSERT INTO activity_log (action, entity_id, detail) VALUES (?, ?, ?)`,
+    args: ["skip_add", id, expires],
+  }).catch(() => {});
+
   return c.json(
     {
       content: [
@@ -107,10 +111,7 @@ skipList.get("/check", async (c) => {
   const now = new Date().toISOString();
 
   // Purge expired entries
-  await db.execute({
-    sql: "DELETE FROM skip_list WHERE expires_at <= ?",
-    args: [now],
-  });
+  await purgeExpiredSkips(db, now);
 
   // Fetch remaining entries
   const result = await db.execute("SELECT id, item, reason, expires_at FROM skip_list");
@@ -159,6 +160,12 @@ skipList.delete("/:id", async (c) => {
     args: [skipId],
   });
 
+  // Fire-and-forget activity log
+  db.execute({
+    sql: `INSERT INTO activity_log (action, entity_id) VALUES (?, ?)`,
+    args: ["skip_remove", skipId],
+  }).catch(() => {});
+
   return c.json({
     content: [{ type: "text", text: `Skip entry ${skipId} removed.` }],
   });
@@ -0,0 +1,286 @@
+/**
+ * Webhook routes — outgoing event subscriptions for the current workspace.
+ *
+ * POST   /v1/webhooks                                -- Subscribe a URL to events (returns the signing secret once)
+ * GET    /v1/webhooks                                -- List subscriptions
+ * GET    /v1/webhooks/:id                            -- One subscription, with delivery counts
+ * PUT    /v1/webhooks/:id                            -- Change url, events, description or active
+ * DELETE /v1/webhooks/:id                            -- Delete a subscription and its delivery log
+ * GET    /v1/webhooks/:id/deliveries                 -- Delivery log (?status=, ?limit=)
+ * POST   /v1/webhooks/:id/deliveries/:delivery/retry -- Send a delivery again now
+ *
+ * Changing a subscription is limited to workspace owners. See
+ * services/webhooks.js for dispatch, retries and signing.
+ */
+
+import { Hono } from "hono";
+import { getControlDb } from "../db/connection.js";
+import { logAuditEvent } from "../services/audit.js";
+import {
+  MAX_WEBHOOKS,
+  parseWebhookEvents,
+  parseStoredEvents,
+  validateWebhookUrl,
+  createWebhook,
+  attemptDelivery,
+} from "../services/webhooks.js";
+
+const webhooks = new Hono();
+
+const DELIVERY_STATUSES = ["pending", "delivered", "failed"];
+
+function text(message) {
+  return [{ type: "text", text: message }];
+}
+
+function formatWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: parseStoredEvents(row.events),
+    description: row.description || null,
+    active: row.active === 1,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+function formatDelivery(row) {
+  return {
+    id: row.id,
+    event_id: Number(row.event_id),
+    event_type: row.event_type,
+    status: row.status,
+    attempts: Number(row.attempts),
+    next_attempt_at: row.next_attempt_at || null,
+    response_status: row.response_status ?? null,
+    error: row.error || null,
+    delivered_at: row.delivered_at || null,
+    created_at: row.created_at,
+    payload: JSON.parse(row.payload),
+  };
+}
+
+function ownerOnly(c) {
+  if (c.get("workspaceRole") === "owner") return null;
+  return c.json({ error: "forbidden_role", content: text("Only workspace owners can manage webhooks.") }, 403);
+}
+
+async function findWebhook(c, controlDb) {
+  const result = await controlDb.execute({
+    sql: "SELECT * FROM webhooks WHERE id = ? AND workspace_id = ?",
+    args: [c.req.param("id"), c.get("workspaceId")],
+  });
+  return result.rows[0] || null;
+}
+
+/** Validate url/events from a request body; only present fields are checked. */
+function validateFields(body, env) {
+  if (body.url !== undefined) {
+    const error = validateWebhookUrl(body.url, env);
+    if (error) return { error };
+  }
+  if (body.events !== undefined) {
+    const parsed = parseWebhookEvents(body.events);
+    if (parsed.error) return { error: parsed.error };
+    if (parsed.unknown.length > 0) return { error: `Unknown event type: ${parsed.unknown.join(", ")}` };
+    return { events: parsed.events };
+  }
+  return {};
+}
+
+// POST /v1/webhooks — Subscribe a URL
+webhooks.post("/", async (c) => {
+  const denied = ownerOnly(c);
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await c.req.json();
+  } catch {
+    body = {};
+  }
+  if (body.url === undefined || body.events === undefined) {
+    return c.json({ error: 'Missing required fields: "url", "events".' }, 400);
+  }
+  const { error, events } = validateFields(body, c.env);
+  if (error) return c.json({ error }, 400);
+
+  const controlDb = getControlDb();
+  const workspaceId = c.get("workspaceId");
+  const count = await controlDb.execute({
+    sql: "SELECT COUNT(*) AS count FROM webhooks WHERE workspace_id = ?",
+    args: [workspaceId],
+  });
+  if (Number(count.rows[0].count) >= MAX_WEBHOOKS) {
+    return c.json({ error: `A workspace can have at most ${MAX_WEBHOOKS} webhooks.` }, 400);
+  }
+
+  const { id, secret } = await createWebhook(controlDb, c.get("workspaceDb"), {
+    workspaceId,
+    url: body.url,
+    events,
+    description: body.description,
+    createdBy: c.get("userId"),
+  }, c.get("encryptionKey"));
+  const row = await controlDb.execute({ sql: "SELECT * FROM webhooks WHERE id = ?", args: [id] });
+
+  logAuditEvent(controlDb, "webhook.created", {
+    userId: c.get("userId"),
+    details: `workspace: ${workspaceId}, webhook: ${id}, events: ${events.join(" ")}`,
+  });
+
+  return c.json(
+    {
+      webhook: formatWebhook(row.rows[0]),
+      secret,
+      message: "Save this signing secret now — it cannot be retrieved again.",
+    },
+    201
+  );
+});
+
+// GET /v1/webhooks — List subscriptions
+webhooks.get("/", async (c) => {
+  const result = await getControlDb().execute({
+    sql: "SELECT * FROM webhooks WHERE workspace_id = ? ORDER BY created_at, id",
+    args: [c.get("workspaceId")],
+  });
+  return c.json({ webhooks: result.rows.map(formatWebhook) });
+});
+
+// GET /v1/webhooks/:id — One subscription, with delivery counts
+webhooks.get("/:id", async (c) => {
+  const controlDb = getControlDb();
+  const row = await findWebhook(c, controlDb);
+  if (!row) return c.json({ error: "Webhook not found." }, 404);
+
+  const counts = await controlDb.execute({
+    sql: "SELECT status, COUNT(*) AS count FROM webhook_deliveries WHERE webhook_id = ? GROUP BY status",
+    args: [row.id],
+  });
+  const deliveries = Object.fromEntries(DELIVERY_STATUSES.map((s) => [s, 0]));
+  for (const r of counts.rows) deliveries[r.status] = Number(r.count);
+
+  return c.json({ webhook: formatWebhook(row), deliveries });
+});
+
+// PUT /v1/webhooks/:id — Change url, events, description or active
+webhooks.put("/:id", async (c) => {
+  const denied = ownerOnly(c);
+  if (denied) return denied;
+
+  const controlDb = getControlDb();
+  const row = await findWebhook(c, controlDb);
+  if (!row) return c.json({ error: "Webhook not found." }, 404);
+
+  let body;
+  try {
+    body = await c.req.json();
+  } catch {
+    body = {};
+  }
+  const { error, events } = validateFields(body, c.env);
+  if (error) return c.json({ error }, 400);
+  if (body.active !== undefined && typeof body.active !== "boolean") {
+    return c.json({ error: '"active" must be a boolean.' }, 400);
+  }
+
+  const updates = [];
+  const args = [];
+  if (body.url !== undefined) {
+    updates.push("url = ?");
+    args.push(body.url);
+  }
+  if (events) {
+    updates.push("events = ?");
+    args.push(JSON.stringify(events));
+  }
+  if (body.description !== undefined) {
+    updates.push("description = ?");
+    args.push(body.description || null);
+  }
+  if (body.active !== undefined) {
+    updates.push("active = ?");
+    args.push(body.active ? 1 : 0);
+  }
+  if (updates.length === 0) return c.json({ error: "Nothing to update." }, 400);
+
+  await controlDb.execute({
+    sql: `UPDATE webhooks SET ${updates.join(", ")}, updated_at = datetime('now') WHERE id = ?`,
+    args: [...args, row.id],
+  });
+  const updated = await findWebhook(c, controlDb);
+  return c.json({ webhook: formatWebhook(updated) });
+});
+
+// DELETE /v1/webhooks/:id — Delete a subscription and its delivery log
+webhooks.delete("/:id", async (c) => {
+  const denied = ownerOnly(c);
+  if (denied) return denied;
+
+  const controlDb = getControlDb();
+  const row = await findWebhook(c, controlDb);
+  if (!row) return c.json({ error: "Webhook not found." }, 404);
+
+  await controlDb.execute({ sql: "DELETE FROM webhook_deliveries WHERE webhook_id = ?", args: [row.id] });
+  await controlDb.execute({ sql: "DELETE FROM webhooks WHERE id = ?", args: [row.id] });
+
+  logAuditEvent(controlDb, "webhook.deleted", {
+    userId: c.get("userId"),
+    details: `workspace: ${row.workspace_id}, webhook: ${row.id}`,
+  });
+
+  return c.json({ content: text(`Deleted webhook ${row.id}.`) });
+});
+
+// GET /v1/webhooks/:id/deliveries — Delivery log, newest first
+webhooks.get("/:id/deliveries", async (c) => {
+  const controlDb = getControlDb();
+  const row = await findWebhook(c, controlDb);
+  if (!row) return c.json({ error: "Webhook not found." }, 404);
+
+  const status = c.req.query("status");
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return c.json({ error: `"status" must be one of: ${DELIVERY_STATUSES.join(", ")}.` }, 400);
+  }
+  const limit = Math.min(100, Math.max(1, parseInt(c.req.query("limit") || "20", 10)));
+
+  const result = await controlDb.execute({
+    sql: `SELECT * FROM webhook_deliveries
+          WHERE webhook_id = ? ${status ? "AND status = ?" : ""}
+          ORDER BY event_id DESC
+          LIMIT ?`,
+    args: status ? [row.id, status, limit] : [row.id, limit],
+  });
+  return c.json({ deliveries: result.rows.map(formatDelivery) });
+});
+
+// POST /v1/webhooks/:id/deliveries/:delivery/retry — Send again now
+webhooks.post("/:id/deliveries/:delivery/retry", async (c) => {
+  const denied = ownerOnly(c);
+  if (denied) return denied;
+
+  const controlDb = getControlDb();
+  const row = await findWebhook(c, controlDb);
+  if (!row) return c.json({ error: "Webhook not found." }, 404);
+
+  const found = await controlDb.execute({
+    sql: "SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?",
+    args: [c.req.param("delivery"), row.id],
+  });
+  const delivery = found.rows[0];
+  if (!delivery) return c.json({ error: "Delivery not found." }, 404);
+
+  // A manual retry starts a fresh retry schedule
+  await controlDb.execute({
+    sql: "UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = NULL WHERE id = ?",
+    args: [delivery.id],
+  });
+  await attemptDelivery(controlDb, { ...delivery, attempts: 0, url: row.url, secret: row.secret }, c.get("encryptionKey"));
+
+  const updated = await controlDb.execute({ sql: "SELECT * FROM webhook_deliveries WHERE id = ?", args: [delivery.id] });
+  return c.json({ delivery: formatDelivery(updated.rows[0]) });
+});
+
+export default webhooks;
@@ -25,12 +25,23 @@ const VALID_CATEGORIES = [
 
 const VALID_STATUSES = ["active", "paused", "completed", "archived"];
 
+/**
+ * Fire-and-forget activity log entry for an item. The detail starts with
+ * the item's category (events feed, see services/events.js).
+ */
+function logItemActivity(db, action, id, detail) {
+  db.execute({
+    sql: `INSERT INTO activity_log (action, entity_id, detail) VALUES (?, ?, ?)`,
+    args: [action, id, detail],
+  }).catch(() => {});
+}
+
 // POST /items — Create item
 items.post("/", async (c) => {
   const db = c.get("workspaceDb");
 
   // Quota check — count active (non-archived) items
-  const limits = getLimits(c.get("userPlan"));
+  const limits = getLimits(c.get("workspacePlan"));
   if (limits.items !== Infinity) {
     const countResult = await db.execute(
       "SELECT COUNT(*) as count FROM working_memory_items WHERE status != 'archived'"
@@ -78,6 +89,8 @@ items.post("/", async (c) => {
     args: [id, category, storedTitle, storedContent, status, priority, tags, storedNextAction],
   });
 
+  logItemActivity(db, "item_create", id, category);
+
   return c.json(
     {
       id,
@@ -246,7 +259,7 @@ items.put("/:id", async (c) => {
 
   // Check item exists
   const existing = await db.execute({
-    sql: "SELECT id FROM working_memory_items WHERE id = ?",
+    sql: "SELECT id, category, status FROM working_memory_items WHERE id = ?",
     args: [id],
   });
 
@@ -312,6 +325,16 @@ items.put("/:id", async (c) => {
     args,
   });
 
+  const before = existing.rows[0];
+  const category = body.category ?? before.category;
+  if (body.status !== undefined && body.status !== before.status) {
+    logItemActivity(db, "item_status", id, `${category}: ${before.status}->${body.status}`);
+  }
+  const changed = ["title", "content", "category", "priority", "tags", "next_action"].filter((k) => body[k] !== undefined);
+  if (changed.length > 0) {
+    logItemActivity(db, "item_update", id, `${category}: ${changed.join(",")}`);
+  }
+
   // Return updated item (decrypted)
   const result = await db.execute({
     sql: "SELECT * FROM working_memory_items WHERE id = ?",
@@ -334,7 +357,7 @@ items.delete("/:id", async (c) => {
   const id = c.req.param("id");
 
   const result = await db.execute({
-    sql: "SELECT id FROM working_memory_items WHERE id = ?",
+    sql: "SELECT id, category FROM working_memory_items WHERE id = ?",
     args: [id],
   });
 
@@ -347,6 +370,8 @@ items.delete("/:id", async (c) => {
     args: [id],
   });
 
+  logItemActivity(db, "item_delete", id, result.rows[0].category);
+
   return c.json({ deleted: true, id });
 });
 
@@ -2,8 +2,10 @@
  * Workspace management routes.
  *
  * POST /v1/workspaces -- Create a workspace explicitly
- * GET  /v1/workspaces -- List user's workspaces
+ * GET  /v1/workspaces -- List user's workspaces and workspaces shared with them
  * DELETE /v1/workspaces/:id -- Delete a workspace
+ * GET  /v1/workspaces/:id/export -- Download a workspace archive (JSONL)
+ * POST /v1/workspaces/import -- Restore an archive into a workspace
  */
 
 import { Hono } from "hono";
@@ -16,6 +18,10 @@ import {
   deleteTursoDatabase,
 } from "../services/turso.js";
 import { getLimits } from "../config/plans.js";
+import { getWorkspaceKey } from "../services/crypto.js";
+import { logAuditEvent } from "../services/audit.js";
+import { backfillWorkspace } from "../services/embeddings.js";
+import { exportWorkspace, parseArchive, importArchive } from "../services/archive.js";
 
 const workspaces = new Hono();
 
@@ -40,6 +46,57 @@ async function seedWorkingMemory(db) {
   }
 }
 
+/**
+ * Workspace quota check. Returns a 403 response when the user's plan has no
+ * room for another workspace, or null.
+ */
+async function checkWorkspaceQuota(c, controlDb, userId) {
+  const limits = getLimits(c.get("userPlan"));
+  if (limits.workspaces === Infinity) return null;
+
+  const wsCount = await controlDb.execute({
+    sql: "SELECT COUNT(*) as count FROM workspaces WHERE user_id = ?",
+    args: [userId],
+  });
+  if (wsCount.rows[0].count >= limits.workspaces) {
+    return c.json(
+      { error: "quota_exceeded", message: `Workspace limit (${limits.workspaces}) reached.`, limit: limits.workspaces, current: wsCount.rows[0].count },
+      403
+    );
+  }
+  return null;
+}
+
+/**
+ * Create a workspace: provision its database (Turso when configured),
+ * register it and initialize its tables.
+ * @returns {Promise<{ id: string, dbUrl: string|null, dbToken: string|null }>}
+ */
+async function createWorkspace(controlDb, userId, name) {
+  const id = randomUUID().slice(0, 8);
+  let dbUrl = null;
+  let dbToken = null;
+
+  if (isTursoConfigured()) {
+    const tursoDb = await createTursoDatabase(id);
+    const token = await createTursoToken(tursoDb.dbName);
+    dbUrl = tursoDb.dbUrl;
+    dbToken = token;
+  }
+
+  await controlDb.execute({
+    sql: "INSERT INTO workspaces (id, user_id, name, db_url, db_token) VALUES (?, ?, ?, ?, ?)",
+    args: [id, userId, name, dbUrl, dbToken],
+  });
+
+  // Initialize workspace tables
+  const wsDb = getWorkspaceDb(dbUrl, dbToken);
+  await initSchema(wsDb, "workspace");
+  await seedWorkingMemory(wsDb);
+
+  return { id, dbUrl, dbToken };
+}
+
 // POST /v1/workspaces -- Create workspace
 workspaces.post("/", async (c) => {
   const userId = c.get("userId");
@@ -68,41 +125,29 @@ workspaces.post("/", async (c) => {
     );
   }
 
-  // Workspace quota check
-  const limits = getLimits(c.get("userPlan"));
-  if (limits.workspaces !== Infinity) {
-    const wsCount = await controlDb.execute({
-      sql: "SELECT COUNT(*) as count FROM workspaces WHERE user_id = ?",
-      args: [userId],
-    });
-    if (wsCount.rows[0].count >= limits.workspaces) {
-      return c.json(
-        { error: "quota_exceeded", message: `Workspace limit (${limits.workspaces}) reached.`, limit: limits.workspaces, current: wsCount.rows[0].count },
-        403
-      );
-    }
-  }
-
-  const id = randomUUID().slice(0, 8);
-  let dbUrl = null;
-  let dbToken = null;
+  const sharedName = await controlDb.execute({
+    sql: "SELECT workspace_id FROM workspace_members WHERE user_id = ? AND name = ?",
+    args: [userId, name],
+  });
 
-  if (isTursoConfigured()) {
-    const tursoDb = await createTursoDatabase(id);
-    const token = await createTursoToken(tursoDb.dbName);
-    dbUrl = tursoDb.dbUrl;
-    dbToken = token;
+  if (sharedName.rows.length > 0) {
+    return c.json(
+      {
+        content: [
+          {
+            type: "text",
+            text: `"${name}" is the name of a workspace shared with you (id: ${sharedName.rows[0].workspace_id}).`,
+          },
+        ],
+      },
+      409
+    );
   }
 
-  await controlDb.execute({
-    sql: "INSERT INTO workspaces (id, user_id, name, db_url, db_token) VALUES (?, ?, ?, ?, ?)",
-    args: [id, userId, name, dbUrl, dbToken],
-  });
+  const quota = await checkWorkspaceQuota(c, controlDb, userId);
+  if (quota) return quota;
 
-  // Initialize workspace tables
-  const wsDb = getWorkspaceDb(dbUrl, dbToken);
-  await initSchema(wsDb, "workspace");
-  await seedWorkingMemory(wsDb);
+  const { id } = await createWorkspace(controlDb, userId, name);
 
   return c.json(
     {
@@ -127,12 +172,30 @@ workspaces.get("/", async (c) => {
     args: [userId],
   });
 
-  const list = result.rows.map((r) => ({
-    id: r.id,
-    name: r.name,
-    created_at: r.created_at,
-    updated_at: r.updated_at,
-  }));
+  const shared = await controlDb.execute({
+    sql: `SELECT w.id, m.name, m.role, w.user_id AS owner_id, w.created_at, w.updated_at
+          FROM workspace_members m JOIN workspaces w ON w.id = m.workspace_id
+          WHERE m.user_id = ? ORDER BY m.created_at`,
+    args: [userId],
+  });
+
+  const list = [
+    ...result.rows.map((r) => ({
+      id: r.id,
+      name: r.name,
+      role: "owner",
+      created_at: r.created_at,
+      updated_at: r.updated_at,
+    })),
+    ...shared.rows.map((r) => ({
+      id: r.id,
+      name: r.name,
+      role: r.role,
+      owner_id: r.owner_id,
+      created_at: r.created_at,
+      updated_at: r.updated_at,
+    })),
+  ];
 
   return c.json({
     content: [
@@ -178,6 +241,22 @@ workspaces.delete("/:id", async (c) => {
     }
   }
 
+  await controlDb.execute({
+    sql: "DELETE FROM workspace_members WHERE workspace_id = ?",
+    args: [workspaceId],
+  });
+  await controlDb.execute({
+    sql: "DELETE FROM workspace_invites WHERE workspace_id = ?",
+    args: [workspaceId],
+  });
+  await controlDb.execute({
+    sql: "DELETE FROM webhook_deliveries WHERE workspace_id = ?",
+    args: [workspaceId],
+  });
+  await controlDb.execute({
+    sql: "DELETE FROM webhooks WHERE workspace_id = ?",
+    args: [workspaceId],
+  });
   await controlDb.execute({
     sql: "DELETE FROM workspaces WHERE id = ?",
     args: [workspaceId],
@@ -193,4 +272,118 @@ workspaces.delete("/:id", async (c) => {
   });
 });
 
+// GET /v1/workspaces/:id/export -- Download a decrypted JSONL archive
+workspaces.get("/:id/export", async (c) => {
+  const userId = c.get("userId");
+  const workspaceId = c.req.param("id");
+  const controlDb = getControlDb();
+
+  const result = await controlDb.execute({
+    sql: "SELECT id, name, db_url, db_token FROM workspaces WHERE id = ? AND user_id = ?",
+    args: [workspaceId, userId],
+  });
+
+  if (result.rows.length === 0) {
+    return c.json(
+      {
+        content: [{ type: "text", text: "Workspace not found." }],
+      },
+      404
+    );
+  }
+
+  const workspace = result.rows[0];
+  const db = getWorkspaceDb(workspace.db_url, workspace.db_token);
+  await initSchema(db, "workspace");
+  const encKey = await getWorkspaceKey(workspace.id, c.env, controlDb).catch(() => null);
+
+  const { archive } = await exportWorkspace(db, c.env, encKey, workspace.name);
+  logAuditEvent(controlDb, "workspace.exported", { userId, details: `workspace ${workspace.id}` });
+
+  const filename = `memento-${workspace.name.replace(/[^\w.-]+/g, "_")}-${new Date().toISOString().slice(0, 10)}.jsonl`;
+  return new Response(archive, {
+    headers: {
+      "Content-Type": "application/x-ndjson",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    },
+  });
+});
+
+// POST /v1/workspaces/import -- Restore an archive (request body) into a workspace.
+// ?workspace=<name> picks the target, defaulting to the archive's workspace name.
+// A missing target workspace is created.
+workspaces.post("/import", async (c) => {
+  const userId = c.get("userId");
+  const parsed = parseArchive(await c.req.text());
+  if (parsed.error) {
+    return c.json({ error: parsed.error }, 400);
+  }
+
+  const name = c.req.query("workspace") || parsed.header.workspace || "default";
+  const controlDb = getControlDb();
+
+  const existing = await controlDb.execute({
+    sql: "SELECT id, db_url, db_token FROM workspaces WHERE user_id = ? AND name = ?",
+    args: [userId, name],
+  });
+
+  let target;
+  const created = existing.rows.length === 0;
+  if (created) {
+    const sharedName = await controlDb.execute({
+      sql: "SELECT workspace_id FROM workspace_members WHERE user_id = ? AND name = ?",
+      args: [userId, name],
+    });
+    if (sharedName.rows.length > 0) {
+      return c.json(
+        { error: `"${name}" is the name of a workspace shared with you (id: ${sharedName.rows[0].workspace_id}).` },
+        409
+      );
+    }
+    const quota = await checkWorkspaceQuota(c, controlDb, userId);
+    if (quota) return quota;
+    target = await createWorkspace(controlDb, userId, name);
+  } else {
+    const row = existing.rows[0];
+    target = { id: row.id, dbUrl: row.db_url, dbToken: row.db_token };
+  }
+
+  const db = getWorkspaceDb(target.dbUrl, target.dbToken);
+  await initSchema(db, "workspace");
+  const encKey = await getWorkspaceKey(target.id, c.env, controlDb).catch(() => null);
+
+  let counts;
+  try {
+    counts = await importArchive(db, c.env, encKey, name, parsed.records);
+  } catch (err) {
+    return c.json({ error: `Import failed: ${err.message}` }, 400);
+  }
+  const { imported, skipped } = counts;
+
+  // Fire-and-forget: embed the first batch now, the scheduled backfill does the rest
+  backfillWorkspace(c.env, db, name, encKey).catch(() => {});
+  logAuditEvent(controlDb, "workspace.imported", { userId, details: `workspace ${target.id}` });
+
+  const summary = Object.entries(imported)
+    .filter(([, n]) => n > 0)
+    .map(([table, n]) => `${n} ${table}`);
+  const skippedTotal = Object.values(skipped).reduce((sum, n) => sum + n, 0);
+  const skippedStr = skippedTotal ? ` Skipped ${skippedTotal} row${skippedTotal === 1 ? "" : "s"} that already existed.` : "";
+
+  return c.json(
+    {
+      content: [
+        {
+          type: "text",
+          text: `Imported into ${created ? "new " : ""}workspace "${name}" (id: ${target.id}): ${summary.join(", ") || "nothing"}.${skippedStr}`,
+        },
+      ],
+      workspace: { id: target.id, name, created },
+      imported,
+      skipped,
+    },
+    created ? 201 : 200
+  );
+});
+
 export default workspaces;
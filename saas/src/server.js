@@ -13,8 +13,10 @@ import { Hono } from "hono";
 import { cors } from "hono/cors";
 import { getControlDb, initSchema } from "./db/connection.js";
 import { authMiddleware } from "./middleware/auth.js";
+import { scopeMiddleware } from "./middleware/scopes.js";
 import { workspaceMiddleware } from "./middleware/workspace.js";
 import workspaces from "./routes/workspaces.js";
+import members from "./routes/members.js";
 import memories from "./routes/memories.js";
 import workingMemory from "./routes/working-memory.js";
 import workingMemoryItems from "./routes/working-memory-items.js";
@@ -29,6 +31,8 @@ import extract from "./routes/extract.js";
 import images from "./routes/images.js";
 import settings from "./routes/settings.js";
 import activity from "./routes/activity.js";
+import events from "./routes/events.js";
+import webhooks from "./routes/webhooks.js";
 import { registerAuthRoutes, registerAuthenticatedRoutes } from "./routes/auth.js";
 import { registerBillingPublicRoutes, billingAuthenticated } from "./routes/billing.js";
 import stripeWebhook from "./routes/stripe-webhook.js";
@@ -71,12 +75,14 @@ export function createApp() {
   // Stripe webhook (unauthenticated — uses Stripe signature verification)
   app.route("/webhooks/stripe", stripeWebhook);
 
-  // All /v1/* routes require auth + workspace resolution
+  // All /v1/* routes require auth + scope check + workspace resolution
   const v1 = new Hono();
   v1.use("*", authMiddleware());
+  v1.use("*", scopeMiddleware());
   v1.use("*", workspaceMiddleware());
 
   // Mount route groups
+  v1.route("/workspaces", members);
   v1.route("/workspaces", workspaces);
   v1.route("/memories", memories);
   v1.route("/working-memory/items", workingMemoryItems);
@@ -92,6 +98,8 @@ export function createApp() {
   v1.route("/images", images);
   v1.route("/settings", settings);
   v1.route("/activity", activity);
+  v1.route("/events", events);
+  v1.route("/webhooks", webhooks);
   v1.route("/billing", billingAuthenticated);
   registerAuthenticatedRoutes(v1);
 
@@ -117,9 +125,14 @@ if (isMainModule) {
 
   const app = createApp();
 
+  // No Vectorize binding outside Workers -- serve vectors from libSQL instead
+  const { createVectorStore } = await import("./services/vector-store.js");
+  const vectorStore = createVectorStore();
+
   // Dynamic import so Workers bundler doesn't pull in Node-only deps
   const { serve } = await import("@hono/node-server");
-  serve({ fetch: app.fetch, port }, () => {
+  const fetch = (req, bindings) => app.fetch(req, { ...bindings, VECTORIZE: vectorStore });
+  serve({ fetch, port }, () => {
     console.log(`Memento SaaS API running on http://localhost:${port}`);
   });
 }
@@ -0,0 +1,272 @@
+/**
+ * Workspace archives — a portable, decrypted copy of a workspace's data.
+ *
+ * An archive is JSONL. The first line is a header:
+ *
+ *   {"format":"memento-archive","version":1,"workspace":"default","exported_at":"...","counts":{...}}
+ *
+ * and every following line is one record, {"table": <name>, "row": {...}}.
+ * Rows carry the table's columns as stored, with encrypted fields decrypted.
+ * Image records (table "images") carry { memory_id, filename, mimetype, data }
+ * with the bytes base64-encoded.
+ *
+ * Derived state is not exported and is rebuilt on import: the FTS index,
+ * vectors (embedded_at is cleared so the embedding backfill picks memories
+ * up again) and the access/activity logs.
+ *
+ * Import keeps IDs, so linkages, consolidated_into and source_ids still
+ * resolve. Rows whose ID already exists in the target are skipped, which
+ * makes importing the same archive twice a no-op. Working memory sections
+ * and settings are keyed by name and replaced. Rows are written in a single
+ * batch, so a failed import leaves the workspace unchanged.
+ */
+
+import {
+  encryptFields,
+  decryptFields,
+  bytesToBase64,
+  base64ToBytes,
+} from "./crypto.js";
+import { rebuildFtsIndex } from "./fts.js";
+
+export const ARCHIVE_FORMAT = "memento-archive";
+export const ARCHIVE_VERSION = 1;
+
+const IMAGES = "images";
+
+/** Exported tables, in import order, with their encrypted and derived columns. */
+const TABLES = [
+  { name: "memories", encrypted: ["content"], omit: ["embedded_at", "image_embedded_at", "embedding_model"] },
+  { name: "memory_revisions", encrypted: ["content"], omit: ["id"] },
+  { name: "working_memory_sections", encrypted: ["content"], replace: true },
+  { name: "working_memory_items", encrypted: ["title", "content", "next_action"] },
+  { name: "skip_list", encrypted: ["item", "reason"] },
+  { name: "consolidations", encrypted: ["summary", "template_summary"] },
+  { name: "consolidation_proposals", encrypted: ["summary", "template_summary"] },
+  { name: "identity_snapshots", encrypted: ["crystal"] },
+  { name: "workspace_settings", encrypted: [], replace: true },
+];
+
+// Settings that describe this database's derived state (fts.js's index signature)
+const INTERNAL_SETTINGS = new Set(["fts_index"]);
+
+function parseJsonArray(str) {
+  try {
+    const value = JSON.parse(str || "[]");
+    return Array.isArray(value) ? value : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Unwrap images stored as JSON-wrapped base64 ({"data":"...","mimetype":"..."})
+ * by an older version; raw bytes pass through.
+ */
+function unwrapImage(bytes, mimetype) {
+  if (bytes[0] === 0x7b) {
+    try {
+      const json = JSON.parse(new TextDecoder().decode(bytes));
+      if (json.data) return { bytes: base64ToBytes(json.data), mimetype: json.mimetype || mimetype };
+    } catch {
+      // Not valid JSON — treat as raw bytes
+    }
+  }
+  return { bytes, mimetype };
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+/**
+ * Export a workspace as a JSONL archive.
+ *
+ * @param {import("@libsql/client").Client} db - Workspace database client
+ * @param {object} env - Workers environment (env.IMAGES for image bytes)
+ * @param {CryptoKey|null} encKey - Workspace encryption key
+ * @param {string} workspaceName - Recorded in the header
+ * @returns {Promise<{ archive: string, counts: Record<string, number> }>}
+ */
+export async function exportWorkspace(db, env, encKey, workspaceName) {
+  const lines = [];
+  const counts = {};
+
+  for (const table of TABLES) {
+    const result = await db.execute(`SELECT * FROM ${table.name} ORDER BY rowid`);
+    const columns = result.columns.filter((col) => !table.omit?.includes(col));
+    counts[table.name] = 0;
+
+    for (const source of result.rows) {
+      if (table.name === "workspace_settings" && INTERNAL_SETTINGS.has(source.key)) continue;
+      const row = {};
+      for (const col of columns) row[col] = source[col];
+      if (encKey) await decryptFields(row, table.encrypted, encKey);
+      lines.push(JSON.stringify({ table: table.name, row }));
+      counts[table.name]++;
+    }
+  }
+
+  counts[IMAGES] = 0;
+  if (env?.IMAGES) {
+    const result = await db.execute(
+      "SELECT id, images FROM memories WHERE images IS NOT NULL AND images != '[]' ORDER BY rowid"
+    );
+    for (const mem of result.rows) {
+      for (const meta of parseJsonArray(mem.images)) {
+        const object = await env.IMAGES.get(meta.key);
+        if (!object) continue;
+        const { bytes, mimetype } = unwrapImage(
+          new Uint8Array(await object.arrayBuffer()),
+          meta.mimetype || object.httpMetadata?.contentType || "application/octet-stream"
+        );
+        lines.push(JSON.stringify({
+          table: IMAGES,
+          row: { memory_id: mem.id, filename: meta.filename, mimetype, data: bytesToBase64(bytes) },
+        }));
+        counts[IMAGES]++;
+      }
+    }
+  }
+
+  const header = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    workspace: workspaceName,
+    exported_at: new Date().toISOString(),
+    counts,
+  };
+  return { archive: [JSON.stringify(header), ...lines].join("\n") + "\n", counts };
+}
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+const isScalar = (value) => value === null || typeof value === "string" || typeof value === "number";
+
+/**
+ * Parse and validate an archive.
+ * @param {string} text - JSONL archive
+ * @returns {{ header?: object, records?: Array<{ table: string, row: object }>, error?: string }}
+ */
+export function parseArchive(text) {
+  const lines = (text || "").split("\n").filter((line) => line.trim());
+  if (lines.length === 0) return { error: "Archive is empty." };
+
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch {
+    return { error: "Archive header is not valid JSON." };
+  }
+  if (header?.format !== ARCHIVE_FORMAT) {
+    return { error: `Not a ${ARCHIVE_FORMAT} file.` };
+  }
+  if (!Number.isInteger(header.version) || header.version < 1 || header.version > ARCHIVE_VERSION) {
+    return { error: `Unsupported archive version ${header.version} (supported: 1-${ARCHIVE_VERSION}).` };
+  }
+
+  const known = new Set([...TABLES.map((t) => t.name), IMAGES]);
+  const records = [];
+  for (let i = 1; i < lines.length; i++) {
+    let record;
+    try {
+      record = JSON.parse(lines[i]);
+    } catch {
+      return { error: `Line ${i + 1} is not valid JSON.` };
+    }
+    if (!known.has(record?.table)) {
+      return { error: `Line ${i + 1}: unknown table "${record?.table}".` };
+    }
+    if (!record.row || typeof record.row !== "object" || !Object.values(record.row).every(isScalar)) {
+      return { error: `Line ${i + 1}: row must be an object of strings, numbers and nulls.` };
+    }
+    records.push(record);
+  }
+  return { header, records };
+}
+
+/** Point a memory's image metadata at the target workspace's R2 keys. */
+function rekeyImages(imagesJson, workspaceName, memoryId) {
+  return JSON.stringify(
+    parseJsonArray(imagesJson).map((meta) => ({ ...meta, key: `${workspaceName}/${memoryId}/${meta.filename}` }))
+  );
+}
+
+/**
+ * Import parsed archive records into a workspace, re-encrypting with its key.
+ *
+ * @param {import("@libsql/client").Client} db - Target workspace database client
+ * @param {object} env - Workers environment (env.IMAGES for image bytes)
+ * @param {CryptoKey|null} encKey - Target workspace encryption key
+ * @param {string} workspaceName - Target workspace name (R2 key prefix)
+ * @param {Array<{ table: string, row: object }>} records - From parseArchive
+ * @returns {Promise<{ imported: Record<string, number>, skipped: Record<string, number> }>}
+ */
+export async function importArchive(db, env, encKey, workspaceName, records) {
+  const tables = new Map();
+  const imported = {};
+  const skipped = {};
+  for (const table of TABLES) {
+    const info = await db.execute(`PRAGMA table_info(${table.name})`);
+    tables.set(table.name, { ...table, columns: new Set(info.rows.map((r) => r.name)) });
+    imported[table.name] = 0;
+    skipped[table.name] = 0;
+  }
+
+  const statements = [];
+  const targets = [];
+  const images = [];
+  for (const { table: name, row: source } of records) {
+    if (name === IMAGES) {
+      images.push(source);
+      continue;
+    }
+    if (name === "workspace_settings" && INTERNAL_SETTINGS.has(source.key)) continue;
+
+    const table = tables.get(name);
+    const row = {};
+    for (const [col, value] of Object.entries(source)) {
+      if (table.columns.has(col) && !table.omit?.includes(col)) row[col] = value;
+    }
+    if (name === "memories" && row.images) row.images = rekeyImages(row.images, workspaceName, row.id);
+    if (encKey) await encryptFields(row, table.encrypted, encKey);
+
+    const cols = Object.keys(row);
+    statements.push({
+      sql: `INSERT OR ${table.replace ? "REPLACE" : "IGNORE"} INTO ${name} (${cols.join(", ")})
+            VALUES (${cols.map(() => "?").join(", ")})`,
+      args: cols.map((col) => row[col]),
+    });
+    targets.push({ name, id: row.id });
+  }
+
+  const results = statements.length ? await db.batch(statements, "write") : [];
+  const importedMemories = new Set();
+  results.forEach((result, i) => {
+    const { name, id } = targets[i];
+    if (result.rowsAffected > 0) {
+      imported[name]++;
+      if (name === "memories") importedMemories.add(id);
+    } else {
+      skipped[name]++;
+    }
+  });
+
+  imported[IMAGES] = 0;
+  skipped[IMAGES] = 0;
+  for (const image of images) {
+    if (!env?.IMAGES || !importedMemories.has(image.memory_id)) {
+      skipped[IMAGES]++;
+      continue;
+    }
+    await env.IMAGES.put(`${workspaceName}/${image.memory_id}/${image.filename}`, base64ToBytes(image.data || ""), {
+      httpMetadata: { contentType: image.mimetype },
+    });
+    imported[IMAGES]++;
+  }
+
+  await rebuildFtsIndex(db, encKey);
+  return { imported, skipped };
+}
@@ -1,15 +1,20 @@
 /**
  * Memory consolidation service.
  *
- * Groups related memories by tag overlap using a union-find (connected
- * components) approach, then generates summaries (AI-powered when
- * available, template-based as fallback) and creates consolidation
- * records. Source memories are marked as consolidated but never deleted.
+ * Groups related memories -- by embedding similarity and tag overlap
+ * (default once the workspace has embeddings), or by transitive tag union
+ * ("tags" mode, the default until then) -- then
+ * generates summaries (AI-powered when available, template-based as
+ * fallback) and creates consolidation records. Source memories are marked as consolidated but never deleted,
+ * so a consolidation can be undone (undoConsolidation).
  */
 
 import { randomUUID } from "node:crypto";
 import { decryptField, encryptField } from "./crypto.js";
-import { embedAndStore } from "./embeddings.js";
+import { embedAndStore, removeVector, getMemoryVectors } from "./embeddings.js";
+import { indexMemory, removeFromIndex } from "./fts.js";
+import { jaccard, terms } from "./contradictions.js";
+import { recordRevision, deleteRevisions } from "./revisions.js";
 
 // ---------------------------------------------------------------------------
 // Union-Find helpers
@@ -113,6 +118,137 @@ export function findConsolidationGroups(memories) {
   return Array.from(groups.values()).filter((g) => g.length >= 3);
 }
 
+// ---------------------------------------------------------------------------
+// Similarity grouping
+// ---------------------------------------------------------------------------
+
+/**
+ * Similarity grouping defaults. Each can be overridden per workspace with
+ * the consolidation_threshold / consolidation_max_group_size /
+ * consolidation_min_cohesion settings.
+ */
+export const SIMILARITY_DEFAULTS = {
+  threshold: 0.8, // minimum pairwise score for two memories to be linked
+  maxGroupSize: 10,
+  minCohesion: 0.75, // minimum mean pairwise score within a group
+};
+
+/** Share of the pairwise score that comes from tag overlap (the rest is content similarity). */
+const TAG_WEIGHT = 0.3;
+const MIN_GROUP_SIZE = 3;
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/** Jaccard overlap of two tag lists (case-insensitive), or null when both are untagged. */
+function tagOverlap(tagsA, tagsB) {
+  const a = new Set(tagsA.map((t) => t.toLowerCase()));
+  const b = new Set(tagsB.map((t) => t.toLowerCase()));
+  if (a.size === 0 && b.size === 0) return null;
+  let shared = 0;
+  for (const tag of a) if (b.has(tag)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/** Jaccard overlap of two content term sets, 0 when either is empty. */
+function contentOverlap(termsA, termsB) {
+  return termsA.size && termsB.size ? jaccard(termsA, termsB) : 0;
+}
+
+/**
+ * Pairwise score in [0, 1]: content similarity blended with tag overlap.
+ * Content similarity is the embedding cosine when both memories have
+ * vectors and content-word overlap when they don't, so a shared tag alone
+ * never pairs two memories.
+ */
+function pairScore(a, b, vectors, termsOf) {
+  const va = vectors.get(a.id);
+  const vb = vectors.get(b.id);
+  const sim = va && vb && va.length === vb.length
+    ? cosine(va, vb)
+    : contentOverlap(termsOf.get(a.id), termsOf.get(b.id));
+  const tags = tagOverlap(a.tags || [], b.tags || []);
+  return tags === null ? sim : (1 - TAG_WEIGHT) * sim + TAG_WEIGHT * tags;
+}
+
+/**
+ * Find consolidation groups by similarity (average-linkage clustering).
+ *
+ * Pairs scoring at least `threshold` are merged strongest-first, but a merge
+ * only happens if the combined group stays within `maxGroupSize` and its
+ * mean pairwise score (cohesion) stays at or above `minCohesion`. Unlike
+ * transitive tag union, a tag shared across a whole workspace cannot chain
+ * unrelated memories into one group.
+ *
+ * @param {Array<{ id: string, content: string, type: string, tags: string[], created_at: string }>} memories
+ * @param {Map<string, number[]>} [vectors] - Embeddings keyed by memory ID (memories without one are compared by content words)
+ * @param {{ threshold?: number, maxGroupSize?: number, minCohesion?: number }} [options]
+ * @returns {Array<{ memories: Array<object>, cohesion: number }>} Groups with 3+ members, most cohesive first
+ */
+export function findSimilarityGroups(memories, vectors = new Map(), options = {}) {
+  const { threshold, maxGroupSize, minCohesion } = { ...SIMILARITY_DEFAULTS, ...options };
+  const n = memories.length;
+  const scores = new Float32Array(n * n);
+  const edges = [];
+  const termsOf = new Map(memories.map((m) => [m.id, terms(m.content)]));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const score = pairScore(memories[i], memories[j], vectors, termsOf);
+      scores[i * n + j] = score;
+      scores[j * n + i] = score;
+      if (score >= threshold) edges.push([score, i, j]);
+    }
+  }
+  edges.sort((x, y) => y[0] - x[0]);
+
+  // Each cluster is keyed by one member's index; internal = sum of pairwise scores
+  const clusterOf = Array.from({ length: n }, (_, i) => i);
+  const members = new Map(clusterOf.map((i) => [i, [i]]));
+  const internal = new Map(clusterOf.map((i) => [i, 0]));
+
+  for (const [, i, j] of edges) {
+    const ca = clusterOf[i];
+    const cb = clusterOf[j];
+    if (ca === cb) continue;
+
+    const groupA = members.get(ca);
+    const groupB = members.get(cb);
+    const size = groupA.length + groupB.length;
+    if (size > maxGroupSize) continue;
+
+    let cross = 0;
+    for (const a of groupA) {
+      for (const b of groupB) cross += scores[a * n + b];
+    }
+    const total = internal.get(ca) + internal.get(cb) + cross;
+    if (total / ((size * (size - 1)) / 2) < minCohesion) continue;
+
+    for (const b of groupB) clusterOf[b] = ca;
+    groupA.push(...groupB);
+    members.delete(cb);
+    internal.set(ca, total);
+    internal.delete(cb);
+  }
+
+  return Array.from(members.entries())
+    .filter(([, group]) => group.length >= MIN_GROUP_SIZE)
+    .map(([key, group]) => ({
+      memories: group.map((k) => memories[k]),
+      cohesion: internal.get(key) / ((group.length * (group.length - 1)) / 2),
+    }))
+    .sort((a, b) => b.cohesion - a.cohesion);
+}
+
 // ---------------------------------------------------------------------------
 // Summary generation
 // ---------------------------------------------------------------------------
@@ -197,35 +333,80 @@ export async function generateAISummary(env, group) {
 // Main consolidation entry point
 // ---------------------------------------------------------------------------
 
+/** Cap on memories compared pairwise in similarity mode (newest first). */
+const MAX_SIMILARITY_CANDIDATES = 1000;
+
 /**
- * Run consolidation on a workspace's memories.
+ * Resolve consolidation options: explicit overrides, then workspace settings,
+ * then defaults. Invalid values fall back to the next source. `approval`
+ * (consolidation_approval setting) decides whether the scheduler applies
+ * groups directly ("auto") or queues them as proposals ("review"). `mode` is
+ * null when neither sets it; planConsolidation then uses "similarity" if
+ * the workspace has embeddings and "tags" otherwise.
  *
- * 1. Fetches all non-consolidated, non-expired memories
- * 2. Parses their tags from JSON strings to arrays
- * 3. Finds consolidation groups (3+ memories sharing tags)
- * 4. For each group: creates a consolidation record, inserts a new memory, marks source memories
- * 5. Returns { consolidated: number of groups, sourceCount: total source memories processed }
+ * @param {import("@libsql/client").Client} db - Workspace database client
+ * @param {{ mode?: string, threshold?: number, maxGroupSize?: number, minCohesion?: number }} [overrides]
+ * @returns {Promise<{ mode: "similarity"|"tags"|null, approval: "auto"|"review", threshold: number, maxGroupSize: number, minCohesion: number }>}
+ */
+export async function loadConsolidationOptions(db, overrides = {}) {
+  const result = await db.execute(
+    "SELECT key, value FROM workspace_settings WHERE key LIKE 'consolidation_%'"
+  );
+  const settings = Object.fromEntries(result.rows.map((r) => [r.key, r.value]));
+
+  const pick = (override, setting, fallback, valid) => {
+    for (const raw of [override, settings[setting]]) {
+      if (raw === undefined || raw === null || raw === "") continue;
+      const value = Number(raw);
+      if (valid(value)) return value;
+    }
+    return fallback;
+  };
+  const unit = (v) => !isNaN(v) && v >= 0 && v <= 1;
+
+  const mode = [overrides.mode, settings.consolidation_mode].find((m) => m === "similarity" || m === "tags");
+  return {
+    mode: mode || null,
+    approval: settings.consolidation_approval === "review" ? "review" : "auto",
+    threshold: pick(overrides.threshold, "consolidation_threshold", SIMILARITY_DEFAULTS.threshold, unit),
+    maxGroupSize: pick(
+      overrides.maxGroupSize,
+      "consolidation_max_group_size",
+      SIMILARITY_DEFAULTS.maxGroupSize,
+      (v) => Number.isInteger(v) && v >= MIN_GROUP_SIZE
+    ),
+    minCohesion: pick(overrides.minCohesion, "consolidation_min_cohesion", SIMILARITY_DEFAULTS.minCohesion, unit),
+  };
+}
+
+/**
+ * Work out which memories consolidation would group, without changing
+ * anything. Used by consolidateMemories and the dry-run preview.
  *
  * @param {import("@libsql/client").Client} db - Workspace database client
- * @param {object} [env] - Workers environment (optional; enables AI summaries when env.AI is present)
- * @param {string} [encKey] - Encryption key for field-level encryption
- * @param {string} [workspaceName] - Workspace name for vector embedding
- * @returns {Promise<{ consolidated: number, sourceCount: number }>}
+ * @param {object} [env] - Workers environment (vectors are read from env.VECTORIZE when present)
+ * @param {CryptoKey|null} [encKey] - Workspace encryption key
+ * @param {string} [workspaceName] - Workspace name (vector namespace)
+ * @param {object} [overrides] - See loadConsolidationOptions
+ * @returns {Promise<{ options: object, groups: Array<{ memories: Array<object>, cohesion: number|null }> }>}
  */
-export async function consolidateMemories(db, env, encKey, workspaceName) {
+export async function planConsolidation(db, env, encKey, workspaceName, overrides = {}) {
+  const options = await loadConsolidationOptions(db, overrides);
   const now = new Date().toISOString();
 
-  // 1. Fetch all non-consolidated, non-expired memories
+  // 1. Fetch all non-consolidated, non-expired memories. Client-encrypted
+  //    ones are left out: the server can neither compare nor summarize them.
   const result = await db.execute({
-    sql: `SELECT id, content, type, tags, created_at, access_count, linkages
+    sql: `SELECT id, content, type, tags, created_at, access_count, linkages, pinned
           FROM memories
-          WHERE consolidated = 0
-            AND (expires_at IS NULL OR expires_at > ?)`,
+          WHERE consolidated = 0 AND blind_index IS NULL
+            AND (expires_at IS NULL OR expires_at > ?)
+          ORDER BY created_at DESC`,
     args: [now],
   });
 
   if (result.rows.length === 0) {
-    return { consolidated: 0, sourceCount: 0 };
+    return { options: { ...options, mode: options.mode || "tags" }, groups: [] };
   }
 
   // 2. Decrypt and parse tags/linkages from JSON strings to arrays
@@ -251,115 +432,284 @@ export async function consolidateMemories(db, env, encKey, workspaceName) {
       created_at: row.created_at,
       access_count: row.access_count || 0,
       linkages,
+      pinned: row.pinned || 0,
     });
   }
 
-  // 3. Find consolidation groups
-  const groups = findConsolidationGroups(memories);
-
-  if (groups.length === 0) {
-    return { consolidated: 0, sourceCount: 0 };
+  // 3. Find consolidation groups. Without an explicit mode, similarity
+  //    grouping waits until the workspace has embeddings to compare.
+  const candidates = memories.slice(0, MAX_SIMILARITY_CANDIDATES);
+  const vectors = options.mode !== "tags" && workspaceName
+    ? await getMemoryVectors(env, workspaceName, candidates.map((m) => m.id))
+    : new Map();
+  if (options.mode === "tags" || (!options.mode && vectors.size === 0)) {
+    options.mode = "tags";
+    const groups = findConsolidationGroups(memories).map((g) => ({ memories: g, cohesion: null }));
+    return { options, groups };
   }
 
-  let totalSourceMemories = 0;
-
-  // 4. For each group: create consolidation record, new memory, mark sources
-  for (const group of groups) {
-    const consolidationId = randomUUID().slice(0, 8);
-    const templateSummary = generateSummary(group);
-    const { summary, method } = await generateAISummary(env, group);
-    const sourceIds = group.map((m) => m.id);
+  options.mode = "similarity";
+  return { options, groups: findSimilarityGroups(candidates, vectors, options) };
+}
 
-    // Collect union of all tags
+/**
+ * Consolidate one group: record it in `consolidations`, insert the summary
+ * as a new memory (visible to recall, mirrors /group behavior) and mark the
+ * sources as consolidated into it.
+ *
+ * @param {import("@libsql/client").Client} db - Workspace database client
+ * @param {object} [env] - Workers environment (for embedding the summary)
+ * @param {CryptoKey|null} [encKey] - Workspace encryption key
+ * @param {string} [workspaceName] - Workspace name (vector namespace)
+ * @param {Array<object>} group - Decrypted source memories (tags/linkages parsed)
+ * @param {{ summary: string, method: string, templateSummary: string, type?: string, tags?: string[], recordType?: string }} details
+ *   type defaults to the most common source type, tags to the union of source tags
+ * @returns {Promise<string>} ID of the new summary memory
+ */
+export async function commitConsolidation(db, env, encKey, workspaceName, group, details) {
+  const { summary, method, templateSummary, recordType = "auto" } = details;
+  const consolidationId = randomUUID().slice(0, 8);
+  const sourceIds = group.map((m) => m.id);
+
+  // Collect union of all tags
+  let tagArray = details.tags;
+  if (!tagArray) {
     const allTags = new Set();
     for (const mem of group) {
       for (const tag of mem.tags) {
         allTags.add(tag);
       }
     }
-    const tagArray = Array.from(allTags).sort();
+    tagArray = Array.from(allTags).sort();
+  }
 
-    // Insert consolidation record (encrypt summary fields)
-    const storedSummary = encKey ? await encryptField(summary, encKey) : summary;
-    const storedTemplateSummary = encKey ? await encryptField(templateSummary, encKey) : templateSummary;
-    await db.execute({
-      sql: `INSERT INTO consolidations (id, summary, source_ids, tags, type, method, template_summary)
-            VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      args: [
-        consolidationId,
-        storedSummary,
-        JSON.stringify(sourceIds),
-        JSON.stringify(tagArray),
-        "auto",
-        method,
-        storedTemplateSummary,
-      ],
-    });
+  // Insert consolidation record (encrypt summary fields)
+  const storedSummary = encKey ? await encryptField(summary, encKey) : summary;
+  const storedTemplateSummary = encKey ? await encryptField(templateSummary, encKey) : templateSummary;
+  await db.execute({
+    sql: `INSERT INTO consolidations (id, summary, source_ids, tags, type, method, template_summary)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    args: [
+      consolidationId,
+      storedSummary,
+      JSON.stringify(sourceIds),
+      JSON.stringify(tagArray),
+      recordType,
+      method,
+      storedTemplateSummary,
+    ],
+  });
 
-    // Create a new memory visible to recall (mirrors /group behavior)
-    const newMemoryId = randomUUID().slice(0, 8);
+  const newMemoryId = randomUUID().slice(0, 8);
 
-    // Determine most common type among source memories
+  // Determine most common type among source memories
+  let type = details.type;
+  if (!type) {
     const typeCounts = {};
     for (const mem of group) {
       typeCounts[mem.type] = (typeCounts[mem.type] || 0) + 1;
     }
-    const dominantType = Object.entries(typeCounts).sort((a, b) => b[1] - a[1])[0][0];
-
-    // Sum access counts from sources
-    const totalAccessCount = group.reduce((sum, m) => sum + (m.access_count || 0), 0);
-
-    // Build linkages: consolidated-from refs + inherited linkages (deduplicated)
-    const consolidatedFromLinks = group.map((m) => ({
-      type: "memory",
-      id: m.id,
-      label: "consolidated-from",
-    }));
-    const seenLinkKeys = new Set(consolidatedFromLinks.map((l) => `${l.type}:${l.id}:${l.label}`));
-    const inheritedLinks = [];
-    for (const mem of group) {
-      if (!Array.isArray(mem.linkages)) continue;
-      for (const link of mem.linkages) {
-        const ref = link.type === "file" ? link.path : link.id;
-        const key = `${link.type}:${ref}:${link.label || ""}`;
-        if (!seenLinkKeys.has(key)) {
-          seenLinkKeys.add(key);
-          inheritedLinks.push(link);
-        }
+    type = Object.entries(typeCounts).sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  // Sum access counts from sources
+  const totalAccessCount = group.reduce((sum, m) => sum + (m.access_count || 0), 0);
+  // A pinned source keeps the summary pinned
+  const pinned = group.some((m) => m.pinned) ? 1 : 0;
+
+  // Build linkages: consolidated-from refs + inherited linkages (deduplicated)
+  const consolidatedFromLinks = group.map((m) => ({
+    type: "memory",
+    id: m.id,
+    label: "consolidated-from",
+  }));
+  const seenLinkKeys = new Set(consolidatedFromLinks.map((l) => `${l.type}:${l.id}:${l.label}`));
+  const inheritedLinks = [];
+  for (const mem of group) {
+    if (!Array.isArray(mem.linkages)) continue;
+    for (const link of mem.linkages) {
+      const ref = link.type === "file" ? link.path : link.id;
+      const key = `${link.type}:${ref}:${link.label || ""}`;
+      if (!seenLinkKeys.has(key)) {
+        seenLinkKeys.add(key);
+        inheritedLinks.push(link);
       }
     }
-    const allLinkages = [...consolidatedFromLinks, ...inheritedLinks];
+  }
+  const allLinkages = [...consolidatedFromLinks, ...inheritedLinks];
+
+  // Insert into memories table
+  await db.execute({
+    sql: `INSERT INTO memories (id, content, type, tags, access_count, linkages, pinned)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    args: [
+      newMemoryId,
+      storedSummary,
+      type,
+      JSON.stringify(tagArray),
+      totalAccessCount,
+      JSON.stringify(allLinkages),
+      pinned,
+    ],
+  });
+
+  // Fire-and-forget: embed for vector search
+  if (workspaceName && env) {
+    embedAndStore(env, workspaceName, newMemoryId, summary, db).catch(() => {});
+  }
 
-    // Insert into memories table
-    const storedMemoryContent = encKey ? await encryptField(summary, encKey) : summary;
+  // Mark source memories as consolidated, pointing to the new memory
+  for (const id of sourceIds) {
+    await recordRevision(db, id, "consolidation");
     await db.execute({
-      sql: `INSERT INTO memories (id, content, type, tags, access_count, linkages)
-            VALUES (?, ?, ?, ?, ?, ?)`,
-      args: [
-        newMemoryId,
-        storedMemoryContent,
-        dominantType,
-        JSON.stringify(tagArray),
-        totalAccessCount,
-        JSON.stringify(allLinkages),
-      ],
+      sql: `UPDATE memories SET consolidated = 1, consolidated_into = ? WHERE id = ?`,
+      args: [newMemoryId, id],
     });
+  }
+  await removeFromIndex(db, sourceIds);
+  await indexMemory(db, { id: newMemoryId, content: summary, tags: tagArray }, encKey);
 
-    // Fire-and-forget: embed for vector search
-    if (workspaceName && env) {
-      embedAndStore(env, workspaceName, newMemoryId, summary).catch(() => {});
-    }
+  return newMemoryId;
+}
 
-    // Mark source memories as consolidated, pointing to the new memory
-    for (const mem of group) {
-      await db.execute({
-        sql: `UPDATE memories SET consolidated = 1, consolidated_into = ? WHERE id = ?`,
-        args: [newMemoryId, mem.id],
-      });
-    }
+/**
+ * Run consolidation on a workspace's memories.
+ *
+ * 1. Plans groups with planConsolidation (similarity or tag mode, per workspace settings)
+ * 2. For each group: creates a consolidation record, inserts a new memory, marks source memories
+ * 3. Returns { consolidated: number of groups, sourceCount: total source memories processed }
+ *
+ * @param {import("@libsql/client").Client} db - Workspace database client
+ * @param {object} [env] - Workers environment (optional; enables AI summaries when env.AI is present)
+ * @param {string} [encKey] - Encryption key for field-level encryption
+ * @param {string} [workspaceName] - Workspace name for vector embedding
+ * @returns {Promise<{ consolidated: number, sourceCount: number }>}
+ */
+export async function consolidateMemories(db, env, encKey, workspaceName) {
+  const plan = await planConsolidation(db, env, encKey, workspaceName);
+  const groups = plan.groups.map((g) => g.memories);
+
+  if (groups.length === 0) {
+    return { consolidated: 0, sourceCount: 0 };
+  }
+
+  let totalSourceMemories = 0;
 
+  for (const group of groups) {
+    const templateSummary = generateSummary(group);
+    const { summary, method } = await generateAISummary(env, group);
+    await commitConsolidation(db, env, encKey, workspaceName, group, { summary, method, templateSummary });
     totalSourceMemories += group.length;
   }
 
+  // Fire-and-forget activity log
+  db.execute({
+    sql: `INSERT INTO activity_log (action, detail) VALUES (?, ?)`,
+    args: ["consolidation_run", `${groups.length} groups, ${totalSourceMemories} sources`],
+  }).catch(() => {});
+
   return { consolidated: groups.length, sourceCount: totalSourceMemories };
 }
+
+// ---------------------------------------------------------------------------
+// Undo
+// ---------------------------------------------------------------------------
+
+function parseJsonArray(str) {
+  try {
+    const parsed = JSON.parse(str || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Reverse a consolidation: reactivate the source memories and delete the
+ * summary memory (row, history, recall index entry and vector) along with
+ * any auto-consolidation record for the same sources.
+ *
+ * @param {import("@libsql/client").Client} db - Workspace database client
+ * @param {object} env - Workers environment (for vector cleanup)
+ * @param {CryptoKey|null} encKey - Workspace encryption key
+ * @param {string} workspaceName - Workspace name (vector namespace)
+ * @param {string} id - Summary memory ID, or an auto-consolidation record ID
+ * @returns {Promise<{ summaryId: string, restoredIds: string[] } | { error: string, status: number }>}
+ */
+export async function undoConsolidation(db, env, encKey, workspaceName, id) {
+  // Auto-consolidation records point at their sources, which point at the summary
+  let summaryId = id;
+  const record = await db.execute({
+    sql: "SELECT source_ids FROM consolidations WHERE id = ?",
+    args: [id],
+  });
+  if (record.rows.length > 0) {
+    const recordSources = parseJsonArray(record.rows[0].source_ids);
+    const target = recordSources.length
+      ? await db.execute({
+          sql: `SELECT DISTINCT consolidated_into FROM memories
+                WHERE id IN (${recordSources.map(() => "?").join(", ")}) AND consolidated = 1`,
+          args: recordSources,
+        })
+      : { rows: [] };
+    if (target.rows.length === 1) summaryId = target.rows[0].consolidated_into;
+  }
+
+  const summary = await db.execute({
+    sql: "SELECT id, consolidated, consolidated_into FROM memories WHERE id = ?",
+    args: [summaryId],
+  });
+  const sources = await db.execute({
+    sql: "SELECT id, content, tags FROM memories WHERE consolidated = 1 AND consolidated_into = ?",
+    args: [summaryId],
+  });
+  if (summary.rows.length === 0 || sources.rows.length === 0) {
+    return { error: `No consolidation found for ${id}.`, status: 404 };
+  }
+  if (summary.rows[0].consolidated) {
+    return {
+      error: `Memory ${summaryId} was itself consolidated into ${summary.rows[0].consolidated_into}. Undo that consolidation first.`,
+      status: 409,
+    };
+  }
+
+  const restoredIds = sources.rows.map((r) => r.id);
+  const restored = new Set(restoredIds);
+
+  // Auto-consolidation records whose sources are all being restored
+  const records = await db.execute("SELECT id, source_ids FROM consolidations");
+  const recordIds = records.rows
+    .filter((r) => {
+      const ids = parseJsonArray(r.source_ids);
+      return ids.length > 0 && ids.every((sid) => restored.has(sid));
+    })
+    .map((r) => r.id);
+
+  await db.batch([
+    {
+      sql: "UPDATE memories SET consolidated = 0, consolidated_into = NULL WHERE consolidated_into = ?",
+      args: [summaryId],
+    },
+    { sql: "DELETE FROM access_log WHERE memory_id = ?", args: [summaryId] },
+    { sql: "DELETE FROM memories WHERE id = ?", args: [summaryId] },
+    ...recordIds.map((rid) => ({ sql: "DELETE FROM consolidations WHERE id = ?", args: [rid] })),
+  ]);
+  await deleteRevisions(db, [summaryId]);
+
+  await removeFromIndex(db, [summaryId]);
+  for (const row of sources.rows) {
+    const content = encKey ? await decryptField(row.content, encKey) : row.content;
+    await indexMemory(db, { id: row.id, content, tags: row.tags }, encKey);
+  }
+
+  // Source vectors were never removed, only the summary's needs cleanup
+  removeVector(env, workspaceName, summaryId).catch(() => {});
+
+  // Fire-and-forget activity log
+  db.execute({
+    sql: `INSERT INTO activity_log (action, memory_id, detail) VALUES (?, ?, ?)`,
+    args: ["unconsolidate", summaryId, restoredIds.join(",")],
+  }).catch(() => {});
+
+  return { summaryId, restoredIds };
+}
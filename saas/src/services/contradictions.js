@@ -0,0 +1,288 @@
+/**
+ * Contradiction detection.
+ *
+ * Before a memory is stored, its nearest neighbours -- by BM25 keyword match
+ * and, when embeddings are configured, by vector similarity -- that share a
+ * tag or an entity with it are checked for a conflicting claim:
+ *
+ *   - same subject, different value: "Deploy target is staging" vs
+ *     "Deploy target is prod"
+ *   - negation: "Tests run on CI" vs "Tests do not run on CI"
+ *
+ * Likely conflicts are linked from the new memory with a `contradicts`
+ * linkage and listed by GET /v1/memories/conflicts until one side is
+ * deleted, consolidated or expires, or the linkage is removed.
+ *
+ * The check is heuristic and cheap (no LLM call). Set the workspace setting
+ * contradiction_check = "off" to skip it.
+ */
+
+import { STOP_WORDS } from "./scoring.js";
+import { decryptField } from "./crypto.js";
+import { ftsCandidateIds } from "./fts.js";
+import { semanticSearch } from "./embeddings.js";
+
+export const CONTRADICTS_LABEL = "contradicts";
+
+const KEYWORD_NEIGHBOURS = 20;
+const VECTOR_NEIGHBOURS = 10;
+const MAX_CONFLICTS = 5;
+
+const NEGATION = /\b(?:not|no|never|none|cannot|without)\b|n't\b/i;
+const NEGATION_WORDS = new Set(["not", "no", "never", "none", "cannot", "without", "don", "doesn", "isn", "aren", "won", "can", "shouldn", "didn", "t"]);
+const COPULA = /^(.+?)\s+(?:is|are|was|were|equals|should be|must be|will be|uses|use|runs on|run on|defaults to|default to|points to|set to)\s+(.+)$/i;
+// "key: value" / "key = value" -- only short pairs, so "Note: <sentence>" prefixes aren't claims
+const ASSIGNMENT = /^((?:\S+\s+){0,3}\S+?)\s*[=:]\s*((?:\S+\s+){0,3}\S+)$/;
+
+// ---------------------------------------------------------------------------
+// Text analysis
+// ---------------------------------------------------------------------------
+
+/** Content words of a text, minus stop words and negations. */
+export function terms(text) {
+  const words = (text || "").toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  return new Set(words.filter((w) => !STOP_WORDS.has(w) && !NEGATION_WORDS.has(w)));
+}
+
+/** Jaccard overlap of two term sets. */
+export function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Entities: quoted or backticked phrases, identifiers (words with digits,
+ * dots, slashes, dashes or underscores) and capitalized words that don't
+ * start a sentence.
+ */
+export function extractEntities(text) {
+  const entities = new Set();
+  for (const m of (text || "").matchAll(/[`"]([^`"]{2,60})[`"]/g)) entities.add(m[1].toLowerCase());
+  for (const sentence of (text || "").split(/[.!?]\s+/)) {
+    const words = sentence.split(/\s+/).filter(Boolean);
+    words.forEach((raw, i) => {
+      const word = raw.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "");
+      if (word.length < 2) return;
+      if (/\d/.test(word) || /[\p{L}\p{N}][._/-][\p{L}\p{N}]/u.test(word)) entities.add(word.toLowerCase());
+      else if (i > 0 && /^\p{Lu}/u.test(word)) entities.add(word.toLowerCase());
+    });
+  }
+  return entities;
+}
+
+/** Split a single claim into subject and value ("X is Y", "X: Y"), or null. */
+function splitClaim(text) {
+  const sentence = (text || "").trim().split(/[.!?]\s+/)[0].replace(/[.!?]+$/, "");
+  const match = sentence.match(COPULA) || sentence.match(ASSIGNMENT);
+  if (!match) return null;
+  const subject = terms(match[1]);
+  if (subject.size === 0) return null;
+  return { subject, subjectText: match[1].trim(), value: terms(match[2]) };
+}
+
+/**
+ * Decide whether two memory contents make conflicting claims.
+ * @param {string} a
+ * @param {string} b
+ * @returns {string|null} Reason, or null when no conflict is detected
+ */
+export function detectConflict(a, b) {
+  const negA = NEGATION.test(a);
+  const negB = NEGATION.test(b);
+  if (negA !== negB && jaccard(terms(a), terms(b)) >= 0.7) {
+    return "one negates the other";
+  }
+
+  const claimA = splitClaim(a);
+  const claimB = splitClaim(b);
+  if (!claimA || !claimB) return null;
+  if (jaccard(claimA.subject, claimB.subject) < 0.5) return null;
+
+  const smaller = claimA.subject.size <= claimB.subject.size ? claimA.subject : claimB.subject;
+  const larger = smaller === claimA.subject ? claimB.subject : claimA.subject;
+  if (![...smaller].every((t) => larger.has(t))) return null;
+
+  if (claimA.value.size > 0 && claimB.value.size > 0 && jaccard(claimA.value, claimB.value) < 0.5) {
+    return `different value for "${claimA.subjectText}"`;
+  }
+  return null;
+}
+
+/** Tags that describe content (provenance tags like source:* are ignored). */
+function topicTags(tags) {
+  return new Set((tags || []).map((t) => t.toLowerCase()).filter((t) => !t.startsWith("source:")));
+}
+
+// ---------------------------------------------------------------------------
+// Detection
+// ---------------------------------------------------------------------------
+
+/** Whether contradiction_check is enabled for the workspace (default on). */
+export async function contradictionCheckEnabled(db) {
+  const result = await db.execute({
+    sql: "SELECT value FROM workspace_settings WHERE key = ?",
+    args: ["contradiction_check"],
+  });
+  return result.rows[0]?.value !== "off";
+}
+
+/**
+ * Find active memories that a new memory likely contradicts.
+ *
+ * @param {import("@libsql/client").Client} db - Workspace database client
+ * @param {object} env - Workers environment (vector neighbours when embeddings are configured)
+ * @param {CryptoKey|null} encKey - Workspace encryption key
+ * @param {string} workspaceName - Workspace name (vector namespace)
+ * @param {{ content: string, tags?: string[], excludeIds?: string[] }} memory
+ * @returns {Promise<Array<{ id: string, content: string, reason: string }>>}
+ */
+export async function findContradictions(db, env, encKey, workspaceName, { content, tags = [], excludeIds = [] }) {
+  const ids = new Set(await ftsCandidateIds(db, content, encKey, KEYWORD_NEIGHBOURS) || []);
+  if (workspaceName) {
+    for (const match of await semanticSearch(env, workspaceName, content, VECTOR_NEIGHBOURS)) ids.add(match.id);
+  }
+  for (const id of excludeIds) ids.delete(id);
+  if (ids.size === 0) return [];
+
+  const result = await db.execute({
+    sql: `SELECT id, content, tags FROM memories
+          WHERE id IN (${[...ids].map(() => "?").join(", ")})
+            AND consolidated = 0
+            AND (expires_at IS NULL OR expires_at > ?)`,
+    args: [...ids, new Date().toISOString()],
+  });
+
+  const ownTags = topicTags(tags);
+  const ownEntities = extractEntities(content);
+  const conflicts = [];
+  for (const row of result.rows) {
+    let rowTags;
+    try {
+      rowTags = JSON.parse(row.tags || "[]");
+    } catch {
+      rowTags = [];
+    }
+    const other = encKey ? await decryptField(row.content, encKey) : row.content;
+
+    const sharesTag = [...topicTags(rowTags)].some((t) => ownTags.has(t));
+    const sharesEntity = [...extractEntities(other)].some((e) => ownEntities.has(e));
+    if (!sharesTag && !sharesEntity) continue;
+
+    const reason = detectConflict(content, other);
+    if (reason) conflicts.push({ id: row.id, content: other, reason });
+    if (conflicts.length >= MAX_CONFLICTS) break;
+  }
+  return conflicts;
+}
+
+/**
+ * Check a memory about to be stored. Returns the conflicts and its linkages
+ * with a `contradicts` link added for each.
+ *
+ * @param {import("@libsql/client").Client} db
+ * @param {object} env
+ * @param {CryptoKey|null} encKey
+ * @param {string} workspaceName
+ * @param {{ content: string, tags?: string[], linkages?: Array<object> }} memory
+ * @returns {Promise<{ conflicts: Array<{ id: string, content: string, reason: string }>, linkages: Array<object> }>}
+ */
+export async function checkNewMemory(db, env, encKey, workspaceName, { content, tags, linkages = [] }) {
+  if (!(await contradictionCheckEnabled(db))) return { conflicts: [], linkages };
+
+  const conflicts = await findContradictions(db, env, encKey, workspaceName, { content, tags });
+  const linked = [...linkages];
+  for (const conflict of conflicts) {
+    const exists = linked.some((l) => l.type === "memory" && l.id === conflict.id && l.label === CONTRADICTS_LABEL);
+    if (!exists) linked.push({ type: "memory", id: conflict.id, label: CONTRADICTS_LABEL });
+  }
+  return { conflicts, linkages: linked };
+}
+
+/**
+ * Format conflicts as extra lines for a text store response.
+ * @param {Array<{ id: string, content: string, reason: string }>} conflicts
+ * @returns {string} Empty when there are none
+ */
+export function formatConflicts(conflicts) {
+  if (conflicts.length === 0) return "";
+  const lines = conflicts.map((c) => {
+    const snippet = c.content.length > 80 ? `${c.content.slice(0, 77)}...` : c.content;
+    return `- ${c.id}: "${snippet}" (${c.reason})`;
+  });
+  return `\nPossible contradiction with ${conflicts.length} memor${conflicts.length === 1 ? "y" : "ies"} (linked as "${CONTRADICTS_LABEL}"):\n${lines.join("\n")}`;
+}
+
+// ---------------------------------------------------------------------------
+// Listing
+// ---------------------------------------------------------------------------
+
+/**
+ * Unresolved conflicts: `contradicts` links between two active memories.
+ *
+ * @param {import("@libsql/client").Client} db - Workspace database client
+ * @param {CryptoKey|null} encKey - Workspace encryption key
+ * @returns {Promise<Array<{ memory: object, contradicts: object }>>} Newest first
+ */
+export async function listConflicts(db, encKey) {
+  const now = new Date().toISOString();
+  const result = await db.execute({
+    sql: `SELECT id, content, type, tags, created_at, linkages FROM memories
+          WHERE consolidated = 0
+            AND (expires_at IS NULL OR expires_at > ?)
+            AND linkages LIKE ?
+          ORDER BY created_at DESC`,
+    args: [now, `%"label":"${CONTRADICTS_LABEL}"%`],
+  });
+
+  const pairs = [];
+  const targets = new Map();
+  for (const row of result.rows) {
+    let linkages;
+    try {
+      linkages = JSON.parse(row.linkages || "[]");
+    } catch {
+      linkages = [];
+    }
+    for (const link of linkages) {
+      if (link.type !== "memory" || link.label !== CONTRADICTS_LABEL) continue;
+      pairs.push([row, link.id]);
+      targets.set(link.id, null);
+    }
+  }
+  if (pairs.length === 0) return [];
+
+  const targetRows = await db.execute({
+    sql: `SELECT id, content, type, tags, created_at FROM memories
+          WHERE id IN (${[...targets.keys()].map(() => "?").join(", ")})
+            AND consolidated = 0
+            AND (expires_at IS NULL OR expires_at > ?)`,
+    args: [...targets.keys(), now],
+  });
+  for (const row of targetRows.rows) targets.set(row.id, row);
+
+  const format = async (row) => {
+    let tags;
+    try {
+      tags = JSON.parse(row.tags || "[]");
+    } catch {
+      tags = [];
+    }
+    return {
+      id: row.id,
+      content: encKey ? await decryptField(row.content, encKey) : row.content,
+      type: row.type,
+      tags,
+      created_at: row.created_at,
+    };
+  };
+
+  const conflicts = [];
+  for (const [row, targetId] of pairs) {
+    const target = targets.get(targetId);
+    if (!target) continue;
+    conflicts.push({ memory: await format(row), contradicts: await format(target) });
+  }
+  return conflicts;
+}
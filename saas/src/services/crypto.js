@@ -8,6 +8,14 @@
  * Encrypted fields are prefixed with "enc:" so plaintext records can be
  * detected for migration. Format: enc:<base64(iv)>:<base64(ciphertext+tag)>
  *
+ * Both keys rotate (see services/key-rotation.js):
+ *   - Master key: workspaces.key_version records which master key version
+ *     wraps each workspace key. Keys under ENCRYPTION_MASTER_KEY_PREVIOUS are
+ *     re-wrapped on first use or by the admin sweep.
+ *   - Workspace key: a replacement is kept in workspaces.pending_key while
+ *     rows are re-encrypted. Meanwhile new writes use it and decryption falls
+ *     back to the key it replaces.
+ *
  * Uses the Web Crypto API (available in Cloudflare Workers and Node 20+).
  */
 
@@ -31,7 +39,7 @@ function hexToBytes(hex) {
   return bytes;
 }
 
-function bytesToBase64(bytes) {
+export function bytesToBase64(bytes) {
   // Works in both Node and Workers
   if (typeof Buffer !== "undefined") {
     return Buffer.from(bytes).toString("base64");
@@ -39,7 +47,7 @@ function bytesToBase64(bytes) {
   return btoa(String.fromCharCode(...bytes));
 }
 
-function base64ToBytes(b64) {
+export function base64ToBytes(b64) {
   if (typeof Buffer !== "undefined") {
     return new Uint8Array(Buffer.from(b64, "base64"));
   }
@@ -92,6 +100,17 @@ export async function decryptField(ciphertext, workspaceKey) {
   if (!ciphertext || !ciphertext.startsWith(ENC_PREFIX)) {
     return ciphertext;
   }
+  try {
+    return await decryptWith(ciphertext, workspaceKey);
+  } catch (err) {
+    // Mid-rotation: rows not yet re-encrypted are still under the old key
+    const previous = previousKeys.get(workspaceKey);
+    if (!previous) throw err;
+    return decryptWith(ciphertext, previous);
+  }
+}
+
+async function decryptWith(ciphertext, key) {
   const withoutPrefix = ciphertext.slice(ENC_PREFIX.length);
   const colonIdx = withoutPrefix.indexOf(":");
   if (colonIdx === -1) {
@@ -105,12 +124,30 @@ export async function decryptField(ciphertext, workspaceKey) {
 
   const plainBytes = await crypto.subtle.decrypt(
     { name: "AES-GCM", iv },
-    workspaceKey,
+    key,
     ct
   );
   return new TextDecoder().decode(plainBytes);
 }
 
+/**
+ * Re-encrypt a field value under a new workspace key.
+ * @param {string} value - Stored field value
+ * @param {CryptoKey} oldKey - Key being rotated away from
+ * @param {CryptoKey} newKey - Replacement key
+ * @returns {Promise<string|null>} New ciphertext, or null when the value is plaintext or already under newKey
+ */
+export async function reencryptField(value, oldKey, newKey) {
+  if (!isEncrypted(value)) return null;
+  try {
+    await decryptWith(value, newKey);
+    return null;
+  } catch {
+    // Not under the new key yet
+  }
+  return encryptField(await decryptWith(value, oldKey), newKey);
+}
+
 /**
  * Check if a field value is already encrypted.
  * @param {string} value
@@ -192,13 +229,52 @@ export async function getMasterKey(env) {
   return null;
 }
 
+/**
+ * Version of ENCRYPTION_MASTER_KEY (ENCRYPTION_MASTER_KEY_VERSION, default 1).
+ * Bump it together with the key so workspaces wrapped under the old one are found.
+ * @param {object} env - Workers env or process.env
+ * @returns {number}
+ */
+export function getMasterKeyVersion(env) {
+  const version = parseInt(
+    env?.ENCRYPTION_MASTER_KEY_VERSION || process.env.ENCRYPTION_MASTER_KEY_VERSION || "1",
+    10
+  );
+  return version > 0 ? version : 1;
+}
+
+/**
+ * The master key being rotated away from (ENCRYPTION_MASTER_KEY_PREVIOUS).
+ * @param {object} env - Workers env or process.env
+ * @returns {Promise<CryptoKey|null>}
+ */
+export async function getPreviousMasterKey(env) {
+  const masterKeyHex =
+    env?.ENCRYPTION_MASTER_KEY_PREVIOUS ||
+    process.env.ENCRYPTION_MASTER_KEY_PREVIOUS;
+  if (!masterKeyHex) return null;
+
+  const bytes = hexToBytes(masterKeyHex);
+  if (bytes.length !== 32) {
+    throw new Error("ENCRYPTION_MASTER_KEY_PREVIOUS must be exactly 64 hex characters (32 bytes)");
+  }
+  return importKey(bytes, ["wrapKey", "unwrapKey"]);
+}
+
 // ---------------------------------------------------------------------------
 // Workspace key management
 // ---------------------------------------------------------------------------
 
-/** In-memory cache of unwrapped workspace keys (per-isolate lifecycle). */
+/**
+ * In-memory cache of unwrapped workspace keys, keyed by wrapped blob
+ * (per-isolate lifecycle). Keying by blob rather than workspace ID means a
+ * rotation elsewhere is picked up on the next request.
+ */
 const workspaceKeyCache = new Map();
 
+/** Mid-rotation fallback: replacement workspace key -> the key it replaces. */
+const previousKeys = new WeakMap();
+
 /**
  * Clear the workspace key cache. Used in tests.
  */
@@ -206,11 +282,74 @@ export function clearKeyCache() {
   workspaceKeyCache.clear();
 }
 
+async function unwrapCached(wrappedB64, masterKey) {
+  if (!workspaceKeyCache.has(wrappedB64)) {
+    workspaceKeyCache.set(wrappedB64, await unwrapKey(wrappedB64, masterKey));
+  }
+  return workspaceKeyCache.get(wrappedB64);
+}
+
+/**
+ * Re-wrap a workspace's keys (current and pending) from the previous master
+ * key to the current one.
+ * @returns {Promise<{ encrypted_key: string, pending_key: string|null, key_version: number }>}
+ */
+async function rewrapRow(workspaceId, row, env, masterKey, controlDb) {
+  const previous = await getPreviousMasterKey(env);
+  if (!previous) {
+    throw new Error(
+      `Workspace ${workspaceId} key is wrapped with master key version ${row.key_version || 1}. ` +
+        "Set ENCRYPTION_MASTER_KEY_PREVIOUS to re-wrap it."
+    );
+  }
+
+  const rewrap = async (blob) => (blob ? wrapKey(await unwrapKey(blob, previous), masterKey) : null);
+  const next = {
+    encrypted_key: await rewrap(row.encrypted_key),
+    pending_key: await rewrap(row.pending_key),
+    key_version: getMasterKeyVersion(env),
+  };
+
+  // Guarded on the old blob so a concurrent re-wrap or rotation isn't overwritten
+  await controlDb.execute({
+    sql: `UPDATE workspaces SET encrypted_key = ?, pending_key = ?, key_version = ?
+          WHERE id = ? AND encrypted_key = ?`,
+    args: [next.encrypted_key, next.pending_key, next.key_version, workspaceId, row.encrypted_key],
+  });
+  return next;
+}
+
+/**
+ * Re-wrap a workspace's keys under the current master key if they are
+ * wrapped under an older one.
+ *
+ * @param {string} workspaceId
+ * @param {object} env - Workers env bindings
+ * @param {import("@libsql/client").Client} controlDb - Control plane database
+ * @returns {Promise<boolean>} Whether anything was re-wrapped
+ */
+export async function rewrapWorkspaceKey(workspaceId, env, controlDb) {
+  const masterKey = await getMasterKey(env);
+  if (!masterKey) return false;
+
+  const result = await controlDb.execute({
+    sql: "SELECT encrypted_key, pending_key, key_version FROM workspaces WHERE id = ?",
+    args: [workspaceId],
+  });
+  const row = result.rows[0];
+  if (!row?.encrypted_key || (row.key_version || 1) === getMasterKeyVersion(env)) return false;
+
+  await rewrapRow(workspaceId, row, env, masterKey, controlDb);
+  return true;
+}
+
 /**
  * Get or create the encryption key for a workspace.
  *
  * - If the workspace already has a wrapped key in the control DB, unwrap and return it.
  * - If not, generate a new random key, wrap it, store it, and return it.
+ * - If it is wrapped under an older master key version, re-wrap it first.
+ * - Mid-rotation, return the pending key (decryption falls back to the current one).
  * - Returns null if encryption is not configured (no master key).
  *
  * @param {string} workspaceId - The workspace ID
@@ -219,19 +358,14 @@ export function clearKeyCache() {
  * @returns {CryptoKey|null}
  */
 export async function getWorkspaceKey(workspaceId, env, controlDb) {
-  // Check cache first
-  if (workspaceKeyCache.has(workspaceId)) {
-    return workspaceKeyCache.get(workspaceId);
-  }
-
   const masterKey = await getMasterKey(env);
   if (!masterKey) {
     return null;
   }
 
-  // Check if workspace already has a key stored
+  // Always read the wrapped keys: rotation state can change between requests
   const result = await controlDb.execute({
-    sql: "SELECT encrypted_key FROM workspaces WHERE id = ?",
+    sql: "SELECT encrypted_key, pending_key, key_version FROM workspaces WHERE id = ?",
     args: [workspaceId],
   });
 
@@ -239,31 +373,55 @@ export async function getWorkspaceKey(workspaceId, env, controlDb) {
     return null;
   }
 
-  const row = result.rows[0];
+  let row = result.rows[0];
+
+  if (!row.encrypted_key) {
+    // Generate a new workspace key
+    const wsKey = await generateWorkspaceKey();
+
+    // Wrap and store
+    const wrappedKey = await wrapKey(wsKey, masterKey);
+    await controlDb.execute({
+      sql: "UPDATE workspaces SET encrypted_key = ?, key_version = ? WHERE id = ?",
+      args: [wrappedKey, getMasterKeyVersion(env), workspaceId],
+    });
 
-  if (row.encrypted_key) {
-    // Unwrap existing key
-    const wsKey = await unwrapKey(row.encrypted_key, masterKey);
-    workspaceKeyCache.set(workspaceId, wsKey);
+    workspaceKeyCache.set(wrappedKey, wsKey);
     return wsKey;
   }
 
-  // Generate a new workspace key
-  const wsKey = await crypto.subtle.generateKey(
+  if ((row.key_version || 1) !== getMasterKeyVersion(env)) {
+    row = await rewrapRow(workspaceId, row, env, masterKey, controlDb);
+  }
+
+  const wsKey = await unwrapCached(row.encrypted_key, masterKey);
+  if (!row.pending_key) {
+    previousKeys.delete(wsKey); // rotation finished (possibly in another isolate)
+    return wsKey;
+  }
+
+  const pendingKey = await unwrapCached(row.pending_key, masterKey);
+  previousKeys.set(pendingKey, wsKey);
+  return pendingKey;
+}
+
+/**
+ * The key a workspace is rotating away from, given its pending key as
+ * returned by getWorkspaceKey. Null when no rotation is in progress.
+ * @param {CryptoKey} workspaceKey
+ * @returns {CryptoKey|null}
+ */
+export function getPreviousWorkspaceKey(workspaceKey) {
+  return previousKeys.get(workspaceKey) || null;
+}
+
+/** Generate a random AES-256-GCM workspace key. */
+export async function generateWorkspaceKey() {
+  return crypto.subtle.generateKey(
     { name: "AES-GCM", length: KEY_BITS },
     true,
     ["encrypt", "decrypt"]
   );
-
-  // Wrap and store
-  const wrappedKey = await wrapKey(wsKey, masterKey);
-  await controlDb.execute({
-    sql: "UPDATE workspaces SET encrypted_key = ? WHERE id = ?",
-    args: [wrappedKey, workspaceId],
-  });
-
-  workspaceKeyCache.set(workspaceId, wsKey);
-  return wsKey;
 }
 
 // ---------------------------------------------------------------------------
@@ -299,3 +457,56 @@ export async function decryptFields(obj, fields, key) {
     }
   }
 }
+
+// ---------------------------------------------------------------------------
+// Blind index (searchable tokens for encrypted content)
+// ---------------------------------------------------------------------------
+
+const BLIND_INDEX_INFO = "memento-blind-index-v1";
+const BLIND_TOKEN_HEX = 16; // 64-bit tokens
+
+/** Derived HMAC keys, keyed by workspace CryptoKey (which is itself cached). */
+const blindKeyCache = new WeakMap();
+
+/**
+ * Derive the HMAC-SHA256 blind-index key for a workspace.
+ * HKDF keeps it independent of the AES key used for field encryption.
+ * @param {CryptoKey} workspaceKey - AES-256-GCM workspace key (extractable)
+ * @returns {CryptoKey} HMAC key for blindToken
+ */
+export async function deriveBlindIndexKey(workspaceKey) {
+  const cached = blindKeyCache.get(workspaceKey);
+  if (cached) return cached;
+
+  const raw = await crypto.subtle.exportKey("raw", workspaceKey);
+  const baseKey = await crypto.subtle.importKey("raw", raw, "HKDF", false, ["deriveKey"]);
+  const blindKey = await crypto.subtle.deriveKey(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: new Uint8Array(0),
+      info: new TextEncoder().encode(BLIND_INDEX_INFO),
+    },
+    baseKey,
+    { name: "HMAC", hash: "SHA-256", length: 256 },
+    false,
+    ["sign"]
+  );
+  blindKeyCache.set(workspaceKey, blindKey);
+  return blindKey;
+}
+
+/**
+ * Compute a deterministic blind-index token for a search term.
+ * Equal terms yield equal tokens, so an index can match terms without
+ * storing them in plaintext.
+ * @param {string} term - Normalized (lowercased) term
+ * @param {CryptoKey} blindKey - Key from deriveBlindIndexKey
+ * @returns {string} 16 hex chars
+ */
+export async function blindToken(term, blindKey) {
+  const sig = await crypto.subtle.sign("HMAC", blindKey, new TextEncoder().encode(term));
+  return Array.from(new Uint8Array(sig).slice(0, BLIND_TOKEN_HEX / 2))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
@@ -0,0 +1,113 @@
+/**
+ * Decay policies — how fast a memory's recency fades.
+ *
+ * Stored as JSON in the decay_policies workspace setting:
+ *
+ *   { "default": 7, "types": { "instruction": "never" }, "tags": { "scratch": 1 } }
+ *
+ * Values are half-lives in days, or "never". A pinned memory never decays.
+ * Otherwise the slowest policy among the memory's tags applies, then the
+ * policy for its type, then the default (7 days). Used by query-time
+ * scoring (services/scoring.js) and the decay job (services/decay.js).
+ */
+
+export const DECAY_SETTING = "decay_policies";
+export const DEFAULT_HALF_LIFE_HOURS = 168;
+
+const SECTIONS = ["types", "tags"];
+
+/** "never" -> Infinity, days -> hours; null when invalid. */
+function toHours(value) {
+  if (value === "never") return Infinity;
+  const days = typeof value === "number" ? value : NaN;
+  return Number.isFinite(days) && days > 0 ? days * 24 : null;
+}
+
+/**
+ * Validate a decay_policies value (JSON string or object).
+ * @param {unknown} value
+ * @returns {{ policies: { default: number, types: Record<string, number>, tags: Record<string, number> } } | { error: string }}
+ *   Half-lives in hours (Infinity for "never")
+ */
+export function parseDecayPolicies(value) {
+  let raw = value;
+  if (typeof value === "string") {
+    try {
+      raw = JSON.parse(value);
+    } catch {
+      return { error: "decay_policies must be a JSON object." };
+    }
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "decay_policies must be a JSON object." };
+  }
+  const unknown = Object.keys(raw).filter((k) => k !== "default" && !SECTIONS.includes(k));
+  if (unknown.length > 0) {
+    return { error: `Unknown decay_policies key: ${unknown.join(", ")}. Use "default", "types" and "tags".` };
+  }
+
+  // Null-prototype maps, so a tag named "constructor" is just a tag
+  const policies = { default: DEFAULT_HALF_LIFE_HOURS, types: Object.create(null), tags: Object.create(null) };
+  if (raw.default !== undefined) {
+    policies.default = toHours(raw.default);
+    if (policies.default === null) return { error: '"default" must be a half-life in days or "never".' };
+  }
+  for (const section of SECTIONS) {
+    if (raw[section] === undefined) continue;
+    if (!raw[section] || typeof raw[section] !== "object" || Array.isArray(raw[section])) {
+      return { error: `"${section}" must map names to a half-life in days or "never".` };
+    }
+    for (const [name, days] of Object.entries(raw[section])) {
+      const hours = toHours(days);
+      if (hours === null) return { error: `${section}.${name} must be a half-life in days or "never".` };
+      policies[section][name.toLowerCase()] = hours;
+    }
+  }
+  return { policies };
+}
+
+/**
+ * A workspace's decay policies. A missing or invalid setting means the
+ * default half-life for everything (null).
+ * @param {import("@libsql/client").Client} db - Workspace database client
+ */
+export async function loadDecayPolicies(db) {
+  const result = await db.execute({
+    sql: "SELECT value FROM workspace_settings WHERE key = ?",
+    args: [DECAY_SETTING],
+  });
+  if (result.rows.length === 0) return null;
+  const parsed = parseDecayPolicies(result.rows[0].value);
+  return parsed.error ? null : parsed.policies;
+}
+
+function memoryTags(tags) {
+  if (Array.isArray(tags)) return tags;
+  try {
+    const parsed = JSON.parse(tags || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Half-life in hours for one memory; Infinity when it does not decay.
+ * @param {{ type?: string, tags?: string|string[], pinned?: number|boolean }} memory
+ * @param {object|null} policies - From loadDecayPolicies / parseDecayPolicies
+ * @returns {number}
+ */
+export function halfLifeHours(memory, policies) {
+  if (memory.pinned) return Infinity;
+  if (!policies) return DEFAULT_HALF_LIFE_HOURS;
+
+  let tagHalfLife = null;
+  for (const tag of memoryTags(memory.tags)) {
+    const hours = policies.tags[String(tag).toLowerCase()];
+    if (hours !== undefined && (tagHalfLife === null || hours > tagHalfLife)) tagHalfLife = hours;
+  }
+  if (tagHalfLife !== null) return tagHalfLife;
+
+  const typeHalfLife = memory.type ? policies.types[memory.type.toLowerCase()] : undefined;
+  return typeHalfLife ?? policies.default;
+}
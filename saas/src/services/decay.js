@@ -6,9 +6,13 @@
  * service but without the keyword component (keyword is query-time only).
  *
  * Relevance = recency * accessBoost * lastAccessRecency
+ *
+ * Recency follows the workspace's decay policies; pinned memories keep
+ * full recency (see services/decay-policies.js).
  */
 
 import { scoreMemory } from "./scoring.js";
+import { loadDecayPolicies } from "./decay-policies.js";
 
 /**
  * Calculate the decay factor for a given creation time.
@@ -16,10 +20,11 @@ import { scoreMemory } from "./scoring.js";
  *
  * @param {string|Date} createdAt - Memory creation timestamp
  * @param {Date} now - Current timestamp
- * @param {number} halfLifeHours - Half-life in hours (default: 168 = 7 days)
+ * @param {number} halfLifeHours - Half-life in hours (default: 168 = 7 days); Infinity never decays
  * @returns {number} Decay factor between 0 and 1
  */
 export function decayFactor(createdAt, now, halfLifeHours = 168) {
+  if (halfLifeHours === Infinity) return 1.0;
   const created = createdAt instanceof Date ? createdAt : new Date(createdAt);
   const ageHours = (now.getTime() - created.getTime()) / 3_600_000;
   if (ageHours <= 0) return 1.0;
@@ -38,9 +43,10 @@ export function decayFactor(createdAt, now, halfLifeHours = 168) {
 export async function applyDecay(db, now) {
   const timestamp = now || new Date();
   const nowIso = timestamp.toISOString();
+  const policies = await loadDecayPolicies(db);
 
   const result = await db.execute({
-    sql: `SELECT id, content, type, tags, created_at, access_count, last_accessed_at, relevance
+    sql: `SELECT id, content, type, tags, pinned, created_at, access_count, last_accessed_at, relevance
           FROM memories
           WHERE consolidated = 0
             AND (expires_at IS NULL OR expires_at > ?)`,
@@ -52,7 +58,7 @@ export async function applyDecay(db, now) {
   for (const row of result.rows) {
     // scoreMemory with empty queryTerms array — skips keyword gate,
     // returns recency * accessBoost * lastAccessRecency
-    const newRelevance = scoreMemory(row, [], timestamp);
+    const newRelevance = scoreMemory(row, [], timestamp, policies);
 
     // Only update if value actually changed (avoid unnecessary writes)
     const oldRelevance = row.relevance ?? 1.0;
@@ -0,0 +1,231 @@
+/**
+ * Near-duplicate detection on store.
+ *
+ * Before a memory is stored, its nearest neighbours -- by BM25 keyword match
+ * and, when embeddings are configured, by vector similarity -- are compared
+ * with it:
+ *
+ *   - exact:   same fingerprint (SHA-256 of the text lowercased, with
+ *              punctuation and whitespace runs collapsed)
+ *   - keyword: Jaccard overlap of content words >= 0.8 (at least 3 each)
+ *   - vector:  cosine similarity >= dedup_threshold
+ *
+ * A neighbour that contradicts the new memory is never its duplicate; that
+ * is the contradiction check's job. The workspace setting dedup_mode picks
+ * what happens to a duplicate write:
+ *
+ *   off     store it (default)
+ *   reject  don't store it
+ *   merge   don't store it; bump the existing memory's access_count and add
+ *           the new tags to it
+ *   link    store it with a `duplicate_of` linkage to the existing memory
+ */
+
+import { createHash } from "node:crypto";
+import { decryptField } from "./crypto.js";
+import { ftsCandidateIds, indexMemory } from "./fts.js";
+import { semanticSearch } from "./embeddings.js";
+import { detectConflict, jaccard, terms } from "./contradictions.js";
+import { recordRevision } from "./revisions.js";
+
+export const DUPLICATE_LABEL = "duplicate_of";
+export const DEDUP_MODES = ["off", "reject", "merge", "link"];
+export const DEFAULT_DEDUP_THRESHOLD = 0.92;
+
+const KEYWORD_NEIGHBOURS = 20;
+const VECTOR_NEIGHBOURS = 10;
+const KEYWORD_THRESHOLD = 0.8;
+const MIN_TERMS = 3;
+const MATCH_RANK = { exact: 0, keyword: 1, vector: 2 };
+
+// ---------------------------------------------------------------------------
+// Comparison
+// ---------------------------------------------------------------------------
+
+/** Fingerprint of a memory's text, insensitive to case, punctuation and spacing. */
+export function fingerprint(text) {
+  const normalized = (text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+  return createHash("sha256").update(normalized).digest("hex");
+}
+
+/**
+ * Compare two memory contents by text alone.
+ * @param {string} a
+ * @param {string} b
+ * @returns {{ match: "exact"|"keyword", similarity: number }|null}
+ */
+export function compareContents(a, b) {
+  if (fingerprint(a) === fingerprint(b)) return { match: "exact", similarity: 1 };
+  if (detectConflict(a, b)) return null;
+
+  const termsA = terms(a);
+  const termsB = terms(b);
+  if (termsA.size < MIN_TERMS || termsB.size < MIN_TERMS) return null;
+  const similarity = jaccard(termsA, termsB);
+  return similarity >= KEYWORD_THRESHOLD ? { match: "keyword", similarity } : null;
+}
+
+// ---------------------------------------------------------------------------
+// Detection
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve dedup_mode and dedup_threshold. Invalid values fall back to the
+ * defaults ("off", 0.92).
+ * @param {import("@libsql/client").Client} db - Workspace database client
+ * @returns {Promise<{ mode: "off"|"reject"|"merge"|"link", threshold: number }>}
+ */
+export async function loadDedupOptions(db) {
+  const result = await db.execute(
+    "SELECT key, value FROM workspace_settings WHERE key IN ('dedup_mode', 'dedup_threshold')"
+  );
+  const settings = Object.fromEntries(result.rows.map((r) => [r.key, r.value]));
+  const threshold = Number(settings.dedup_threshold);
+  return {
+    mode: DEDUP_MODES.includes(settings.dedup_mode) ? settings.dedup_mode : "off",
+    threshold: settings.dedup_threshold && threshold >= 0 && threshold <= 1 ? threshold : DEFAULT_DEDUP_THRESHOLD,
+  };
+}
+
+/**
+ * Find the active memory that a new memory most likely duplicates. Exact
+ * matches win over keyword matches, which win over vector matches.
+ *
+ * @param {import("@libsql/client").Client} db - Workspace database client
+ * @param {object} env - Workers environment (vector neighbours when embeddings are configured)
+ * @param {CryptoKey|null} encKey - Workspace encryption key
+ * @param {string} workspaceName - Workspace name (vector namespace)
+ * @param {{ content: string, threshold?: number }} memory
+ * @returns {Promise<{ id: string, content: string, tags: string[], match: string, similarity: number }|null>}
+ */
+export async function findDuplicate(db, env, encKey, workspaceName, { content, threshold = DEFAULT_DEDUP_THRESHOLD }) {
+  const ids = new Set(await ftsCandidateIds(db, content, encKey, KEYWORD_NEIGHBOURS) || []);
+  const vectorScores = new Map();
+  if (workspaceName) {
+    for (const match of await semanticSearch(env, workspaceName, content, VECTOR_NEIGHBOURS)) {
+      ids.add(match.id);
+      vectorScores.set(match.id, match.score);
+    }
+  }
+  if (ids.size === 0) return null;
+
+  // Client-encrypted rows are ciphertext to the server, so they can't be compared
+  const result = await db.execute({
+    sql: `SELECT id, content, tags FROM memories
+          WHERE id IN (${[...ids].map(() => "?").join(", ")})
+            AND consolidated = 0
+            AND blind_index IS NULL
+            AND (expires_at IS NULL OR expires_at > ?)`,
+    args: [...ids, new Date().toISOString()],
+  });
+
+  let best = null;
+  for (const row of result.rows) {
+    const other = encKey ? await decryptField(row.content, encKey) : row.content;
+    let found = compareContents(content, other);
+    const score = vectorScores.get(row.id);
+    if (!found && score >= threshold && !detectConflict(content, other)) {
+      found = { match: "vector", similarity: score };
+    }
+    if (!found) continue;
+
+    const better = !best
+      || MATCH_RANK[found.match] < MATCH_RANK[best.match]
+      || (found.match === best.match && found.similarity > best.similarity);
+    if (better) {
+      let tags;
+      try {
+        tags = JSON.parse(row.tags || "[]");
+      } catch {
+        tags = [];
+      }
+      best = { id: row.id, content: other, tags, ...found };
+    }
+  }
+  return best;
+}
+
+/**
+ * Check a memory about to be stored against the workspace's dedup_mode.
+ *
+ * @param {import("@libsql/client").Client} db
+ * @param {object} env
+ * @param {CryptoKey|null} encKey
+ * @param {string} workspaceName
+ * @param {{ content: string }} memory
+ * @returns {Promise<{ mode: "reject"|"merge"|"link", duplicate: object }|null>} null when
+ *   dedup is off or the memory has no duplicate
+ */
+export async function checkDuplicate(db, env, encKey, workspaceName, { content }) {
+  const { mode, threshold } = await loadDedupOptions(db);
+  if (mode === "off") return null;
+
+  const duplicate = await findDuplicate(db, env, encKey, workspaceName, { content, threshold });
+  return duplicate ? { mode, duplicate } : null;
+}
+
+// ---------------------------------------------------------------------------
+// Actions
+// ---------------------------------------------------------------------------
+
+/**
+ * Merge a duplicate write into the existing memory: count it as an access
+ * and add any tags it doesn't have yet. A tag change is recorded as a
+ * revision attributed to the writer and re-indexed.
+ *
+ * @param {import("@libsql/client").Client} db
+ * @param {CryptoKey|null} encKey
+ * @param {{ id: string, content: string, tags: string[] }} duplicate - From findDuplicate
+ * @param {string[]} tags - Tags of the write being merged
+ * @param {string} [source="api"] - Revision source (see services/revisions.js)
+ * @returns {Promise<string[]>} Tags that were added
+ */
+export async function mergeDuplicate(db, encKey, duplicate, tags = [], source = "api") {
+  const added = [...new Set(tags)].filter((t) => !duplicate.tags.includes(t));
+  const merged = [...duplicate.tags, ...added];
+
+  if (added.length > 0) await recordRevision(db, duplicate.id, source);
+  await db.execute({
+    sql: `UPDATE memories SET access_count = access_count + 1, last_accessed_at = datetime('now'), tags = ?
+          WHERE id = ?`,
+    args: [JSON.stringify(merged), duplicate.id],
+  });
+  if (added.length > 0) {
+    await indexMemory(db, { id: duplicate.id, content: duplicate.content, tags: merged }, encKey);
+  }
+
+  // Fire-and-forget activity log
+  db.execute({
+    sql: `INSERT INTO activity_log (action, memory_id, detail) VALUES (?, ?, ?)`,
+    args: ["update", duplicate.id, "duplicate merged"],
+  }).catch(() => {});
+
+  return added;
+}
+
+/** Linkages with a `duplicate_of` link to the existing memory added. */
+export function linkDuplicate(linkages, duplicate) {
+  const exists = linkages.some((l) => l.type === "memory" && l.id === duplicate.id && l.label === DUPLICATE_LABEL);
+  return exists ? linkages : [...linkages, { type: "memory", id: duplicate.id, label: DUPLICATE_LABEL }];
+}
+
+/**
+ * Summary of a dedup decision for a store response.
+ * @param {"rejected"|"merged"|"linked"} action
+ * @param {{ id: string, match: string, similarity: number }} duplicate
+ * @param {string[]} [addedTags] - For "merged"
+ */
+export function dedupResult(action, duplicate, addedTags) {
+  const result = {
+    action,
+    duplicate_of: duplicate.id,
+    match: duplicate.match,
+    similarity: Math.round(duplicate.similarity * 1000) / 1000,
+  };
+  if (addedTags) result.added_tags = addedTags;
+  return result;
+}
@@ -0,0 +1,195 @@
+/**
+ * Embedding providers.
+ *
+ * Configuration is read from Workers env bindings, falling back to
+ * process.env in Node mode:
+ *
+ *   EMBEDDING_PROVIDER    - "nomic" | "openai" | "local". Defaults to "nomic" when
+ *                           NOMIC_API_KEY is set, "openai" when EMBEDDING_API_URL is
+ *                           set, otherwise no provider (keyword-only recall).
+ *   NOMIC_API_KEY         - Nomic Atlas key (text + vision in one 768-dim space)
+ *   EMBEDDING_API_URL     - OpenAI-compatible base URL, e.g. https://api.openai.com/v1
+ *                           (Ollama, vLLM, LM Studio and llama.cpp expose the same API)
+ *   EMBEDDING_API_KEY     - Bearer token for EMBEDDING_API_URL (optional)
+ *   EMBEDDING_MODEL       - Model name; each provider has a default
+ *   EMBEDDING_DIMENSIONS  - Requested output size (OpenAI-compatible only)
+ *
+ * The "local" provider runs a transformers.js (ONNX) model in-process on CPU.
+ * It is Node-only and needs the optional dependency @huggingface/transformers
+ * (installed by default; skipped with `npm install --omit=optional`). Its
+ * ready() rejects with a configuration error when the package is missing.
+ *
+ * Every provider exposes an `id` ("<provider>:<model>") that is stored with
+ * each vector, so switching models can be detected and re-embedded.
+ */
+
+const NOMIC_TEXT_URL = "https://api-atlas.nomic.ai/v1/embedding/text";
+const NOMIC_IMAGE_URL = "https://api-atlas.nomic.ai/v1/embedding/image";
+const NOMIC_TEXT_MODEL = "nomic-embed-text-v1.5";
+const NOMIC_IMAGE_MODEL = "nomic-embed-vision-v1.5";
+const OPENAI_DEFAULT_MODEL = "text-embedding-3-small";
+const LOCAL_DEFAULT_MODEL = "Xenova/all-MiniLM-L6-v2";
+const LOCAL_PACKAGE = "@huggingface/transformers";
+
+/** Model id assumed for vectors embedded before models were recorded. */
+export const LEGACY_EMBEDDING_MODEL = `nomic:${NOMIC_TEXT_MODEL}`;
+
+function setting(env, key) {
+  return env?.[key] || process.env[key] || "";
+}
+
+// ---------------------------------------------------------------------------
+// Nomic
+// ---------------------------------------------------------------------------
+
+function nomicProvider(apiKey) {
+  async function embed(text, taskType) {
+    const response = await fetch(NOMIC_TEXT_URL, {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ model: NOMIC_TEXT_MODEL, texts: [text], task_type: taskType }),
+    });
+    if (!response.ok) return null;
+
+    const result = await response.json();
+    if (!result?.embeddings?.[0]) return null;
+    return new Float32Array(result.embeddings[0]);
+  }
+
+  return {
+    id: LEGACY_EMBEDDING_MODEL,
+    embedDocument: (text) => embed(text, "search_document"),
+    embedQuery: (text) => embed(text, "search_query"),
+
+    // Vision embeddings share the text vector space, so images and text are cross-searchable
+    async embedImage(imageBytes) {
+      const formData = new FormData();
+      formData.append("model", NOMIC_IMAGE_MODEL);
+      formData.append("images", new Blob([imageBytes], { type: "image/jpeg" }), "image.jpg");
+
+      const response = await fetch(NOMIC_IMAGE_URL, {
+        method: "POST",
+        headers: { "Authorization": `Bearer ${apiKey}` },
+        body: formData,
+      });
+      if (!response.ok) return null;
+
+      const result = await response.json();
+      if (!result?.embeddings?.[0]) return null;
+      return new Float32Array(result.embeddings[0]);
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// OpenAI-compatible /embeddings
+// ---------------------------------------------------------------------------
+
+function openaiProvider(baseUrl, apiKey, model, dimensions) {
+  const url = `${baseUrl.replace(/\/$/, "")}/embeddings`;
+
+  async function embed(text) {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    const body = { model, input: [text] };
+    if (dimensions) body.dimensions = dimensions;
+
+    const response = await fetch(url, { method: "POST", headers, body: JSON.stringify(body) });
+    if (!response.ok) return null;
+
+    const result = await response.json();
+    if (!result?.data?.[0]?.embedding) return null;
+    return new Float32Array(result.data[0].embedding);
+  }
+
+  return {
+    id: `openai:${model}${dimensions ? `@${dimensions}` : ""}`,
+    embedDocument: embed,
+    embedQuery: embed,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Local (transformers.js)
+// ---------------------------------------------------------------------------
+
+function localProvider(model) {
+  let extractor = null;
+
+  /** Load the pipeline once. Rejects when the package or model can't load. */
+  function ready() {
+    if (!extractor) {
+      extractor = (async () => {
+        let transformers;
+        try {
+          // Variable specifier keeps the Workers bundler from resolving this Node-only package
+          transformers = await import(LOCAL_PACKAGE);
+        } catch {
+          throw new Error(
+            `EMBEDDING_PROVIDER=local needs the optional dependency ${LOCAL_PACKAGE}. ` +
+              `Install it with \`npm install ${LOCAL_PACKAGE}\` or choose another provider.`
+          );
+        }
+        return transformers.pipeline("feature-extraction", model);
+      })();
+      extractor.catch((err) => console.error(`Local embedding model "${model}" unavailable: ${err.message}`));
+    }
+    return extractor;
+  }
+
+  async function embed(text) {
+    const pipe = await ready().catch(() => null);
+    if (!pipe) return null;
+
+    const output = await pipe(text, { pooling: "mean", normalize: true });
+    return new Float32Array(output.data);
+  }
+
+  return {
+    id: `local:${model}`,
+    ready,
+    embedDocument: embed,
+    embedQuery: embed,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Resolution
+// ---------------------------------------------------------------------------
+
+/** Providers are cached by configuration so local models load once per process. */
+const providerCache = new Map();
+
+/**
+ * Resolve the configured embedding provider.
+ *
+ * @param {object} env - Workers env bindings (or Hono Node bindings)
+ * @returns {{ id: string, embedDocument: Function, embedQuery: Function, embedImage?: Function, ready?: Function }|null}
+ *   null when no provider is configured
+ */
+export function getEmbeddingProvider(env) {
+  const nomicKey = setting(env, "NOMIC_API_KEY");
+  const apiUrl = setting(env, "EMBEDDING_API_URL");
+  const name = setting(env, "EMBEDDING_PROVIDER") || (nomicKey ? "nomic" : apiUrl ? "openai" : "");
+  const apiKey = setting(env, "EMBEDDING_API_KEY");
+  const model = setting(env, "EMBEDDING_MODEL");
+  const dimensions = parseInt(setting(env, "EMBEDDING_DIMENSIONS"), 10) || null;
+
+  const cacheKey = [name, nomicKey, apiUrl, apiKey, model, dimensions].join("|");
+  if (providerCache.has(cacheKey)) return providerCache.get(cacheKey);
+
+  let provider = null;
+  if (name === "nomic" && nomicKey) {
+    provider = nomicProvider(nomicKey);
+  } else if (name === "openai" && apiUrl) {
+    provider = openaiProvider(apiUrl, apiKey, model || OPENAI_DEFAULT_MODEL, dimensions);
+  } else if (name === "local") {
+    provider = localProvider(model || LOCAL_DEFAULT_MODEL);
+  }
+
+  providerCache.set(cacheKey, provider);
+  return provider;
+}
@@ -1,108 +1,67 @@
 /**
  * Embedding service for semantic recall.
  *
- * Uses Nomic Embed (text-v1.5 + vision-v1.5) for unified text+image embeddings
- * in a shared 768-dim vector space. Text and images are naturally cross-searchable.
- * Vectors stored in Cloudflare Vectorize.
+ * Text (and, with Nomic, image) embeddings come from the configured
+ * provider (see embedding-providers.js); vectors are stored in Cloudflare
+ * Vectorize, or the libSQL vector store in Node mode (vector-store.js). Each vector records the model that produced it, so switching
+ * providers/models is detected and re-embedded by backfillWorkspace.
+ *
+ * Client-encrypted memories are embedded by the client instead, which sends
+ * the vector along with the ciphertext. Those vectors are recorded under
+ * the model "client:<name>" and are only ever compared with query vectors
+ * from the same client model (clientVectorSearch).
  */
 
 import { decryptField, isEncrypted } from "./crypto.js";
-
-const NOMIC_TEXT_URL = "https://api-atlas.nomic.ai/v1/embedding/text";
-const NOMIC_IMAGE_URL = "https://api-atlas.nomic.ai/v1/embedding/image";
-const NOMIC_TEXT_MODEL = "nomic-embed-text-v1.5";
-const NOMIC_IMAGE_MODEL = "nomic-embed-vision-v1.5";
+import { getEmbeddingProvider, LEGACY_EMBEDDING_MODEL } from "./embedding-providers.js";
 
 /**
- * Embed a text string into a 768-dimension vector via Nomic.
+ * Embed a text string as a document vector.
  *
  * @param {object} env - Workers environment bindings
  * @param {string} text - Text to embed
  * @returns {Promise<Float32Array|null>} Embedding vector, or null if unavailable
  */
 export async function embedText(env, text) {
-  if (!env?.NOMIC_API_KEY) return null;
-
-  const response = await fetch(NOMIC_TEXT_URL, {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${env.NOMIC_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      model: NOMIC_TEXT_MODEL,
-      texts: [text],
-      task_type: "search_document",
-    }),
-  });
-
-  if (!response.ok) return null;
-
-  const result = await response.json();
-  if (!result?.embeddings?.[0]) return null;
-  return new Float32Array(result.embeddings[0]);
+  const provider = getEmbeddingProvider(env);
+  if (!provider) return null;
+  return provider.embedDocument(text);
 }
 
 /**
- * Embed a text query into a 768-dimension vector via Nomic.
- * Uses task_type "search_query" for asymmetric search.
+ * Embed a text query. Providers with asymmetric models (Nomic) use a
+ * query-specific task type.
  *
  * @param {object} env - Workers environment bindings
  * @param {string} text - Query text to embed
  * @returns {Promise<Float32Array|null>} Embedding vector, or null if unavailable
  */
 export async function embedQuery(env, text) {
-  if (!env?.NOMIC_API_KEY) return null;
-
-  const response = await fetch(NOMIC_TEXT_URL, {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${env.NOMIC_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      model: NOMIC_TEXT_MODEL,
-      texts: [text],
-      task_type: "search_query",
-    }),
-  });
-
-  if (!response.ok) return null;
-
-  const result = await response.json();
-  if (!result?.embeddings?.[0]) return null;
-  return new Float32Array(result.embeddings[0]);
+  const provider = getEmbeddingProvider(env);
+  if (!provider) return null;
+  return provider.embedQuery(text);
 }
 
 /**
- * Embed an image into a 768-dimension vector via Nomic Vision.
- * Returns a vector in the same space as text embeddings — cross-modal search works naturally.
+ * Embed an image into the same space as text embeddings — cross-modal search
+ * works naturally. Only providers with a vision model (Nomic) support this.
  *
  * @param {object} env - Workers environment bindings
  * @param {Uint8Array} imageBytes - Raw image bytes
  * @returns {Promise<Float32Array|null>} Embedding vector, or null if unavailable
  */
 export async function embedImage(env, imageBytes) {
-  if (!env?.NOMIC_API_KEY) return null;
-
-  // Nomic vision API requires multipart/form-data with file uploads
-  const formData = new FormData();
-  formData.append("model", NOMIC_IMAGE_MODEL);
-  formData.append("images", new Blob([imageBytes], { type: "image/jpeg" }), "image.jpg");
-
-  const response = await fetch(NOMIC_IMAGE_URL, {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${env.NOMIC_API_KEY}`,
-    },
-    body: formData,
-  });
-
-  if (!response.ok) return null;
+  const provider = getEmbeddingProvider(env);
+  if (!provider?.embedImage) return null;
+  return provider.embedImage(imageBytes);
+}
 
-  const result = await response.json();
-  if (!result?.embeddings?.[0]) return null;
-  return new Float32Array(result.embeddings[0]);
+/**
+ * Whether a vector match came from the current model. Vectors stored before
+ * models were recorded carry no model and count as LEGACY_EMBEDDING_MODEL.
+ */
+function isCurrentModel(match, provider) {
+  return (match.metadata?.model || LEGACY_EMBEDDING_MODEL) === provider.id;
 }
 
 /**
@@ -112,12 +71,14 @@ export async function embedImage(env, imageBytes) {
  * @param {string} workspaceId - Workspace identifier (used as namespace prefix)
  * @param {string} memoryId - Memory row ID
  * @param {string} content - Memory content to embed
+ * @param {object|null} [db=null] - Workspace database; when given, records embedded_at + embedding_model
  * @returns {Promise<boolean>} True if stored successfully, false otherwise
  */
-export async function embedAndStore(env, workspaceId, memoryId, content) {
-  if (!env?.NOMIC_API_KEY || !env?.VECTORIZE) return false;
+export async function embedAndStore(env, workspaceId, memoryId, content, db = null) {
+  const provider = getEmbeddingProvider(env);
+  if (!provider || !env?.VECTORIZE) return false;
 
-  const embedding = await embedText(env, content);
+  const embedding = await provider.embedDocument(content);
   if (!embedding) return false;
 
   const vectorId = `${workspaceId}:${memoryId}`;
@@ -125,10 +86,17 @@ export async function embedAndStore(env, workspaceId, memoryId, content) {
     {
       id: vectorId,
       values: Array.from(embedding),
-      metadata: { workspace_id: workspaceId, memory_id: memoryId, type: "text" },
+      metadata: { workspace_id: workspaceId, memory_id: memoryId, type: "text", model: provider.id },
     },
   ]);
 
+  if (db) {
+    await db.execute({
+      sql: "UPDATE memories SET embedded_at = datetime('now'), embedding_model = ? WHERE id = ?",
+      args: [provider.id, memoryId],
+    });
+  }
+
   return true;
 }
 
@@ -144,9 +112,10 @@ export async function embedAndStore(env, workspaceId, memoryId, content) {
  * @returns {Promise<boolean>} True if stored successfully, false otherwise
  */
 export async function embedImageAndStore(env, workspaceId, memoryId, imageBytes, imageIndex) {
-  if (!env?.NOMIC_API_KEY || !env?.VECTORIZE) return false;
+  const provider = getEmbeddingProvider(env);
+  if (!provider?.embedImage || !env?.VECTORIZE) return false;
 
-  const embedding = await embedImage(env, imageBytes);
+  const embedding = await provider.embedImage(imageBytes);
   if (!embedding) return false;
 
   const vectorId = `${workspaceId}:${memoryId}:img:${imageIndex}`;
@@ -154,10 +123,66 @@ export async function embedImageAndStore(env, workspaceId, memoryId, imageBytes,
     {
       id: vectorId,
       values: Array.from(embedding),
-      metadata: { workspace_id: workspaceId, memory_id: memoryId, type: "image", image_index: imageIndex },
+      metadata: {
+        workspace_id: workspaceId,
+        memory_id: memoryId,
+        type: "image",
+        image_index: imageIndex,
+        model: provider.id,
+      },
+    },
+  ]);
+
+  return true;
+}
+
+/** Model prefix for vectors computed by end-to-end encrypting clients. */
+export const CLIENT_MODEL_PREFIX = "client:";
+
+const MAX_CLIENT_DIMENSIONS = 4096;
+
+/**
+ * Validate a client-supplied embedding, { model, values }.
+ * @param {unknown} value
+ * @returns {{ model: string, values: number[] }|null} null when absent or malformed
+ */
+export function parseClientEmbedding(value) {
+  if (!value || typeof value !== "object") return null;
+  const { model, values } = value;
+  if (typeof model !== "string" || !model || model.length > 200) return null;
+  if (!Array.isArray(values) || values.length === 0 || values.length > MAX_CLIENT_DIMENSIONS) return null;
+  if (!values.every((v) => typeof v === "number" && Number.isFinite(v))) return null;
+  return { model, values };
+}
+
+/**
+ * Upsert a vector computed by the client for a client-encrypted memory.
+ *
+ * @param {object} env - Workers environment bindings
+ * @param {string} workspaceId - Workspace identifier
+ * @param {string} memoryId - Memory row ID
+ * @param {{ model: string, values: number[] }} embedding - From parseClientEmbedding
+ * @param {object|null} [db=null] - Workspace database; when given, records embedded_at + embedding_model
+ * @returns {Promise<boolean>} True if stored, false if no vector index is bound
+ */
+export async function storeClientVector(env, workspaceId, memoryId, { model, values }, db = null) {
+  if (!env?.VECTORIZE) return false;
+
+  const modelId = `${CLIENT_MODEL_PREFIX}${model}`;
+  await env.VECTORIZE.upsert([
+    {
+      id: `${workspaceId}:${memoryId}`,
+      values,
+      metadata: { workspace_id: workspaceId, memory_id: memoryId, type: "text", model: modelId },
     },
   ]);
 
+  if (db) {
+    await db.execute({
+      sql: "UPDATE memories SET embedded_at = datetime('now'), embedding_model = ? WHERE id = ?",
+      args: [modelId, memoryId],
+    });
+  }
   return true;
 }
 
@@ -193,9 +218,10 @@ function deduplicateVectorResults(matches) {
 }
 
 export async function semanticSearch(env, workspaceId, query, topK = 10) {
-  if (!env?.NOMIC_API_KEY || !env?.VECTORIZE) return [];
+  const provider = getEmbeddingProvider(env);
+  if (!provider || !env?.VECTORIZE) return [];
 
-  const embedding = await embedQuery(env, query);
+  const embedding = await provider.embedQuery(query);
   if (!embedding) return [];
 
   let results;
@@ -210,7 +236,8 @@ export async function semanticSearch(env, workspaceId, query, topK = 10) {
   }
 
   if (!results?.matches) return [];
-  return deduplicateVectorResults(results.matches);
+  // Vectors from a previous model live in a different space until re-embedded
+  return deduplicateVectorResults(results.matches.filter((m) => isCurrentModel(m, provider)));
 }
 
 /**
@@ -223,9 +250,10 @@ export async function semanticSearch(env, workspaceId, query, topK = 10) {
  * @returns {Promise<Array<{id: string, score: number, matched_image: boolean}>>}
  */
 export async function semanticImageSearch(env, workspaceId, imageBytes, topK = 10) {
-  if (!env?.NOMIC_API_KEY || !env?.VECTORIZE) return [];
+  const provider = getEmbeddingProvider(env);
+  if (!provider?.embedImage || !env?.VECTORIZE) return [];
 
-  const embedding = await embedImage(env, imageBytes);
+  const embedding = await provider.embedImage(imageBytes);
   if (!embedding) return [];
 
   let results;
@@ -240,7 +268,8 @@ export async function semanticImageSearch(env, workspaceId, imageBytes, topK = 1
   }
 
   if (!results?.matches) return [];
-  return deduplicateVectorResults(results.matches);
+  // Vectors from a previous model live in a different space until re-embedded
+  return deduplicateVectorResults(results.matches.filter((m) => isCurrentModel(m, provider)));
 }
 
 /**
@@ -284,6 +313,68 @@ export async function semanticMultiSearch(env, workspaceId, { text, images }, to
   return Array.from(bestByMemory.values());
 }
 
+/**
+ * Search with a query vector computed by the client. Only vectors from the
+ * same client model are compared.
+ *
+ * @param {object} env - Workers environment bindings
+ * @param {string} workspaceId - Workspace identifier to filter by
+ * @param {{ model: string, values: number[] }} embedding - From parseClientEmbedding
+ * @param {number} [topK=10] - Maximum results to return
+ * @returns {Promise<Array<{id: string, score: number, matched_image: boolean}>>}
+ */
+export async function clientVectorSearch(env, workspaceId, { model, values }, topK = 10) {
+  if (!env?.VECTORIZE) return [];
+
+  let results;
+  try {
+    results = await env.VECTORIZE.query(values, {
+      topK,
+      filter: { workspace_id: workspaceId },
+      returnMetadata: true,
+    });
+  } catch {
+    return [];
+  }
+
+  const modelId = `${CLIENT_MODEL_PREFIX}${model}`;
+  return deduplicateVectorResults((results?.matches || []).filter((m) => m.metadata?.model === modelId));
+}
+
+/** Vectors fetched per getByIds call. */
+const VECTOR_FETCH_BATCH = 100;
+
+/**
+ * Fetch the stored text vectors of memories from the current model.
+ * Memories that were never embedded, or were embedded by another model,
+ * are absent from the result.
+ *
+ * @param {object} env - Workers environment bindings
+ * @param {string} workspaceId - Workspace identifier
+ * @param {string[]} memoryIds - Memory row IDs
+ * @returns {Promise<Map<string, number[]>>} Vectors keyed by memory ID
+ */
+export async function getMemoryVectors(env, workspaceId, memoryIds) {
+  const provider = getEmbeddingProvider(env);
+  const vectors = new Map();
+  if (!provider || !env?.VECTORIZE?.getByIds) return vectors;
+
+  for (let i = 0; i < memoryIds.length; i += VECTOR_FETCH_BATCH) {
+    const ids = memoryIds.slice(i, i + VECTOR_FETCH_BATCH).map((id) => `${workspaceId}:${id}`);
+    let found;
+    try {
+      found = await env.VECTORIZE.getByIds(ids);
+    } catch {
+      return vectors;
+    }
+    for (const vector of found || []) {
+      if (!isCurrentModel(vector, provider)) continue;
+      vectors.set(vector.metadata?.memory_id || vector.id.split(":")[1], Array.from(vector.values));
+    }
+  }
+  return vectors;
+}
+
 /**
  * Remove a text vector from the Vectorize index.
  *
@@ -321,8 +412,9 @@ export async function removeImageVectors(env, workspaceId, memoryId, imageCount)
 }
 
 /**
- * Backfill embeddings for all memories that haven't been embedded yet.
- * Re-embeds text with Nomic and embeds images from R2.
+ * Backfill embeddings for memories that haven't been embedded yet, or were
+ * embedded by a different model than the current provider's.
+ * Embeds text with the configured provider and images from R2.
  * Processes in batches of 50 to stay within rate limits.
  *
  * @param {object} env - Workers environment bindings
@@ -330,12 +422,20 @@ export async function removeImageVectors(env, workspaceId, memoryId, imageCount)
  * @param {string} workspaceId - Workspace identifier
  * @param {CryptoKey|null} [encKey=null] - Workspace encryption key for decrypting content
  * @param {number} [batchLimit=100] - Max memories to process per call (to stay within subrequest limits)
- * @returns {Promise<{embedded: number, skipped: number, errors: number, images_embedded: number, images_errors: number, remaining: number}>}
+ * @returns {Promise<{embedded: number, skipped: number, errors: number, images_embedded: number, images_errors: number, remaining: number, error?: string}>}
+ *   error when the provider is misconfigured (nothing is embedded)
  */
 export async function backfillWorkspace(env, db, workspaceId, encKey = null, batchLimit = 100, { imagesOnly = false } = {}) {
-  if (!env?.NOMIC_API_KEY || !env?.VECTORIZE) {
+  const provider = getEmbeddingProvider(env);
+  if (!provider || !env?.VECTORIZE) {
     return { embedded: 0, skipped: 0, errors: 0, images_embedded: 0, images_errors: 0, remaining: 0 };
   }
+  try {
+    await provider.ready?.();
+  } catch (err) {
+    // Misconfigured provider (e.g. the local model's package is not installed)
+    return { embedded: 0, skipped: 0, errors: 0, images_embedded: 0, images_errors: 0, remaining: 0, error: err.message };
+  }
 
   let embedded = 0;
   let skipped = 0;
@@ -401,18 +501,21 @@ export async function backfillWorkspace(env, db, workspaceId, encKey = null, bat
     return { embedded: 0, skipped: 0, errors: 0, images_embedded, images_errors, remaining };
   }
 
-  // Standard mode: process memories that haven't been text-embedded yet
+  // Standard mode: process memories not yet text-embedded by the current model.
+  // Client-encrypted memories are left to the client that wrote them.
+  const staleFilter = `consolidated = 0 AND blind_index IS NULL
+            AND (embedded_at IS NULL OR COALESCE(embedding_model, ?) != ?)`;
   const result = await db.execute({
     sql: `SELECT id, content, images FROM memories
-          WHERE consolidated = 0 AND embedded_at IS NULL
+          WHERE ${staleFilter}
           ORDER BY created_at DESC
           LIMIT ?`,
-    args: [batchLimit],
+    args: [LEGACY_EMBEDDING_MODEL, provider.id, batchLimit],
   });
 
   const countResult = await db.execute({
-    sql: `SELECT COUNT(*) as count FROM memories WHERE consolidated = 0 AND embedded_at IS NULL`,
-    args: [],
+    sql: `SELECT COUNT(*) as count FROM memories WHERE ${staleFilter}`,
+    args: [LEGACY_EMBEDDING_MODEL, provider.id],
   });
   totalRemaining = countResult.rows[0].count;
 
@@ -439,12 +542,8 @@ export async function backfillWorkspace(env, db, workspaceId, encKey = null, bat
         skipped++;
       } else {
         try {
-          const success = await embedAndStore(env, workspaceId, row.id, plaintext);
+          const success = await embedAndStore(env, workspaceId, row.id, plaintext, db);
           if (success) {
-            await db.execute({
-              sql: "UPDATE memories SET embedded_at = datetime('now') WHERE id = ?",
-              args: [row.id],
-            });
             embedded++;
           } else {
             skipped++;
@@ -0,0 +1,170 @@
+/**
+ * Workers push for the change feed — one Durable Object per workspace.
+ *
+ * Workers cannot hold an SSE stream open to poll the database, so on Workers
+ * GET /v1/events accepts a WebSocket instead and hands it to the workspace's
+ * EventHub. The hub keeps its sockets with the hibernation API (an idle hub
+ * costs nothing) and stores each socket's event filter and last sent id on
+ * the socket itself.
+ *
+ * After every write the workspace middleware calls publishEvents(), which
+ * pokes the hub; the hub then reads activity_log past the oldest socket's
+ * last id and sends each socket the events it has not seen. A new socket is
+ * caught up the same way, so Last-Event-ID resumes work as with SSE.
+ *
+ * Frames are JSON text: first { type: "ready", last_event_id }, then one
+ * event per frame in the format=json shape (services/events.js).
+ */
+
+/* global WebSocketPair -- Workers runtime */
+
+import { getControlDb, getWorkspaceDb } from "../db/connection.js";
+import { readEvents } from "./events.js";
+
+const BATCH = 100;
+
+/** Send one JSON frame; a socket closing meanwhile is not an error. */
+function sendFrame(ws, data) {
+  try {
+    ws.send(JSON.stringify(data));
+  } catch {
+    // Closed -- the runtime drops it from getWebSockets()
+  }
+}
+
+/** The hub for a workspace, or null when the EVENT_HUB binding is missing. */
+function hubFor(env, workspaceId) {
+  if (!env?.EVENT_HUB) return null;
+  return env.EVENT_HUB.get(env.EVENT_HUB.idFromName(workspaceId));
+}
+
+/**
+ * Forward a WebSocket upgrade to the workspace's hub.
+ *
+ * @param {object} env - Workers env bindings
+ * @param {string} workspaceId
+ * @param {{ actions: string[]|null, lastId: number }} subscription
+ * @returns {Promise<Response>|null} The hub's 101 response, or null without a hub
+ */
+export function subscribeEvents(env, workspaceId, { actions, lastId }) {
+  const hub = hubFor(env, workspaceId);
+  if (!hub) return null;
+  const params = new URLSearchParams({ workspace_id: workspaceId, last_event_id: String(lastId) });
+  if (actions) params.set("actions", actions.join(","));
+  return hub.fetch(`https://event-hub/subscribe?${params}`, { headers: { Upgrade: "websocket" } });
+}
+
+/**
+ * Tell the workspace's hub there may be new events. No-op without a hub.
+ * @param {object} env - Workers env bindings
+ * @param {string} workspaceId
+ */
+export async function publishEvents(env, workspaceId) {
+  const hub = hubFor(env, workspaceId);
+  if (!hub) return;
+  const res = await hub.fetch("https://event-hub/publish", {
+    method: "POST",
+    body: JSON.stringify({ workspace_id: workspaceId }),
+  });
+  await res.body?.cancel();
+}
+
+/** Durable Object class, bound as EVENT_HUB in wrangler.toml. */
+export class EventHub {
+  constructor(ctx, env) {
+    this.ctx = ctx;
+    this.queue = Promise.resolve();
+    // libsql reads the control plane credentials from process.env
+    if (env.MEMENTO_DB_URL) process.env.MEMENTO_DB_URL = env.MEMENTO_DB_URL;
+    if (env.MEMENTO_DB_TOKEN) process.env.MEMENTO_DB_TOKEN = env.MEMENTO_DB_TOKEN;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    if (url.pathname === "/publish") {
+      const { workspace_id: workspaceId } = await request.json();
+      await this.flush(workspaceId, this.ctx.getWebSockets());
+      return new Response(null, { status: 204 });
+    }
+
+    if (url.pathname === "/subscribe" && request.headers.get("Upgrade") === "websocket") {
+      const [client, server] = Object.values(new WebSocketPair());
+      const actions = url.searchParams.get("actions");
+      this.accept(server, {
+        actions: actions === null ? null : actions.split(",").filter(Boolean),
+        lastId: Number(url.searchParams.get("last_event_id")),
+      });
+      this.flush(url.searchParams.get("workspace_id"), [server]).catch(() => {});
+      return new Response(null, { status: 101, webSocket: client });
+    }
+
+    return new Response(null, { status: 404 });
+  }
+
+  /** Register a socket and greet it. */
+  accept(ws, { actions, lastId }) {
+    this.ctx.acceptWebSocket(ws);
+    ws.serializeAttachment({ actions, lastId });
+    sendFrame(ws, { type: "ready", last_event_id: lastId });
+  }
+
+  /**
+   * Send sockets the events past their last id. Flushes run one at a time,
+   * so two publishes never send an event twice.
+   */
+  flush(workspaceId, sockets) {
+    const run = this.queue.then(() => this.send(workspaceId, sockets));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async send(workspaceId, sockets) {
+    const open = sockets
+      .map((ws) => ({ ws, state: ws.deserializeAttachment() }))
+      .filter(({ state }) => state);
+    if (open.length === 0) return;
+
+    const db = await this.workspaceDb(workspaceId);
+    let afterId = Math.min(...open.map(({ state }) => state.lastId));
+    for (;;) {
+      const batch = await readEvents(db, { afterId, actions: null, limit: BATCH });
+      for (const event of batch) {
+        for (const { ws, state } of open) {
+          if (event.id <= state.lastId) continue;
+          if (!state.actions || state.actions.includes(event.action)) sendFrame(ws, event);
+        }
+      }
+      if (batch.length > 0) afterId = batch[batch.length - 1].id;
+      if (batch.length < BATCH) break;
+    }
+
+    for (const { ws, state } of open) {
+      if (afterId > state.lastId) ws.serializeAttachment({ ...state, lastId: afterId });
+    }
+  }
+
+  async workspaceDb(workspaceId) {
+    if (!this.db) {
+      const result = await getControlDb().execute({
+        sql: "SELECT db_url, db_token FROM workspaces WHERE id = ?",
+        args: [workspaceId],
+      });
+      const row = result.rows[0];
+      if (!row) throw new Error(`Unknown workspace ${workspaceId}`);
+      this.db = getWorkspaceDb(row.db_url, row.db_token);
+    }
+    return this.db;
+  }
+
+  webSocketMessage() {
+    // Subscribers only listen
+  }
+
+  webSocketClose(ws, code) {
+    try {
+      ws.close(code, "closing");
+    } catch {
+      // Already closed, or a reserved code (1005/1006) that cannot be echoed
+    }
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Workspace change feed — activity_log rows as typed events.
+ *
+ * Every write route already records an activity_log action. The feed maps
+ * those actions to event types and uses the row's autoincrement id as the
+ * event id, so a client resumes from the last id it saw.
+ *
+ * Events carry IDs and the action detail only — never content — so they
+ * are safe to send for encrypted and end-to-end encrypted workspaces.
+ */
+
+/** activity_log action -> event type. */
+export const EVENT_TYPES = {
+  create: "memory.created",
+  ingest: "memory.created",
+  update: "memory.updated",
+  revert: "memory.updated",
+  unconsolidate: "memory.updated",
+  delete: "memory.deleted",
+  consolidate: "memory.consolidated",
+  consolidation_run: "consolidation.done",
+  crystallize: "identity.crystallized",
+  identity_update: "identity.updated",
+  item_create: "item.created",
+  item_update: "item.updated",
+  item_status: "item.status_changed",
+  item_delete: "item.deleted",
+  skip_add: "skip.added",
+  skip_remove: "skip.removed",
+  skip_expire: "skip.expired",
+};
+
+const ALL_TYPES = [...new Set(Object.values(EVENT_TYPES))];
+
+/**
+ * Resolve a `types` filter to activity_log actions. Accepts event types
+ * ("memory.created") and groups ("memory", "item", "skip", "identity",
+ * "consolidation").
+ * @param {string|undefined} param - Comma-separated types
+ * @returns {{ actions: string[]|null, unknown: string[] }} actions null = all
+ */
+export function parseEventTypes(param) {
+  const wanted = (param || "").split(",").map((t) => t.trim()).filter(Boolean);
+  if (wanted.length === 0) return { actions: null, unknown: [] };
+
+  const unknown = wanted.filter((t) => !ALL_TYPES.includes(t) && !ALL_TYPES.some((type) => type.startsWith(`${t}.`)));
+  const actions = Object.entries(EVENT_TYPES)
+    .filter(([, type]) => wanted.some((t) => type === t || type.startsWith(`${t}.`)))
+    .map(([action]) => action);
+  return { actions, unknown };
+}
+
+/** @returns {{ id: number, type: string, action: string, memory_id: string|null, entity_id: string|null, detail: string|null, created_at: string }} */
+export function formatEvent(row) {
+  return {
+    id: Number(row.id),
+    type: EVENT_TYPES[row.action],
+    action: row.action,
+    memory_id: row.memory_id || null,
+    entity_id: row.entity_id || null,
+    detail: row.detail || null,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Events after an id, oldest first.
+ * @param {object} db - Workspace database
+ * @param {{ afterId: number, actions: string[]|null, limit?: number }} opts
+ */
+export async function readEvents(db, { afterId, actions, limit = 100 }) {
+  const filter = actions ?? Object.keys(EVENT_TYPES);
+  if (filter.length === 0) return [];
+  const result = await db.execute({
+    sql: `SELECT id, action, memory_id, entity_id, detail, created_at
+          FROM activity_log
+          WHERE id > ? AND action IN (${filter.map(() => "?").join(", ")})
+          ORDER BY id ASC
+          LIMIT ?`,
+    args: [afterId, ...filter, limit],
+  });
+  return result.rows.map(formatEvent);
+}
+
+/** Id of the newest activity_log row (0 when empty). */
+export async function latestEventId(db) {
+  const result = await db.execute("SELECT COALESCE(MAX(id), 0) AS id FROM activity_log");
+  return Number(result.rows[0].id);
+}
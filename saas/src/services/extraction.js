@@ -7,6 +7,9 @@
 import { randomUUID } from "node:crypto";
 import { embedAndStore } from "./embeddings.js";
 import { encryptField, decryptField } from "./crypto.js";
+import { indexMemory } from "./fts.js";
+import { checkNewMemory } from "./contradictions.js";
+import { checkDuplicate, mergeDuplicate, linkDuplicate } from "./duplicates.js";
 
 const VALID_TYPES = new Set(["fact", "decision", "instruction", "observation", "preference"]);
 
@@ -197,16 +200,31 @@ export async function extractMemories({
       : [];
     const tags = JSON.stringify([...entryTags, sourceTag]);
 
+    // Rejected and merged duplicates aren't stored (see services/duplicates.js)
+    const dup = await checkDuplicate(db, env, encKey, workspaceName, { content: entry.content });
+    if (dup?.mode === "reject") continue;
+    if (dup?.mode === "merge") {
+      await mergeDuplicate(db, encKey, dup.duplicate, entryTags, "extraction");
+      continue;
+    }
+
+    const check = await checkNewMemory(db, env, encKey, workspaceName, { content: entry.content, tags: entryTags });
+    const linkages = dup ? linkDuplicate(check.linkages, dup.duplicate) : check.linkages;
+
     const storedContent = encKey ? await encryptField(entry.content, encKey) : entry.content;
     await db.execute({
-      sql: `INSERT INTO memories (id, content, type, tags) VALUES (?, ?, ?, ?)`,
-      args: [id, storedContent, type, tags],
+      sql: `INSERT INTO memories (id, content, type, tags, linkages) VALUES (?, ?, ?, ?, ?)`,
+      args: [id, storedContent, type, tags, JSON.stringify(linkages)],
     });
+    await indexMemory(db, { id, content: entry.content, tags }, encKey);
 
     // Fire-and-forget embedding
-    embedAndStore(env, workspaceName, id, entry.content).catch(() => {});
+    embedAndStore(env, workspaceName, id, entry.content, db).catch(() => {});
 
-    stored.push({ id, content: entry.content, type, tags: [...entryTags, sourceTag] });
+    const memory = { id, content: entry.content, type, tags: [...entryTags, sourceTag] };
+    if (check.conflicts.length > 0) memory.conflicts = check.conflicts.map((conflict) => conflict.id);
+    if (dup) memory.duplicate_of = dup.duplicate.id;
+    stored.push(memory);
   }
 
   return { stored, rawResponse, error: null };
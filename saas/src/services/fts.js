@@ -0,0 +1,247 @@
+/**
+ * Full-text recall index (SQLite FTS5).
+ *
+ * `memories_fts` holds one row per active (non-consolidated) memory. Recall
+ * uses it to pre-select candidates by BM25 so only those rows are loaded,
+ * decrypted and passed to scoreAndRankMemories for recency/access scoring.
+ *
+ * The index is maintained from application code rather than triggers,
+ * because stored content is ciphertext in encrypted workspaces. There each
+ * word is indexed as blind-index tokens -- truncated HMACs of the word and
+ * its prefixes -- so prefix matching still works without plaintext in the
+ * index (see docs/encryption.md).
+ *
+ * Client-encrypted memories (see docs/encryption.md, "End-to-end
+ * encryption") carry their own blind index in memories.blind_index: tokens
+ * the client derived with a key the server never sees. Those are indexed
+ * verbatim in place of the content, and recall matches them with tokens
+ * the client derived from the query (ftsCandidateIds with { blind: true }).
+ *
+ * The index records which mode and key it was built with; a missing or
+ * stale index (pre-FTS workspace, newly encrypted workspace) is rebuilt on
+ * the next recall by ensureFtsIndex.
+ */
+
+import { STOP_WORDS } from "./scoring.js";
+import { decryptField, deriveBlindIndexKey, blindToken } from "./crypto.js";
+
+const INDEX_VERSION = "1";
+const SETTINGS_KEY = "fts_index";
+const MIN_PREFIX = 3;
+const MAX_PREFIX = 24;
+
+/** Minimum number of BM25 candidates handed to the JS scoring pass. */
+export const FTS_CANDIDATE_MIN = 200;
+
+// ---------------------------------------------------------------------------
+// Tokenization
+// ---------------------------------------------------------------------------
+
+function tokenize(text) {
+  return (text || "").toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+function tagText(tags) {
+  if (Array.isArray(tags)) return tags.join(" ");
+  try {
+    return JSON.parse(tags || "[]").join(" ");
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Blind-index a text: every word becomes tokens for its prefixes of
+ * MIN_PREFIX..MAX_PREFIX characters (short words index as themselves).
+ */
+async function blindText(text, blindKey) {
+  const cache = new Map();
+  const tokens = [];
+  for (const word of tokenize(text)) {
+    const start = Math.min(MIN_PREFIX, word.length);
+    const end = Math.min(MAX_PREFIX, word.length);
+    for (let len = start; len <= end; len++) {
+      const prefix = word.slice(0, len);
+      if (!cache.has(prefix)) cache.set(prefix, await blindToken(prefix, blindKey));
+      tokens.push(cache.get(prefix));
+    }
+  }
+  return tokens.join(" ");
+}
+
+async function indexRow(id, content, tags, blindKey, clientIndex) {
+  const tagsStr = tagText(tags);
+  const indexedTags = blindKey ? await blindText(tagsStr, blindKey) : tagsStr;
+  let indexedContent;
+  if (clientIndex) indexedContent = clientIndex;
+  else indexedContent = blindKey ? await blindText(content, blindKey) : content || "";
+  return {
+    sql: "INSERT INTO memories_fts (memory_id, content, tags) VALUES (?, ?, ?)",
+    args: [id, indexedContent, indexedTags],
+  };
+}
+
+/**
+ * Normalize a client-supplied blind index: lowercase hex tokens separated
+ * by spaces. Returns null when nothing usable remains.
+ * @param {unknown} value
+ * @returns {string|null}
+ */
+export function normalizeClientIndex(value) {
+  if (typeof value !== "string") return null;
+  const tokens = value.toLowerCase().split(/\s+/).filter((t) => /^[0-9a-f]{8,64}$/.test(t));
+  return tokens.length ? tokens.join(" ") : null;
+}
+
+/** Identify the index mode + key so a rebuild happens when either changes. */
+async function indexSignature(blindKey) {
+  if (!blindKey) return `${INDEX_VERSION}:plain`;
+  return `${INDEX_VERSION}:blind:${await blindToken("\u0000signature", blindKey)}`;
+}
+
+// ---------------------------------------------------------------------------
+// Maintenance
+// ---------------------------------------------------------------------------
+
+/**
+ * Add or replace a memory in the index. A client blind index stored on the
+ * memory row takes the place of its content.
+ * @param {import("@libsql/client").Client} db - Workspace database
+ * @param {{ id: string, content: string, tags: string[]|string }} memory - Plaintext content
+ * @param {CryptoKey|null} encKey - Workspace encryption key
+ */
+export async function indexMemory(db, { id, content, tags }, encKey) {
+  const blindKey = encKey ? await deriveBlindIndexKey(encKey) : null;
+  const stored = await db.execute({ sql: "SELECT blind_index FROM memories WHERE id = ?", args: [id] });
+  await db.batch([
+    { sql: "DELETE FROM memories_fts WHERE memory_id = ?", args: [id] },
+    await indexRow(id, content, tags, blindKey, stored.rows[0]?.blind_index),
+  ]);
+}
+
+/**
+ * Remove memories from the index (deleted or consolidated).
+ * @param {import("@libsql/client").Client} db - Workspace database
+ * @param {string[]} ids
+ */
+export async function removeFromIndex(db, ids) {
+  if (!ids.length) return;
+  await db.execute({
+    sql: `DELETE FROM memories_fts WHERE memory_id IN (${ids.map(() => "?").join(", ")})`,
+    args: ids,
+  });
+}
+
+/**
+ * Rebuild the index from all active memories in one transaction.
+ * @returns {number} Number of memories indexed
+ */
+export async function rebuildFtsIndex(db, encKey) {
+  const blindKey = encKey ? await deriveBlindIndexKey(encKey) : null;
+  const result = await db.execute("SELECT id, content, tags, blind_index FROM memories WHERE consolidated = 0");
+
+  const statements = [{ sql: "DELETE FROM memories_fts", args: [] }];
+  for (const row of result.rows) {
+    // Client-encrypted content is never decrypted here; its blind index stands in
+    const content = row.blind_index ? "" : encKey ? await decryptField(row.content, encKey) : row.content;
+    statements.push(await indexRow(row.id, content, row.tags, blindKey, row.blind_index));
+  }
+  statements.push({
+    sql: "INSERT OR REPLACE INTO workspace_settings (key, value) VALUES (?, ?)",
+    args: [SETTINGS_KEY, await indexSignature(blindKey)],
+  });
+
+  await db.batch(statements);
+  return result.rows.length;
+}
+
+/**
+ * Rebuild the index if it was never built or was built for a different
+ * encryption mode/key.
+ */
+export async function ensureFtsIndex(db, encKey) {
+  const blindKey = encKey ? await deriveBlindIndexKey(encKey) : null;
+  const result = await db.execute({
+    sql: "SELECT value FROM workspace_settings WHERE key = ?",
+    args: [SETTINGS_KEY],
+  });
+  if (result.rows[0]?.value === (await indexSignature(blindKey))) return;
+  await rebuildFtsIndex(db, encKey);
+}
+
+// ---------------------------------------------------------------------------
+// Search
+// ---------------------------------------------------------------------------
+
+/**
+ * SQL conditions for recall's `type` and `tags` filters (tags match if any
+ * one is present, case-insensitively), so they apply before any LIMIT.
+ * @param {{ type?: string|null, tags?: string[]|null }} filters
+ * @param {string} [alias] - Table alias for the memories table
+ * @returns {{ sql: string, args: string[] }} Conditions to append with AND
+ */
+export function recallFilterSql({ type = null, tags = null } = {}, alias = "") {
+  const col = (name) => (alias ? `${alias}.${name}` : name);
+  const conditions = [];
+  const args = [];
+  if (type) {
+    conditions.push(`${col("type")} = ?`);
+    args.push(type);
+  }
+  if (tags && tags.length > 0) {
+    conditions.push(
+      `json_valid(${col("tags")}) AND EXISTS (SELECT 1 FROM json_each(${col("tags")})
+         WHERE lower(json_each.value) IN (${tags.map(() => "?").join(", ")}))`
+    );
+    args.push(...tags.map((t) => t.toLowerCase()));
+  }
+  return { sql: conditions.map((cond) => `AND ${cond}`).join(" "), args };
+}
+
+/**
+ * Pre-select recall candidates by BM25.
+ *
+ * Query terms (minus stop words) are OR-ed as prefix matches, so any memory
+ * the keyword scorer could match on a word prefix is a candidate. With
+ * `blind`, the query is a client blind index and its tokens match verbatim.
+ * `type` and `tags` narrow the candidates before the limit is applied.
+ *
+ * @param {import("@libsql/client").Client} db - Workspace database
+ * @param {string} query - Raw query string
+ * @param {CryptoKey|null} encKey - Workspace encryption key
+ * @param {number} limit - Max candidates
+ * @param {{ blind?: boolean, type?: string|null, tags?: string[]|null }} [options]
+ * @returns {Promise<string[]|null>} Memory IDs ranked by BM25, or null when
+ *   the query has no indexable terms (caller should scan all memories)
+ */
+export async function ftsCandidateIds(db, query, encKey, limit, { blind = false, type = null, tags = null } = {}) {
+  const terms = blind
+    ? (normalizeClientIndex(query) || "").split(" ").filter(Boolean)
+    : [...new Set(tokenize(query).filter((t) => !STOP_WORDS.has(t) && /[\p{L}\p{N}]/u.test(t)))];
+  if (terms.length === 0) return blind ? [] : null;
+
+  await ensureFtsIndex(db, encKey);
+
+  let matchTerms;
+  if (blind) {
+    matchTerms = [...new Set(terms)].map((t) => `"${t}"`);
+  } else if (encKey) {
+    const blindKey = await deriveBlindIndexKey(encKey);
+    matchTerms = await Promise.all(
+      terms.map(async (t) => `"${await blindToken(t.slice(0, MAX_PREFIX), blindKey)}"`)
+    );
+  } else {
+    matchTerms = terms.map((t) => `"${t}"*`);
+  }
+
+  const filter = recallFilterSql({ type, tags }, "m");
+  const result = await db.execute({
+    sql: `SELECT memories_fts.memory_id FROM memories_fts
+          JOIN memories m ON m.id = memories_fts.memory_id
+          WHERE memories_fts MATCH ? ${filter.sql}
+          ORDER BY bm25(memories_fts)
+          LIMIT ?`,
+    args: [matchTerms.join(" OR "), ...filter.args, limit],
+  });
+  return result.rows.map((r) => r.memory_id);
+}
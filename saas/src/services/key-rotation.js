@@ -0,0 +1,312 @@
+/**
+ * Encryption key rotation.
+ *
+ * Workspace key: rotateWorkspaceKey() generates a replacement key, stores it
+ * wrapped in workspaces.pending_key and re-encrypts every encrypted column
+ * a batch at a time. Progress (table index + rowid cursor) is kept in
+ * workspaces.key_rotation, so each call resumes where the last one stopped.
+ * Meanwhile getWorkspaceKey() hands out the new key for writes and
+ * decryptField() falls back to the old one, so the workspace stays usable.
+ * After the last table the new key replaces the old one.
+ *
+ * The FTS blind index is derived from the workspace key, so it is rebuilt
+ * under the new key when rotation starts. Webhook signing secrets, kept in
+ * the control plane under the workspace key, are re-encrypted just before
+ * the swap.
+ *
+ * Master key: deploy the new ENCRYPTION_MASTER_KEY with a higher
+ * ENCRYPTION_MASTER_KEY_VERSION and the old key as
+ * ENCRYPTION_MASTER_KEY_PREVIOUS. Workspace keys are re-wrapped on first use
+ * (getWorkspaceKey) or by rewrapMasterKeys(). Once none remain under the old
+ * version, drop ENCRYPTION_MASTER_KEY_PREVIOUS.
+ */
+
+import {
+  getMasterKey,
+  getMasterKeyVersion,
+  getPreviousMasterKey,
+  getWorkspaceKey,
+  getPreviousWorkspaceKey,
+  generateWorkspaceKey,
+  rewrapWorkspaceKey,
+  wrapKey,
+  reencryptField,
+} from "./crypto.js";
+import { rebuildFtsIndex } from "./fts.js";
+
+/** Encrypted columns, in rotation order. */
+export const ENCRYPTED_COLUMNS = [
+  { table: "memories", fields: ["content"] },
+  { table: "memory_revisions", fields: ["content"] },
+  { table: "identity_snapshots", fields: ["crystal"] },
+  { table: "working_memory_items", fields: ["title", "content", "next_action"] },
+  { table: "working_memory_sections", fields: ["content"] },
+  { table: "skip_list", fields: ["item", "reason"] },
+  { table: "consolidations", fields: ["summary", "template_summary"] },
+  { table: "consolidation_proposals", fields: ["summary", "template_summary"] },
+];
+
+function parseProgress(json) {
+  try {
+    return { table: 0, cursor: 0, rotated: 0, skipped: 0, unreadable: 0, ...JSON.parse(json || "{}") };
+  } catch {
+    return { table: 0, cursor: 0, rotated: 0, skipped: 0, unreadable: 0 };
+  }
+}
+
+async function loadRotationRow(controlDb, workspaceId) {
+  const result = await controlDb.execute({
+    sql: "SELECT key_version, pending_key, key_rotation, key_rotated_at FROM workspaces WHERE id = ?",
+    args: [workspaceId],
+  });
+  return result.rows[0];
+}
+
+/** Rows not yet visited: the rest of the current table plus every later table. */
+async function countRemaining(db, progress) {
+  let remaining = 0;
+  for (let i = progress.table; i < ENCRYPTED_COLUMNS.length; i++) {
+    const result = await db.execute({
+      sql: `SELECT COUNT(*) AS n FROM ${ENCRYPTED_COLUMNS[i].table} WHERE rowid > ?`,
+      args: [i === progress.table ? progress.cursor : 0],
+    });
+    remaining += result.rows[0].n;
+  }
+  return remaining;
+}
+
+/** Re-encrypt a workspace's webhook signing secrets (control plane). */
+async function reencryptWebhookSecrets(controlDb, workspaceId, oldKey, newKey) {
+  const result = await controlDb.execute({
+    sql: "SELECT id, secret FROM webhooks WHERE workspace_id = ?",
+    args: [workspaceId],
+  });
+  for (const row of result.rows) {
+    const next = await reencryptField(row.secret, oldKey, newKey).catch(() => null);
+    if (!next) continue;
+    await controlDb.execute({
+      sql: "UPDATE webhooks SET secret = ? WHERE id = ? AND secret = ?",
+      args: [next, row.id, row.secret],
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Workspace key
+// ---------------------------------------------------------------------------
+
+/**
+ * Start (or resume) rotating a workspace's key and re-encrypt up to
+ * batchSize rows.
+ *
+ * @param {import("@libsql/client").Client} db - Workspace database client
+ * @param {import("@libsql/client").Client} controlDb - Control plane database
+ * @param {object} env - Workers env bindings
+ * @param {string} workspaceId
+ * @param {number} [batchSize=500] - Max rows to visit in this call
+ * @returns {Promise<{ status: "rotating"|"complete", started: boolean, rotated: number, skipped: number, unreadable: number, remaining: number, error?: string }>}
+ */
+export async function rotateWorkspaceKey(db, controlDb, env, workspaceId, batchSize = 500) {
+  // Creates the key if needed and re-wraps it under the current master key
+  const key = await getWorkspaceKey(workspaceId, env, controlDb);
+  if (!key) return { error: "Encryption not configured. Set ENCRYPTION_MASTER_KEY secret." };
+
+  let row = await loadRotationRow(controlDb, workspaceId);
+  let started = false;
+  if (!row.pending_key) {
+    const wrapped = await wrapKey(await generateWorkspaceKey(), await getMasterKey(env));
+    const progress = { started_at: new Date().toISOString(), ...parseProgress(null) };
+    const update = await controlDb.execute({
+      sql: "UPDATE workspaces SET pending_key = ?, key_rotation = ? WHERE id = ? AND pending_key IS NULL",
+      args: [wrapped, JSON.stringify(progress), workspaceId],
+    });
+    started = update.rowsAffected > 0;
+    row = await loadRotationRow(controlDb, workspaceId);
+  }
+
+  const newKey = await getWorkspaceKey(workspaceId, env, controlDb);
+  const oldKey = getPreviousWorkspaceKey(newKey);
+  if (!oldKey) {
+    // Another call finished the rotation in the meantime
+    return { status: "complete", started: false, rotated: 0, skipped: 0, unreadable: 0, remaining: 0 };
+  }
+  if (started) await rebuildFtsIndex(db, newKey);
+
+  const progress = parseProgress(row.key_rotation);
+  let budget = Math.max(1, batchSize);
+  while (budget > 0 && progress.table < ENCRYPTED_COLUMNS.length) {
+    const { table, fields } = ENCRYPTED_COLUMNS[progress.table];
+    const limit = budget;
+    const result = await db.execute({
+      sql: `SELECT rowid AS row_id, ${fields.join(", ")} FROM ${table} WHERE rowid > ? ORDER BY rowid LIMIT ?`,
+      args: [progress.cursor, limit],
+    });
+
+    const updates = [];
+    for (const r of result.rows) {
+      const sets = [];
+      const guards = [];
+      const args = [];
+      const guardArgs = [];
+      let unreadable = false;
+      for (const field of fields) {
+        let next;
+        try {
+          next = await reencryptField(r[field], oldKey, newKey);
+        } catch {
+          // Under neither key (e.g. another workspace's row in a shared dev database)
+          unreadable = true;
+          continue;
+        }
+        if (!next) continue;
+        sets.push(`${field} = ?`);
+        args.push(next);
+        // Skip the row if a request rewrote it (under the new key) meanwhile
+        guards.push(`${field} = ?`);
+        guardArgs.push(r[field]);
+      }
+      if (sets.length) {
+        updates.push({
+          sql: `UPDATE ${table} SET ${sets.join(", ")} WHERE rowid = ? AND ${guards.join(" AND ")}`,
+          args: [...args, r.row_id, ...guardArgs],
+        });
+        progress.rotated++;
+      } else if (unreadable) {
+        progress.unreadable++;
+      } else {
+        progress.skipped++;
+      }
+    }
+    if (updates.length) await db.batch(updates);
+
+    budget -= result.rows.length;
+    if (result.rows.length < limit) {
+      progress.table++;
+      progress.cursor = 0;
+    } else {
+      progress.cursor = result.rows[result.rows.length - 1].row_id;
+    }
+    await controlDb.execute({
+      sql: "UPDATE workspaces SET key_rotation = ? WHERE id = ?",
+      args: [JSON.stringify(progress), workspaceId],
+    });
+  }
+
+  if (progress.table < ENCRYPTED_COLUMNS.length) {
+    return {
+      status: "rotating",
+      started,
+      rotated: progress.rotated,
+      skipped: progress.skipped,
+      unreadable: progress.unreadable,
+      remaining: await countRemaining(db, progress),
+    };
+  }
+
+  await reencryptWebhookSecrets(controlDb, workspaceId, oldKey, newKey);
+  await controlDb.execute({
+    sql: `UPDATE workspaces
+          SET encrypted_key = pending_key, pending_key = NULL, key_rotation = NULL, key_rotated_at = datetime('now')
+          WHERE id = ? AND pending_key IS NOT NULL`,
+    args: [workspaceId],
+  });
+  return {
+    status: "complete",
+    started,
+    rotated: progress.rotated,
+    skipped: progress.skipped,
+    unreadable: progress.unreadable,
+    remaining: 0,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Master key
+// ---------------------------------------------------------------------------
+
+/** Workspaces whose key is still wrapped under an older master key version. */
+export async function countStaleWorkspaces(controlDb, env) {
+  const result = await controlDb.execute({
+    sql: "SELECT COUNT(*) AS n FROM workspaces WHERE encrypted_key IS NOT NULL AND COALESCE(key_version, 1) != ?",
+    args: [getMasterKeyVersion(env)],
+  });
+  return result.rows[0].n;
+}
+
+/**
+ * Re-wrap up to batchSize workspace keys under the current master key.
+ *
+ * @param {import("@libsql/client").Client} controlDb - Control plane database
+ * @param {object} env - Workers env bindings
+ * @param {number} [batchSize=50]
+ * @returns {Promise<{ version: number, rewrapped: number, failed: Array<{ id: string, error: string }>, remaining: number, error?: string }>}
+ */
+export async function rewrapMasterKeys(controlDb, env, batchSize = 50) {
+  const version = getMasterKeyVersion(env);
+  if (!(await getMasterKey(env))) {
+    return { error: "Encryption not configured. Set ENCRYPTION_MASTER_KEY secret." };
+  }
+
+  const stale = await controlDb.execute({
+    sql: `SELECT id FROM workspaces
+          WHERE encrypted_key IS NOT NULL AND COALESCE(key_version, 1) != ?
+          ORDER BY id LIMIT ?`,
+    args: [version, Math.max(1, batchSize)],
+  });
+  if (stale.rows.length > 0 && !(await getPreviousMasterKey(env))) {
+    return { error: "ENCRYPTION_MASTER_KEY_PREVIOUS is not set; it is needed to unwrap keys under the old master key." };
+  }
+
+  let rewrapped = 0;
+  const failed = [];
+  for (const { id } of stale.rows) {
+    try {
+      if (await rewrapWorkspaceKey(id, env, controlDb)) rewrapped++;
+    } catch (err) {
+      failed.push({ id, error: err.message });
+    }
+  }
+
+  return { version, rewrapped, failed, remaining: await countStaleWorkspaces(controlDb, env) };
+}
+
+// ---------------------------------------------------------------------------
+// Status
+// ---------------------------------------------------------------------------
+
+/**
+ * Rotation status for a workspace.
+ *
+ * @param {import("@libsql/client").Client} db - Workspace database client
+ * @param {import("@libsql/client").Client} controlDb - Control plane database
+ * @param {object} env - Workers env bindings
+ * @param {string} workspaceId
+ * @returns {Promise<object>} { workspace_key: {...}, master_key: {...} }
+ */
+export async function getKeyRotationStatus(db, controlDb, env, workspaceId) {
+  const row = await loadRotationRow(controlDb, workspaceId);
+
+  let workspaceKey;
+  if (row?.pending_key) {
+    const progress = parseProgress(row.key_rotation);
+    workspaceKey = {
+      status: "rotating",
+      started_at: progress.started_at || null,
+      table: ENCRYPTED_COLUMNS[progress.table]?.table || null,
+      rotated: progress.rotated,
+      skipped: progress.skipped,
+      unreadable: progress.unreadable,
+      remaining: await countRemaining(db, progress),
+    };
+  } else {
+    workspaceKey = { status: "idle", last_rotated_at: row?.key_rotated_at || null };
+  }
+
+  return {
+    workspace_key: workspaceKey,
+    master_key: {
+      version: getMasterKeyVersion(env),
+      workspace_key_version: row?.key_version || 1,
+    },
+  };
+}
@@ -0,0 +1,233 @@
+/**
+ * Workspace sharing — members, roles and invitations.
+ *
+ * The user in workspaces.user_id owns a workspace and may do everything,
+ * including members, invites, settings and admin routes. Other users join
+ * through workspace_members with a role:
+ *   editor — read and write memories, items, skip list and identity
+ *   viewer — read only
+ * Ownership cannot be granted: invites and role changes only hand out
+ * MEMBER_ROLES.
+ *
+ * A member addresses a shared workspace by the name stored on its
+ * membership row (the owner's workspace name unless they picked another),
+ * so it never collides with their own workspaces.
+ *
+ * Invitations are "mp_inv_" tokens, stored as SHA-256 hashes like API keys.
+ * Each invite is bound to the API key that created it: revoking or expiring
+ * that key voids its outstanding invites. An invite may also be bound to
+ * one invitee user ID.
+ */
+
+import { randomUUID, randomBytes } from "node:crypto";
+import { hashApiKey, isKeyExpired } from "../middleware/auth.js";
+
+/** Roles an owner can grant to another user. */
+export const MEMBER_ROLES = ["editor", "viewer"];
+
+/** Resources an editor may write. Settings and admin writes need an owner. */
+const EDITOR_WRITES = new Set(["memories", "items", "skip", "identity"]);
+
+const DEFAULT_INVITE_DAYS = 7;
+
+/**
+ * Whether a role may perform a request.
+ * @param {string} role
+ * @param {{ resource: string, action?: string }|null} needed - from requiredScope()
+ * @returns {boolean}
+ */
+export function roleAllows(role, needed) {
+  if (role === "owner" || !needed) return true;
+  if (needed.resource === "admin") return false;
+  if (needed.action === "read") return true;
+  return role === "editor" && EDITOR_WRITES.has(needed.resource);
+}
+
+/**
+ * Find a workspace shared with a user under the name they address it by.
+ * @returns {Promise<{ id: string, name: string, owner_id: string, db_url: string|null, db_token: string|null, role: string, plan: string }|null>}
+ */
+export async function findSharedWorkspace(controlDb, userId, name) {
+  const result = await controlDb.execute({
+    sql: `SELECT w.id, w.name, w.user_id AS owner_id, w.db_url, w.db_token, m.role, u.plan
+          FROM workspace_members m
+          JOIN workspaces w ON w.id = m.workspace_id
+          JOIN users u ON u.id = w.user_id
+          WHERE m.user_id = ? AND m.name = ?`,
+    args: [userId, name],
+  });
+  return result.rows[0] || null;
+}
+
+/**
+ * A user's role in a workspace: "owner" for the workspace's owner, the
+ * membership role for members, or null.
+ */
+export async function getWorkspaceRole(controlDb, workspaceId, userId) {
+  const result = await controlDb.execute({
+    sql: `SELECT w.user_id, m.role
+          FROM workspaces w
+          LEFT JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = ?
+          WHERE w.id = ?`,
+    args: [userId, workspaceId],
+  });
+  const row = result.rows[0];
+  if (!row) return null;
+  return row.user_id === userId ? "owner" : row.role || null;
+}
+
+/** Whether a workspace has any members besides its owner. */
+export async function isShared(controlDb, workspaceId) {
+  const result = await controlDb.execute({
+    sql: "SELECT 1 FROM workspace_members WHERE workspace_id = ? LIMIT 1",
+    args: [workspaceId],
+  });
+  return result.rows.length > 0;
+}
+
+/**
+ * List a workspace's owner, members and outstanding invites.
+ */
+export async function listMembers(controlDb, workspaceId) {
+  const owner = await controlDb.execute({
+    sql: `SELECT u.id, u.name, w.created_at FROM workspaces w JOIN users u ON u.id = w.user_id WHERE w.id = ?`,
+    args: [workspaceId],
+  });
+  const members = await controlDb.execute({
+    sql: `SELECT m.user_id, u.name, m.role, m.invited_by, m.created_at
+          FROM workspace_members m JOIN users u ON u.id = m.user_id
+          WHERE m.workspace_id = ? ORDER BY m.created_at, m.user_id`,
+    args: [workspaceId],
+  });
+  const invites = await controlDb.execute({
+    sql: `SELECT i.id, i.role, i.invitee_user_id, i.created_by, i.expires_at, i.created_at,
+                 k.revoked_at AS key_revoked_at, k.expires_at AS key_expires_at
+          FROM workspace_invites i LEFT JOIN api_keys k ON k.id = i.api_key_id
+          WHERE i.workspace_id = ? AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+          ORDER BY i.created_at`,
+    args: [workspaceId],
+  });
+
+  return {
+    members: [
+      ...owner.rows.map((r) => ({ user_id: r.id, name: r.name, role: "owner", owner: true, joined_at: r.created_at })),
+      ...members.rows.map((r) => ({
+        user_id: r.user_id,
+        name: r.name,
+        role: r.role,
+        owner: false,
+        invited_by: r.invited_by,
+        joined_at: r.created_at,
+      })),
+    ],
+    invites: invites.rows
+      .filter((r) => !r.key_revoked_at && !isKeyExpired(r.key_expires_at) && !isKeyExpired(r.expires_at))
+      .map((r) => ({
+        id: r.id,
+        role: r.role,
+        invitee_user_id: r.invitee_user_id || null,
+        created_by: r.created_by,
+        expires_at: r.expires_at,
+        created_at: r.created_at,
+      })),
+  };
+}
+
+/**
+ * Create an invitation. The plaintext token is returned once.
+ * @param {object} controlDb
+ * @param {{ workspaceId: string, role: string, userId: string, apiKeyId: string, inviteeUserId?: string|null, expiresInDays?: number }} opts
+ * @returns {Promise<{ id: string, token: string, expiresAt: string }>}
+ */
+export async function createInvite(controlDb, { workspaceId, role, userId, apiKeyId, inviteeUserId = null, expiresInDays }) {
+  const id = randomUUID().slice(0, 8);
+  const token = `mp_inv_${randomBytes(16).toString("hex")}`;
+  const expiresAt = new Date(Date.now() + (expiresInDays || DEFAULT_INVITE_DAYS) * 86400_000).toISOString();
+
+  await controlDb.execute({
+    sql: `INSERT INTO workspace_invites (id, workspace_id, token_hash, role, invitee_user_id, created_by, api_key_id, expires_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    args: [id, workspaceId, hashApiKey(token), role, inviteeUserId, userId, apiKeyId, expiresAt],
+  });
+
+  return { id, token, expiresAt };
+}
+
+/**
+ * Accept an invitation for a user.
+ * @param {object} controlDb
+ * @param {string} token
+ * @param {string} userId
+ * @param {string} [name] - Name to address the workspace by (default: its own name)
+ * @returns {Promise<{ error?: string, status?: number, membership?: { workspaceId: string, name: string, role: string } }>}
+ */
+export async function acceptInvite(controlDb, token, userId, name) {
+  const result = await controlDb.execute({
+    sql: `SELECT i.id, i.workspace_id, i.role, i.invitee_user_id, i.created_by, i.expires_at,
+                 i.accepted_at, i.revoked_at, k.revoked_at AS key_revoked_at, k.expires_at AS key_expires_at,
+                 w.user_id AS owner_id, w.name AS workspace_name
+          FROM workspace_invites i
+          JOIN workspaces w ON w.id = i.workspace_id
+          LEFT JOIN api_keys k ON k.id = i.api_key_id
+          WHERE i.token_hash = ?`,
+    args: [hashApiKey(token)],
+  });
+  const invite = result.rows[0];
+
+  if (
+    !invite ||
+    invite.accepted_at ||
+    invite.revoked_at ||
+    invite.key_revoked_at ||
+    isKeyExpired(invite.key_expires_at) ||
+    isKeyExpired(invite.expires_at) ||
+    (invite.invitee_user_id && invite.invitee_user_id !== userId)
+  ) {
+    return { error: "Invitation is invalid, expired or already used.", status: 404 };
+  }
+  if (invite.owner_id === userId) {
+    return { error: "You already own this workspace.", status: 409 };
+  }
+
+  const existing = await controlDb.execute({
+    sql: "SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ?",
+    args: [invite.workspace_id, userId],
+  });
+  if (existing.rows.length > 0) {
+    return { error: `You are already a member of this workspace (${existing.rows[0].role}).`, status: 409 };
+  }
+
+  const memberName = name || invite.workspace_name;
+  const taken = await controlDb.execute({
+    sql: `SELECT 1 FROM workspaces WHERE user_id = ? AND name = ?
+          UNION ALL SELECT 1 FROM workspace_members WHERE user_id = ? AND name = ?`,
+    args: [userId, memberName, userId, memberName],
+  });
+  if (taken.rows.length > 0) {
+    return { error: `You already have a workspace named "${memberName}". Pass "name" to join under another name.`, status: 409 };
+  }
+
+  // Claim the invite first: of two concurrent accepts, only one updates it
+  const claimed = await controlDb.execute({
+    sql: `UPDATE workspace_invites SET accepted_by = ?, accepted_at = datetime('now')
+          WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+    args: [userId, invite.id],
+  });
+  if (claimed.rowsAffected === 0) {
+    return { error: "Invitation is invalid, expired or already used.", status: 404 };
+  }
+  try {
+    await controlDb.execute({
+      sql: `INSERT INTO workspace_members (workspace_id, user_id, role, name, invited_by) VALUES (?, ?, ?, ?, ?)`,
+      args: [invite.workspace_id, userId, invite.role, memberName, invite.created_by],
+    });
+  } catch (err) {
+    await controlDb.execute({
+      sql: "UPDATE workspace_invites SET accepted_by = NULL, accepted_at = NULL WHERE id = ?",
+      args: [invite.id],
+    });
+    throw err;
+  }
+
+  return { membership: { workspaceId: invite.workspace_id, name: memberName, role: invite.role } };
+}
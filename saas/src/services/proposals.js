@@ -0,0 +1,323 @@
+/**
+ * Consolidation proposals — the review queue for consolidation.
+ *
+ * When a workspace sets consolidation_approval = "review", the daily cron
+ * writes the groups it would have consolidated to `consolidation_proposals`
+ * instead of applying them. An agent (or person) then approves, edits or
+ * rejects each one. Approving runs the same commit as auto-consolidation.
+ *
+ * Status: pending -> approved | rejected. A group whose exact source set was
+ * rejected before is not proposed again, and a memory is never in two
+ * pending proposals at once.
+ */
+
+import { randomUUID } from "node:crypto";
+import { encryptField, decryptField } from "./crypto.js";
+import {
+  planConsolidation,
+  commitConsolidation,
+  generateSummary,
+  generateAISummary,
+} from "./consolidation.js";
+
+export const PROPOSAL_STATUSES = ["pending", "approved", "rejected"];
+
+function parseJsonArray(str) {
+  try {
+    const value = JSON.parse(str || "[]");
+    return Array.isArray(value) ? value : [];
+  } catch {
+    return [];
+  }
+}
+
+const sourceKey = (ids) => [...ids].sort().join(",");
+
+/**
+ * Plan consolidation and queue each new group as a pending proposal.
+ *
+ * @param {import("@libsql/client").Client} db - Workspace database client
+ * @param {object} [env] - Workers environment (AI summaries, vectors)
+ * @param {CryptoKey|null} [encKey] - Workspace encryption key
+ * @param {string} [workspaceName] - Workspace name (vector namespace)
+ * @returns {Promise<{ proposed: number, sourceCount: number }>}
+ */
+export async function proposeConsolidations(db, env, encKey, workspaceName) {
+  const { groups } = await planConsolidation(db, env, encKey, workspaceName);
+
+  const existing = await db.execute(
+    "SELECT source_ids, status FROM consolidation_proposals WHERE status IN ('pending', 'rejected')"
+  );
+  const pendingIds = new Set();
+  const rejected = new Set();
+  for (const row of existing.rows) {
+    const ids = parseJsonArray(row.source_ids);
+    if (row.status === "pending") ids.forEach((id) => pendingIds.add(id));
+    else rejected.add(sourceKey(ids));
+  }
+
+  let proposed = 0;
+  let sourceCount = 0;
+  for (const { memories: group, cohesion } of groups) {
+    const sourceIds = group.map((m) => m.id);
+    if (sourceIds.some((id) => pendingIds.has(id)) || rejected.has(sourceKey(sourceIds))) continue;
+
+    const templateSummary = generateSummary(group);
+    const { summary, method } = await generateAISummary(env, group);
+    const tags = Array.from(new Set(group.flatMap((m) => m.tags))).sort();
+
+    await db.execute({
+      sql: `INSERT INTO consolidation_proposals (id, source_ids, summary, template_summary, method, tags, cohesion)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      args: [
+        randomUUID().slice(0, 8),
+        JSON.stringify(sourceIds),
+        encKey ? await encryptField(summary, encKey) : summary,
+        encKey ? await encryptField(templateSummary, encKey) : templateSummary,
+        method,
+        JSON.stringify(tags),
+        cohesion,
+      ],
+    });
+    sourceIds.forEach((id) => pendingIds.add(id));
+    proposed++;
+    sourceCount += group.length;
+  }
+
+  return { proposed, sourceCount };
+}
+
+/** Load source memories (any state), decrypted, keyed by ID. */
+async function loadSources(db, encKey, ids) {
+  const sources = new Map();
+  if (!ids.length) return sources;
+
+  const result = await db.execute({
+    sql: `SELECT id, content, type, tags, access_count, linkages, pinned, consolidated
+          FROM memories WHERE id IN (${ids.map(() => "?").join(", ")})`,
+    args: ids,
+  });
+  for (const row of result.rows) {
+    sources.set(row.id, {
+      id: row.id,
+      content: encKey ? await decryptField(row.content, encKey) : row.content,
+      type: row.type,
+      tags: parseJsonArray(row.tags),
+      access_count: row.access_count || 0,
+      linkages: parseJsonArray(row.linkages),
+      pinned: row.pinned || 0,
+      active: !row.consolidated,
+    });
+  }
+  return sources;
+}
+
+async function formatProposal(db, encKey, row) {
+  const sourceIds = parseJsonArray(row.source_ids);
+  const sources = await loadSources(db, encKey, sourceIds);
+  return {
+    id: row.id,
+    status: row.status,
+    summary: encKey ? await decryptField(row.summary, encKey) : row.summary,
+    method: row.method,
+    type: row.type || null,
+    tags: parseJsonArray(row.tags),
+    cohesion: row.cohesion === null ? null : Math.round(row.cohesion * 1000) / 1000,
+    source_ids: sourceIds,
+    sources: sourceIds.map((id) => {
+      const mem = sources.get(id);
+      if (!mem) return { id, content: null, type: null, tags: [], active: false };
+      return { id, content: mem.content, type: mem.type, tags: mem.tags, active: mem.active };
+    }),
+    memory_id: row.memory_id || null,
+    created_at: row.created_at,
+    resolved_at: row.resolved_at || null,
+  };
+}
+
+/**
+ * List proposals, oldest first, with their source memories.
+ * @param {import("@libsql/client").Client} db - Workspace database client
+ * @param {CryptoKey|null} encKey - Workspace encryption key
+ * @param {string} [status] - One of PROPOSAL_STATUSES, or "all"
+ * @returns {Promise<Array<object>>}
+ */
+export async function listProposals(db, encKey, status = "pending") {
+  const result = status === "all"
+    ? await db.execute("SELECT * FROM consolidation_proposals ORDER BY created_at, rowid")
+    : await db.execute({
+      sql: "SELECT * FROM consolidation_proposals WHERE status = ? ORDER BY created_at, rowid",
+      args: [status],
+    });
+
+  const proposals = [];
+  for (const row of result.rows) proposals.push(await formatProposal(db, encKey, row));
+  return proposals;
+}
+
+/** Fetch a proposal that can still be changed, or an { error, status } result. */
+async function getPendingProposal(db, id) {
+  const result = await db.execute({
+    sql: "SELECT * FROM consolidation_proposals WHERE id = ?",
+    args: [id],
+  });
+  const row = result.rows[0];
+  if (!row) return { error: `Proposal ${id} not found.`, status: 404 };
+  if (row.status !== "pending") return { error: `Proposal ${id} is already ${row.status}.`, status: 409 };
+  return { row };
+}
+
+/**
+ * Validate edits against a proposal. source_ids may only drop sources.
+ * @returns {{ fields?: object, error?: string }}
+ */
+function validateEdits(row, edits) {
+  const fields = {};
+  if (edits.summary !== undefined) {
+    if (typeof edits.summary !== "string" || !edits.summary.trim()) {
+      return { error: "summary must be a non-empty string." };
+    }
+    fields.summary = edits.summary;
+  }
+  if (edits.type !== undefined) {
+    if (typeof edits.type !== "string" || !edits.type) return { error: "type must be a string." };
+    fields.type = edits.type;
+  }
+  if (edits.tags !== undefined) {
+    if (!Array.isArray(edits.tags) || edits.tags.some((t) => typeof t !== "string")) {
+      return { error: "tags must be an array of strings." };
+    }
+    fields.tags = edits.tags;
+  }
+  if (edits.source_ids !== undefined) {
+    const current = parseJsonArray(row.source_ids);
+    if (!Array.isArray(edits.source_ids) || edits.source_ids.length < 2) {
+      return { error: "source_ids must list at least 2 memory IDs." };
+    }
+    const unknown = edits.source_ids.filter((id) => !current.includes(id));
+    if (unknown.length) {
+      return { error: `source_ids can only remove sources. Not in this proposal: [${unknown.join(", ")}].` };
+    }
+    fields.source_ids = Array.from(new Set(edits.source_ids));
+  }
+  return { fields };
+}
+
+async function saveEdits(db, encKey, id, fields) {
+  const sets = [];
+  const args = [];
+  if (fields.summary !== undefined) {
+    sets.push("summary = ?", "method = ?");
+    args.push(encKey ? await encryptField(fields.summary, encKey) : fields.summary, "edited");
+  }
+  if (fields.type !== undefined) {
+    sets.push("type = ?");
+    args.push(fields.type);
+  }
+  if (fields.tags !== undefined) {
+    sets.push("tags = ?");
+    args.push(JSON.stringify(fields.tags));
+  }
+  if (fields.source_ids !== undefined) {
+    sets.push("source_ids = ?");
+    args.push(JSON.stringify(fields.source_ids));
+  }
+  if (!sets.length) return;
+
+  await db.execute({
+    sql: `UPDATE consolidation_proposals SET ${sets.join(", ")} WHERE id = ?`,
+    args: [...args, id],
+  });
+}
+
+/**
+ * Edit a pending proposal's summary, type, tags or sources.
+ * @returns {Promise<{ proposal?: object, error?: string, status?: number }>}
+ */
+export async function updateProposal(db, encKey, id, edits) {
+  const pending = await getPendingProposal(db, id);
+  if (pending.error) return pending;
+
+  const { fields, error } = validateEdits(pending.row, edits);
+  if (error) return { error, status: 400 };
+  await saveEdits(db, encKey, id, fields);
+
+  const result = await db.execute({ sql: "SELECT * FROM consolidation_proposals WHERE id = ?", args: [id] });
+  return { proposal: await formatProposal(db, encKey, result.rows[0]) };
+}
+
+/**
+ * Approve a pending proposal (optionally with edits) and consolidate its sources.
+ *
+ * @param {import("@libsql/client").Client} db - Workspace database client
+ * @param {object} env - Workers environment
+ * @param {CryptoKey|null} encKey - Workspace encryption key
+ * @param {string} workspaceName - Workspace name (vector namespace)
+ * @param {string} id - Proposal ID
+ * @param {{ summary?: string, type?: string, tags?: string[], source_ids?: string[] }} [edits]
+ * @returns {Promise<{ memoryId?: string, sourceIds?: string[], error?: string, status?: number }>}
+ */
+export async function approveProposal(db, env, encKey, workspaceName, id, edits = {}) {
+  const pending = await getPendingProposal(db, id);
+  if (pending.error) return pending;
+
+  const { fields, error } = validateEdits(pending.row, edits);
+  if (error) return { error, status: 400 };
+
+  const sourceIds = fields.source_ids || parseJsonArray(pending.row.source_ids);
+  const sources = await loadSources(db, encKey, sourceIds);
+  const inactive = sourceIds.filter((sid) => !sources.get(sid)?.active);
+  if (inactive.length) {
+    return {
+      error: `Sources no longer active: [${inactive.join(", ")}]. Edit the proposal to drop them, or reject it.`,
+      status: 409,
+    };
+  }
+
+  await saveEdits(db, encKey, id, fields);
+  const row = (await db.execute({ sql: "SELECT * FROM consolidation_proposals WHERE id = ?", args: [id] })).rows[0];
+  const summary = encKey ? await decryptField(row.summary, encKey) : row.summary;
+  const templateSummary = row.template_summary
+    ? (encKey ? await decryptField(row.template_summary, encKey) : row.template_summary)
+    : summary;
+
+  const group = sourceIds.map((sid) => sources.get(sid));
+  const memoryId = await commitConsolidation(db, env, encKey, workspaceName, group, {
+    summary,
+    method: row.method,
+    templateSummary,
+    type: row.type || undefined,
+    tags: parseJsonArray(row.tags),
+    recordType: "review",
+  });
+
+  await db.execute({
+    sql: `UPDATE consolidation_proposals
+          SET status = 'approved', memory_id = ?, resolved_at = datetime('now')
+          WHERE id = ?`,
+    args: [memoryId, id],
+  });
+
+  // Fire-and-forget activity log
+  db.execute({
+    sql: `INSERT INTO activity_log (action, memory_id, detail) VALUES (?, ?, ?)`,
+    args: ["consolidate", memoryId, sourceIds.join(",")],
+  }).catch(() => {});
+
+  return { memoryId, sourceIds };
+}
+
+/**
+ * Reject a pending proposal. Its exact source set will not be proposed again.
+ * @returns {Promise<{ error?: string, status?: number }>}
+ */
+export async function rejectProposal(db, id) {
+  const pending = await getPendingProposal(db, id);
+  if (pending.error) return pending;
+
+  await db.execute({
+    sql: "UPDATE consolidation_proposals SET status = 'rejected', resolved_at = datetime('now') WHERE id = ?",
+    args: [id],
+  });
+  return {};
+}
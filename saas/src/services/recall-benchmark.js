@@ -0,0 +1,334 @@
+/**
+ * Offline recall quality benchmark.
+ *
+ * Seeds a fixture workspace into a fresh in-memory database, runs a labelled
+ * query set through POST /v1/memories/recall on an in-process app, and
+ * scores the results — so a change to scoring.js, shouldAbstain or the
+ * recall_alpha blend can be measured before it ships.
+ *
+ * Fixture workspace (JSONL, one memory per line):
+ *   { "id": "m1", "content": "...", "type": "fact", "tags": ["x"],
+ *     "pinned": false, "age_days": 3, "access_count": 2, "session_id": "s1" }
+ *   `id` and `content` are required; `created_at` may replace `age_days`.
+ *
+ * Query set (JSONL, LongMemEval-style):
+ *   { "question_id": "q1", "question": "...", "answer_session_ids": ["s1"] }
+ *   { "id": "q2", "query": "...", "relevant": ["m1", "m4"] }
+ *   A query with no relevant memories, or a question_id ending in "_abs"
+ *   (LongMemEval's abstention marker), is unanswerable.
+ *
+ * A scoring configuration is workspace settings applied before the run:
+ *   { "name": "tuned", "settings": { "recall_threshold": 0.2, "recall_alpha": 0.7,
+ *     "decay_policies": { "types": { "decision": "never" } } } }
+ *
+ * Metrics (k = result limit):
+ *   recall@k          - share of relevant memories returned, averaged over answerable queries
+ *   mrr               - mean reciprocal rank of the first relevant result (0 when none)
+ *   false_abstention  - answerable queries that returned nothing
+ *   false_answer      - unanswerable queries that returned anything
+ */
+
+import { createClient } from "@libsql/client";
+import { randomUUID, createHash } from "node:crypto";
+import { initSchema, setTestDb } from "../db/connection.js";
+import { createApp } from "../server.js";
+import { backfillWorkspace } from "./embeddings.js";
+import { getEmbeddingProvider } from "./embedding-providers.js";
+import { LibsqlVectorStore } from "./vector-store.js";
+
+export const DEFAULT_K = 5;
+
+const BENCH_WORKSPACE = "recall-benchmark";
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse JSONL text, skipping blank lines.
+ * @param {string} text
+ * @param {string} label - Used in error messages
+ */
+export function parseJsonl(text, label) {
+  const rows = [];
+  text.split("\n").forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      rows.push(JSON.parse(line));
+    } catch {
+      throw new Error(`${label} line ${i + 1}: invalid JSON.`);
+    }
+  });
+  return rows;
+}
+
+/**
+ * Validate fixture memories.
+ * @param {object[]} rows - From parseJsonl
+ */
+export function loadFixture(rows) {
+  const seen = new Set();
+  return rows.map((row, i) => {
+    if (!row.id || typeof row.content !== "string" || !row.content) {
+      throw new Error(`Fixture memory ${i + 1}: "id" and "content" are required.`);
+    }
+    if (seen.has(row.id)) throw new Error(`Fixture memory ${i + 1}: duplicate id "${row.id}".`);
+    seen.add(row.id);
+    return {
+      id: String(row.id),
+      content: row.content,
+      type: row.type || "observation",
+      tags: Array.isArray(row.tags) ? row.tags : [],
+      pinned: row.pinned === true,
+      created_at: row.created_at || null,
+      age_days: typeof row.age_days === "number" ? row.age_days : null,
+      access_count: Number.isInteger(row.access_count) ? row.access_count : 0,
+      session_id: row.session_id ? String(row.session_id) : null,
+    };
+  });
+}
+
+/**
+ * Normalize labelled queries, resolving LongMemEval answer_session_ids to
+ * the fixture memories that carry those session ids.
+ * @param {object[]} rows - From parseJsonl
+ * @param {object[]} fixture - From loadFixture
+ */
+export function loadQueries(rows, fixture) {
+  const ids = new Set(fixture.map((m) => m.id));
+  const bySession = new Map();
+  for (const m of fixture) {
+    if (!m.session_id) continue;
+    if (!bySession.has(m.session_id)) bySession.set(m.session_id, []);
+    bySession.get(m.session_id).push(m.id);
+  }
+
+  return rows.map((row, i) => {
+    const id = String(row.question_id ?? row.id ?? i + 1);
+    const query = row.question ?? row.query;
+    if (typeof query !== "string" || !query.trim()) {
+      throw new Error(`Query ${id}: "question" or "query" is required.`);
+    }
+
+    let relevant = Array.isArray(row.relevant) ? row.relevant.map(String) : [];
+    if (Array.isArray(row.answer_session_ids)) {
+      relevant = relevant.concat(row.answer_session_ids.flatMap((s) => bySession.get(String(s)) || []));
+    }
+    const unknown = relevant.find((r) => !ids.has(r));
+    if (unknown) throw new Error(`Query ${id}: relevant memory "${unknown}" is not in the fixture.`);
+
+    const answerable = relevant.length > 0 && !id.endsWith("_abs");
+    return { id, query, relevant: answerable ? [...new Set(relevant)] : [], answerable };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Running
+// ---------------------------------------------------------------------------
+
+async function seedWorkspace(db) {
+  const userId = randomUUID().slice(0, 8);
+  const apiKey = `mp_bench_${randomUUID().slice(0, 16)}`;
+  await db.execute({
+    sql: "INSERT INTO users (id, email, name) VALUES (?, ?, ?)",
+    args: [userId, `bench-${userId}@example.com`, "Recall Benchmark"],
+  });
+  await db.execute({
+    sql: "INSERT INTO api_keys (id, user_id, key_hash, key_prefix, name) VALUES (?, ?, ?, ?, ?)",
+    args: [randomUUID().slice(0, 8), userId, createHash("sha256").update(apiKey).digest("hex"), apiKey.slice(0, 10), "benchmark"],
+  });
+  await db.execute({
+    sql: "INSERT INTO workspaces (id, user_id, name) VALUES (?, ?, ?)",
+    args: [randomUUID().slice(0, 8), userId, BENCH_WORKSPACE],
+  });
+  return apiKey;
+}
+
+/**
+ * Run one scoring configuration over the query set.
+ *
+ * @param {object} opts
+ * @param {object[]} opts.fixture - From loadFixture
+ * @param {object[]} opts.queries - From loadQueries
+ * @param {{ name?: string, settings?: object }} [opts.config]
+ * @param {number} [opts.k] - Result limit
+ * @param {object} [opts.env] - Bindings; with an embedding provider configured, vectors
+ *   go to a LibsqlVectorStore on the run's database and recall is hybrid
+ * @returns {Promise<{ name: string, k: number, metrics: object, queries: object[] }>}
+ */
+export async function runBenchmark({ fixture, queries, config = {}, k = DEFAULT_K, env = {} }) {
+  const db = createClient({ url: ":memory:" });
+  await initSchema(db, "all");
+  const apiKey = await seedWorkspace(db);
+  const embedded = Boolean(getEmbeddingProvider(env));
+  if (embedded && !env.VECTORIZE) env = { ...env, VECTORIZE: new LibsqlVectorStore(db) };
+
+  // Every connection the app opens resolves to this database for the run
+  setTestDb(db);
+  try {
+    const app = createApp();
+    const request = async (method, path, body) => {
+      const res = await app.request(
+        new Request(`http://localhost${path}`, {
+          method,
+          headers: {
+            Authorization: `Bearer ${apiKey}`,
+            "X-Memento-Workspace": BENCH_WORKSPACE,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(body),
+        }),
+        undefined,
+        env
+      );
+      const json = await res.json();
+      if (!res.ok) throw new Error(`${method} ${path} failed (${res.status}): ${json.message || json.error || json.content?.[0]?.text}`);
+      return json;
+    };
+
+    // Linkages play no part in ranking; skip the per-store contradiction scan
+    await request("PUT", "/v1/settings/contradiction_check", { value: "off" });
+
+    const fixtureIdFor = new Map();
+    for (const m of fixture) {
+      const stored = await request("POST", "/v1/memories", {
+        content: m.content,
+        type: m.type,
+        tags: m.tags,
+        pinned: m.pinned,
+      });
+      const id = stored.content[0].text.match(/Stored memory (\w+)/)[1];
+      fixtureIdFor.set(id, m.id);
+      await db.execute({
+        sql: `UPDATE memories
+              SET created_at = COALESCE(?, datetime('now', ?)), access_count = ?
+              WHERE id = ?`,
+        args: [m.created_at, `-${m.age_days ?? 0} days`, m.access_count, id],
+      });
+    }
+
+    if (embedded) {
+      let remaining;
+      do {
+        ({ remaining } = await backfillWorkspace(env, db, BENCH_WORKSPACE));
+      } while (remaining > 0);
+    }
+
+    for (const [key, value] of Object.entries(config.settings || {})) {
+      await request("PUT", `/v1/settings/${key}`, { value });
+    }
+
+    const results = [];
+    for (const q of queries) {
+      const body = await request("POST", "/v1/memories/recall", { query: q.query, limit: k, track_access: false });
+      results.push({ ...q, returned: body.memories.map((r) => fixtureIdFor.get(r.id)) });
+    }
+
+    return { name: config.name || "default", k, ...scoreResults(results, k) };
+  } finally {
+    setTestDb(null);
+    db.close();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Metrics
+// ---------------------------------------------------------------------------
+
+/**
+ * Score per-query results.
+ * @param {Array<{ id: string, relevant: string[], answerable: boolean, returned: string[] }>} results
+ * @param {number} k
+ */
+export function scoreResults(results, k) {
+  const answerable = results.filter((r) => r.answerable);
+  const unanswerable = results.filter((r) => !r.answerable);
+
+  const queries = results.map((r) => {
+    const top = r.returned.slice(0, k);
+    const firstHit = top.findIndex((id) => r.relevant.includes(id));
+    return {
+      id: r.id,
+      query: r.query,
+      answerable: r.answerable,
+      returned: top,
+      first_relevant_rank: firstHit === -1 ? null : firstHit + 1,
+      recall: r.answerable ? top.filter((id) => r.relevant.includes(id)).length / r.relevant.length : null,
+    };
+  });
+
+  const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+  const scored = queries.filter((q) => q.answerable);
+
+  return {
+    metrics: {
+      queries: results.length,
+      answerable: answerable.length,
+      unanswerable: unanswerable.length,
+      recall_at_k: mean(scored.map((q) => q.recall)),
+      mrr: mean(scored.map((q) => (q.first_relevant_rank ? 1 / q.first_relevant_rank : 0))),
+      false_abstention: mean(answerable.map((r) => (r.returned.length === 0 ? 1 : 0))),
+      false_answer: mean(unanswerable.map((r) => (r.returned.length > 0 ? 1 : 0))),
+    },
+    queries,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Reporting
+// ---------------------------------------------------------------------------
+
+const METRIC_ROWS = [
+  ["recall_at_k", (k) => `recall@${k}`],
+  ["mrr", () => "MRR"],
+  ["false_abstention", () => "false abstention"],
+  ["false_answer", () => "false answer"],
+];
+
+const fmt = (n) => (n === null ? "n/a" : n.toFixed(3));
+
+function signed(n) {
+  if (n === null) return "n/a";
+  return `${n >= 0 ? "+" : ""}${n.toFixed(3)}`;
+}
+
+/**
+ * Text report for one run, or two runs side by side with deltas and the
+ * queries whose first relevant rank changed.
+ * @param {object} a - From runBenchmark
+ * @param {object} [b] - Second configuration
+ */
+export function formatReport(a, b) {
+  const m = a.metrics;
+  const lines = [
+    `Recall benchmark — ${m.queries} queries (${m.answerable} answerable, ${m.unanswerable} unanswerable), k=${a.k}`,
+    "",
+  ];
+
+  const header = ["metric", a.name, ...(b ? [b.name, "delta"] : [])];
+  const rows = METRIC_ROWS.map(([key, label]) => {
+    const row = [label(a.k), fmt(a.metrics[key])];
+    if (b) {
+      const delta = a.metrics[key] === null || b.metrics[key] === null ? null : b.metrics[key] - a.metrics[key];
+      row.push(fmt(b.metrics[key]), signed(delta));
+    }
+    return row;
+  });
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  for (const row of [header, ...rows]) {
+    lines.push(row.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join("   "));
+  }
+
+  if (b) {
+    const outcome = (q) => q.first_relevant_rank ?? (!q.returned.length ? "abstained" : q.answerable ? "miss" : "answered");
+    const changed = a.queries
+      .map((q, i) => [q, b.queries[i]])
+      .filter(([qa, qb]) => outcome(qa) !== outcome(qb));
+    lines.push("", changed.length ? `Changed (${a.name} → ${b.name}, first relevant rank or outcome):` : "No query changed outcome.");
+    for (const [qa, qb] of changed) {
+      lines.push(`  ${qa.id}: ${outcome(qa)} → ${outcome(qb)}  ${qa.query}`);
+    }
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,177 @@
+/**
+ * Recall explain mode — why each candidate ranked where it did.
+ *
+ * With `explain=true`, GET/POST /v1/memories/recall and POST /v1/context
+ * return an `explain` object next to their usual results: every candidate's
+ * score factors (keyword, recency, access, last-access, vector, hybrid) and,
+ * for candidates that were not returned, the reason they were left out.
+ *
+ * Candidates are the rows recall actually looked at — FTS pre-selection
+ * happens first, so a memory sharing no indexed term with the query never
+ * appears here.
+ */
+
+import { queryTermsFor, scoreComponents } from "./scoring.js";
+
+/** Why a candidate was left out, in the order the checks apply. */
+export const FILTER_REASONS = {
+  type: "type filter did not match",
+  tags: "tag filter did not match",
+  query: "a query filter (tag:, type:, phrase, date, accessed:, linked:) did not match",
+  abstained: "a specific query term appears in no candidate, so recall abstained",
+  no_keyword_match: "no query term in content or tags (keyword gate)",
+  below_threshold: "score below recall_threshold",
+  over_limit: "ranked below the result limit",
+};
+
+/** Explain output is capped; candidates_total gives the full count. */
+export const EXPLAIN_MAX_CANDIDATES = 50;
+
+const round = (n) => (n === null ? null : Math.round(n * 10000) / 10000);
+
+function entryKey(id, workspace) {
+  return `${workspace || ""}:${id}`;
+}
+
+/**
+ * A candidate dropped by the type, tag or query filters before scoring.
+ * @param {{ id: string }} row
+ * @param {"type"|"tags"|"query"} reason
+ * @param {string} [workspace] - Peeked workspace name
+ */
+export function filteredCandidate(row, reason, workspace) {
+  return {
+    id: row.id,
+    ...(workspace ? { workspace } : {}),
+    keyword: null,
+    recency: null,
+    access: null,
+    last_access: null,
+    half_life_hours: null,
+    keyword_score: null,
+    vector: null,
+    hybrid: null,
+    score: null,
+    filtered: reason,
+  };
+}
+
+/**
+ * Score factors for each candidate, the same way scoreAndRankMemories
+ * scores them. A blind query is scored against each blind index.
+ *
+ * @param {object[]} candidates - Memory rows
+ * @param {string} query - Raw query string
+ * @param {Date} now
+ * @param {object|null} policies - Workspace decay policies
+ * @param {{ blind?: boolean, workspace?: string }} [opts]
+ * @returns {object[]} Explain entries
+ */
+export function explainCandidates(candidates, query, now, policies, { blind = false, workspace } = {}) {
+  const terms = queryTermsFor(query);
+  return candidates.map((memory) => {
+    const scored = blind ? { ...memory, content: memory.blind_index || "" } : memory;
+    const c = scoreComponents(scored, terms, now, policies);
+    return {
+      id: memory.id,
+      ...(workspace ? { workspace } : {}),
+      keyword: c.keyword,
+      recency: c.recency,
+      access: c.access,
+      last_access: c.last_access,
+      half_life_hours: c.half_life_hours,
+      keyword_score: c.score,
+      vector: null,
+      hybrid: null,
+      score: c.score,
+      filtered: null,
+    };
+  });
+}
+
+/**
+ * Record vector and hybrid scores from hybridRank (run without a limit), or
+ * plain vector scores when recall was vector-only. Vector-only matches that
+ * were not keyword candidates are added.
+ *
+ * @param {object[]} entries - Explain entries (mutated)
+ * @param {Array<{ memoryId: string, vectorScore: number, score: number }>|Array<{ id: string, score: number }>} results
+ * @param {{ hybrid: boolean }} opts
+ */
+export function addVectorScores(entries, results, { hybrid }) {
+  const byKey = new Map(entries.map((e) => [entryKey(e.id, e.workspace), e]));
+  for (const r of results) {
+    const id = hybrid ? r.memoryId : r.id;
+    let entry = byKey.get(entryKey(id));
+    if (!entry) {
+      entry = filteredCandidate({ id }, null);
+      entries.push(entry);
+      byKey.set(entryKey(id), entry);
+    }
+    if (entry.filtered) continue;
+    entry.vector = hybrid ? r.vectorScore : r.score;
+    if (hybrid) entry.hybrid = r.score;
+    entry.score = r.score;
+  }
+}
+
+/**
+ * Mark what was returned (with its rank) and why everything else was not,
+ * then build the explain object.
+ *
+ * @param {object[]} entries - Explain entries
+ * @param {object} opts
+ * @param {string} opts.query - Raw query string
+ * @param {Array<{ memory: object }>} opts.returned - Final results, in rank order
+ * @param {number} [opts.threshold] - recall_threshold (applies to own-workspace keyword scores)
+ * @param {boolean} [opts.abstained] - shouldAbstain() fired
+ * @param {number} [opts.alpha] - recall_alpha, when results were hybrid-ranked
+ * @param {string} opts.ranking - "keyword" | "hybrid" | "vector"
+ */
+export function finishExplanation(entries, { query, returned, threshold = 0, abstained = false, alpha, ranking }) {
+  const ranks = new Map(returned.map((r, i) => [entryKey(r.memory.id, r.memory._peekWorkspace), i + 1]));
+
+  for (const entry of entries) {
+    const rank = ranks.get(entryKey(entry.id, entry.workspace));
+    if (rank) {
+      entry.rank = rank;
+      entry.filtered = null;
+      continue;
+    }
+    if (entry.filtered) continue;
+    if (abstained) entry.filtered = "abstained";
+    else if (entry.keyword === 0 && !entry.vector) entry.filtered = "no_keyword_match";
+    else if (threshold > 0 && !entry.workspace && entry.keyword_score !== null && entry.keyword_score < threshold) {
+      entry.filtered = "below_threshold";
+    } else entry.filtered = "over_limit";
+  }
+
+  // Returned first by rank, then the rest by score
+  const sorted = entries.slice().sort((a, b) => {
+    if (a.rank || b.rank) return (a.rank || Infinity) - (b.rank || Infinity);
+    return (b.score ?? -1) - (a.score ?? -1);
+  });
+
+  return {
+    query_terms: queryTermsFor(query),
+    ranking,
+    threshold,
+    ...(alpha !== undefined ? { alpha } : {}),
+    abstained,
+    candidates_total: entries.length,
+    candidates: sorted.slice(0, EXPLAIN_MAX_CANDIDATES).map((e) => ({
+      ...e,
+      keyword: round(e.keyword),
+      recency: round(e.recency),
+      access: round(e.access),
+      last_access: round(e.last_access),
+      // JSON has no Infinity: null means the memory never decays
+      half_life_hours: e.half_life_hours === Infinity ? null : e.half_life_hours,
+      never_decays: e.half_life_hours === Infinity,
+      keyword_score: round(e.keyword_score),
+      vector: round(e.vector),
+      hybrid: round(e.hybrid),
+      score: round(e.score),
+    })),
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * Recall query language.
+ *
+ * The `query` of GET/POST /v1/memories/recall and GET /v1/memories may mix
+ * free text with filters:
+ *
+ *   tag:billing AND tag:stripe   both tags (filters always combine with AND;
+ *                                the AND keyword is optional)
+ *   tag:a OR tag:b               either tag (OR joins filters on one field)
+ *   -tag:scratch                 negation; also -type:, -"phrase", -word
+ *   type:decision
+ *   "exact phrase"               must appear in the content
+ *   before:2026-03-01            created before that date (exclusive)
+ *   after:2026-03-01             created on or after that date
+ *   accessed:>5                  access count; also >=, <, <=, = or a bare number
+ *   linked:<id>                  linked to or from that memory
+ *
+ * Free-text words and the words of phrases are what recall scores against;
+ * filters only decide which memories are candidates. A field name the
+ * language does not know (e.g. "http:"), and AND/OR anywhere but between
+ * filters, are read as plain text.
+ */
+
+import { STOP_WORDS } from "./scoring.js";
+
+const TOKEN_RE = /(-?)(?:([A-Za-z]+):)?(?:"([^"]*)"?|(\S+))/g;
+const FIELDS = new Set(["tag", "type", "before", "after", "accessed", "linked"]);
+const OR_FIELDS = new Set(["tag", "type", "linked"]);
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const ACCESSED_RE = /^(>=|<=|>|<|=)?(\d+)$/;
+const OR_ERROR = 'OR joins two filters on the same field, e.g. "tag:a OR tag:b".';
+
+const normalizePhrase = (s) => s.toLowerCase().replace(/\s+/g, " ").trim();
+
+/** Parse one field value; returns { value } or { error }. */
+function fieldValue(field, raw) {
+  switch (field) {
+    case "tag":
+    case "type":
+      return { value: raw.toLowerCase() };
+    case "linked":
+      return { value: raw };
+    case "before":
+    case "after": {
+      const time = DATE_RE.test(raw) ? Date.parse(raw) : NaN;
+      if (isNaN(time)) return { error: `${field}: expects a date like 2026-03-01, got "${raw}".` };
+      return { value: time };
+    }
+    case "accessed": {
+      const m = raw.match(ACCESSED_RE);
+      if (!m) return { error: `accessed: expects a count like >5, <=2 or 0, got "${raw}".` };
+      return { value: { op: m[1] || "=", n: parseInt(m[2], 10) } };
+    }
+  }
+}
+
+/**
+ * Parse a recall query.
+ * @param {string} input
+ * @returns {{ text: string, words: string[], clauses: Array<{ field: string, values: any[], negate: boolean }> }
+ *   | { error: string }}
+ */
+export function parseRecallQuery(input) {
+  const words = [];
+  const phrases = [];
+  const clauses = [];
+  let pendingOr = null;
+  let last = null; // clause read from the previous token
+
+  for (const m of (input || "").matchAll(TOKEN_RE)) {
+    const [token, neg, rawField, quoted, plain] = m;
+    const field = rawField?.toLowerCase();
+    let clause;
+
+    if (field && FIELDS.has(field)) {
+      const raw = (quoted ?? plain ?? "").trim();
+      if (!raw) return { error: `${field}: needs a value.` };
+      const parsed = fieldValue(field, raw);
+      if (parsed.error) return { error: parsed.error };
+      clause = { field, values: [parsed.value], negate: neg === "-" };
+    } else if (!field && quoted !== undefined) {
+      const phrase = normalizePhrase(quoted);
+      if (!phrase) continue;
+      if (!neg) phrases.push(phrase);
+      clause = { field: "phrase", values: [phrase], negate: neg === "-" };
+    } else if (!neg && plain === "AND" && last) {
+      continue;
+    } else if (!neg && plain === "OR" && last && !last.negate && OR_FIELDS.has(last.field)) {
+      pendingOr = last;
+      last = null;
+      continue;
+    } else if (neg && !field && plain.length > 0) {
+      clause = { field: "word", values: [plain.toLowerCase()], negate: true };
+    } else {
+      // Plain text, including "name:value" for names that are not fields
+      if (pendingOr) return { error: OR_ERROR };
+      words.push(neg ? token : token.replace(/"/g, ""));
+      last = null;
+      continue;
+    }
+
+    if (pendingOr) {
+      if (clause.field !== pendingOr.field || clause.negate) return { error: OR_ERROR };
+      pendingOr.values.push(...clause.values);
+      last = pendingOr;
+      pendingOr = null;
+      continue;
+    }
+    clauses.push(clause);
+    last = clause;
+  }
+
+  if (pendingOr) return { error: OR_ERROR };
+  return { text: [...words, ...phrases].join(" "), words, clauses };
+}
+
+/**
+ * Memories linked from each `linked:` target, so linked: also matches
+ * links that point away from the target. Map of target id -> Set of ids.
+ * @param {object} db - Workspace database client
+ * @param {{ clauses: object[] }} parsed - From parseRecallQuery
+ */
+export async function loadLinkTargets(db, parsed) {
+  const ids = [...new Set(parsed.clauses.filter((c) => c.field === "linked").flatMap((c) => c.values))];
+  const targets = new Map();
+  if (ids.length === 0) return targets;
+
+  const result = await db.execute({
+    sql: `SELECT id, linkages FROM memories WHERE id IN (${ids.map(() => "?").join(", ")})`,
+    args: ids,
+  });
+  for (const row of result.rows) {
+    targets.set(row.id, new Set(parseList(row.linkages).map((l) => l?.id).filter(Boolean)));
+  }
+  return targets;
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/** created_at as epoch ms; SQLite's "YYYY-MM-DD HH:MM:SS" is UTC. */
+function createdTime(value) {
+  if (!value) return NaN;
+  return Date.parse(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(" ", "T")}Z` : value);
+}
+
+function compare({ op, n }, count) {
+  switch (op) {
+    case ">": return count > n;
+    case ">=": return count >= n;
+    case "<": return count < n;
+    case "<=": return count <= n;
+    default: return count === n;
+  }
+}
+
+/**
+ * Whether a memory row (decrypted content) passes the query's filters.
+ * @param {object} memory - { id, content, type, tags, created_at, access_count, linkages }
+ * @param {{ words: string[], clauses: object[] }} parsed - From parseRecallQuery
+ * @param {{ links?: Map<string, Set<string>>, requireWords?: boolean }} [opts]
+ *   links from loadLinkTargets; requireWords makes every free-text word required (browsing)
+ */
+export function matchesQuery(memory, parsed, { links = new Map(), requireWords = false } = {}) {
+  const content = normalizePhrase(memory.content || "");
+  const tags = parseList(memory.tags).map((t) => String(t).toLowerCase());
+  const searchable = `${content} ${tags.join(" ")}`;
+
+  const test = (field, value) => {
+    switch (field) {
+      case "tag": return tags.includes(value);
+      case "type": return (memory.type || "").toLowerCase() === value;
+      case "phrase": return content.includes(value);
+      case "word": return searchable.includes(value);
+      case "before": return createdTime(memory.created_at) < value;
+      case "after": return createdTime(memory.created_at) >= value;
+      case "accessed": return compare(value, Number(memory.access_count) || 0);
+      case "linked":
+        return parseList(memory.linkages).some((l) => l?.id === value) || Boolean(links.get(value)?.has(memory.id));
+    }
+    return false;
+  };
+
+  for (const clause of parsed.clauses) {
+    if (clause.values.some((v) => test(clause.field, v)) === clause.negate) return false;
+  }
+  if (requireWords) {
+    for (const word of parsed.words) {
+      const term = word.toLowerCase().replace(/[^\w]/g, "");
+      if (term && !STOP_WORDS.has(term) && !searchable.includes(term)) return false;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,76 @@
+/**
+ * Memory revision history.
+ *
+ * Before a memory's content, type, tags, expiry or linkages are overwritten,
+ * or it is folded into a consolidation, the current row is copied into
+ * `memory_revisions` together with the source of the change. Stored values are copied verbatim, so revisions of an
+ * encrypted memory stay encrypted under the same workspace key, and a
+ * client-encrypted memory keeps the blind index that matches its ciphertext.
+ *
+ * Versions are numbered per memory from 1 (the original). A memory with N
+ * revisions is at version N + 1.
+ */
+
+/** Who made a change — recorded on the revision it superseded. */
+export const REVISION_SOURCES = ["api", "mcp", "hook", "extraction", "consolidation", "revert"];
+
+/**
+ * Snapshot the current state of a memory before it changes.
+ * @param {import("@libsql/client").Client} db - Workspace database
+ * @param {string} memoryId
+ * @param {string} source - One of REVISION_SOURCES
+ * @returns {Promise<number>} Version number of the snapshot
+ */
+export async function recordRevision(db, memoryId, source) {
+  const result = await db.execute({
+    sql: "SELECT COALESCE(MAX(version), 0) + 1 AS next FROM memory_revisions WHERE memory_id = ?",
+    args: [memoryId],
+  });
+  const version = Number(result.rows[0].next);
+
+  await db.execute({
+    sql: `INSERT INTO memory_revisions (memory_id, version, content, type, tags, expires_at, linkages, blind_index, source)
+          SELECT id, ?, content, type, tags, expires_at, linkages, blind_index, ? FROM memories WHERE id = ?`,
+    args: [version, source, memoryId],
+  });
+  return version;
+}
+
+/**
+ * All revisions of a memory, newest first. Content is returned as stored.
+ * @returns {Promise<Array<object>>}
+ */
+export async function listRevisions(db, memoryId) {
+  const result = await db.execute({
+    sql: `SELECT version, content, type, tags, expires_at, linkages, source, created_at
+          FROM memory_revisions WHERE memory_id = ?
+          ORDER BY version DESC`,
+    args: [memoryId],
+  });
+  return result.rows;
+}
+
+/**
+ * A single revision, or null.
+ */
+export async function getRevision(db, memoryId, version) {
+  const result = await db.execute({
+    sql: `SELECT version, content, type, tags, expires_at, linkages, blind_index, source, created_at
+          FROM memory_revisions WHERE memory_id = ? AND version = ?`,
+    args: [memoryId, version],
+  });
+  return result.rows[0] || null;
+}
+
+/**
+ * Drop the history of deleted memories.
+ * @param {import("@libsql/client").Client} db - Workspace database
+ * @param {string[]} memoryIds
+ */
+export async function deleteRevisions(db, memoryIds) {
+  if (!memoryIds.length) return;
+  await db.execute({
+    sql: `DELETE FROM memory_revisions WHERE memory_id IN (${memoryIds.map(() => "?").join(", ")})`,
+    args: memoryIds,
+  });
+}
@@ -1,12 +1,23 @@
 // Scheduler service for cron-triggered background tasks.
 //
-// Two cron schedules (configured in wrangler.toml):
-// - every 6 hours: run decay
-// - daily at 3AM UTC: run consolidation
+// Three cron schedules (configured in wrangler.toml):
+// - every 5 minutes: outgoing webhooks -- expire skip entries, queue new
+//   events and send due retries, for workspaces with active webhooks only
+// - every 6 hours: run decay + embedding backfill (picks up model switches)
+// - daily at 3AM UTC: run consolidation (or queue proposals when the workspace
+//   sets consolidation_approval = "review")
 
 import { getControlDb, getWorkspaceDb } from "../db/connection.js";
 import { applyDecay } from "./decay.js";
-import { consolidateMemories } from "./consolidation.js";
+import { consolidateMemories, loadConsolidationOptions } from "./consolidation.js";
+import { proposeConsolidations } from "./proposals.js";
+import { backfillWorkspace } from "./embeddings.js";
+import { getWorkspaceKey } from "./crypto.js";
+import { dispatchWebhooks } from "./webhooks.js";
+import { publishEvents } from "./event-hub.js";
+import { purgeExpiredSkips } from "./skip-list.js";
+
+const WEBHOOK_CRON = "*/5 * * * *";
 
 /**
  * Run scheduled tasks for all workspaces.
@@ -23,6 +34,8 @@ export async function runScheduledTasks(cron, env) {
 
   const controlDb = getControlDb();
 
+  if (cron === WEBHOOK_CRON) return runWebhookTasks(controlDb, env);
+
   // Get all workspaces
   const workspacesResult = await controlDb.execute(
     "SELECT id, name, db_url, db_token FROM workspaces"
@@ -35,15 +48,23 @@ export async function runScheduledTasks(cron, env) {
 
     try {
       if (cron === "0 */6 * * *") {
-        // Every 6 hours: decay
+        // Every 6 hours: decay, then embed anything missed and re-embed
+        // vectors left over from a previous embedding model
         const decayResult = await applyDecay(db);
-        results.push({ workspace: ws.name, task: "decay", ...decayResult });
+        const encKey = await getWorkspaceKey(ws.id, env, controlDb).catch(() => null);
+        const embeddings = await backfillWorkspace(env, db, ws.name, encKey);
+        results.push({ workspace: ws.name, task: "decay", ...decayResult, embeddings });
       }
 
       if (cron === "0 3 * * *") {
         // Daily at 3AM UTC: consolidation + decay
         const decayResult = await applyDecay(db);
-        const consolidationResult = await consolidateMemories(db, env);
+        const encKey = await getWorkspaceKey(ws.id, env, controlDb).catch(() => null);
+        const { approval } = await loadConsolidationOptions(db);
+        const consolidationResult = approval === "review"
+          ? await proposeConsolidations(db, env, encKey, ws.name)
+          : await consolidateMemories(db, env, encKey, ws.name);
+        await publishEvents(env, ws.id).catch(() => {});
         results.push({
           workspace: ws.name,
           task: "daily",
@@ -65,6 +86,9 @@ export async function runScheduledTasks(cron, env) {
       await controlDb.execute(
         "DELETE FROM processed_webhook_events WHERE processed_at < datetime('now', '-90 days')"
       );
+      await controlDb.execute(
+        "DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < datetime('now', '-30 days')"
+      );
       results.push({ task: "control_plane_cleanup", status: "ok" });
     } catch (err) {
       results.push({ task: "control_plane_cleanup", error: err.message });
@@ -73,3 +97,30 @@ export async function runScheduledTasks(cron, env) {
 
   return results;
 }
+
+/**
+ * Webhook cron: expire skip entries (so skip.expired fires without a read)
+ * and dispatch, for workspaces that have an active webhook.
+ */
+async function runWebhookTasks(controlDb, env) {
+  const workspacesResult = await controlDb.execute(
+    `SELECT DISTINCT w.id, w.name, w.db_url, w.db_token
+     FROM workspaces w JOIN webhooks h ON h.workspace_id = w.id
+     WHERE h.active = 1`
+  );
+
+  const results = [];
+  for (const ws of workspacesResult.rows) {
+    const db = getWorkspaceDb(ws.db_url, ws.db_token);
+    try {
+      const expired = await purgeExpiredSkips(db);
+      const encKey = await getWorkspaceKey(ws.id, env, controlDb).catch(() => null);
+      const webhooks = await dispatchWebhooks(controlDb, db, { workspaceId: ws.id, workspaceName: ws.name, encKey });
+      if (expired > 0) await publishEvents(env, ws.id).catch(() => {});
+      results.push({ workspace: ws.name, task: "webhooks", skip_expired: expired, ...webhooks });
+    } catch (err) {
+      results.push({ workspace: ws.name, task: "webhooks", error: err.message });
+    }
+  }
+  return results;
+}
@@ -4,11 +4,14 @@
  * Combined score = keyword * recency * accessBoost * lastAccessRecency
  *
  * - Keyword (0-1): fraction of query terms found in content + tags
- * - Recency (0-1): exponential decay with 7-day half-life
+ * - Recency (0-1): exponential decay; 7-day half-life unless a decay policy
+ *   or the pinned flag says otherwise (services/decay-policies.js)
  * - Access boost (1.0-2.0): log2-based lift from access_count
  * - Last-access recency (1.0-1.5): temporary boost for memories accessed in last 48h
  */
 
+import { halfLifeHours } from "./decay-policies.js";
+
 /**
  * Common English stop words filtered out of query terms before scoring.
  * Matches the list used by extractKeywords in routes/context.js.
@@ -80,47 +83,80 @@ function parseTags(tagsStr) {
 }
 
 /**
- * Score a single memory against a set of query terms.
+ * Split a raw query into scoring terms: lowercase, punctuation stripped,
+ * stop words dropped. Falls back to the raw terms when every term is a stop
+ * word (vacuous query), preserving existing behaviour for the decay service.
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function queryTermsFor(query) {
+  const rawTerms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const filteredTerms = rawTerms
+    .map((t) => t.replace(/[^\w]/g, ""))
+    .filter((t) => t.length > 0 && !STOP_WORDS.has(t));
+  return filteredTerms.length > 0 ? filteredTerms : rawTerms;
+}
+
+/**
+ * Every factor of a memory's score, for recall explain mode.
  *
- * @param {object} memory - { content, tags, created_at, access_count, last_accessed_at }
- * @param {string[]} queryTerms - Lowercase query terms
- * @param {Date} now - Current timestamp (for deterministic testing)
- * @returns {number} Combined relevance score. 0 if no keyword match.
+ * @param {object} memory - { content, type, tags, pinned, created_at, access_count, last_accessed_at }
+ * @param {string[]} queryTerms - Lowercase query terms; [] skips the keyword gate (keyword = 1)
+ * @param {Date} now - Current timestamp
+ * @param {object|null} [policies] - Workspace decay policies (loadDecayPolicies)
+ * @returns {{ keyword: number, recency: number, access: number, last_access: number,
+ *   half_life_hours: number, score: number }} half_life_hours is Infinity when the memory never decays
  */
-export function scoreMemory(memory, queryTerms, now) {
+export function scoreComponents(memory, queryTerms, now, policies = null) {
+  const halfLife = halfLifeHours(memory, policies);
+
   // --- Keyword score (0-1) — gate: zero match = zero final score ---
-  if (!queryTerms.length) {
-    // No query terms means we skip keyword gating — used by decay service
-    return recencyScore(memory.created_at, now) *
-           accessBoostScore(memory.access_count) *
-           lastAccessRecencyScore(memory.last_accessed_at, now);
+  // No query terms means we skip keyword gating — used by decay service
+  let keyword = 1;
+  if (queryTerms.length) {
+    const contentLower = (memory.content || "").toLowerCase();
+    const tags = parseTags(memory.tags);
+    const searchable = contentLower + " " + tags.join(" ");
+    keyword = queryTerms.filter((term) => searchable.includes(term)).length / queryTerms.length;
   }
 
-  const contentLower = (memory.content || "").toLowerCase();
-  const tags = parseTags(memory.tags);
-  const searchable = contentLower + " " + tags.join(" ");
-
-  const hits = queryTerms.filter((term) => searchable.includes(term)).length;
-  const keyword = hits / queryTerms.length;
-
-  if (keyword === 0) return 0;
-
-  const recency = recencyScore(memory.created_at, now);
-  const accessBoost = accessBoostScore(memory.access_count);
+  const recency = recencyScore(memory.created_at, now, halfLife);
+  const access = accessBoostScore(memory.access_count);
   const lastAccess = lastAccessRecencyScore(memory.last_accessed_at, now);
 
-  return keyword * recency * accessBoost * lastAccess;
+  return {
+    keyword,
+    recency,
+    access,
+    last_access: lastAccess,
+    half_life_hours: halfLife,
+    score: keyword === 0 ? 0 : keyword * recency * access * lastAccess,
+  };
 }
 
 /**
- * Recency score: exponential decay with 7-day (168h) half-life.
+ * Score a single memory against a set of query terms.
+ *
+ * @param {object} memory - { content, type, tags, pinned, created_at, access_count, last_accessed_at }
+ * @param {string[]} queryTerms - Lowercase query terms
+ * @param {Date} now - Current timestamp (for deterministic testing)
+ * @param {object|null} [policies] - Workspace decay policies (loadDecayPolicies)
+ * @returns {number} Combined relevance score. 0 if no keyword match.
+ */
+export function scoreMemory(memory, queryTerms, now, policies = null) {
+  return scoreComponents(memory, queryTerms, now, policies).score;
+}
+
+/**
+ * Recency score: exponential decay, 0.5^(ageHours / halfLifeHours).
+ * An infinite half-life never decays.
  * @returns {number} 0-1
  */
-function recencyScore(createdAt, now) {
-  if (!createdAt) return 1.0;
+function recencyScore(createdAt, now, halfLife = 168) {
+  if (!createdAt || halfLife === Infinity) return 1.0;
   const ageHours = (now.getTime() - new Date(createdAt).getTime()) / 3_600_000;
   if (ageHours <= 0) return 1.0;
-  return Math.pow(0.5, ageHours / 168);
+  return Math.pow(0.5, ageHours / halfLife);
 }
 
 /**
@@ -151,20 +187,15 @@ function lastAccessRecencyScore(lastAccessedAt, now) {
  * @param {string} query - Raw query string
  * @param {Date} now - Current timestamp
  * @param {number} limit - Max results to return
+ * @param {object|null} [policies] - Workspace decay policies (loadDecayPolicies)
  * @returns {Array<{ memory: object, score: number }>} Sorted by score desc
  */
-export function scoreAndRankMemories(memories, query, now, limit) {
-  const rawTerms = query.toLowerCase().split(/\s+/).filter(Boolean);
-  const filteredTerms = rawTerms
-    .map((t) => t.replace(/[^\w]/g, ""))
-    .filter((t) => t.length > 0 && !STOP_WORDS.has(t));
-  // Fall back to raw terms when every term is a stop word (vacuous query),
-  // preserving existing behaviour for calls from the decay service.
-  const queryTerms = filteredTerms.length > 0 ? filteredTerms : rawTerms;
+export function scoreAndRankMemories(memories, query, now, limit, policies = null) {
+  const queryTerms = queryTermsFor(query);
 
   const scored = [];
   for (const memory of memories) {
-    const score = scoreMemory(memory, queryTerms, now);
+    const score = scoreMemory(memory, queryTerms, now, policies);
     if (score > 0) {
       scored.push({ memory, score });
     }
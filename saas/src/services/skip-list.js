@@ -0,0 +1,31 @@
+/**
+ * Skip list expiry — shared by the skip list and context routes and the
+ * scheduler, so every purge records a skip_expire activity (skip.expired).
+ */
+
+/**
+ * Delete expired skip entries, logging one skip_expire per entry.
+ * @param {object} db - Workspace database
+ * @param {string} [now] - ISO timestamp (default: now)
+ * @returns {Promise<number>} Entries removed
+ */
+export async function purgeExpiredSkips(db, now = new Date().toISOString()) {
+  const expired = await db.execute({
+    sql: "SELECT id, expires_at FROM skip_list WHERE expires_at <= ?",
+    args: [now],
+  });
+  if (expired.rows.length === 0) return 0;
+
+  const ids = expired.rows.map((row) => row.id);
+  await db.execute({
+    sql: `DELETE FROM skip_list WHERE id IN (${ids.map(() => "?").join(", ")})`,
+    args: ids,
+  });
+  for (const row of expired.rows) {
+    db.execute({
+      sql: `INSERT INTO activity_log (action, entity_id, detail) VALUES (?, ?, ?)`,
+      args: ["skip_expire", row.id, row.expires_at],
+    }).catch(() => {});
+  }
+  return ids.length;
+}
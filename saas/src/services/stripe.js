@@ -22,6 +22,27 @@ export function timingSafeEqual(a, b) {
   return result === 0;
 }
 
+/**
+ * Hex HMAC-SHA256 of a string, via Web Crypto.
+ * @param {string} secret
+ * @param {string} payload
+ * @returns {Promise<string>}
+ */
+export async function hmacSha256Hex(secret, payload) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const sigBytes = await crypto.subtle.sign("HMAC", key, encoder.encode(payload));
+  return Array.from(new Uint8Array(sigBytes))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
 /**
  * Verify a Stripe webhook signature using Web Crypto API.
  *
@@ -62,19 +83,7 @@ export async function verifyWebhookSignature(rawBody, sigHeader, secret) {
   }
 
   // Compute expected signature
-  const payload = `${timestamp}.${rawBody}`;
-  const encoder = new TextEncoder();
-  const key = await crypto.subtle.importKey(
-    "raw",
-    encoder.encode(secret),
-    { name: "HMAC", hash: "SHA-256" },
-    false,
-    ["sign"]
-  );
-  const sigBytes = await crypto.subtle.sign("HMAC", key, encoder.encode(payload));
-  const expectedSig = Array.from(new Uint8Array(sigBytes))
-    .map((b) => b.toString(16).padStart(2, "0"))
-    .join("");
+  const expectedSig = await hmacSha256Hex(secret, `${timestamp}.${rawBody}`);
 
   // Check if any v1 signature matches (Stripe may include multiple)
   const match = signatures.some((sig) => timingSafeEqual(sig, expectedSig));
@@ -0,0 +1,183 @@
+/**
+ * libSQL vector store — a self-hosted stand-in for the Cloudflare Vectorize
+ * binding, used when the API runs under Node (src/server.js) where
+ * env.VECTORIZE does not exist.
+ *
+ * Implements the subset of the Vectorize API that embeddings.js relies on:
+ *
+ *   upsert([{ id, values, metadata }])
+ *   query(values, { topK, filter, returnMetadata })  -> { matches, count }
+ *   getByIds(ids)                                     -> [{ id, values, metadata }]
+ *   deleteByIds(ids)
+ *
+ * Vectors are stored as libSQL vector32 blobs and queried with an exact
+ * cosine scan (vector_distance_cos) over the filtered workspace's vectors.
+ * Only vectors with the same dimensionality as the query are compared, so
+ * vectors left over from a previous embedding model are skipped rather
+ * than failing the query.
+ *
+ * Configuration (process.env):
+ *   VECTOR_DB_URL    - libSQL/Turso URL for the vector table (defaults to MEMENTO_DB_URL)
+ *   VECTOR_DB_TOKEN  - Auth token for VECTOR_DB_URL
+ */
+
+import { getWorkspaceDb } from "../db/connection.js";
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS vectors (
+    id TEXT PRIMARY KEY,
+    workspace_id TEXT NOT NULL,
+    dimensions INTEGER NOT NULL,
+    embedding BLOB NOT NULL,
+    metadata TEXT DEFAULT '{}',
+    updated_at TEXT DEFAULT (datetime('now'))
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_vectors_workspace ON vectors (workspace_id, dimensions)`,
+];
+
+/**
+ * Build WHERE clauses for a Vectorize-style metadata filter. Only equality
+ * on scalar values is supported (the only form embeddings.js uses).
+ */
+function filterClauses(filter = {}) {
+  const clauses = [];
+  const args = [];
+  for (const [key, value] of Object.entries(filter)) {
+    if (key === "workspace_id") {
+      clauses.push("workspace_id = ?");
+    } else if (/^[A-Za-z0-9_]+$/.test(key)) {
+      clauses.push(`json_extract(metadata, '$.${key}') = ?`);
+    } else {
+      throw new Error(`Unsupported vector filter key: ${key}`);
+    }
+    args.push(value);
+  }
+  return { clauses, args };
+}
+
+export class LibsqlVectorStore {
+  /**
+   * @param {import("@libsql/client").Client} db - Database holding the vectors table
+   */
+  constructor(db) {
+    this.db = db;
+    this._ready = null;
+  }
+
+  /** Create the vectors table on first use. */
+  ready() {
+    if (!this._ready) {
+      this._ready = (async () => {
+        for (const sql of SCHEMA) await this.db.execute(sql);
+      })();
+    }
+    return this._ready;
+  }
+
+  /**
+   * Insert or replace vectors.
+   * @param {Array<{ id: string, values: number[], metadata?: object }>} vectors
+   * @returns {Promise<{ count: number }>}
+   */
+  async upsert(vectors) {
+    await this.ready();
+    if (!vectors.length) return { count: 0 };
+
+    await this.db.batch(
+      vectors.map(({ id, values, metadata = {} }) => ({
+        sql: `INSERT INTO vectors (id, workspace_id, dimensions, embedding, metadata)
+              VALUES (?, ?, ?, vector32(?), ?)
+              ON CONFLICT(id) DO UPDATE SET
+                workspace_id = excluded.workspace_id,
+                dimensions = excluded.dimensions,
+                embedding = excluded.embedding,
+                metadata = excluded.metadata,
+                updated_at = datetime('now')`,
+        args: [
+          id,
+          metadata.workspace_id || "",
+          values.length,
+          JSON.stringify(Array.from(values)),
+          JSON.stringify(metadata),
+        ],
+      }))
+    );
+    return { count: vectors.length };
+  }
+
+  /**
+   * Nearest neighbours by cosine similarity (score = 1 - cosine distance,
+   * matching Vectorize's cosine metric).
+   *
+   * @param {number[]} values - Query vector
+   * @param {{ topK?: number, filter?: object, returnMetadata?: boolean|string }} [options]
+   * @returns {Promise<{ matches: Array<{ id: string, score: number, metadata?: object }>, count: number }>}
+   */
+  async query(values, { topK = 10, filter, returnMetadata = false } = {}) {
+    await this.ready();
+    const { clauses, args } = filterClauses(filter);
+
+    const result = await this.db.execute({
+      sql: `SELECT id, metadata, vector_distance_cos(embedding, vector32(?)) AS distance
+            FROM vectors
+            WHERE dimensions = ?${clauses.map((c) => ` AND ${c}`).join("")}
+            ORDER BY distance ASC
+            LIMIT ?`,
+      args: [JSON.stringify(Array.from(values)), values.length, ...args, topK],
+    });
+
+    const matches = result.rows.map((row) => {
+      const match = { id: row.id, score: 1 - row.distance };
+      if (returnMetadata) match.metadata = JSON.parse(row.metadata || "{}");
+      return match;
+    });
+    return { matches, count: matches.length };
+  }
+
+  /**
+   * Fetch stored vectors by ID. Unknown IDs are omitted.
+   * @param {string[]} ids
+   * @returns {Promise<Array<{ id: string, values: number[], metadata: object }>>}
+   */
+  async getByIds(ids) {
+    await this.ready();
+    if (!ids.length) return [];
+
+    const result = await this.db.execute({
+      sql: `SELECT id, vector_extract(embedding) AS vec, metadata FROM vectors
+            WHERE id IN (${ids.map(() => "?").join(", ")})`,
+      args: ids,
+    });
+    return result.rows.map((row) => ({
+      id: row.id,
+      values: JSON.parse(row.vec),
+      metadata: JSON.parse(row.metadata || "{}"),
+    }));
+  }
+
+  /**
+   * Delete vectors by ID. Unknown IDs are ignored.
+   * @param {string[]} ids
+   * @returns {Promise<{ count: number }>}
+   */
+  async deleteByIds(ids) {
+    await this.ready();
+    if (!ids.length) return { count: 0 };
+
+    const result = await this.db.execute({
+      sql: `DELETE FROM vectors WHERE id IN (${ids.map(() => "?").join(", ")})`,
+      args: ids,
+    });
+    return { count: result.rowsAffected };
+  }
+}
+
+/**
+ * Create the vector store for Node mode from VECTOR_DB_URL / VECTOR_DB_TOKEN,
+ * falling back to the main database.
+ */
+export function createVectorStore() {
+  return new LibsqlVectorStore(
+    getWorkspaceDb(process.env.VECTOR_DB_URL, process.env.VECTOR_DB_TOKEN)
+  );
+}
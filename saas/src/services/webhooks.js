@@ -0,0 +1,305 @@
+/**
+ * Outgoing webhooks — workspace events POSTed to subscriber URLs.
+ *
+ * Subscriptions live in the control plane (webhooks) with a cursor into
+ * the workspace change feed (activity_log id, see services/events.js).
+ * Dispatch copies new matching events into webhook_deliveries, then sends
+ * whatever is due. A failed send is retried after RETRY_DELAYS_SECONDS,
+ * then marked failed. Dispatch runs after each write to the workspace and
+ * on the 5-minute cron, which picks up retries and skip list expiry.
+ *
+ * Payloads are signed the way Stripe signs its webhooks:
+ *   Memento-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">
+ * so verifyWebhookSignature() in services/stripe.js verifies them as-is.
+ * Like the change feed, payloads carry IDs and action details, never
+ * memory or item content. Signing secrets are stored encrypted under the
+ * workspace key (rows from before that are read as plaintext).
+ *
+ * To keep webhooks from reaching internal services, URLs must name a public
+ * host: IP literals, localhost and .local/.internal names are refused,
+ * except for loopback in development and test.
+ */
+
+import { randomUUID, randomBytes } from "node:crypto";
+import { EVENT_TYPES, readEvents, latestEventId } from "./events.js";
+import { hmacSha256Hex } from "./stripe.js";
+import { encryptField, decryptField } from "./crypto.js";
+
+/** Seconds to wait before each retry; one attempt more than entries. */
+export const RETRY_DELAYS_SECONDS = [60, 300, 1800, 7200, 43200];
+export const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
+export const MAX_WEBHOOKS = 10;
+
+const DELIVERY_TIMEOUT_MS = 10_000;
+const LEASE_SECONDS = 60;
+const EVENT_BATCH = 100;
+const SEND_BATCH = 25;
+
+/** Events derived from a feed event, checked before its own type. */
+const DERIVED_EVENTS = {
+  "item.completed": (event) => event.action === "item_status" && /->completed$/.test(event.detail || ""),
+};
+
+export const WEBHOOK_EVENTS = [...new Set([...Object.values(EVENT_TYPES), ...Object.keys(DERIVED_EVENTS)])];
+
+// ---------------------------------------------------------------------------
+// Subscriptions
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate subscribed event names: types, groups ("memory") or "*".
+ * @param {unknown} events
+ * @returns {{ events: string[], unknown: string[] } | { error: string }}
+ */
+export function parseWebhookEvents(events) {
+  if (!Array.isArray(events) || events.length === 0 || !events.every((e) => typeof e === "string")) {
+    return { error: '"events" must be a non-empty array of event types.' };
+  }
+  const wanted = [...new Set(events.map((e) => e.trim()).filter(Boolean))];
+  const unknown = wanted.filter(
+    (e) => e !== "*" && !WEBHOOK_EVENTS.includes(e) && !WEBHOOK_EVENTS.some((type) => type.startsWith(`${e}.`))
+  );
+  return { events: wanted, unknown };
+}
+
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+const INTERNAL_SUFFIXES = [".localhost", ".local", ".internal"];
+
+function isDevelopment(env) {
+  const environment = env?.ENVIRONMENT || process.env.ENVIRONMENT || process.env.NODE_ENV;
+  return environment === "development" || environment === "test";
+}
+
+/**
+ * Webhook URLs must be https to a public hostname. IP literals (private,
+ * loopback, link-local or otherwise) and internal names are refused; in
+ * development and test, loopback hosts are allowed over http too.
+ * @param {unknown} url
+ * @param {object} [env] - Workers env (ENVIRONMENT)
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateWebhookUrl(url, env) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return '"url" must be an absolute URL.';
+  }
+  const host = parsed.hostname.toLowerCase();
+  if (LOOPBACK_HOSTS.includes(host) && isDevelopment(env)) {
+    return ["http:", "https:"].includes(parsed.protocol) ? null : '"url" must use https.';
+  }
+  if (parsed.protocol !== "https:") return '"url" must use https.';
+
+  // The URL parser normalizes IPv4 shorthand (0x7f.1, 2130706433) to dotted form
+  const ipLiteral = host.startsWith("[") || /^\d+\.\d+\.\d+\.\d+$/.test(host);
+  if (ipLiteral || host === "localhost" || INTERNAL_SUFFIXES.some((suffix) => host.endsWith(suffix))) {
+    return '"url" must use a public hostname, not an IP address or internal host.';
+  }
+  return null;
+}
+
+export function generateWebhookSecret() {
+  return `whsec_${randomBytes(24).toString("hex")}`;
+}
+
+function subscribes(events, type) {
+  return events.some((e) => e === "*" || e === type || type.startsWith(`${e}.`));
+}
+
+/**
+ * The event type a webhook receives for a feed event, or null.
+ * @param {string[]} events - Subscribed event names
+ * @param {{ type: string, action: string, detail: string|null }} event
+ * @returns {string|null}
+ */
+export function webhookEventType(events, event) {
+  for (const [type, matches] of Object.entries(DERIVED_EVENTS)) {
+    if (events.includes(type) && matches(event)) return type;
+  }
+  return subscribes(events, event.type) ? event.type : null;
+}
+
+/** Parse the stored events list. */
+export function parseStoredEvents(value) {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Create a subscription. It receives events written after this call.
+ * @param {CryptoKey|null} encKey - Workspace key the secret is stored under
+ * @returns {Promise<{ id: string, secret: string }>} The plaintext secret
+ */
+export async function createWebhook(controlDb, db, { workspaceId, url, events, description, createdBy }, encKey) {
+  const id = randomUUID().slice(0, 8);
+  const secret = generateWebhookSecret();
+  const storedSecret = encKey ? await encryptField(secret, encKey) : secret;
+  await controlDb.execute({
+    sql: `INSERT INTO webhooks (id, workspace_id, url, secret, events, description, last_event_id, created_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    args: [id, workspaceId, url, storedSecret, JSON.stringify(events), description || null, await latestEventId(db), createdBy],
+  });
+  return { id, secret };
+}
+
+// ---------------------------------------------------------------------------
+// Dispatch
+// ---------------------------------------------------------------------------
+
+/**
+ * Copy events past a webhook's cursor into its delivery queue.
+ * The cursor moves with a compare-and-set, so concurrent dispatches never
+ * queue the same range twice.
+ */
+async function enqueueEvents(controlDb, db, hook, { workspaceId, workspaceName }) {
+  const cursor = Number(hook.last_event_id || 0);
+  const events = await readEvents(db, { afterId: cursor, actions: null, limit: EVENT_BATCH });
+  if (events.length === 0) return 0;
+
+  const claimed = await controlDb.execute({
+    sql: "UPDATE webhooks SET last_event_id = ? WHERE id = ? AND last_event_id = ?",
+    args: [events[events.length - 1].id, hook.id, cursor],
+  });
+  if (claimed.rowsAffected === 0) return 0;
+
+  const subscribed = parseStoredEvents(hook.events);
+  const now = new Date().toISOString();
+  let queued = 0;
+  for (const event of events) {
+    const type = webhookEventType(subscribed, event);
+    if (!type) continue;
+    const id = randomUUID().slice(0, 8);
+    const payload = JSON.stringify({
+      id,
+      type,
+      created_at: event.created_at,
+      workspace: { id: workspaceId, name: workspaceName },
+      data: {
+        event_id: event.id,
+        action: event.action,
+        memory_id: event.memory_id,
+        entity_id: event.entity_id,
+        detail: event.detail,
+      },
+    });
+    await controlDb.execute({
+      sql: `INSERT OR IGNORE INTO webhook_deliveries
+              (id, webhook_id, workspace_id, event_id, event_type, payload, next_attempt_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      args: [id, hook.id, workspaceId, event.id, type, payload, now],
+    });
+    queued++;
+  }
+  return queued;
+}
+
+/**
+ * POST one delivery and record the outcome.
+ * @param {object} controlDb
+ * @param {{ id: string, event_type: string, payload: string, attempts: number, url: string, secret: string }} row
+ *   secret as stored (encrypted under encKey)
+ * @param {CryptoKey|null} encKey - Workspace key
+ * @returns {Promise<"delivered"|"pending"|"failed">}
+ */
+export async function attemptDelivery(controlDb, row, encKey) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const secret = await decryptField(row.secret, encKey);
+  const signature = await hmacSha256Hex(secret, `${timestamp}.${row.payload}`);
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    const res = await fetch(row.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Memento-Webhooks/1.0",
+        "Memento-Event": row.event_type,
+        "Memento-Delivery": row.id,
+        "Memento-Signature": `t=${timestamp},v1=${signature}`,
+      },
+      body: row.payload,
+      redirect: "manual",
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    responseStatus = res.status;
+    if (!res.ok) error = `HTTP ${res.status}`;
+    await res.body?.cancel().catch(() => {});
+  } catch (err) {
+    error = err.message;
+  }
+
+  const attempts = Number(row.attempts || 0) + 1;
+  const status = !error ? "delivered" : attempts >= MAX_ATTEMPTS ? "failed" : "pending";
+  const nextAttemptAt =
+    status === "pending" ? new Date(Date.now() + RETRY_DELAYS_SECONDS[attempts - 1] * 1000).toISOString() : null;
+
+  await controlDb.execute({
+    sql: `UPDATE webhook_deliveries
+          SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?,
+              delivered_at = CASE WHEN ? = 'delivered' THEN datetime('now') ELSE delivered_at END
+          WHERE id = ?`,
+    args: [status, attempts, responseStatus, error, nextAttemptAt, status, row.id],
+  });
+  return status;
+}
+
+/**
+ * Send a workspace's due deliveries. Each one is leased before sending so a
+ * concurrent dispatch skips it.
+ * @returns {Promise<{ delivered: number, retrying: number, failed: number }>}
+ */
+export async function sendDueDeliveries(controlDb, workspaceId, encKey) {
+  const counts = { delivered: 0, retrying: 0, failed: 0 };
+  const now = new Date().toISOString();
+  const due = await controlDb.execute({
+    sql: `SELECT d.id, d.event_type, d.payload, d.attempts, d.next_attempt_at, w.url, w.secret
+          FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+          WHERE d.workspace_id = ? AND d.status = 'pending' AND d.next_attempt_at <= ? AND w.active = 1
+          ORDER BY d.event_id
+          LIMIT ?`,
+    args: [workspaceId, now, SEND_BATCH],
+  });
+
+  for (const row of due.rows) {
+    const lease = new Date(Date.now() + LEASE_SECONDS * 1000).toISOString();
+    const claimed = await controlDb.execute({
+      sql: "UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ? AND status = 'pending' AND next_attempt_at = ?",
+      args: [lease, row.id, row.next_attempt_at],
+    });
+    if (claimed.rowsAffected === 0) continue;
+
+    const status = await attemptDelivery(controlDb, row, encKey);
+    if (status === "delivered") counts.delivered++;
+    else if (status === "pending") counts.retrying++;
+    else counts.failed++;
+  }
+  return counts;
+}
+
+/**
+ * Queue new events for a workspace's webhooks and send what is due.
+ * Cheap when the workspace has no active webhooks (one query).
+ *
+ * @param {object} controlDb
+ * @param {object} db - Workspace database
+ * @param {{ workspaceId: string, workspaceName: string, encKey: CryptoKey|null }} workspace
+ */
+export async function dispatchWebhooks(controlDb, db, workspace) {
+  const hooks = await controlDb.execute({
+    sql: "SELECT id, events, last_event_id FROM webhooks WHERE workspace_id = ? AND active = 1",
+    args: [workspace.workspaceId],
+  });
+  if (hooks.rows.length === 0) return { queued: 0, delivered: 0, retrying: 0, failed: 0 };
+
+  let queued = 0;
+  for (const hook of hooks.rows) {
+    queued += await enqueueEvents(controlDb, db, hook, workspace);
+  }
+  return { queued, ...(await sendDueDeliveries(controlDb, workspace.workspaceId, workspace.encKey)) };
+}
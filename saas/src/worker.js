@@ -10,6 +10,9 @@ import { createApp } from "./server.js";
 import { getControlDb, initSchema } from "./db/connection.js";
 import { runScheduledTasks } from "./services/scheduler.js";
 
+// Durable Object classes must be exported from the entry module
+export { EventHub } from "./services/event-hub.js";
+
 let initialized = false;
 
 const app = createApp();
@@ -0,0 +1,155 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestHarness } from "./setup.js";
+import { hasScope, coversScopes, requiredScope, isValidScope } from "../src/middleware/scopes.js";
+
+async function createKey(h, body, headers) {
+  const res = await h.request("POST", "/v1/auth/keys", body, headers);
+  return { status: res.status, body: await res.json() };
+}
+
+function as(apiKey, workspace) {
+  const headers = { Authorization: `Bearer ${apiKey}` };
+  if (workspace) headers["X-Memento-Workspace"] = workspace;
+  return headers;
+}
+
+// ---------------------------------------------------------------------------
+// Scope rules
+// ---------------------------------------------------------------------------
+
+describe("scope rules", () => {
+  it("matches actions, wildcards and write-implies-read", () => {
+    assert.ok(hasScope(null, "admin", "write"));
+    assert.ok(hasScope(["memories:write"], "memories", "read"));
+    assert.ok(!hasScope(["memories:read"], "memories", "write"));
+    assert.ok(hasScope(["items:*"], "items", "write"));
+    assert.ok(hasScope(["admin"], "admin", "write"));
+    assert.ok(!hasScope(["items:*"], "memories", "read"));
+
+    assert.ok(coversScopes(["memories:write"], ["memories:read", "memories:write"]));
+    assert.ok(!coversScopes(["memories:read"], ["memories"]));
+    assert.ok(!coversScopes(["memories:*"], ["*"]));
+
+    assert.ok(isValidScope("skip:read"));
+    assert.ok(!isValidScope("memories:delete"));
+    assert.ok(!isValidScope("billing"));
+  });
+
+  it("maps routes to resources, treating search POSTs as reads", () => {
+    assert.deepStrictEqual(requiredScope("POST", "/memories/recall"), { resource: "memories", action: "read" });
+    assert.deepStrictEqual(requiredScope("POST", "/working-memory/items"), { resource: "items", action: "write" });
+    assert.deepStrictEqual(requiredScope("GET", "/auth/keys"), { resource: "admin", action: "read" });
+    assert.equal(requiredScope("POST", "/auth/rotate"), null);
+    assert.deepStrictEqual(requiredScope("GET", "/unmapped"), { resource: "*" });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// /v1/auth/keys
+// ---------------------------------------------------------------------------
+
+describe("scoped API keys", () => {
+  let h;
+
+  beforeEach(async () => {
+    h = await createTestHarness();
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+  it("enforces a read-only key on every route", async () => {
+    const { status, body } = await createKey(h, { name: "reader", scopes: ["memories:read"] });
+    assert.equal(status, 201);
+    assert.match(body.api_key, /^mp_live_/);
+    assert.deepStrictEqual(body.key.scopes, ["memories:read"]);
+    const reader = as(body.api_key);
+
+    await h.request("POST", "/v1/memories", { content: "Readable by the reader key" });
+    const recall = await h.request("POST", "/v1/memories/recall", { query: "readable" }, reader);
+    assert.equal(recall.status, 200);
+
+    const write = await h.request("POST", "/v1/memories", { content: "nope" }, reader);
+    assert.equal(write.status, 403);
+    const denied = await write.json();
+    assert.equal(denied.error, "insufficient_scope");
+    assert.equal(denied.required_scope, "memories:write");
+
+    assert.equal((await h.request("GET", "/v1/working-memory/items", undefined, reader)).status, 403);
+    assert.equal((await h.request("GET", "/v1/auth/keys", undefined, reader)).status, 403);
+    assert.equal((await h.request("GET", "/v1/health", undefined, reader)).status, 200);
+  });
+
+  it("restricts a key to its workspace allow-list", async () => {
+    await h.request("GET", "/v1/health", undefined, { "X-Memento-Workspace": "other" });
+    const { body } = await createKey(h, { scopes: ["memories:*"], workspaces: [h.seed.workspaceName] });
+
+    const ok = await h.request("GET", "/v1/memories/recall?query=x", undefined, as(body.api_key));
+    assert.equal(ok.status, 200);
+
+    const other = await h.request("GET", "/v1/memories/recall?query=x", undefined, as(body.api_key, "other"));
+    assert.equal(other.status, 403);
+    assert.equal((await other.json()).error, "workspace_not_allowed");
+  });
+
+  it("rejects expired keys and keys broader than their creator", async () => {
+    const limited = await createKey(h, { scopes: ["memories:read", "admin"], expires_in_days: 1 });
+    assert.equal(limited.status, 201);
+    const creator = as(limited.body.api_key);
+
+    assert.equal((await createKey(h, { scopes: ["memories:write"] }, creator)).status, 403);
+    assert.equal((await createKey(h, { expires_in_days: 30 }, creator)).status, 403);
+    assert.equal((await createKey(h, { scopes: ["memories:forget"] })).status, 400);
+
+    const child = await createKey(h, { name: "child" }, creator);
+    assert.equal(child.status, 201);
+    assert.deepStrictEqual(child.body.key.scopes, ["memories:read", "admin"]);
+    assert.equal(child.body.key.expires_at, limited.body.key.expires_at);
+
+    await h.db.execute({
+      sql: "UPDATE api_keys SET expires_at = '2000-01-01T00:00:00.000Z' WHERE id = ?",
+      args: [child.body.key.id],
+    });
+    const expired = await h.request("GET", "/v1/health", undefined, as(child.body.api_key));
+    assert.equal(expired.status, 401);
+
+    const audit = await h.db.execute("SELECT event_type FROM audit_log WHERE event_type = 'auth.expired_key_used'");
+    assert.equal(audit.rows.length, 1);
+  });
+
+  it("lists and revokes keys, and rotation keeps restrictions", async () => {
+    const { body } = await createKey(h, { name: "ci", scopes: ["items:*"], workspaces: [h.seed.workspaceName] });
+
+    const rotated = await (await h.request("POST", "/v1/auth/rotate", undefined, as(body.api_key))).json();
+    let keys = (await (await h.request("GET", "/v1/auth/keys")).json()).keys;
+    const next = keys.find((k) => k.key_prefix === rotated.key_prefix);
+    assert.deepStrictEqual(next.scopes, ["items:*"]);
+    assert.deepStrictEqual(next.workspaces, [h.seed.workspaceName]);
+    assert.equal(keys.find((k) => k.id === body.key.id).status, "revoked");
+    assert.equal(keys.find((k) => k.id === h.seed.apiKeyId).current, true);
+
+    const res = await h.request("DELETE", `/v1/auth/keys/${next.id}`);
+    assert.equal(res.status, 200);
+    assert.equal((await h.request("GET", "/v1/working-memory/items", undefined, as(rotated.api_key))).status, 401);
+
+    keys = (await (await h.request("GET", "/v1/auth/keys")).json()).keys;
+    assert.equal(keys.find((k) => k.id === next.id).status, "revoked");
+    assert.equal((await h.request("DELETE", "/v1/auth/keys/nope")).status, 404);
+  });
+
+  it("refuses to let a restricted key revoke a broader key", async () => {
+    const restricted = await createKey(h, { scopes: ["admin", "memories:read"], workspaces: [h.seed.workspaceName] });
+    const sibling = await createKey(h, { scopes: ["memories:read"], workspaces: [h.seed.workspaceName] });
+    const caller = as(restricted.body.api_key);
+
+    const denied = await h.request("DELETE", `/v1/auth/keys/${h.seed.apiKeyId}`, undefined, caller);
+    assert.equal(denied.status, 403);
+    assert.match((await denied.json()).error, /broader than itself/);
+    assert.equal((await h.request("GET", "/v1/health")).status, 200, "the full-access key still works");
+
+    const allowed = await h.request("DELETE", `/v1/auth/keys/${sibling.body.key.id}`, undefined, caller);
+    assert.equal(allowed.status, 200);
+  });
+});
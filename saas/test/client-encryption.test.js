@@ -0,0 +1,96 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestHarness } from "./setup.js";
+import { rebuildFtsIndex } from "../src/services/fts.js";
+
+// Stand-ins for client blind-index tokens (32 hex chars each)
+const TOKENS = {
+  billing: "a".repeat(32),
+  webhook: "b".repeat(32),
+  deploy: "c".repeat(32),
+};
+
+async function storeEncrypted(h, words, extra = {}) {
+  const res = await h.request("POST", "/v1/memories", {
+    content: `e2e1:${Buffer.from(words.join(" ")).toString("base64")}`,
+    blind_index: words.map((w) => TOKENS[w]).join(" "),
+    ...extra,
+  });
+  assert.equal(res.status, 201);
+  return (await res.json()).content[0].text.match(/Stored memory (\S+)/)[1];
+}
+
+async function blindRecall(h, words) {
+  const query = words.map((w) => TOKENS[w]).join(" ");
+  const res = await h.request("GET", `/v1/memories/recall?blind=true&format=json&query=${query}`);
+  return (await res.json()).memories;
+}
+
+describe("client-encrypted memories", () => {
+  let h;
+
+  beforeEach(async () => {
+    h = await createTestHarness();
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+  it("recalls by client tokens, including after an index rebuild", async () => {
+    const both = await storeEncrypted(h, ["billing", "webhook"]);
+    const one = await storeEncrypted(h, ["deploy"]);
+    await h.request("POST", "/v1/memories", { content: "billing in plaintext" });
+
+    let results = await blindRecall(h, ["billing", "webhook"]);
+    assert.deepStrictEqual(results.map((m) => m.id), [both]);
+    assert.match(results[0].content, /^e2e1:/);
+
+    await rebuildFtsIndex(h.db, null);
+    results = await blindRecall(h, ["deploy"]);
+    assert.deepStrictEqual(results.map((m) => m.id), [one]);
+  });
+
+  it("revert restores the blind index that matches the restored ciphertext", async () => {
+    const id = await storeEncrypted(h, ["billing"]);
+    await h.request("PUT", `/v1/memories/${id}`, {
+      content: `e2e1:${Buffer.from("deploy").toString("base64")}`,
+      blind_index: TOKENS.deploy,
+    });
+    assert.deepStrictEqual((await blindRecall(h, ["billing"])).map((m) => m.id), []);
+
+    const res = await h.request("POST", `/v1/memories/${id}/revert`, { version: 1 });
+    assert.equal(res.status, 200);
+    assert.deepStrictEqual((await blindRecall(h, ["billing"])).map((m) => m.id), [id]);
+    assert.deepStrictEqual(await blindRecall(h, ["deploy"]), []);
+  });
+
+  it("drops a stale client index when content is replaced without one", async () => {
+    const id = await storeEncrypted(h, ["deploy"]);
+    await h.request("PUT", `/v1/memories/${id}`, { content: "deploy notes in plaintext" });
+
+    const row = await h.db.execute({ sql: "SELECT blind_index FROM memories WHERE id = ?", args: [id] });
+    assert.equal(row.rows[0].blind_index, null);
+    assert.deepStrictEqual(await blindRecall(h, ["deploy"]), []);
+  });
+
+  it("requires consolidated content and keeps them out of automatic grouping", async () => {
+    const a = await storeEncrypted(h, ["billing"], { tags: ["billing"] });
+    const b = await storeEncrypted(h, ["billing", "webhook"], { tags: ["billing"] });
+
+    const preview = await (await h.request("GET", "/v1/consolidate/preview?mode=tags")).json();
+    assert.ok(!JSON.stringify(preview.groups).includes(a));
+
+    const res = await h.request("POST", "/v1/consolidate/group", { source_ids: [a, b] });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).content[0].text, /end-to-end encrypted/);
+
+    const ok = await h.request("POST", "/v1/consolidate/group", {
+      source_ids: [a, b],
+      content: "e2e1:c3VtbWFyeQ==",
+      blind_index: TOKENS.billing,
+    });
+    assert.equal(ok.status, 200);
+    assert.equal((await blindRecall(h, ["billing"])).length, 1);
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestHarness } from "./setup.js";
+
+let h;
+
+async function store(content, tags) {
+  const res = await h.request("POST", "/v1/memories", { content, tags, type: "fact" });
+  const body = await res.json();
+  return body.content[0].text.match(/Stored memory (\S+)/)[1];
+}
+
+async function propose() {
+  const res = await h.request("POST", "/v1/consolidate/proposals");
+  return (await res.json()).content[0].text;
+}
+
+async function list(status) {
+  const res = await h.request("GET", `/v1/consolidate/proposals${status ? `?status=${status}` : ""}`);
+  return (await res.json()).proposals;
+}
+
+async function activeIds() {
+  const rows = await h.db.execute("SELECT id FROM memories WHERE consolidated = 0");
+  return rows.rows.map((r) => r.id).sort();
+}
+
+describe("consolidation proposals", () => {
+  let ids;
+
+  beforeEach(async () => {
+    h = await createTestHarness();
+    ids = [];
+    for (let i = 0; i < 3; i++) {
+      ids.push(await store(`Deploy note ${i}`, ["deploy"]));
+    }
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+  // ---------------------------------------------------------------------------
+  // Queueing and listing
+  // ---------------------------------------------------------------------------
+
+  it("POST /proposals queues groups without consolidating them", async () => {
+    const text = await propose();
+    assert.match(text, /Proposed 1 consolidation covering 3 memories/);
+    assert.deepStrictEqual(await activeIds(), [...ids].sort());
+
+    const [proposal] = await list();
+    assert.equal(proposal.status, "pending");
+    assert.equal(proposal.method, "template");
+    assert.ok(proposal.summary.includes("3 memories consolidated"));
+    assert.deepStrictEqual(proposal.tags, ["deploy"]);
+    assert.deepStrictEqual(proposal.source_ids.sort(), [...ids].sort());
+    assert.ok(proposal.sources.every((s) => s.active && s.content.startsWith("Deploy note")));
+  });
+
+  it("does not propose memories that are already pending", async () => {
+    await propose();
+    assert.equal(await propose(), "No new consolidation candidates to propose.");
+    assert.equal((await list()).length, 1);
+  });
+
+  it("stores proposal summaries encrypted", async () => {
+    await propose();
+    const rows = await h.db.execute("SELECT summary FROM consolidation_proposals");
+    assert.ok(!rows.rows[0].summary.includes("Deploy note"));
+  });
+
+  it("health report counts pending proposals", async () => {
+    await propose();
+    const res = await h.request("GET", "/v1/health");
+    const text = (await res.json()).content[0].text;
+    assert.ok(text.includes("Consolidation proposals awaiting review: 1"));
+  });
+
+  it("GET /proposals rejects an unknown status", async () => {
+    const res = await h.request("GET", "/v1/consolidate/proposals?status=stale");
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /Invalid status/);
+  });
+
+  // ---------------------------------------------------------------------------
+  // Approve / edit / reject
+  // ---------------------------------------------------------------------------
+
+  it("approve consolidates the sources into a new memory", async () => {
+    await propose();
+    const [proposal] = await list();
+
+    const res = await h.request("POST", `/v1/consolidate/proposals/${proposal.id}/approve`);
+    assert.equal(res.status, 200);
+    const text = (await res.json()).content[0].text;
+    const memoryId = text.match(/into (\S+)\./)[1];
+    assert.deepStrictEqual(await activeIds(), [memoryId]);
+
+    const [approved] = await list("approved");
+    assert.equal(approved.memory_id, memoryId);
+    assert.ok(approved.resolved_at);
+
+    const record = await h.db.execute("SELECT type FROM consolidations");
+    assert.equal(record.rows[0].type, "review");
+  });
+
+  it("approve applies edits and can drop sources", async () => {
+    await store("Deploy note 3", ["deploy"]);
+    await propose();
+    const [proposal] = await list();
+    const kept = proposal.source_ids.slice(0, 3);
+
+    const res = await h.request("POST", `/v1/consolidate/proposals/${proposal.id}/approve`, {
+      summary: "Deploys: notes 0-2 in one place",
+      tags: ["deploy", "reviewed"],
+      source_ids: kept,
+    });
+    const memoryId = (await res.json()).content[0].text.match(/into (\S+)\./)[1];
+
+    const mem = await (await h.request("GET", `/v1/memories/${memoryId}`)).json();
+    assert.equal(mem.content, "Deploys: notes 0-2 in one place");
+    assert.deepStrictEqual(mem.tags, ["deploy", "reviewed"]);
+    const dropped = proposal.source_ids.find((id) => !kept.includes(id));
+    assert.ok((await activeIds()).includes(dropped));
+
+    const [approved] = await list("approved");
+    assert.equal(approved.method, "edited");
+  });
+
+  it("PUT edits a pending proposal and validates sources", async () => {
+    await propose();
+    const [proposal] = await list();
+
+    const res = await h.request("PUT", `/v1/consolidate/proposals/${proposal.id}`, { type: "decision" });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).type, "decision");
+
+    const bad = await h.request("PUT", `/v1/consolidate/proposals/${proposal.id}`, {
+      source_ids: [ids[0], "elsewhere"],
+    });
+    assert.equal(bad.status, 400);
+    assert.match((await bad.json()).error, /can only remove sources/);
+  });
+
+  it("approve refuses when a source is no longer active", async () => {
+    await propose();
+    const [proposal] = await list();
+    await h.request("DELETE", `/v1/memories/${ids[0]}`);
+
+    const res = await h.request("POST", `/v1/consolidate/proposals/${proposal.id}/approve`);
+    assert.equal(res.status, 409);
+    assert.match((await res.json()).content[0].text, new RegExp(`no longer active: \\[${ids[0]}\\]`));
+    assert.equal((await list()).length, 1);
+  });
+
+  it("reject keeps the sources and is not proposed again", async () => {
+    await propose();
+    const [proposal] = await list();
+
+    const res = await h.request("POST", `/v1/consolidate/proposals/${proposal.id}/reject`);
+    assert.equal(res.status, 200);
+    assert.deepStrictEqual(await activeIds(), [...ids].sort());
+    assert.equal((await list("rejected")).length, 1);
+
+    assert.equal(await propose(), "No new consolidation candidates to propose.");
+
+    const again = await h.request("POST", `/v1/consolidate/proposals/${proposal.id}/approve`);
+    assert.equal(again.status, 409);
+    assert.match((await again.json()).content[0].text, /already rejected/);
+  });
+
+  it("returns 404 for an unknown proposal", async () => {
+    const res = await h.request("POST", "/v1/consolidate/proposals/nope/reject");
+    assert.equal(res.status, 404);
+  });
+});
@@ -3,6 +3,7 @@ import assert from "node:assert/strict";
 import { createTestHarness } from "./setup.js";
 import {
   findConsolidationGroups,
+  findSimilarityGroups,
   generateSummary,
   consolidateMemories,
 } from "../src/services/consolidation.js";
@@ -84,6 +85,81 @@ describe("findConsolidationGroups", () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Unit tests — findSimilarityGroups
+// ---------------------------------------------------------------------------
+
+describe("findSimilarityGroups", () => {
+  const mem = (id, tags = [], content = id) => ({ id, content, type: "fact", tags, created_at: "2026-01-01" });
+  const deploy = "Deploys run nightly from the release branch";
+  const billing = "Invoices are emailed to customers monthly";
+
+  it("does not chain unrelated memories through a common tag", () => {
+    const memories = [
+      mem("d1", ["project", "deploy"], deploy),
+      mem("d2", ["project", "deploy"], deploy),
+      mem("d3", ["project", "deploy"], deploy),
+      mem("b1", ["project", "billing"], billing),
+      mem("b2", ["project", "billing"], billing),
+      mem("b3", ["project", "billing"], billing),
+    ];
+    assert.equal(findConsolidationGroups(memories).length, 1);
+
+    const groups = findSimilarityGroups(memories);
+    assert.deepEqual(
+      groups.map((g) => g.memories.map((m) => m.id).sort()).sort(),
+      [["b1", "b2", "b3"], ["d1", "d2", "d3"]]
+    );
+    assert.equal(groups[0].cohesion, 1);
+  });
+
+  it("does not pair memories by a shared tag alone when they have no vectors", () => {
+    const memories = [
+      "Deploys run nightly from the release branch",
+      "Invoices are emailed to customers monthly",
+      "The staging database is reset every Sunday",
+      "Prefer pnpm over npm in this repo",
+      "On-call rotates every Monday at noon",
+      "Feature flags live in LaunchDarkly",
+    ].map((content, i) => mem(`m${i}`, ["project:x"], content));
+
+    assert.deepEqual(findSimilarityGroups(memories), []);
+  });
+
+  it("separates memories with the same tags by embedding similarity", () => {
+    const memories = ["x1", "x2", "x3", "y1", "y2", "y3"].map((id) => mem(id, ["notes"]));
+    const vectors = new Map([
+      ["x1", [1, 0]], ["x2", [0.99, 0.1]], ["x3", [0.98, 0.15]],
+      ["y1", [0, 1]], ["y2", [0.1, 0.99]], ["y3", [0.15, 0.98]],
+    ]);
+
+    const groups = findSimilarityGroups(memories, vectors);
+    assert.deepEqual(
+      groups.map((g) => g.memories.map((m) => m.id).sort()).sort(),
+      [["x1", "x2", "x3"], ["y1", "y2", "y3"]]
+    );
+  });
+
+  it("caps groups at maxGroupSize", () => {
+    const memories = ["a", "b", "c", "d", "e"].map((id) => mem(id, ["same"], deploy));
+    const groups = findSimilarityGroups(memories, new Map(), { maxGroupSize: 3 });
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].memories.length, 3);
+  });
+
+  it("rejects merges that would drop cohesion below minCohesion", () => {
+    // a~b and b~c are similar (0.8), but a and c are not (0.28)
+    const memories = [mem("a"), mem("b"), mem("c")];
+    const vectors = new Map([["a", [1, 0]], ["b", [0.8, 0.6]], ["c", [0.28, 0.96]]]);
+
+    assert.equal(findSimilarityGroups(memories, vectors, { threshold: 0.75 }).length, 0);
+
+    const loose = findSimilarityGroups(memories, vectors, { threshold: 0.75, minCohesion: 0.6 });
+    assert.equal(loose.length, 1);
+    assert.ok(Math.abs(loose[0].cohesion - 0.627) < 0.001);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Unit tests — generateSummary
 // ---------------------------------------------------------------------------
@@ -202,6 +278,9 @@ describe("consolidateMemories", () => {
     });
     assert.equal(targetMem.rows.length, 1);
     assert.equal(targetMem.rows[0].consolidated, 0); // The new memory itself is active
+
+    const revisions = await h.db.execute("SELECT DISTINCT source FROM memory_revisions");
+    assert.deepStrictEqual(revisions.rows.map((r) => r.source), ["consolidation"]);
   });
 
   it("returns 0 when nothing to consolidate", async () => {
@@ -408,6 +487,12 @@ describe("POST /v1/consolidate/group", () => {
       assert.equal(row.consolidated, 1);
       assert.equal(row.consolidated_into, newId);
     }
+
+    const revisions = await h.db.execute({
+      sql: "SELECT memory_id, source FROM memory_revisions WHERE memory_id IN (?, ?) ORDER BY memory_id",
+      args: [id1, id2],
+    });
+    assert.deepStrictEqual(revisions.rows.map((r) => r.source), ["consolidation", "consolidation"]);
   });
 
   it("new memory has correct linkages back to sources", async () => {
@@ -604,3 +689,190 @@ describe("POST /v1/consolidate/group", () => {
     assert.equal(memLinks[0].id, "other123");
   });
 });
+
+// ---------------------------------------------------------------------------
+// API integration tests — POST /v1/consolidate/:id/undo
+// ---------------------------------------------------------------------------
+
+describe("POST /v1/consolidate/:id/undo", () => {
+  let h;
+
+  beforeEach(async () => {
+    h = await createTestHarness();
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+  async function storeMemory(opts) {
+    const res = await h.request("POST", "/v1/memories", opts);
+    const body = await res.json();
+    return body.content[0].text.match(/Stored memory (\S+)/)[1];
+  }
+
+  async function recallIds(query) {
+    const res = await h.request("GET", `/v1/memories/recall?query=${encodeURIComponent(query)}&format=json`);
+    return (await res.json()).memories.map((m) => m.id).sort();
+  }
+
+  it("reactivates sources and deletes the summary memory", async () => {
+    const id1 = await storeMemory({ content: "Quokka deploys need a feature flag", tags: ["quokka"] });
+    const id2 = await storeMemory({ content: "Quokka deploys run at noon", tags: ["quokka"] });
+    const res = await h.request("POST", "/v1/consolidate/group", {
+      source_ids: [id1, id2],
+      content: "Quokka deploys happen",
+    });
+    const newId = (await res.json()).content[0].text.match(/into (\S+)\./)[1];
+
+    const undo = await h.request("POST", `/v1/consolidate/${newId}/undo`);
+    assert.equal(undo.status, 200);
+    const text = (await undo.json()).content[0].text;
+    assert.ok(text.includes(`Restored 2 memories from ${newId}`));
+
+    const rows = await h.db.execute({
+      sql: "SELECT id, consolidated, consolidated_into FROM memories ORDER BY id",
+      args: [],
+    });
+    assert.deepStrictEqual(
+      rows.rows.map((r) => [r.id, r.consolidated, r.consolidated_into]),
+      [[id1, 0, null], [id2, 0, null]].sort()
+    );
+    assert.deepStrictEqual(await recallIds("quokka deploys"), [id1, id2].sort());
+
+    const log = await h.db.execute(
+      "SELECT memory_id, detail FROM activity_log WHERE action = 'unconsolidate'"
+    );
+    assert.equal(log.rows.length, 1);
+    assert.equal(log.rows[0].memory_id, newId);
+  });
+
+  it("undoes an auto-consolidation by summary memory or record ID", async () => {
+    for (let i = 0; i < 3; i++) {
+      await storeMemory({ content: `Wombat fact ${i}`, tags: ["wombat"], type: "fact" });
+    }
+    await h.request("POST", "/v1/consolidate");
+
+    const record = await h.db.execute("SELECT id FROM consolidations");
+    const undo = await h.request("POST", `/v1/consolidate/${record.rows[0].id}/undo`);
+    assert.equal(undo.status, 200);
+
+    const active = await h.db.execute("SELECT COUNT(*) AS n FROM memories WHERE consolidated = 0");
+    assert.equal(active.rows[0].n, 3);
+    const records = await h.db.execute("SELECT COUNT(*) AS n FROM consolidations");
+    assert.equal(records.rows[0].n, 0);
+  });
+
+  it("refuses while the summary is itself consolidated", async () => {
+    const a = await storeMemory({ content: "Alpha note" });
+    const b = await storeMemory({ content: "Beta note" });
+    const c = await storeMemory({ content: "Gamma note" });
+    const first = await h.request("POST", "/v1/consolidate/group", { source_ids: [a, b], content: "Alpha beta" });
+    const ab = (await first.json()).content[0].text.match(/into (\S+)\./)[1];
+    await h.request("POST", "/v1/consolidate/group", { source_ids: [ab, c], content: "Alpha beta gamma" });
+
+    const undo = await h.request("POST", `/v1/consolidate/${ab}/undo`);
+    assert.equal(undo.status, 409);
+    assert.ok((await undo.json()).content[0].text.includes("Undo that consolidation first"));
+  });
+
+  it("returns 404 for an ID that is not a consolidation", async () => {
+    const id = await storeMemory({ content: "Plain memory" });
+    const undo = await h.request("POST", `/v1/consolidate/${id}/undo`);
+    assert.equal(undo.status, 404);
+    assert.ok((await undo.json()).content[0].text.includes(`No consolidation found for ${id}`));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// API integration tests — GET /v1/consolidate/preview
+// ---------------------------------------------------------------------------
+
+describe("GET /v1/consolidate/preview", () => {
+  let h;
+
+  beforeEach(async () => {
+    h = await createTestHarness();
+    for (const topic of ["deploy", "billing"]) {
+      for (let i = 0; i < 3; i++) {
+        await h.request("POST", "/v1/memories", {
+          content: `Project ${topic} note`,
+          tags: ["project", topic],
+          type: "fact",
+        });
+      }
+    }
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+  it("groups by tags until the workspace has embeddings", async () => {
+    const body = await (await h.request("GET", "/v1/consolidate/preview")).json();
+    assert.equal(body.mode, "tags");
+    assert.equal(body.groups.length, 1);
+  });
+
+  it("switches to similarity grouping once memories have vectors", async () => {
+    h.cleanup();
+    const env = {
+      EMBEDDING_API_URL: "http://embeddings.test/v1",
+      EMBEDDING_MODEL: "mini-embed",
+      VECTORIZE: {
+        async upsert() {},
+        async getByIds(ids) {
+          return ids.map((id) => ({ id, values: [1, 0], metadata: { memory_id: id.split(":")[1], model: "openai:mini-embed" } }));
+        },
+      },
+    };
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => new Response(JSON.stringify({ data: [{ embedding: [1, 0] }] }));
+    try {
+      h = await createTestHarness(env);
+      for (let i = 0; i < 3; i++) await h.request("POST", "/v1/memories", { content: `Note ${i}`, tags: ["misc"] });
+      const body = await (await h.request("GET", "/v1/consolidate/preview")).json();
+      assert.equal(body.mode, "similarity");
+      assert.equal(body.groups[0].size, 3);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it("lists similarity groups without consolidating anything", async () => {
+    const res = await h.request("GET", "/v1/consolidate/preview?mode=similarity");
+    assert.equal(res.status, 200);
+    const body = await res.json();
+
+    assert.equal(body.mode, "similarity");
+    assert.deepEqual(body.options, { threshold: 0.8, max_group_size: 10, min_cohesion: 0.75 });
+    assert.equal(body.groups.length, 2);
+    for (const group of body.groups) {
+      assert.equal(group.size, 3);
+      assert.equal(group.cohesion, 1);
+      assert.ok(group.memories.every((m) => m.content.startsWith("Project ")));
+    }
+    assert.deepEqual(body.groups.map((g) => g.tags).sort(), [["billing", "project"], ["deploy", "project"]]);
+
+    const active = await h.db.execute("SELECT COUNT(*) AS n FROM memories WHERE consolidated = 0");
+    assert.equal(active.rows[0].n, 6);
+  });
+
+  it("honours query overrides and workspace settings", async () => {
+    const loose = await (await h.request("GET", "/v1/consolidate/preview?mode=similarity&threshold=0.3&min_cohesion=0.3")).json();
+    assert.equal(loose.groups.length, 1);
+    assert.equal(loose.groups[0].size, 6);
+
+    await h.request("PUT", "/v1/settings/consolidation_mode", { value: "tags" });
+    const tags = await (await h.request("GET", "/v1/consolidate/preview")).json();
+    assert.equal(tags.mode, "tags");
+    assert.equal(tags.groups.length, 1);
+    assert.equal(tags.groups[0].cohesion, null);
+  });
+
+  it("rejects an unknown mode", async () => {
+    const res = await h.request("GET", "/v1/consolidate/preview?mode=magic");
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /Invalid mode/);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestHarness } from "./setup.js";
+import { detectConflict, extractEntities } from "../src/services/contradictions.js";
+
+// ---------------------------------------------------------------------------
+// Unit tests — detectConflict / extractEntities
+// ---------------------------------------------------------------------------
+
+describe("detectConflict", () => {
+  it("flags the same subject with a different value", () => {
+    assert.equal(detectConflict("Deploy target is staging", "Deploy target is prod"), 'different value for "Deploy target"');
+    assert.match(detectConflict("Cache TTL is 5 minutes", "Cache TTL is 10 minutes"), /different value/);
+    assert.match(detectConflict("region: us-east-1", "region: eu-west-1"), /different value/);
+  });
+
+  it("flags a negated claim", () => {
+    assert.equal(detectConflict("Tests run on CI", "Tests do not run on CI"), "one negates the other");
+  });
+
+  it("ignores refinements and different subjects", () => {
+    assert.equal(detectConflict("Deploy target is prod", "Deploy target is prod cluster"), null);
+    assert.equal(detectConflict("Staging deploys are slow", "Prod deploys are slow"), null);
+    assert.equal(detectConflict("Cats sleep a lot", "Dogs sleep a lot"), null);
+  });
+});
+
+describe("extractEntities", () => {
+  it("finds identifiers, quoted names and mid-sentence capitals", () => {
+    const entities = extractEntities("We deploy `api-gateway` to us-east-1 with Terraform. Ask Dana first.");
+    assert.deepEqual([...entities].sort(), ["api-gateway", "dana", "terraform", "us-east-1"]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// API integration tests
+// ---------------------------------------------------------------------------
+
+describe("contradiction check on store", () => {
+  let h;
+
+  beforeEach(async () => {
+    h = await createTestHarness();
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+  async function store(content, tags) {
+    const res = await h.request("POST", "/v1/memories", { content, tags, type: "decision" });
+    const body = await res.json();
+    return { id: body.content[0].text.match(/Stored memory (\S+)/)[1], body };
+  }
+
+  it("flags and links a conflicting memory in the same tag", async () => {
+    const staging = await store("Deploy target is staging", ["deploy"]);
+    const prod = await store("Deploy target is prod", ["deploy"]);
+
+    assert.match(prod.body.content[0].text, /Possible contradiction with 1 memory/);
+    assert.ok(prod.body.content[0].text.includes(`${staging.id}: "Deploy target is staging"`));
+    assert.deepStrictEqual(prod.body.conflicts, [{ id: staging.id, reason: 'different value for "Deploy target"' }]);
+
+    const mem = await (await h.request("GET", `/v1/memories/${prod.id}`)).json();
+    assert.deepStrictEqual(mem.linkages, [{ type: "memory", id: staging.id, label: "contradicts" }]);
+  });
+
+  it("only compares memories that share a tag or entity", async () => {
+    await store("Deploy target is staging", ["web"]);
+    const prod = await store("Deploy target is prod", ["mobile"]);
+    assert.equal(prod.body.conflicts, undefined);
+
+    const shared = await store("The deploy host is Orion", []);
+    const other = await store("The deploy host is Vega, not Orion", []);
+    assert.deepStrictEqual(other.body.conflicts.map((c) => c.id), [shared.id]);
+  });
+
+  it("can be turned off with the contradiction_check setting", async () => {
+    await h.request("PUT", "/v1/settings/contradiction_check", { value: "off" });
+    await store("Deploy target is staging", ["deploy"]);
+    const prod = await store("Deploy target is prod", ["deploy"]);
+    assert.equal(prod.body.conflicts, undefined);
+  });
+
+  it("POST /ingest reports conflicts per memory", async () => {
+    const staging = await store("Deploy target is staging", ["deploy"]);
+    const res = await h.request("POST", "/v1/memories/ingest", {
+      memories: [
+        { content: "Deploy target is prod", tags: ["deploy"] },
+        { content: "Release notes live in the wiki", tags: ["docs"] },
+      ],
+    });
+    const body = await res.json();
+
+    assert.equal(body.conflicts.length, 1);
+    assert.equal(body.conflicts[0].id, body.ids[0]);
+    assert.deepStrictEqual(body.conflicts[0].conflicts_with.map((c) => c.id), [staging.id]);
+  });
+
+  it("GET /conflicts lists unresolved pairs until one side is removed", async () => {
+    const staging = await store("Deploy target is staging", ["deploy"]);
+    const prod = await store("Deploy target is prod", ["deploy"]);
+
+    let body = await (await h.request("GET", "/v1/memories/conflicts")).json();
+    assert.equal(body.total, 1);
+    assert.equal(body.conflicts[0].memory.id, prod.id);
+    assert.equal(body.conflicts[0].memory.content, "Deploy target is prod");
+    assert.equal(body.conflicts[0].contradicts.id, staging.id);
+    assert.equal(body.conflicts[0].contradicts.content, "Deploy target is staging");
+
+    await h.request("DELETE", `/v1/memories/${staging.id}`);
+    body = await (await h.request("GET", "/v1/memories/conflicts")).json();
+    assert.equal(body.total, 0);
+  });
+});
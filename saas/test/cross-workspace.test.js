@@ -271,6 +271,24 @@ describe("cross-workspace peek — context endpoint", () => {
     assert.ok(peekedItem, "should include peeked item with workspace tag");
   });
 
+  it("context endpoint body peek respects the API key's workspace allow-list", async () => {
+    const created = await h.request("POST", "/v1/auth/keys", {
+      scopes: ["memories:read"],
+      workspaces: [h.seed.workspaceName],
+    });
+    const { api_key: apiKey } = await created.json();
+
+    const res = await h.request(
+      "POST",
+      "/v1/context",
+      { message: "anything", peek_workspaces: [SECOND_WORKSPACE] },
+      { Authorization: `Bearer ${apiKey}` }
+    );
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.meta.peeked_workspaces, undefined);
+  });
+
   it("context endpoint without peek_workspaces has no peeked_workspaces in meta", async () => {
     const res = await h.request("POST", "/v1/context", {
       message: "test message",
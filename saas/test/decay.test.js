@@ -1,7 +1,8 @@
 import { describe, it, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
-import { createTestDb } from "./setup.js";
+import { createTestDb, createTestHarness } from "./setup.js";
 import { decayFactor, applyDecay } from "../src/services/decay.js";
+import { parseDecayPolicies, halfLifeHours } from "../src/services/decay-policies.js";
 
 describe("decayFactor", () => {
   const now = new Date("2026-02-16T12:00:00Z");
@@ -44,6 +45,10 @@ describe("decayFactor", () => {
     );
   });
 
+  it("never decays with an infinite half-life", () => {
+    assert.equal(decayFactor("2020-01-01T00:00:00Z", now, Infinity), 1.0);
+  });
+
   it("respects custom half-life", () => {
     // With 24h half-life, a 24h old memory should be ~0.5
     const oneDayAgo = new Date("2026-02-15T12:00:00Z");
@@ -182,3 +187,122 @@ describe("applyDecay", () => {
     );
   });
 });
+
+describe("decay policies", () => {
+  it("parses half-lives in days and 'never' into hours", () => {
+    const { policies } = parseDecayPolicies('{"default":14,"types":{"Instruction":"never"},"tags":{"scratch":1}}');
+    assert.equal(policies.default, 336);
+    assert.equal(policies.types.instruction, Infinity);
+    assert.equal(policies.tags.scratch, 24);
+  });
+
+  it("rejects malformed policies", () => {
+    assert.match(parseDecayPolicies("not json").error, /JSON object/);
+    assert.match(parseDecayPolicies({ types: { fact: 0 } }).error, /types\.fact/);
+    assert.match(parseDecayPolicies({ default: "forever" }).error, /"default"/);
+    assert.match(parseDecayPolicies({ kinds: {} }).error, /Unknown decay_policies key: kinds/);
+  });
+
+  it("resolves pinned, then the slowest tag, then type, then default", () => {
+    const { policies } = parseDecayPolicies({
+      default: 7,
+      types: { instruction: "never", fact: 30 },
+      tags: { scratch: 1, keep: 90 },
+    });
+    assert.equal(halfLifeHours({ type: "observation", tags: "[]", pinned: 1 }, policies), Infinity);
+    assert.equal(halfLifeHours({ type: "instruction", tags: '["scratch","keep"]' }, policies), 90 * 24);
+    assert.equal(halfLifeHours({ type: "instruction", tags: ["Scratch"] }, policies), 24);
+    assert.equal(halfLifeHours({ type: "fact", tags: "[]" }, policies), 30 * 24);
+    assert.equal(halfLifeHours({ type: "observation", tags: "[]" }, policies), 168);
+    assert.equal(halfLifeHours({ type: "observation", tags: "[]" }, null), 168);
+  });
+
+  describe("applyDecay", () => {
+    let db;
+
+    beforeEach(async () => {
+      db = await createTestDb();
+    });
+
+    afterEach(() => {
+      db.close();
+    });
+
+    it("follows workspace policies and leaves pinned memories at full recency", async () => {
+      const now = new Date("2026-02-16T12:00:00Z");
+      const sevenDaysAgo = "2026-02-09T12:00:00Z";
+      await db.execute({
+        sql: "INSERT INTO workspace_settings (key, value) VALUES ('decay_policies', ?)",
+        args: [JSON.stringify({ types: { instruction: "never" }, tags: { scratch: 1 } })],
+      });
+      const rows = [
+        ["mem-inst", "instruction", "[]", 0],
+        ["mem-scratch", "observation", '["scratch"]', 0],
+        ["mem-pinned", "observation", '["scratch"]', 1],
+        ["mem-plain", "observation", "[]", 0],
+      ];
+      for (const [id, type, tags, pinned] of rows) {
+        await db.execute({
+          sql: `INSERT INTO memories (id, content, type, tags, pinned, created_at, relevance)
+                VALUES (?, 'content', ?, ?, ?, ?, 1.0)`,
+          args: [id, type, tags, pinned, sevenDaysAgo],
+        });
+      }
+
+      const result = await applyDecay(db, now);
+      assert.equal(result.decayed, 2);
+
+      const relevance = Object.fromEntries(
+        (await db.execute("SELECT id, relevance FROM memories")).rows.map((r) => [r.id, r.relevance])
+      );
+      assert.equal(relevance["mem-inst"], 1.0);
+      assert.equal(relevance["mem-pinned"], 1.0);
+      assert.ok(relevance["mem-scratch"] < 0.01, `expected ~0 after seven 1-day half-lives, got ${relevance["mem-scratch"]}`);
+      assert.ok(Math.abs(relevance["mem-plain"] - 0.5) < 0.01);
+    });
+  });
+
+  describe("routes", () => {
+    let h;
+
+    beforeEach(async () => {
+      h = await createTestHarness();
+    });
+
+    afterEach(() => {
+      h.cleanup();
+    });
+
+    it("validates the decay_policies setting", async () => {
+      const bad = await h.request("PUT", "/v1/settings/decay_policies", { value: { types: { fact: -1 } } });
+      assert.equal(bad.status, 400);
+      assert.match((await bad.json()).message, /types\.fact/);
+
+      const ok = await h.request("PUT", "/v1/settings/decay_policies", { value: { tags: { scratch: 1 } } });
+      assert.equal(ok.status, 200);
+      const stored = await h.db.execute("SELECT value FROM workspace_settings WHERE key = 'decay_policies'");
+      assert.equal(stored.rows[0].value, '{"tags":{"scratch":1}}');
+    });
+
+    it("stores, pins and ranks pinned memories without decay", async () => {
+      const stored = await h.request("POST", "/v1/memories", { content: "Deploys go through the release train", pinned: true });
+      assert.match((await stored.json()).content[0].text, /\(observation, pinned\)/);
+
+      const res = await h.request("POST", "/v1/memories", { content: "Deploys were paused for the audit" });
+      const id = (await res.json()).content[0].text.match(/Stored memory (\w+)/)[1];
+
+      // Age both memories by 30 days
+      await h.db.execute("UPDATE memories SET created_at = datetime('now', '-30 days')");
+
+      const recall = await h.request("GET", "/v1/memories/recall?query=deploys&format=json");
+      const { memories } = await recall.json();
+      assert.equal(memories[0].pinned, true);
+      assert.ok(memories[0].relevance_score > memories[1].relevance_score * 10);
+
+      const pinned = await h.request("PUT", `/v1/memories/${id}`, { pinned: true });
+      assert.equal((await pinned.json()).pinned, true);
+      const history = await h.request("GET", `/v1/memories/${id}/history`);
+      assert.equal((await history.json()).revisions.length, 0, "pinning is not an edit");
+    });
+  });
+});
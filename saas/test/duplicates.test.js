@@ -0,0 +1,227 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestHarness } from "./setup.js";
+import { compareContents, fingerprint } from "../src/services/duplicates.js";
+
+// ---------------------------------------------------------------------------
+// Unit tests — fingerprint / compareContents
+// ---------------------------------------------------------------------------
+
+describe("compareContents", () => {
+  it("matches text that differs only in case, punctuation and spacing", () => {
+    assert.equal(fingerprint("The API uses  OAuth2."), fingerprint("the api uses oauth2"));
+    assert.deepStrictEqual(compareContents("The API uses  OAuth2.", "the API uses OAuth2"), { match: "exact", similarity: 1 });
+  });
+
+  it("matches rewordings that share nearly all content words", () => {
+    const found = compareContents(
+      "Staging deploys run nightly from the release branch via Jenkins",
+      "Staging deploys run nightly via Jenkins from the release branch!"
+    );
+    assert.deepStrictEqual(found, { match: "keyword", similarity: 1 }, "word order is not normalized away");
+    const reworded = compareContents(
+      "Staging deploys run nightly from the release branch via Jenkins",
+      "Nightly staging deploys run from the release branch via Jenkins CI"
+    );
+    assert.equal(reworded.match, "keyword");
+    assert.ok(reworded.similarity >= 0.8);
+  });
+
+  it("never matches contradictions, unrelated text or very short text", () => {
+    assert.equal(compareContents("Tests run on CI for every branch", "Tests do not run on CI for every branch"), null);
+    assert.equal(compareContents("Deploy target is staging", "Deploy target is prod"), null);
+    assert.equal(compareContents("Cats sleep a lot during the day", "Dogs bark at the mail carrier"), null);
+    assert.equal(compareContents("Use tabs", "Tabs use"), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// API integration tests
+// ---------------------------------------------------------------------------
+
+describe("near-duplicate handling on store", () => {
+  const original = "Staging deploys run nightly from the release branch via Jenkins";
+  const reworded = "Nightly staging deploys run from the release branch via Jenkins CI";
+  let h;
+  let originalId;
+
+  async function setMode(mode) {
+    await h.request("PUT", "/v1/settings/dedup_mode", { value: mode });
+  }
+
+  async function row(id) {
+    const result = await h.db.execute({ sql: "SELECT tags, access_count, linkages FROM memories WHERE id = ?", args: [id] });
+    return result.rows[0];
+  }
+
+  async function count() {
+    return (await h.db.execute("SELECT COUNT(*) AS n FROM memories")).rows[0].n;
+  }
+
+  beforeEach(async () => {
+    h = await createTestHarness();
+    const res = await h.request("POST", "/v1/memories", { content: original, tags: ["deploys"] });
+    originalId = (await res.json()).content[0].text.match(/Stored memory (\S+)/)[1];
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+  it("refuses unknown dedup settings and bodies without a value", async () => {
+    for (const [key, value] of [["dedup_mode", "merge "], ["dedup_threshold", "high"], ["consolidation_mode", "magic"]]) {
+      const res = await h.request("PUT", `/v1/settings/${key}`, { value });
+      assert.equal(res.status, 400, key);
+      assert.equal((await res.json()).error, "invalid_value");
+    }
+    const empty = await h.app.request("/v1/settings/dedup_mode", {
+      method: "PUT",
+      headers: { Authorization: `Bearer ${h.seed.apiKey}`, "X-Memento-Workspace": h.seed.workspaceName },
+    });
+    assert.equal(empty.status, 400);
+    assert.equal((await empty.json()).error, "missing_field");
+
+    const settings = await h.db.execute("SELECT key FROM workspace_settings WHERE key LIKE 'dedup_%' OR key = 'consolidation_mode'");
+    assert.equal(settings.rows.length, 0);
+    assert.equal((await h.request("PUT", "/v1/settings/dedup_mode", { value: "merge" })).status, 200);
+  });
+
+  it("stores duplicates when dedup_mode is off (the default)", async () => {
+    const res = await h.request("POST", "/v1/memories", { content: original });
+    assert.equal(res.status, 201);
+    assert.equal((await res.json()).dedup, undefined);
+    assert.equal(await count(), 2);
+  });
+
+  it("reject — does not store the duplicate", async () => {
+    await setMode("reject");
+    const res = await h.request("POST", "/v1/memories", { content: reworded });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.match(body.content[0].text, new RegExp(`^Not stored: duplicate of memory ${originalId} \\(keyword match\\)`));
+    assert.equal(body.dedup.action, "rejected");
+    assert.equal(body.dedup.duplicate_of, originalId);
+    assert.equal(body.dedup.match, "keyword");
+    assert.equal(await count(), 1);
+  });
+
+  it("merge — bumps access_count and adds the new tags to the existing memory", async () => {
+    await setMode("merge");
+    const res = await h.request("POST", "/v1/memories", { content: `${original}.`, tags: ["deploys", "jenkins"] });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.deepStrictEqual(body.dedup, {
+      action: "merged",
+      duplicate_of: originalId,
+      match: "exact",
+      similarity: 1,
+      added_tags: ["jenkins"],
+    });
+    assert.equal(await count(), 1);
+
+    const merged = await row(originalId);
+    assert.equal(merged.access_count, 1);
+    assert.deepStrictEqual(JSON.parse(merged.tags), ["deploys", "jenkins"]);
+
+    const recall = await h.request("GET", "/v1/memories/recall?query=tag:jenkins&format=json");
+    assert.deepStrictEqual((await recall.json()).memories.map((m) => m.id), [originalId], "added tags are indexed");
+    const history = await (await h.request("GET", `/v1/memories/${originalId}/history`)).json();
+    assert.equal(history.revisions[0].source, "api");
+  });
+
+  it("merge — returns the existing memory's id and emits memory.updated for it", async () => {
+    await setMode("merge");
+    const res = await h.request("POST", "/v1/memories", { content: reworded });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).id, originalId);
+
+    const feed = await (await h.request("GET", "/v1/events?format=json&last_event_id=0&types=memory.updated")).json();
+    assert.deepStrictEqual(feed.events.map((e) => e.memory_id), [originalId]);
+  });
+
+  it("link — stores the write with a duplicate_of linkage", async () => {
+    await setMode("link");
+    const res = await h.request("POST", "/v1/memories", { content: reworded });
+    assert.equal(res.status, 201);
+    const body = await res.json();
+    const id = body.content[0].text.match(/Stored memory (\S+)/)[1];
+    assert.match(body.content[0].text, new RegExp(`Linked as "duplicate_of" memory ${originalId}`));
+    assert.equal(body.dedup.action, "linked");
+    assert.deepStrictEqual(JSON.parse((await row(id)).linkages), [{ type: "memory", id: originalId, label: "duplicate_of" }]);
+  });
+
+  it("does not treat a contradiction as a duplicate", async () => {
+    await setMode("reject");
+    const res = await h.request("POST", "/v1/memories", { content: "Staging deploys do not run nightly from the release branch via Jenkins" });
+    assert.equal(res.status, 201);
+    assert.equal((await res.json()).dedup, undefined);
+  });
+
+  it("ingest — reports each duplicate, including ones within the batch", async () => {
+    await setMode("merge");
+    const res = await h.request("POST", "/v1/memories/ingest", {
+      source: "hook",
+      memories: [
+        { content: reworded, tags: ["ci"] },
+        { content: "The on-call rotation changes every Monday at noon" },
+        { content: "the on-call rotation changes every monday at noon!" },
+      ],
+    });
+    assert.equal(res.status, 201);
+    const body = await res.json();
+    assert.equal(body.ingested, 1);
+    assert.deepStrictEqual(body.duplicates.map((d) => [d.index, d.action, d.match]), [
+      [0, "merged", "keyword"],
+      [2, "merged", "exact"],
+    ]);
+    const revisions = await h.db.execute({ sql: "SELECT source FROM memory_revisions WHERE memory_id = ?", args: [originalId] });
+    assert.deepStrictEqual(revisions.rows.map((r) => r.source), ["hook"]);
+    assert.equal(body.duplicates[0].duplicate_of, originalId);
+    assert.equal(body.duplicates[1].duplicate_of, body.ids[0]);
+    assert.deepStrictEqual(JSON.parse((await row(originalId)).tags), ["deploys", "ci"]);
+  });
+
+  it("ingest — stores client-encrypted items without a duplicate check", async () => {
+    await setMode("reject");
+    const res = await h.request("POST", "/v1/memories/ingest", {
+      memories: [{ content: original, blind_index: "0a1b2c3d4e5f6071 8192a3b4c5d6e7f8" }],
+    });
+    const body = await res.json();
+    assert.equal(body.ingested, 1);
+    assert.deepStrictEqual(body.duplicates, []);
+    const stored = await h.db.execute({ sql: "SELECT blind_index FROM memories WHERE id = ?", args: [body.ids[0]] });
+    assert.equal(stored.rows[0].blind_index, "0a1b2c3d4e5f6071 8192a3b4c5d6e7f8");
+  });
+
+  it("finds vector-similar duplicates above dedup_threshold", async () => {
+    h.cleanup();
+    let nearest = null;
+    const env = {
+      EMBEDDING_API_URL: "http://embeddings.test/v1",
+      EMBEDDING_MODEL: "mini-embed",
+      VECTORIZE: {
+        async upsert() {},
+        async query() {
+          return { matches: nearest ? [{ id: `v:${nearest}`, score: 0.95, metadata: { memory_id: nearest, model: "openai:mini-embed" } }] : [] };
+        },
+      },
+    };
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => new Response(JSON.stringify({ data: [{ embedding: [0.1, 0.2, 0.3] }] }));
+    try {
+      h = await createTestHarness(env);
+      const first = await h.request("POST", "/v1/memories", { content: "Prefer pnpm over npm in this repo" });
+      nearest = (await first.json()).content[0].text.match(/Stored memory (\S+)/)[1];
+      await setMode("reject");
+
+      const similar = await h.request("POST", "/v1/memories", { content: "Use pnpm as the package manager here" });
+      assert.deepStrictEqual((await similar.json()).dedup, { action: "rejected", duplicate_of: nearest, match: "vector", similarity: 0.95 });
+
+      await h.request("PUT", "/v1/settings/dedup_threshold", { value: 0.97 });
+      const below = await h.request("POST", "/v1/memories", { content: "Use pnpm as the package manager here" });
+      assert.equal(below.status, 201);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+});
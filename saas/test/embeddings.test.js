@@ -0,0 +1,173 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestDb } from "./setup.js";
+import { getEmbeddingProvider, LEGACY_EMBEDDING_MODEL } from "../src/services/embedding-providers.js";
+import { embedAndStore, semanticSearch, backfillWorkspace } from "../src/services/embeddings.js";
+
+const OPENAI_ENV = { EMBEDDING_API_URL: "http://embeddings.test/v1", EMBEDDING_MODEL: "mini-embed" };
+
+const hasTransformers = (() => {
+  try {
+    import.meta.resolve("@huggingface/transformers");
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+/** In-memory stand-in for the Vectorize binding. */
+function fakeVectorize(matches = []) {
+  return {
+    upserts: [],
+    async upsert(vectors) {
+      this.upserts.push(...vectors);
+    },
+    async query() {
+      return { matches };
+    },
+  };
+}
+
+let originalFetch;
+let fetchCalls;
+
+beforeEach(() => {
+  originalFetch = globalThis.fetch;
+  fetchCalls = [];
+  globalThis.fetch = async (url, opts) => {
+    fetchCalls.push({ url, body: JSON.parse(opts.body), headers: opts.headers });
+    return new Response(JSON.stringify({ data: [{ embedding: [0.1, 0.2, 0.3] }] }));
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+// ---------------------------------------------------------------------------
+// Provider resolution
+// ---------------------------------------------------------------------------
+
+describe("getEmbeddingProvider", () => {
+  it("returns null when nothing is configured", () => {
+    assert.equal(getEmbeddingProvider({}), null);
+  });
+
+  it("defaults to Nomic when NOMIC_API_KEY is set", () => {
+    const provider = getEmbeddingProvider({ NOMIC_API_KEY: "nk" });
+    assert.equal(provider.id, LEGACY_EMBEDDING_MODEL);
+    assert.equal(typeof provider.embedImage, "function");
+  });
+
+  it("selects an OpenAI-compatible endpoint from EMBEDDING_API_URL", () => {
+    assert.equal(getEmbeddingProvider(OPENAI_ENV).id, "openai:mini-embed");
+    assert.equal(
+      getEmbeddingProvider({ ...OPENAI_ENV, EMBEDDING_DIMENSIONS: "256" }).id,
+      "openai:mini-embed@256"
+    );
+  });
+
+  it("honors an explicit local provider", () => {
+    const provider = getEmbeddingProvider({ EMBEDDING_PROVIDER: "local", NOMIC_API_KEY: "nk" });
+    assert.equal(provider.id, "local:Xenova/all-MiniLM-L6-v2");
+    assert.equal(provider.embedImage, undefined);
+  });
+
+  it("calls the /embeddings endpoint with model and input", async () => {
+    const provider = getEmbeddingProvider({ ...OPENAI_ENV, EMBEDDING_API_KEY: "sk-test" });
+    const vector = await provider.embedQuery("hello");
+
+    assert.deepStrictEqual(Array.from(vector), Array.from(new Float32Array([0.1, 0.2, 0.3])));
+    assert.equal(fetchCalls[0].url, "http://embeddings.test/v1/embeddings");
+    assert.deepStrictEqual(fetchCalls[0].body, { model: "mini-embed", input: ["hello"] });
+    assert.equal(fetchCalls[0].headers.Authorization, "Bearer sk-test");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Model tracking
+// ---------------------------------------------------------------------------
+
+describe("embedding model tracking", () => {
+  let db;
+
+  beforeEach(async () => {
+    db = await createTestDb();
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  async function insertMemory(id, embeddingModel, embeddedAt = "2026-01-01 00:00:00") {
+    await db.execute({
+      sql: `INSERT INTO memories (id, content, type, tags, embedded_at, embedding_model)
+            VALUES (?, ?, 'fact', '[]', ?, ?)`,
+      args: [id, `Memory ${id}`, embeddedAt, embeddingModel],
+    });
+  }
+
+  it("records the model on the vector and the memory row", async () => {
+    await insertMemory("m1", null, null);
+    const env = { ...OPENAI_ENV, VECTORIZE: fakeVectorize() };
+
+    assert.equal(await embedAndStore(env, "ws", "m1", "Memory m1", db), true);
+    assert.equal(env.VECTORIZE.upserts[0].metadata.model, "openai:mini-embed");
+
+    const row = await db.execute("SELECT embedded_at, embedding_model FROM memories WHERE id = 'm1'");
+    assert.ok(row.rows[0].embedded_at);
+    assert.equal(row.rows[0].embedding_model, "openai:mini-embed");
+  });
+
+  it("ignores vectors from other models at query time", async () => {
+    const env = {
+      ...OPENAI_ENV,
+      VECTORIZE: fakeVectorize([
+        { id: "ws:a", score: 0.9, metadata: { memory_id: "a", model: "openai:mini-embed" } },
+        { id: "ws:b", score: 0.8, metadata: { memory_id: "b", model: "openai:old-embed" } },
+        { id: "ws:c", score: 0.7, metadata: { memory_id: "c" } },
+      ]),
+    };
+
+    const results = await semanticSearch(env, "ws", "query");
+    assert.deepStrictEqual(results.map((r) => r.id), ["a"]);
+  });
+
+  it("re-embeds memories from a previous model on backfill", async () => {
+    await insertMemory("cur", "openai:mini-embed");
+    await insertMemory("old", "openai:old-embed");
+    await insertMemory("legacy", null);
+    await insertMemory("new", null, null);
+    const env = { ...OPENAI_ENV, VECTORIZE: fakeVectorize() };
+
+    const result = await backfillWorkspace(env, db, "ws");
+    assert.equal(result.embedded, 3);
+    assert.equal(result.remaining, 0);
+    assert.deepStrictEqual(
+      env.VECTORIZE.upserts.map((v) => v.metadata.memory_id).sort(),
+      ["legacy", "new", "old"]
+    );
+
+    const again = await backfillWorkspace(env, db, "ws");
+    assert.equal(again.embedded, 0);
+  });
+
+  it("reports a missing local model package as a configuration error", { skip: hasTransformers && "package installed" }, async () => {
+    await insertMemory("m1", null, null);
+    const env = { EMBEDDING_PROVIDER: "local", EMBEDDING_MODEL: "not-loaded", VECTORIZE: fakeVectorize() };
+
+    const result = await backfillWorkspace(env, db, "ws");
+    assert.match(result.error, /EMBEDDING_PROVIDER=local needs the optional dependency @huggingface\/transformers/);
+    assert.equal(result.embedded, 0);
+    assert.equal(await embedAndStore(env, "ws", "m1", "Memory m1", db), false, "writes still succeed without vectors");
+  });
+
+  it("treats unrecorded models as legacy Nomic vectors", async () => {
+    await insertMemory("legacy", null);
+    const env = { NOMIC_API_KEY: "nk", VECTORIZE: fakeVectorize() };
+
+    const result = await backfillWorkspace(env, db, "ws");
+    assert.equal(result.embedded, 0);
+    assert.equal(fetchCalls.length, 0);
+  });
+});
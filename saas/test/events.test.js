@@ -0,0 +1,191 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestHarness } from "./setup.js";
+import { parseEventTypes } from "../src/services/events.js";
+import { EventHub } from "../src/services/event-hub.js";
+
+async function poll(h, query = "", headers) {
+  const res = await h.request("GET", `/v1/events?format=json${query}`, undefined, headers);
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+/** A stand-in for the EVENT_HUB Durable Object namespace that records calls. */
+function fakeHubNamespace(calls) {
+  return {
+    idFromName: (name) => name,
+    get: (id) => ({
+      async fetch(url, init = {}) {
+        calls.push({ id, url: new URL(url), method: init.method || "GET", headers: init.headers || {} });
+        return new Response(null, { status: 204 });
+      },
+    }),
+  };
+}
+
+/** A hibernatable WebSocket stand-in that keeps what the hub sends. */
+function fakeSocket() {
+  let attachment = null;
+  return {
+    sent: [],
+    send(data) {
+      this.sent.push(JSON.parse(data));
+    },
+    serializeAttachment(value) {
+      attachment = structuredClone(value);
+    },
+    deserializeAttachment() {
+      return attachment;
+    },
+  };
+}
+
+/** Read SSE frames until one matches, then close the stream. */
+async function readUntil(reader, pattern) {
+  const decoder = new TextDecoder();
+  let text = "";
+  while (!pattern.test(text)) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value, { stream: true });
+  }
+  return text;
+}
+
+/** A memory, an item that gets completed and a skip entry. */
+async function writeSomeThings(h) {
+  await h.request("POST", "/v1/memories", { content: "Events are built from activity_log" });
+  const item = await (await h.request("POST", "/v1/working-memory/items", { category: "active_work", title: "Ship the feed" })).json();
+  await h.request("PUT", `/v1/working-memory/items/${item.id}`, { status: "completed" });
+  await h.request("POST", "/v1/skip-list", { item: "polling", reason: "we stream now", expires: "2099-01-01" });
+  return item;
+}
+
+describe("parseEventTypes", () => {
+  it("accepts types and groups, and reports unknown ones", () => {
+    assert.deepStrictEqual(parseEventTypes("").actions, null);
+    assert.deepStrictEqual(parseEventTypes("skip").actions, ["skip_add", "skip_remove", "skip_expire"]);
+    assert.deepStrictEqual(parseEventTypes("memory.deleted,item.status_changed").actions, ["delete", "item_status"]);
+    assert.deepStrictEqual(parseEventTypes("memory.exploded").unknown, ["memory.exploded"]);
+  });
+});
+
+describe("GET /v1/events", () => {
+  let h;
+
+  beforeEach(async () => {
+    h = await createTestHarness();
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+
+  it("returns typed events in order, filtered and resumable", async () => {
+    const item = await writeSomeThings(h);
+
+    const all = await poll(h, "&last_event_id=0");
+    assert.deepStrictEqual(all.events.map((e) => e.type), ["memory.created", "item.created", "item.status_changed", "skip.added"]);
+    const status = all.events[2];
+    assert.equal(status.entity_id, item.id);
+    assert.equal(status.detail, "active_work: active->completed");
+    assert.equal(all.last_event_id, all.events[3].id);
+
+    const items = await poll(h, "&last_event_id=0&types=item");
+    assert.deepStrictEqual(items.events.map((e) => e.type), ["item.created", "item.status_changed"]);
+
+    const resumed = await poll(h, "", { "Last-Event-ID": String(all.events[1].id) });
+    assert.deepStrictEqual(resumed.events.map((e) => e.type), ["item.status_changed", "skip.added"]);
+
+    assert.deepStrictEqual((await poll(h)).events, []);
+    assert.equal((await h.request("GET", "/v1/events?types=nope")).status, 400);
+  });
+
+  it("streams new writes as Server-Sent Events", async () => {
+    const res = await h.request("GET", "/v1/events?types=memory");
+    assert.equal(res.headers.get("Content-Type"), "text/event-stream");
+    const reader = res.body.getReader();
+    await readUntil(reader, /event: ready/);
+
+    await writeSomeThings(h);
+    const text = await readUntil(reader, /event: memory\.created[\s\S]*\n\n/);
+    await reader.cancel();
+
+    const frame = text.split("\n\n").find((f) => f.includes("event: memory.created"));
+    assert.match(frame, /^id: \d+$/m);
+    assert.equal(JSON.parse(frame.match(/^data: (.*)$/m)[1]).type, "memory.created");
+    assert.doesNotMatch(text, /item\.|skip\./);
+  });
+
+  it("refuses the stream on Workers but still serves format=json", async () => {
+    const ctx = { waitUntil() {}, passThroughOnException() {} };
+    const headers = { Authorization: `Bearer ${h.seed.apiKey}`, "X-Memento-Workspace": h.seed.workspaceName };
+    const stream = await h.app.request("/v1/events", { headers }, {}, ctx);
+    assert.equal(stream.status, 501);
+    assert.match((await stream.json()).error, /format=json/);
+
+    const batch = await h.app.request("/v1/events?format=json&last_event_id=0", { headers }, {}, ctx);
+    assert.equal(batch.status, 200);
+  });
+
+  it("hands WebSocket upgrades on Workers to the workspace's hub and pokes it after writes", async () => {
+    const calls = [];
+    const env = { EVENT_HUB: fakeHubNamespace(calls) };
+    const ctx = { waitUntil() {}, passThroughOnException() {} };
+    const headers = { Authorization: `Bearer ${h.seed.apiKey}`, "X-Memento-Workspace": h.seed.workspaceName };
+
+    const plain = await h.app.request("/v1/events", { headers }, env, ctx);
+    assert.equal(plain.status, 501);
+    assert.match((await plain.json()).error, /WebSocket/);
+
+    await h.app.request("/v1/events?types=skip&last_event_id=4", { headers: { ...headers, Upgrade: "websocket" } }, env, ctx);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].id, h.seed.workspaceId);
+    assert.equal(calls[0].url.pathname, "/subscribe");
+    assert.equal(calls[0].url.searchParams.get("last_event_id"), "4");
+    assert.equal(calls[0].url.searchParams.get("actions"), "skip_add,skip_remove,skip_expire");
+
+    const write = await h.app.request(
+      "/v1/skip-list",
+      { method: "POST", headers: { ...headers, "Content-Type": "application/json" }, body: JSON.stringify({ item: "x", reason: "y", expires: "2099-01-01" }) },
+      env,
+      ctx
+    );
+    assert.equal(write.status, 201);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepStrictEqual(calls.slice(1).map((c) => [c.id, c.url.pathname, c.method]), [[h.seed.workspaceId, "/publish", "POST"]]);
+  });
+});
+
+describe("EventHub", () => {
+  let h;
+
+  beforeEach(async () => {
+    h = await createTestHarness();
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+  it("catches sockets up from their last id and sends each only its event types", async () => {
+    const sockets = [];
+    const hub = new EventHub({ acceptWebSocket: (ws) => sockets.push(ws), getWebSockets: () => sockets }, {});
+    await writeSomeThings(h);
+
+    const all = fakeSocket();
+    const items = fakeSocket();
+    hub.accept(all, { actions: null, lastId: 0 });
+    hub.accept(items, { actions: ["item_create", "item_status"], lastId: 0 });
+    await hub.flush(h.seed.workspaceId, sockets);
+
+    assert.deepStrictEqual(all.sent.map((e) => e.type), ["ready", "memory.created", "item.created", "item.status_changed", "skip.added"]);
+    assert.deepStrictEqual(items.sent.map((e) => e.type), ["ready", "item.created", "item.status_changed"]);
+
+    await h.request("DELETE", `/v1/memories/${all.sent[1].memory_id}`);
+    await Promise.all([hub.flush(h.seed.workspaceId, sockets), hub.flush(h.seed.workspaceId, sockets)]);
+    assert.deepStrictEqual(all.sent.slice(5).map((e) => e.type), ["memory.deleted"], "sent once across concurrent flushes");
+    assert.equal(items.sent.length, 3);
+  });
+});
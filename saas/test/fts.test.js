@@ -0,0 +1,186 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestHarness, createTestDb } from "./setup.js";
+import { indexMemory, removeFromIndex, ftsCandidateIds, rebuildFtsIndex } from "../src/services/fts.js";
+
+let h;
+
+async function store(content, tags = []) {
+  const res = await h.request("POST", "/v1/memories", { content, tags });
+  const body = await res.json();
+  return body.content[0].text.match(/Stored memory (\S+)/)[1];
+}
+
+async function recallIds(query) {
+  const res = await h.request("GET", `/v1/memories/recall?query=${encodeURIComponent(query)}&format=json`);
+  const body = await res.json();
+  return body.memories.map((m) => m.id);
+}
+
+describe("FTS recall index", () => {
+  beforeEach(async () => {
+    h = await createTestHarness();
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+  // ---------------------------------------------------------------------------
+  // Sync on write
+  // ---------------------------------------------------------------------------
+
+  it("indexes stored memories with blind tokens, not plaintext", async () => {
+    const id = await store("Deployment pipeline uses canary releases", ["infra"]);
+
+    const rows = await h.db.execute("SELECT memory_id, content, tags FROM memories_fts");
+    assert.equal(rows.rows.length, 1);
+    assert.equal(rows.rows[0].memory_id, id);
+    assert.ok(!rows.rows[0].content.includes("canary"));
+    assert.match(rows.rows[0].content, /^[0-9a-f]{16}( [0-9a-f]{16})*$/);
+    assert.ok(!rows.rows[0].tags.includes("infra"));
+  });
+
+  it("matches word prefixes and tags", async () => {
+    const id = await store("Deployment pipeline uses canary releases", ["infra"]);
+    assert.deepStrictEqual(await recallIds("deploy"), [id]);
+    assert.deepStrictEqual(await recallIds("infra"), [id]);
+    assert.deepStrictEqual(await recallIds("rollback"), []);
+  });
+
+  it("re-indexes on update", async () => {
+    const id = await store("Cache TTL is five minutes");
+    await h.request("PUT", `/v1/memories/${id}`, { content: "Session timeout is thirty minutes" });
+
+    assert.deepStrictEqual(await recallIds("cache"), []);
+    assert.deepStrictEqual(await recallIds("session timeout"), [id]);
+  });
+
+  it("removes deleted memories", async () => {
+    const id = await store("Temporary note about widgets");
+    await h.request("DELETE", `/v1/memories/${id}`);
+
+    const rows = await h.db.execute("SELECT COUNT(*) AS n FROM memories_fts");
+    assert.equal(rows.rows[0].n, 0);
+  });
+
+  it("swaps consolidated sources for the new memory", async () => {
+    const a = await store("Widgets ship on Mondays", ["widgets"]);
+    const b = await store("Widgets need QA signoff", ["widgets"]);
+    const res = await h.request("POST", "/v1/consolidate/group", {
+      source_ids: [a, b],
+      content: "Widgets ship on Mondays after QA signoff",
+    });
+    const newId = (await res.json()).content[0].text.match(/into (\S+)\./)[1];
+
+    const rows = await h.db.execute("SELECT memory_id FROM memories_fts");
+    assert.deepStrictEqual(rows.rows.map((r) => r.memory_id), [newId]);
+    assert.deepStrictEqual(await recallIds("widgets signoff"), [newId]);
+  });
+
+  // ---------------------------------------------------------------------------
+  // Backfill
+  // ---------------------------------------------------------------------------
+
+  it("backfills memories written before the index existed", async () => {
+    await h.db.execute({
+      sql: "INSERT INTO memories (id, content, type, tags) VALUES (?, ?, ?, ?)",
+      args: ["legacy01", "Legacy memory about telescopes", "fact", "[]"],
+    });
+
+    assert.deepStrictEqual(await recallIds("telescopes"), ["legacy01"]);
+
+    const setting = await h.db.execute("SELECT value FROM workspace_settings WHERE key = 'fts_index'");
+    assert.match(setting.rows[0].value, /^1:blind:/);
+  });
+
+  it("falls back to a full scan for stop-word-only queries", async () => {
+    const id = await store("The answer is in there");
+    assert.deepStrictEqual(await recallIds("the"), [id]);
+  });
+
+  it("scores only the index's candidates when it has hits", async () => {
+    const id = await store("Postgres vacuum runs nightly");
+    for (const content of ["Redis evicts keys with LRU", "Deploys run from main", "Invoices go out monthly"]) {
+      await store(content);
+    }
+
+    const execute = h.db.execute.bind(h.db);
+    let loaded = null;
+    h.db.execute = async (stmt) => {
+      const result = await execute(stmt);
+      if (typeof stmt === "object" && /blind_index\s+FROM memories\s+WHERE consolidated = 0/.test(stmt.sql)) {
+        loaded = result.rows.length;
+      }
+      return result;
+    };
+    assert.deepStrictEqual(await recallIds("postgres"), [id]);
+    assert.equal(loaded, 1, "only the FTS candidate is read");
+  });
+
+  it("still finds substring matches the token index misses", async () => {
+    const id = await store("Enable the autodeploy hook on merge");
+    assert.deepStrictEqual(await ftsCandidateIds(h.db, "deploy", null, 10), [], "infix is not a token prefix");
+    assert.deepStrictEqual(await recallIds("deploy"), [id]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Plaintext workspaces (no encryption key)
+// ---------------------------------------------------------------------------
+
+describe("FTS service (plaintext)", () => {
+  let db;
+
+  beforeEach(async () => {
+    db = await createTestDb();
+    for (const [id, content] of [
+      ["m1", "Postgres vacuum runs nightly"],
+      ["m2", "Postgres replicas lag under load"],
+      ["m3", "Redis evicts keys with LRU"],
+    ]) {
+      await db.execute({
+        sql: "INSERT INTO memories (id, content, type, tags) VALUES (?, ?, 'fact', '[]')",
+        args: [id, content],
+      });
+    }
+    await rebuildFtsIndex(db, null);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it("ranks candidates by BM25 and honors the limit", async () => {
+    const ids = await ftsCandidateIds(db, "postgres vacuum", null, 10);
+    assert.deepStrictEqual(ids, ["m1", "m2"]);
+
+    assert.equal((await ftsCandidateIds(db, "postgres", null, 1)).length, 1);
+  });
+
+  it("indexes plaintext and supports prefix queries", async () => {
+    const rows = await db.execute("SELECT content FROM memories_fts WHERE memory_id = 'm3'");
+    assert.equal(rows.rows[0].content, "Redis evicts keys with LRU");
+    assert.deepStrictEqual(await ftsCandidateIds(db, "evict", null, 10), ["m3"]);
+  });
+
+  it("adds, replaces and removes entries", async () => {
+    await indexMemory(db, { id: "m3", content: "Memcached is gone", tags: ["cache"] }, null);
+    assert.deepStrictEqual(await ftsCandidateIds(db, "redis", null, 10), []);
+    assert.deepStrictEqual(await ftsCandidateIds(db, "cache", null, 10), ["m3"]);
+
+    await removeFromIndex(db, ["m1", "m2"]);
+    assert.deepStrictEqual(await ftsCandidateIds(db, "postgres", null, 10), []);
+  });
+
+  it("applies type and tag filters before the limit", async () => {
+    await db.execute("UPDATE memories SET type = 'decision', tags = '[\"DB\"]' WHERE id = 'm2'");
+    assert.deepStrictEqual(await ftsCandidateIds(db, "postgres", null, 1, { type: "decision" }), ["m2"]);
+    assert.deepStrictEqual(await ftsCandidateIds(db, "postgres", null, 1, { tags: ["ops", "db"] }), ["m2"]);
+    assert.deepStrictEqual(await ftsCandidateIds(db, "postgres", null, 10, { type: "fact", tags: ["db"] }), []);
+  });
+
+  it("returns null when the query has no indexable terms", async () => {
+    assert.equal(await ftsCandidateIds(db, "the of and", null, 10), null);
+  });
+});
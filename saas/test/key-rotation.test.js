@@ -0,0 +1,239 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestHarness } from "./setup.js";
+import {
+  encryptField,
+  decryptField,
+  reencryptField,
+  generateWorkspaceKey,
+  getWorkspaceKey,
+  clearKeyCache,
+} from "../src/services/crypto.js";
+
+const NEW_MASTER_KEY = "11".repeat(32);
+const DEV_MASTER_KEY = "00".repeat(32);
+
+async function store(h, content) {
+  const res = await h.request("POST", "/v1/memories", { content, tags: ["rotation"] });
+  return (await res.json()).content[0].text.match(/Stored memory (\S+)/)[1];
+}
+
+async function readMemory(h, id) {
+  return (await (await h.request("GET", `/v1/memories/${id}`)).json()).content;
+}
+
+async function workspaceRow(h, id = h.seed.workspaceId) {
+  const result = await h.db.execute({
+    sql: "SELECT encrypted_key, pending_key, key_version, key_rotation, key_rotated_at FROM workspaces WHERE id = ?",
+    args: [id],
+  });
+  return result.rows[0];
+}
+
+async function rotate(h, batchSize) {
+  const res = await h.request("POST", "/v1/admin/rotate-workspace-key", { batch_size: batchSize });
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+// ---------------------------------------------------------------------------
+// reencryptField
+// ---------------------------------------------------------------------------
+
+describe("reencryptField", () => {
+  it("moves a value to the new key and leaves rotated or plaintext values alone", async () => {
+    const oldKey = await generateWorkspaceKey();
+    const newKey = await generateWorkspaceKey();
+    const value = await encryptField("secret", oldKey);
+
+    const rotated = await reencryptField(value, oldKey, newKey);
+    assert.equal(await decryptField(rotated, newKey), "secret");
+    assert.equal(await reencryptField(rotated, oldKey, newKey), null);
+    assert.equal(await reencryptField("plain", oldKey, newKey), null);
+    await assert.rejects(reencryptField(value, newKey, await generateWorkspaceKey()));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Workspace key rotation
+// ---------------------------------------------------------------------------
+
+describe("workspace key rotation", () => {
+  let h;
+
+  beforeEach(async () => {
+    clearKeyCache();
+    h = await createTestHarness();
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+  it("re-encrypts every table in resumable batches", async () => {
+    const ids = [await store(h, "Rotation memory alpha"), await store(h, "Rotation memory beta")];
+    await h.request("POST", "/v1/working-memory/items", { category: "active_work", title: "Rotate keys", content: "soon" });
+    await h.request("POST", "/v1/skip-list", { item: "old vault", reason: "replaced", expires: "2099-01-01" });
+    const before = await workspaceRow(h);
+    const oldCipher = (await h.db.execute({ sql: "SELECT content FROM memories WHERE id = ?", args: [ids[0]] })).rows[0].content;
+
+    const first = await rotate(h, 1);
+    assert.equal(first.rotation.status, "rotating");
+    assert.equal(first.rotation.started, true);
+    assert.match(first.content[0].text, /rows remaining — call again/);
+    assert.ok((await workspaceRow(h)).pending_key);
+
+    // Mid-rotation: old rows still read, new rows use the new key
+    assert.equal(await readMemory(h, ids[1]), "Rotation memory beta");
+    ids.push(await store(h, "Rotation memory gamma"));
+
+    let result = first;
+    for (let i = 0; i < 20 && result.rotation.status !== "complete"; i++) result = await rotate(h, 2);
+    assert.equal(result.rotation.status, "complete");
+    assert.match(result.content[0].text, /rotation complete/);
+
+    const after = await workspaceRow(h);
+    assert.notEqual(after.encrypted_key, before.encrypted_key);
+    assert.equal(after.pending_key, null);
+    assert.equal(after.key_rotation, null);
+    assert.ok(after.key_rotated_at);
+
+    const newCipher = (await h.db.execute({ sql: "SELECT content FROM memories WHERE id = ?", args: [ids[0]] })).rows[0].content;
+    assert.notEqual(newCipher, oldCipher);
+
+    clearKeyCache();
+    assert.equal(await readMemory(h, ids[0]), "Rotation memory alpha");
+    assert.equal(await readMemory(h, ids[2]), "Rotation memory gamma");
+    const items = await (await h.request("GET", "/v1/working-memory/items")).json();
+    assert.ok(JSON.stringify(items).includes("Rotate keys"));
+
+    const recall = await h.request("GET", "/v1/memories/recall?query=rotation%20alpha&format=json");
+    assert.ok(JSON.stringify(await recall.json()).includes("Rotation memory alpha"));
+  });
+
+  it("re-encrypts webhook signing secrets before the swap", async () => {
+    const created = await (
+      await h.request("POST", "/v1/webhooks", { url: "https://hooks.example.com/memento", events: ["memory"] })
+    ).json();
+    await h.request("PUT", `/v1/webhooks/${created.webhook.id}`, { active: false });
+    const storedSecret = async () =>
+      (await h.db.execute({ sql: "SELECT secret FROM webhooks WHERE id = ?", args: [created.webhook.id] })).rows[0].secret;
+    const before = await storedSecret();
+
+    let result = await rotate(h, 100);
+    for (let i = 0; i < 20 && result.rotation.status !== "complete"; i++) result = await rotate(h, 100);
+    assert.equal(result.rotation.status, "complete");
+
+    const after = await storedSecret();
+    assert.notEqual(after, before);
+    clearKeyCache();
+    const key = await getWorkspaceKey(h.seed.workspaceId, {}, h.db);
+    assert.equal(await decryptField(after, key), created.secret);
+  });
+
+  it("GET /key-rotation reports progress", async () => {
+    await store(h, "Status memory one");
+    await store(h, "Status memory two");
+
+    let status = await (await h.request("GET", "/v1/admin/key-rotation")).json();
+    assert.deepStrictEqual(status.workspace_key, { status: "idle", last_rotated_at: null });
+    assert.deepStrictEqual(status.master_key, { version: 1, workspace_key_version: 1 });
+
+    await rotate(h, 1);
+    status = await (await h.request("GET", "/v1/admin/key-rotation")).json();
+    assert.equal(status.workspace_key.status, "rotating");
+    assert.equal(status.workspace_key.table, "memories");
+    assert.equal(status.workspace_key.rotated, 1);
+    assert.ok(status.workspace_key.remaining >= 1);
+
+    await rotate(h, 2000);
+    status = await (await h.request("GET", "/v1/admin/key-rotation")).json();
+    assert.equal(status.workspace_key.status, "idle");
+    assert.ok(status.workspace_key.last_rotated_at);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Master key rotation
+// ---------------------------------------------------------------------------
+
+describe("master key rotation", () => {
+  let h;
+  let env;
+  const savedAdmin = process.env.MEMENTO_ADMIN_USER_ID;
+
+  beforeEach(async () => {
+    clearKeyCache();
+    env = {};
+    h = await createTestHarness(env);
+  });
+
+  afterEach(() => {
+    if (savedAdmin === undefined) delete process.env.MEMENTO_ADMIN_USER_ID;
+    else process.env.MEMENTO_ADMIN_USER_ID = savedAdmin;
+    h.cleanup();
+  });
+
+  function switchMasterKey() {
+    Object.assign(env, {
+      ENCRYPTION_MASTER_KEY: NEW_MASTER_KEY,
+      ENCRYPTION_MASTER_KEY_VERSION: "2",
+      ENCRYPTION_MASTER_KEY_PREVIOUS: DEV_MASTER_KEY,
+    });
+    clearKeyCache();
+  }
+
+  it("re-wraps a workspace key lazily on first use", async () => {
+    const id = await store(h, "Wrapped under the dev key");
+    const before = await workspaceRow(h);
+    switchMasterKey();
+
+    assert.equal(await readMemory(h, id), "Wrapped under the dev key");
+    const after = await workspaceRow(h);
+    assert.equal(after.key_version, 2);
+    assert.notEqual(after.encrypted_key, before.encrypted_key);
+  });
+
+  it("POST /rotate-master-key sweeps the remaining workspaces (operator only)", async () => {
+    await store(h, "Sweep me");
+    await h.db.execute({
+      sql: "INSERT INTO workspaces (id, user_id, name) VALUES ('other01', ?, 'other')",
+      args: [h.seed.userId],
+    });
+    await h.request("GET", "/v1/health", undefined, { "X-Memento-Workspace": "other" });
+    switchMasterKey();
+
+    const denied = await h.request("POST", "/v1/admin/rotate-master-key");
+    assert.equal(denied.status, 403);
+
+    process.env.MEMENTO_ADMIN_USER_ID = h.seed.userId;
+    let status = await (await h.request("GET", "/v1/admin/key-rotation")).json();
+    assert.equal(status.master_key.version, 2);
+    assert.equal(status.master_key.stale_workspaces, 1); // the calling workspace was re-wrapped on use
+
+    const res = await h.request("POST", "/v1/admin/rotate-master-key");
+    const body = await res.json();
+    assert.equal(body.rotation.rewrapped, 1);
+    assert.equal(body.rotation.remaining, 0);
+    assert.match(body.content[0].text, /ENCRYPTION_MASTER_KEY_PREVIOUS can be removed/);
+    assert.equal((await workspaceRow(h, "other01")).key_version, 2);
+
+    status = await (await h.request("GET", "/v1/admin/key-rotation")).json();
+    assert.equal(status.master_key.stale_workspaces, 0);
+  });
+
+  it("refuses to sweep without the previous master key", async () => {
+    await h.db.execute({
+      sql: "INSERT INTO workspaces (id, user_id, name) VALUES ('other02', ?, 'other')",
+      args: [h.seed.userId],
+    });
+    await h.request("GET", "/v1/health", undefined, { "X-Memento-Workspace": "other" });
+    switchMasterKey();
+    delete env.ENCRYPTION_MASTER_KEY_PREVIOUS;
+    process.env.MEMENTO_ADMIN_USER_ID = h.seed.userId;
+
+    const res = await h.request("POST", "/v1/admin/rotate-master-key");
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /ENCRYPTION_MASTER_KEY_PREVIOUS is not set/);
+  });
+});
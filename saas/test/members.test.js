@@ -0,0 +1,161 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHash, randomUUID } from "node:crypto";
+import { createTestHarness } from "./setup.js";
+import { acceptInvite } from "../src/services/members.js";
+
+/** Add a second user with their own API key. */
+async function addUser(h, name) {
+  const userId = randomUUID().slice(0, 8);
+  const apiKey = `mp_test_${randomUUID().slice(0, 16)}`;
+  await h.db.execute({
+    sql: "INSERT INTO users (id, email, name) VALUES (?, ?, ?)",
+    args: [userId, `${name}@example.com`, name],
+  });
+  await h.db.execute({
+    sql: "INSERT INTO api_keys (id, user_id, key_hash, key_prefix, name) VALUES (?, ?, ?, ?, ?)",
+    args: [randomUUID().slice(0, 8), userId, createHash("sha256").update(apiKey).digest("hex"), apiKey.slice(0, 10), "test-key"],
+  });
+  return { userId, headers: { Authorization: `Bearer ${apiKey}`, "X-Memento-Workspace": "default" } };
+}
+
+/** Headers for a user's request to a workspace they address by name. */
+function inWorkspace(user, name) {
+  return { ...user.headers, "X-Memento-Workspace": name };
+}
+
+async function invite(h, body = {}, headers) {
+  const res = await h.request("POST", `/v1/workspaces/${h.seed.workspaceId}/invites`, body, headers);
+  return { status: res.status, body: await res.json() };
+}
+
+async function accept(h, token, user, name) {
+  const res = await h.request("POST", "/v1/workspaces/invites/accept", { token, name }, user.headers);
+  return { status: res.status, body: await res.json() };
+}
+
+describe("workspace sharing", () => {
+  let h;
+  let member;
+
+  beforeEach(async () => {
+    h = await createTestHarness();
+    member = await addUser(h, "member");
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+  it("lets an editor read and write, and audits their writes", async () => {
+    const { status, body } = await invite(h, { role: "editor" });
+    assert.equal(status, 201);
+    assert.match(body.token, /^mp_inv_/);
+
+    const joined = await accept(h, body.token, member);
+    assert.equal(joined.status, 200);
+    assert.deepStrictEqual(joined.body.workspace, { id: h.seed.workspaceId, name: h.seed.workspaceName, role: "editor" });
+    assert.equal((await accept(h, body.token, await addUser(h, "late"))).status, 404);
+
+    const shared = inWorkspace(member, h.seed.workspaceName);
+    const stored = await h.request("POST", "/v1/memories", { content: "Shared deploy checklist" }, shared);
+    assert.equal(stored.status, 201);
+    const recall = await h.request("GET", "/v1/memories/recall?query=deploy%20checklist&format=json");
+    assert.equal((await recall.json()).memories.length, 1);
+
+    const settings = await h.request("PUT", "/v1/settings/recall_alpha", { value: "0.5" }, shared);
+    assert.equal(settings.status, 403);
+    assert.equal((await settings.json()).error, "forbidden_role");
+
+    const audit = await h.db.execute({
+      sql: "SELECT details FROM audit_log WHERE event_type = 'workspace.write' AND user_id = ?",
+      args: [member.userId],
+    });
+    assert.equal(audit.rows.length, 1);
+    assert.match(audit.rows[0].details, /role: editor, POST \/v1\/memories/);
+
+    const list = JSON.parse((await (await h.request("GET", "/v1/workspaces", undefined, member.headers)).json()).content[0].text);
+    assert.ok(list.some((w) => w.id === h.seed.workspaceId && w.role === "editor"));
+  });
+
+  it("keeps viewers read-only and owners in charge of members", async () => {
+    await accept(h, (await invite(h, { role: "viewer" })).body.token, member);
+    const shared = inWorkspace(member, h.seed.workspaceName);
+
+    const read = await h.request("GET", "/v1/working-memory/items", undefined, shared);
+    assert.equal(read.status, 200);
+    const write = await h.request("POST", "/v1/memories", { content: "nope" }, shared);
+    assert.equal(write.status, 403);
+    assert.equal((await invite(h, {}, member.headers)).status, 403);
+
+    const promote = await h.request("PUT", `/v1/workspaces/${h.seed.workspaceId}/members/${member.userId}`, { role: "editor" });
+    assert.equal(promote.status, 200);
+    assert.equal((await h.request("POST", "/v1/memories", { content: "now allowed" }, shared)).status, 201);
+
+    const listed = await (await h.request("GET", `/v1/workspaces/${h.seed.workspaceId}/members`, undefined, member.headers)).json();
+    assert.deepStrictEqual(listed.members.map((m) => m.role), ["owner", "editor"]);
+
+    await h.request("DELETE", `/v1/workspaces/${h.seed.workspaceId}/members/${member.userId}`);
+    assert.equal((await h.request("GET", `/v1/workspaces/${h.seed.workspaceId}/members`, undefined, member.headers)).status, 404);
+  });
+
+  it("never grants ownership, so members cannot reach admin routes", async () => {
+    assert.equal((await invite(h, { role: "owner" })).status, 400);
+    await accept(h, (await invite(h, { role: "editor" })).body.token, member);
+    const promote = await h.request("PUT", `/v1/workspaces/${h.seed.workspaceId}/members/${member.userId}`, { role: "owner" });
+    assert.equal(promote.status, 400);
+
+    const shared = inWorkspace(member, h.seed.workspaceName);
+    const rotate = await h.request("POST", "/v1/admin/rotate-workspace-key", {}, shared);
+    assert.equal(rotate.status, 403);
+    assert.equal((await rotate.json()).error, "forbidden_role");
+  });
+
+  it("binds invites to the issuing key and an optional invitee", async () => {
+    const bound = await invite(h, { user_id: "someone-else" });
+    assert.equal((await accept(h, bound.body.token, member)).status, 404);
+
+    const pending = await invite(h);
+    await h.db.execute({ sql: "UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ?", args: [h.seed.apiKeyId] });
+    assert.equal((await accept(h, pending.body.token, member)).status, 404);
+  });
+
+  it("lets only one of two concurrent accepts use an invite", async () => {
+    const other = await addUser(h, "other");
+    const { body } = await invite(h);
+
+    // The other user's accept lands after this one has read the invite
+    let raced = null;
+    const racingDb = {
+      async execute(stmt) {
+        if (!raced && stmt.sql.startsWith("SELECT role FROM workspace_members")) {
+          raced = await acceptInvite(h.db, body.token, other.userId);
+        }
+        return h.db.execute(stmt);
+      },
+    };
+    const result = await acceptInvite(racingDb, body.token, member.userId);
+    assert.ok(raced.membership);
+    assert.equal(result.status, 404);
+
+    const members = await h.db.execute({
+      sql: "SELECT user_id FROM workspace_members WHERE workspace_id = ?",
+      args: [h.seed.workspaceId],
+    });
+    assert.deepStrictEqual(members.rows.map((r) => r.user_id), [other.userId]);
+  });
+
+  it("asks for another name when the member already has the workspace name", async () => {
+    member.headers["X-Memento-Workspace"] = h.seed.workspaceName; // auto-creates the member's own
+    const { body } = await invite(h);
+
+    const clash = await accept(h, body.token, member);
+    assert.equal(clash.status, 409);
+
+    const joined = await accept(h, body.token, member, "team");
+    assert.equal(joined.status, 200);
+    await h.request("POST", "/v1/memories", { content: "Owner-only note about pagers" });
+    const recall = await h.request("GET", "/v1/memories/recall?query=pagers&format=json", undefined, inWorkspace(member, "team"));
+    assert.equal((await recall.json()).memories.length, 1);
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestHarness } from "./setup.js";
+
+let h;
+
+async function store(content, tags = []) {
+  const res = await h.request("POST", "/v1/memories", { content, tags, type: "fact" });
+  const body = await res.json();
+  return body.content[0].text.match(/Stored memory (\S+)/)[1];
+}
+
+async function history(id) {
+  const res = await h.request("GET", `/v1/memories/${id}/history`);
+  return { status: res.status, body: await res.json() };
+}
+
+describe("memory history", () => {
+  beforeEach(async () => {
+    h = await createTestHarness();
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+  // ---------------------------------------------------------------------------
+  // GET /v1/memories/:id/history
+  // ---------------------------------------------------------------------------
+
+  it("GET /:id/history — new memories are at version 1 with no revisions", async () => {
+    const id = await store("Deploys go out on Tuesdays");
+    const { status, body } = await history(id);
+
+    assert.equal(status, 200);
+    assert.equal(body.current.version, 1);
+    assert.equal(body.current.content, "Deploys go out on Tuesdays");
+    assert.deepStrictEqual(body.revisions, []);
+  });
+
+  it("PUT records the overwritten version with its source", async () => {
+    const id = await store("Deploys go out on Tuesdays", ["ops"]);
+    await h.request("PUT", `/v1/memories/${id}`, { content: "Deploys go out on Thursdays", source: "hook" });
+    await h.request("PUT", `/v1/memories/${id}`, { tags: ["ops", "release"] });
+
+    const { body } = await history(id);
+    assert.equal(body.current.version, 3);
+    assert.equal(body.current.content, "Deploys go out on Thursdays");
+    assert.deepStrictEqual(body.current.tags, ["ops", "release"]);
+
+    assert.deepStrictEqual(
+      body.revisions.map((r) => [r.version, r.content, r.source]),
+      [
+        [2, "Deploys go out on Thursdays", "api"],
+        [1, "Deploys go out on Tuesdays", "hook"],
+      ]
+    );
+    assert.deepStrictEqual(body.revisions[1].tags, ["ops"]);
+    assert.ok(body.revisions[0].replaced_at);
+  });
+
+  it("stores revision content encrypted", async () => {
+    const id = await store("Secret launch codename is Falcon");
+    await h.request("PUT", `/v1/memories/${id}`, { content: "Launch codename is public now" });
+
+    const rows = await h.db.execute("SELECT content FROM memory_revisions");
+    assert.equal(rows.rows.length, 1);
+    assert.ok(!rows.rows[0].content.includes("Falcon"));
+  });
+
+  it("PUT rejects an unknown source", async () => {
+    const id = await store("Deploys go out on Tuesdays");
+    const res = await h.request("PUT", `/v1/memories/${id}`, { content: "x", source: "robot" });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /Invalid source/);
+
+    const { body } = await history(id);
+    assert.equal(body.current.content, "Deploys go out on Tuesdays");
+  });
+
+  it("GET /:id/history — 404 for a missing memory", async () => {
+    const { status, body } = await history("nope");
+    assert.equal(status, 404);
+    assert.equal(body.error, "Memory not found.");
+  });
+
+  // ---------------------------------------------------------------------------
+  // POST /v1/memories/:id/revert
+  // ---------------------------------------------------------------------------
+
+  it("POST /:id/revert — restores a prior version and keeps the replaced one", async () => {
+    const id = await store("Cache TTL is five minutes", ["cache"]);
+    await h.request("PUT", `/v1/memories/${id}`, {
+      content: "Garbled distillation output",
+      tags: ["noise"],
+      source: "extraction",
+    });
+
+    const res = await h.request("POST", `/v1/memories/${id}/revert`, { version: 1 });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.content, "Cache TTL is five minutes");
+    assert.deepStrictEqual(body.tags, ["cache"]);
+    assert.equal(body.version, 3);
+    assert.equal(body.reverted_to, 1);
+
+    const { body: hist } = await history(id);
+    assert.deepStrictEqual(
+      hist.revisions.map((r) => [r.version, r.content, r.source]),
+      [
+        [2, "Garbled distillation output", "revert"],
+        [1, "Cache TTL is five minutes", "extraction"],
+      ]
+    );
+  });
+
+  it("POST /:id/revert — re-indexes the restored content for recall", async () => {
+    const id = await store("Cache TTL is five minutes");
+    await h.request("PUT", `/v1/memories/${id}`, { content: "Garbled distillation output" });
+    await h.request("POST", `/v1/memories/${id}/revert`, { version: 1 });
+
+    const res = await h.request("GET", "/v1/memories/recall?query=cache&format=json");
+    const body = await res.json();
+    assert.deepStrictEqual(body.memories.map((m) => m.id), [id]);
+  });
+
+  it("POST /:id/revert — re-embeds the restored content", async () => {
+    h.cleanup();
+    const embedded = [];
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, opts) => {
+      embedded.push(JSON.parse(opts.body).input[0]);
+      return new Response(JSON.stringify({ data: [{ embedding: [0.1, 0.2, 0.3] }] }));
+    };
+    try {
+      h = await createTestHarness({
+        EMBEDDING_API_URL: "http://embeddings.test/v1",
+        EMBEDDING_MODEL: "mini-embed",
+        VECTORIZE: { async upsert() {} },
+      });
+      const id = await store("Cache TTL is five minutes");
+      await h.request("PUT", `/v1/memories/${id}`, { content: "Garbled distillation output" });
+      embedded.length = 0;
+
+      await h.request("POST", `/v1/memories/${id}/revert`, { version: 1 });
+      for (let i = 0; i < 50 && embedded.length === 0; i++) await new Promise((resolve) => setTimeout(resolve, 10));
+      assert.deepStrictEqual(embedded, ["Cache TTL is five minutes"]);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it("POST /:id/revert — validates the version", async () => {
+    const id = await store("Cache TTL is five minutes");
+
+    const bad = await h.request("POST", `/v1/memories/${id}/revert`, { version: "latest" });
+    assert.equal(bad.status, 400);
+
+    const missing = await h.request("POST", `/v1/memories/${id}/revert`, { version: 4 });
+    assert.equal(missing.status, 404);
+    assert.match((await missing.json()).error, /Version 4/);
+  });
+
+  it("DELETE removes the history", async () => {
+    const id = await store("Cache TTL is five minutes");
+    await h.request("PUT", `/v1/memories/${id}`, { content: "Cache TTL is ten minutes" });
+    await h.request("DELETE", `/v1/memories/${id}`);
+
+    const rows = await h.db.execute("SELECT COUNT(*) AS n FROM memory_revisions");
+    assert.equal(rows.rows[0].n, 0);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  formatReport,
+  loadFixture,
+  loadQueries,
+  parseJsonl,
+  runBenchmark,
+  scoreResults,
+} from "../src/services/recall-benchmark.js";
+
+const fixtureText = (name) => readFileSync(new URL(`../scripts/fixtures/recall-benchmark-${name}.jsonl`, import.meta.url), "utf8");
+
+describe("recall benchmark", () => {
+  it("parses LongMemEval-style queries", () => {
+    const fixture = loadFixture([
+      { id: "m1", content: "alpha", session_id: "s1" },
+      { id: "m2", content: "beta", session_id: "s1" },
+      { id: "m3", content: "gamma" },
+    ]);
+    const queries = loadQueries([
+      { question_id: "q1", question: "alpha?", answer_session_ids: ["s1"] },
+      { id: "q2", query: "gamma?", relevant: ["m3"] },
+      { question_id: "q3_abs", question: "delta?", answer_session_ids: ["s1"] },
+      { question_id: "q4", question: "epsilon?" },
+    ], fixture);
+
+    assert.deepStrictEqual(queries.map((q) => [q.id, q.relevant, q.answerable]), [
+      ["q1", ["m1", "m2"], true],
+      ["q2", ["m3"], true],
+      ["q3_abs", [], false],
+      ["q4", [], false],
+    ]);
+    assert.throws(() => loadQueries([{ id: "q", query: "x", relevant: ["m9"] }], fixture), /"m9" is not in the fixture/);
+    assert.throws(() => loadFixture([{ id: "m1", content: "a" }, { id: "m1", content: "b" }]), /duplicate id "m1"/);
+    assert.throws(() => parseJsonl('{"id": 1}\n\n{oops', "queries.jsonl"), /queries.jsonl line 3: invalid JSON/);
+  });
+
+  it("computes recall@k, MRR and abstention rates", () => {
+    const { metrics, queries } = scoreResults([
+      { id: "a", relevant: ["m1", "m2"], answerable: true, returned: ["m3", "m1", "m4"] },
+      { id: "b", relevant: ["m5"], answerable: true, returned: ["m5"] },
+      { id: "c", relevant: ["m6"], answerable: true, returned: [] },
+      { id: "d", relevant: [], answerable: false, returned: ["m1"] },
+      { id: "e", relevant: [], answerable: false, returned: [] },
+    ], 2);
+
+    assert.deepStrictEqual(metrics, {
+      queries: 5,
+      answerable: 3,
+      unanswerable: 2,
+      recall_at_k: (0.5 + 1 + 0) / 3,
+      mrr: (0.5 + 1 + 0) / 3,
+      false_abstention: 1 / 3,
+      false_answer: 0.5,
+    });
+    assert.deepStrictEqual(queries[0].returned, ["m3", "m1"], "results past k are ignored");
+    assert.equal(queries[0].first_relevant_rank, 2);
+    assert.equal(queries[3].recall, null);
+  });
+
+  it("runs two configurations through the recall pipeline and compares them", async () => {
+    const fixture = loadFixture(parseJsonl(fixtureText("memories"), "memories"));
+    const queries = loadQueries(parseJsonl(fixtureText("queries"), "queries"), fixture);
+
+    const base = await runBenchmark({ fixture, queries, k: 5 });
+    const strict = await runBenchmark({ fixture, queries, k: 5, config: { name: "strict", settings: { recall_threshold: 0.3 } } });
+
+    assert.equal(base.name, "default");
+    assert.equal(base.metrics.answerable, 8);
+    assert.equal(base.metrics.unanswerable, 3);
+    assert.equal(base.metrics.false_abstention, 0);
+    assert.ok(base.metrics.recall_at_k > 0.8, `expected keyword recall to find most answers, got ${base.metrics.recall_at_k}`);
+    const crystallography = base.queries.find((q) => q.id === "q09_abs");
+    assert.deepStrictEqual(crystallography.returned, [], "shouldAbstain fires on a term absent from the workspace");
+    assert.equal(base.queries.find((q) => q.id === "q05").first_relevant_rank, 1, "the pinned memory outranks newer ones");
+
+    assert.equal(strict.metrics.false_answer, 0);
+    assert.ok(strict.metrics.false_abstention > base.metrics.false_abstention);
+
+    const report = formatReport(base, strict);
+    assert.match(report, /11 queries \(8 answerable, 3 unanswerable\), k=5/);
+    assert.match(report, /recall@5 +\d\.\d{3} +\d\.\d{3} +-\d\.\d{3}/);
+    assert.match(report, /false answer +0\.333 +0\.000 +-0\.333/);
+    assert.match(report, /q11_abs: answered → abstained/);
+  });
+});
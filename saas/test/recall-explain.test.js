@@ -0,0 +1,134 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestHarness } from "./setup.js";
+import { addVectorScores, explainCandidates, finishExplanation } from "../src/services/recall-explain.js";
+
+let h;
+
+async function store(body) {
+  const res = await h.request("POST", "/v1/memories", body);
+  return (await res.json()).content[0].text.match(/Stored memory (\w+)/)[1];
+}
+
+function byId(explain) {
+  return Object.fromEntries(explain.candidates.map((c) => [c.id, c]));
+}
+
+describe("recall explain mode", () => {
+  beforeEach(async () => {
+    h = await createTestHarness();
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+  it("GET /v1/memories/recall — breaks down each candidate's score", async () => {
+    const fresh = await store({ content: "Kafka consumers rebalance on deploy", type: "fact", pinned: true });
+    const stale = await store({ content: "Kafka lag alerts page the on-call" });
+    await h.db.execute({
+      sql: "UPDATE memories SET created_at = datetime('now', '-14 days'), access_count = 3 WHERE id = ?",
+      args: [stale],
+    });
+
+    const res = await h.request("GET", "/v1/memories/recall?query=kafka+rebalance&explain=true");
+    const body = await res.json();
+    assert.match(body.content[0].text, /Found 2 memories/);
+
+    const { explain } = body;
+    assert.deepStrictEqual(explain.query_terms, ["kafka", "rebalance"]);
+    assert.equal(explain.ranking, "keyword");
+    assert.equal(explain.abstained, false);
+    assert.deepStrictEqual(explain.candidates.map((c) => [c.id, c.rank, c.filtered]), [[fresh, 1, null], [stale, 2, null]]);
+
+    const [top, second] = explain.candidates;
+    assert.equal(top.keyword, 1);
+    assert.equal(top.recency, 1);
+    assert.equal(top.never_decays, true);
+    assert.equal(top.half_life_hours, null);
+    assert.equal(second.keyword, 0.5);
+    assert.ok(second.recency > 0.24 && second.recency < 0.26, `expected ~0.25 after two half-lives, got ${second.recency}`);
+    assert.equal(second.access, 1.6);
+    assert.equal(second.half_life_hours, 168);
+    assert.equal(second.vector, null);
+    assert.equal(second.score, Math.round(second.keyword * second.recency * second.access * second.last_access * 10000) / 10000);
+  });
+
+  it("GET /v1/memories/recall — says why candidates were left out", async () => {
+    const kept = await store({ content: "Billing exports run nightly", type: "fact" });
+    const wrongType = await store({ content: "Billing exports moved to S3", type: "decision" });
+    const weak = await store({ content: "Billing dashboard colours" });
+    const retries = await store({ content: "Billing exports nightly retries", type: "fact" });
+
+    await h.request("PUT", "/v1/settings/recall_threshold", { value: "0.6" });
+    const res = await h.request("GET", "/v1/memories/recall?query=billing+exports+nightly&type=fact&limit=1&explain=true&format=json");
+    const { memories, explain } = await res.json();
+    assert.equal(memories.length, 1);
+
+    const entries = byId(explain);
+    assert.equal(explain.threshold, 0.6);
+    assert.equal(entries[wrongType].filtered, "type");
+    assert.equal(entries[wrongType].score, null);
+    assert.equal(entries[memories[0].id].rank, 1);
+    assert.equal(entries[[kept, retries].find((id) => id !== memories[0].id)].filtered, "over_limit");
+    assert.equal(entries[weak].filtered, "type", "the type filter applies before the threshold");
+
+    const all = await h.request("GET", "/v1/memories/recall?query=billing+exports+nightly&explain=true&format=json");
+    assert.equal(byId((await all.json()).explain)[weak].filtered, "below_threshold");
+  });
+
+  it("GET /v1/memories/recall — reports abstention", async () => {
+    await store({ content: "Postgres vacuum runs weekly" });
+    const res = await h.request("GET", "/v1/memories/recall?query=postgres+crystallography&explain=true&format=json");
+    const { memories, explain } = await res.json();
+    assert.deepStrictEqual(memories, []);
+    assert.equal(explain.abstained, true);
+    assert.equal(explain.candidates[0].filtered, "abstained");
+    assert.ok(explain.candidates[0].keyword > 0);
+  });
+
+  it("POST /v1/memories/recall and POST /v1/context — accept explain", async () => {
+    const id = await store({ content: "Terraform state lives in the ops bucket", tags: ["infra"] });
+
+    const recall = await h.request("POST", "/v1/memories/recall", { query: "terraform state", tags: ["ops"], explain: true });
+    const recallBody = await recall.json();
+    assert.deepStrictEqual(recallBody.memories, []);
+    assert.equal(recallBody.explain.candidates[0].filtered, "tags");
+
+    const ctx = await h.request("POST", "/v1/context", { message: "terraform state", include: ["memories"], explain: true });
+    const { memories } = await ctx.json();
+    assert.equal(memories.explain.ranking, "keyword");
+    assert.equal(byId(memories.explain)[id].rank, 1);
+
+    const plain = await h.request("POST", "/v1/context", { message: "terraform state", include: ["memories"] });
+    assert.equal((await plain.json()).memories.explain, undefined);
+  });
+
+  it("records vector and hybrid scores", () => {
+    const now = new Date();
+    const rows = [
+      { id: "kw000001", content: "alpha beta", tags: "[]", created_at: now.toISOString() },
+      { id: "kw000002", content: "alpha", tags: "[]", created_at: now.toISOString() },
+    ];
+    const entries = explainCandidates(rows, "alpha beta", now, null);
+    addVectorScores(entries, [
+      { memoryId: "kw000001", vectorScore: 0.5, score: 0.75 },
+      { memoryId: "vec00001", vectorScore: 1, score: 0.5 },
+    ], { hybrid: true });
+
+    const explain = finishExplanation(entries, {
+      query: "alpha beta",
+      returned: [{ memory: { id: "kw000001" } }, { memory: { id: "vec00001" } }],
+      alpha: 0.5,
+      ranking: "hybrid",
+    });
+    const entriesById = byId(explain);
+    assert.equal(explain.alpha, 0.5);
+    assert.deepStrictEqual(
+      [entriesById.kw000001.vector, entriesById.kw000001.hybrid, entriesById.kw000001.rank],
+      [0.5, 0.75, 1]
+    );
+    assert.deepStrictEqual([entriesById.vec00001.keyword, entriesById.vec00001.vector, entriesById.vec00001.rank], [null, 1, 2]);
+    assert.equal(entriesById.kw000002.filtered, "over_limit");
+  });
+});
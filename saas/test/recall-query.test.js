@@ -0,0 +1,153 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestHarness } from "./setup.js";
+import { parseRecallQuery, matchesQuery } from "../src/services/recall-query.js";
+
+let h;
+
+async function store(body) {
+  const res = await h.request("POST", "/v1/memories", body);
+  return (await res.json()).content[0].text.match(/Stored memory (\w+)/)[1];
+}
+
+async function recallIds(query, extra = "") {
+  const res = await h.request("GET", `/v1/memories/recall?query=${encodeURIComponent(query)}&format=json${extra}`);
+  assert.equal(res.status, 200);
+  return (await res.json()).memories.map((m) => m.id).sort();
+}
+
+describe("recall query language", () => {
+  describe("parseRecallQuery", () => {
+    it("separates free text from filters", () => {
+      const parsed = parseRecallQuery('deploy tag:Kafka AND -tag:scratch type:decision "consumer rebalance" accessed:>=2');
+      assert.equal(parsed.text, "deploy consumer rebalance");
+      assert.deepStrictEqual(parsed.clauses, [
+        { field: "tag", values: ["kafka"], negate: false },
+        { field: "tag", values: ["scratch"], negate: true },
+        { field: "type", values: ["decision"], negate: false },
+        { field: "phrase", values: ["consumer rebalance"], negate: false },
+        { field: "accessed", values: [{ op: ">=", n: 2 }], negate: false },
+      ]);
+    });
+
+    it("joins OR filters on one field and leaves other OR and unknown fields as text", () => {
+      assert.deepStrictEqual(parseRecallQuery("tag:a OR tag:b OR tag:c").clauses, [
+        { field: "tag", values: ["a", "b", "c"], negate: false },
+      ]);
+      assert.equal(parseRecallQuery("cats OR dogs").text, "cats OR dogs");
+      assert.equal(parseRecallQuery("see https://example.com").text, "see https://example.com");
+      assert.deepStrictEqual(parseRecallQuery('tag:"on call"').clauses[0].values, ["on call"]);
+    });
+
+    it("rejects malformed filters", () => {
+      assert.match(parseRecallQuery("before:yesterday").error, /before: expects a date/);
+      assert.match(parseRecallQuery("accessed:lots").error, /accessed: expects a count/);
+      assert.match(parseRecallQuery("tag:a OR type:b").error, /OR joins two filters/);
+      assert.match(parseRecallQuery("tag:a OR").error, /OR joins two filters/);
+    });
+
+    it("matches dates, access counts and links", () => {
+      const memory = {
+        id: "m1",
+        content: "Nightly export",
+        type: "fact",
+        tags: '["ops"]',
+        created_at: "2026-02-15 08:00:00",
+        access_count: 3,
+        linkages: '[{"type":"memory","id":"m2"}]',
+      };
+      const matches = (q, links) => matchesQuery(memory, parseRecallQuery(q), { links });
+      assert.ok(matches("after:2026-02-15 before:2026-02-16"));
+      assert.ok(!matches("before:2026-02-15"));
+      assert.ok(matches("accessed:3 accessed:>2 accessed:<=3"));
+      assert.ok(!matches("accessed:>3"));
+      assert.ok(matches("linked:m2"));
+      assert.ok(matches("linked:m9", new Map([["m9", new Set(["m1"])]])));
+      assert.ok(!matches("-type:fact"));
+      assert.ok(!matches('-"nightly export"'));
+    });
+  });
+
+  describe("routes", () => {
+    let ids;
+
+    beforeEach(async () => {
+      h = await createTestHarness();
+      ids = {};
+      ids.kafkaDecision = await store({ content: "Kafka deploys happen after hours to avoid consumer rebalance", type: "decision", tags: ["kafka", "deploys"] });
+      ids.kafkaFact = await store({ content: "Kafka consumers rebalance on every deploy", type: "fact", tags: ["kafka"] });
+      ids.scratch = await store({ content: "Kafka deploy scratch notes", tags: ["kafka", "scratch"] });
+      ids.runbook = await store({
+        content: "The deploy runbook lives in the ops wiki",
+        type: "instruction",
+        tags: ["deploys"],
+        linkages: [{ type: "memory", id: ids.kafkaDecision }],
+      });
+      await h.db.execute({
+        sql: "UPDATE memories SET created_at = '2026-01-10 12:00:00', access_count = 7 WHERE id = ?",
+        args: [ids.kafkaFact],
+      });
+    });
+
+    afterEach(() => {
+      h.cleanup();
+    });
+
+    it("GET /v1/memories/recall — applies tag, type, phrase and negation filters", async () => {
+      assert.deepStrictEqual(await recallIds("kafka deploy tag:kafka AND tag:deploys"), [ids.kafkaDecision]);
+      assert.deepStrictEqual(await recallIds("kafka -tag:scratch"), [ids.kafkaDecision, ids.kafkaFact].sort());
+      assert.deepStrictEqual(await recallIds("deploy type:decision OR type:instruction"), [ids.kafkaDecision, ids.runbook].sort());
+      assert.deepStrictEqual(await recallIds('"consumer rebalance"'), [ids.kafkaDecision]);
+      assert.deepStrictEqual(await recallIds("kafka -scratch -rebalance"), []);
+    });
+
+    it("GET /v1/memories/recall — filters by date, access count and links", async () => {
+      assert.deepStrictEqual(await recallIds("kafka before:2026-02-01"), [ids.kafkaFact]);
+      assert.ok(!(await recallIds("kafka after:2026-02-01")).includes(ids.kafkaFact));
+      assert.deepStrictEqual(await recallIds("accessed:>5"), [ids.kafkaFact], "a filter-only query needs no free text");
+      assert.deepStrictEqual(await recallIds(`linked:${ids.kafkaDecision}`), [ids.runbook]);
+      assert.deepStrictEqual(await recallIds(`linked:${ids.runbook}`), [ids.kafkaDecision]);
+    });
+
+    it("GET /v1/memories/recall — explains query filters and rejects bad syntax", async () => {
+      const res = await h.request("GET", "/v1/memories/recall?query=kafka+-tag:scratch&explain=true&format=json");
+      const { explain } = await res.json();
+      assert.deepStrictEqual(explain.query_terms, ["kafka"]);
+      assert.equal(explain.candidates.find((c) => c.id === ids.scratch).filtered, "query");
+
+      const bad = await h.request("GET", "/v1/memories/recall?query=kafka+accessed:many");
+      assert.equal(bad.status, 400);
+      assert.match((await bad.json()).error, /^Invalid query: accessed: expects a count/);
+    });
+
+    it("POST /v1/memories/recall — accepts the same syntax", async () => {
+      const res = await h.request("POST", "/v1/memories/recall", { query: "deploy -tag:kafka" });
+      assert.deepStrictEqual((await res.json()).memories.map((m) => m.id), [ids.runbook]);
+
+      const bad = await h.request("POST", "/v1/memories/recall", { query: "tag:a OR type:b" });
+      assert.equal(bad.status, 400);
+      assert.match((await bad.json()).error, /OR joins two filters/);
+    });
+
+    it("GET /v1/memories — filters and pages the list", async () => {
+      const list = async (query, extra = "") => {
+        const res = await h.request("GET", `/v1/memories?query=${encodeURIComponent(query)}${extra}`);
+        return res.json();
+      };
+
+      const kafka = await list("tag:kafka -tag:scratch");
+      assert.equal(kafka.total, 2);
+      assert.deepStrictEqual(kafka.memories.map((m) => m.id).sort(), [ids.kafkaDecision, ids.kafkaFact].sort());
+
+      const words = await list("runbook wiki");
+      assert.deepStrictEqual(words.memories.map((m) => m.id), [ids.runbook], "free-text words are all required when browsing");
+
+      const paged = await list("tag:kafka", "&limit=1&offset=1");
+      assert.equal(paged.total, 3);
+      assert.equal(paged.memories.length, 1);
+
+      const bad = await h.request("GET", "/v1/memories?query=after:soon");
+      assert.equal(bad.status, 400);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createClient } from "@libsql/client";
+import { createTestHarness } from "./setup.js";
+import { LibsqlVectorStore } from "../src/services/vector-store.js";
+
+// ---------------------------------------------------------------------------
+// Vectorize-compatible API
+// ---------------------------------------------------------------------------
+
+describe("LibsqlVectorStore", () => {
+  let db;
+  let store;
+
+  beforeEach(async () => {
+    db = createClient({ url: ":memory:" });
+    store = new LibsqlVectorStore(db);
+    await store.upsert([
+      { id: "a:1", values: [1, 0, 0], metadata: { workspace_id: "a", memory_id: "1", type: "text" } },
+      { id: "a:2", values: [0.7, 0.7, 0], metadata: { workspace_id: "a", memory_id: "2", type: "text" } },
+      { id: "a:3", values: [0, 0, 1], metadata: { workspace_id: "a", memory_id: "3", type: "image" } },
+      { id: "b:1", values: [1, 0, 0], metadata: { workspace_id: "b", memory_id: "1", type: "text" } },
+    ]);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it("returns nearest neighbours by cosine similarity within the workspace", async () => {
+    const { matches } = await store.query([1, 0, 0], { topK: 2, filter: { workspace_id: "a" } });
+
+    assert.deepStrictEqual(matches.map((m) => m.id), ["a:1", "a:2"]);
+    assert.ok(Math.abs(matches[0].score - 1) < 1e-6);
+    assert.ok(Math.abs(matches[1].score - Math.SQRT1_2) < 1e-3);
+    assert.equal(matches[0].metadata, undefined);
+  });
+
+  it("returns metadata and filters on metadata fields", async () => {
+    const { matches } = await store.query([0, 0, 1], {
+      topK: 10,
+      filter: { workspace_id: "a", type: "image" },
+      returnMetadata: true,
+    });
+
+    assert.deepStrictEqual(matches.map((m) => m.id), ["a:3"]);
+    assert.deepStrictEqual(matches[0].metadata, { workspace_id: "a", memory_id: "3", type: "image" });
+  });
+
+  it("replaces vectors on upsert", async () => {
+    await store.upsert([{ id: "a:1", values: [0, 0, 1], metadata: { workspace_id: "a" } }]);
+
+    const { matches } = await store.query([0, 0, 1], { topK: 10, filter: { workspace_id: "a" } });
+    const replaced = matches.find((m) => m.id === "a:1");
+    assert.ok(Math.abs(replaced.score - 1) < 1e-6);
+    const count = await db.execute("SELECT COUNT(*) AS n FROM vectors");
+    assert.equal(count.rows[0].n, 4);
+  });
+
+  it("fetches stored vectors by id", async () => {
+    const found = await store.getByIds(["a:2", "a:missing"]);
+
+    assert.equal(found.length, 1);
+    assert.equal(found[0].id, "a:2");
+    assert.ok(Math.abs(found[0].values[0] - 0.7) < 1e-6);
+    assert.equal(found[0].metadata.memory_id, "2");
+  });
+
+  it("deletes by id and ignores unknown ids", async () => {
+    const result = await store.deleteByIds(["a:1", "a:missing"]);
+    assert.equal(result.count, 1);
+
+    const { matches } = await store.query([1, 0, 0], { topK: 10, filter: { workspace_id: "a" } });
+    assert.ok(!matches.some((m) => m.id === "a:1"));
+  });
+
+  it("skips vectors with a different dimension count", async () => {
+    await store.upsert([{ id: "a:4", values: [1, 0, 0, 0], metadata: { workspace_id: "a" } }]);
+
+    const { matches } = await store.query([1, 0, 0, 0], { topK: 10, filter: { workspace_id: "a" } });
+    assert.deepStrictEqual(matches.map((m) => m.id), ["a:4"]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Hybrid recall in Node mode
+// ---------------------------------------------------------------------------
+
+/** Toy embedding: "cat" and "feline" share a dimension. */
+function toyEmbedding(text) {
+  const t = text.toLowerCase();
+  return [
+    /\b(cats?|felines?)\b/.test(t) ? 1 : 0,
+    /\bdogs?\b/.test(t) ? 1 : 0,
+    /\b(cars?|engines?)\b/.test(t) ? 1 : 0,
+    0.01,
+  ];
+}
+
+describe("hybrid recall with the libSQL vector store", () => {
+  let h;
+  let env;
+  let originalFetch;
+
+  beforeEach(async () => {
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, opts) => {
+      const { input } = JSON.parse(opts.body);
+      return new Response(JSON.stringify({ data: [{ embedding: toyEmbedding(input[0]) }] }));
+    };
+    env = { EMBEDDING_API_URL: "http://embeddings.test/v1", EMBEDDING_MODEL: "toy" };
+    h = await createTestHarness(env);
+    // Same wiring as server.js in Node mode, against the test database
+    env.VECTORIZE = new LibsqlVectorStore(h.db);
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    h.cleanup();
+  });
+
+  async function storeAndEmbed(content) {
+    const res = await h.request("POST", "/v1/memories", { content });
+    const id = (await res.json()).content[0].text.match(/Stored memory (\S+)/)[1];
+    // Embedding is fire-and-forget -- wait for it to land
+    for (let i = 0; i < 50; i++) {
+      const row = await h.db.execute({ sql: "SELECT embedded_at FROM memories WHERE id = ?", args: [id] });
+      if (row.rows[0]?.embedded_at) return id;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    throw new Error(`memory ${id} was never embedded`);
+  }
+
+  it("finds semantic matches that keyword recall misses", async () => {
+    const keyword = await storeAndEmbed("Cats sleep most of the day");
+    const semantic = await storeAndEmbed("A feline diet needs taurine");
+    const unrelated = await storeAndEmbed("Dogs need daily walks");
+
+    const res = await h.request("POST", "/v1/memories/recall", { query: "cats" });
+    const ids = (await res.json()).memories.map((m) => m.id);
+
+    assert.deepStrictEqual(ids.slice(0, 2).sort(), [keyword, semantic].sort());
+    assert.equal(ids[0], keyword);
+    assert.ok(!ids.slice(0, 2).includes(unrelated));
+  });
+
+  it("groups untagged memories by embedding for consolidation", async () => {
+    const cats = [];
+    for (const text of ["Cats nap in sunbeams", "Our cat hates baths", "Felines groom daily"]) {
+      cats.push(await storeAndEmbed(text));
+    }
+    for (const text of ["Dogs need daily walks", "The dog barks at mail"]) {
+      await storeAndEmbed(text);
+    }
+
+    const res = await h.request("GET", "/v1/consolidate/preview");
+    const { groups } = await res.json();
+    assert.equal(groups.length, 1);
+    assert.deepStrictEqual(groups[0].source_ids.sort(), cats.sort());
+  });
+
+  it("removes vectors when memories are deleted", async () => {
+    const id = await storeAndEmbed("Cars need oil changes");
+    await h.request("DELETE", `/v1/memories/${id}`);
+
+    const rows = await h.db.execute("SELECT COUNT(*) AS n FROM vectors");
+    assert.equal(rows.rows[0].n, 0);
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, it, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createTestHarness } from "./setup.js";
+import { parseWebhookEvents, webhookEventType, validateWebhookUrl, RETRY_DELAYS_SECONDS } from "../src/services/webhooks.js";
+import { verifyWebhookSignature } from "../src/services/stripe.js";
+import { runScheduledTasks } from "../src/services/scheduler.js";
+
+/** A local receiver that records requests and answers with `status`. */
+function startReceiver() {
+  const receiver = { requests: [], status: 200 };
+  receiver.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(receiver.status).end();
+    });
+  });
+  return new Promise((resolve) => {
+    receiver.server.listen(0, "127.0.0.1", () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+      resolve(receiver);
+    });
+  });
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error("Timed out waiting for webhook deliveries");
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+}
+
+describe("webhook events", () => {
+  it("validates event names and derives item.completed", () => {
+    assert.deepStrictEqual(parseWebhookEvents(["memory", "item.completed", "*"]).unknown, []);
+    assert.deepStrictEqual(parseWebhookEvents(["memory.exploded"]).unknown, ["memory.exploded"]);
+    assert.ok(parseWebhookEvents([]).error);
+
+    const completed = { type: "item.status_changed", action: "item_status", detail: "active_work: active->completed" };
+    assert.equal(webhookEventType(["item.completed"], completed), "item.completed");
+    assert.equal(webhookEventType(["item"], completed), "item.status_changed");
+    assert.equal(webhookEventType(["item.completed"], { ...completed, detail: "active_work: active->paused" }), null);
+    assert.equal(webhookEventType(["*"], { type: "skip.expired", action: "skip_expire" }), "skip.expired");
+  });
+
+  it("refuses URLs that point at IP literals or internal hosts", () => {
+    const production = { ENVIRONMENT: "production" };
+    assert.equal(validateWebhookUrl("https://hooks.example.com/memento", production), null);
+    for (const url of [
+      "http://hooks.example.com/memento",
+      "http://localhost:8787/hook",
+      "https://localhost/hook",
+      "https://127.0.0.1/hook",
+      "https://2130706433/hook",
+      "https://10.0.0.5/hook",
+      "https://169.254.169.254/latest/meta-data",
+      "https://[::1]/hook",
+      "https://[fd00::1]/hook",
+      "https://metadata.google.internal/hook",
+      "https://printer.local/hook",
+    ]) {
+      assert.ok(validateWebhookUrl(url, production), `${url} should be refused`);
+    }
+    assert.equal(validateWebhookUrl("http://127.0.0.1:8787/hook", { ENVIRONMENT: "test" }), null);
+    assert.ok(validateWebhookUrl("https://10.0.0.5/hook", { ENVIRONMENT: "test" }), "only loopback is allowed in test");
+  });
+});
+
+describe("webhooks", () => {
+  let h;
+  let receiver;
+  let environment;
+
+  // The receiver listens on loopback, which only development and test allow
+  before(async () => {
+    environment = process.env.ENVIRONMENT;
+    process.env.ENVIRONMENT = "test";
+    receiver = await startReceiver();
+  });
+
+  after(() => {
+    if (environment === undefined) delete process.env.ENVIRONMENT;
+    else process.env.ENVIRONMENT = environment;
+    receiver.server.close();
+  });
+
+  beforeEach(async () => {
+    h = await createTestHarness();
+    receiver.requests = [];
+    receiver.status = 200;
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+  async function subscribe(events) {
+    const res = await h.request("POST", "/v1/webhooks", { url: receiver.url, events, description: "test hook" });
+    assert.equal(res.status, 201);
+    return res.json();
+  }
+
+  async function deliveries(id, query = "") {
+    const res = await h.request("GET", `/v1/webhooks/${id}/deliveries${query}`);
+    assert.equal(res.status, 200);
+    return (await res.json()).deliveries;
+  }
+
+  it("manages subscriptions", async () => {
+    const created = await subscribe(["memory.created"]);
+    assert.match(created.secret, /^whsec_[0-9a-f]{48}$/);
+    assert.deepStrictEqual(created.webhook.events, ["memory.created"]);
+    assert.equal(created.webhook.active, true);
+
+    const list = await (await h.request("GET", "/v1/webhooks")).json();
+    assert.equal(list.webhooks.length, 1);
+    assert.equal(list.webhooks[0].secret, undefined);
+    const stored = await h.db.execute({ sql: "SELECT secret FROM webhooks WHERE id = ?", args: [created.webhook.id] });
+    assert.match(stored.rows[0].secret, /^enc:/, "the signing secret is encrypted at rest");
+
+    const bad = [
+      { url: "http://example.com/hook", events: ["memory"] },
+      { url: receiver.url, events: ["memory.exploded"] },
+      { url: receiver.url },
+    ];
+    for (const body of bad) {
+      assert.equal((await h.request("POST", "/v1/webhooks", body)).status, 400);
+    }
+
+    const id = created.webhook.id;
+    const updated = await (await h.request("PUT", `/v1/webhooks/${id}`, { events: ["item"], active: false })).json();
+    assert.deepStrictEqual(updated.webhook.events, ["item"]);
+    assert.equal(updated.webhook.active, false);
+
+    assert.equal((await h.request("DELETE", `/v1/webhooks/${id}`)).status, 200);
+    assert.equal((await h.request("GET", `/v1/webhooks/${id}`)).status, 404);
+  });
+
+  it("delivers signed events after writes", async () => {
+    const { webhook, secret } = await subscribe(["memory.created", "item.completed"]);
+
+    await h.request("POST", "/v1/memories", { content: "We picked Postgres for the ledger", type: "decision" });
+    const item = await (await h.request("POST", "/v1/working-memory/items", { category: "active_work", title: "Ledger" })).json();
+    await h.request("PUT", `/v1/working-memory/items/${item.id}`, { status: "completed" });
+
+    await waitFor(() => receiver.requests.length >= 2);
+    const types = receiver.requests.map((r) => r.headers["memento-event"]);
+    assert.deepStrictEqual(types, ["memory.created", "item.completed"]);
+
+    for (const request of receiver.requests) {
+      const { event } = await verifyWebhookSignature(request.body, request.headers["memento-signature"], secret);
+      assert.equal(event.id, request.headers["memento-delivery"]);
+      assert.equal(event.workspace.name, h.seed.workspaceName);
+    }
+    const completed = JSON.parse(receiver.requests[1].body);
+    assert.equal(completed.data.entity_id, item.id);
+    assert.equal(completed.data.detail, "active_work: active->completed");
+
+    const log = await waitFor(async () => {
+      const rows = await deliveries(webhook.id, "?status=delivered");
+      return rows.length === 2 && rows;
+    });
+    assert.ok(log.every((d) => d.attempts === 1 && d.response_status === 200));
+  });
+
+  it("retries failed deliveries with backoff", async () => {
+    const { webhook } = await subscribe(["memory"]);
+    receiver.status = 500;
+
+    await h.request("POST", "/v1/memories", { content: "This endpoint is down" });
+    const [delivery] = await waitFor(async () => {
+      const rows = await deliveries(webhook.id);
+      return rows.length === 1 && rows[0].attempts === 1 && rows;
+    });
+    assert.equal(delivery.status, "pending");
+    assert.equal(delivery.response_status, 500);
+    assert.equal(delivery.error, "HTTP 500");
+    const delay = Date.parse(delivery.next_attempt_at) - Date.now();
+    assert.ok(delay > 0 && delay <= RETRY_DELAYS_SECONDS[0] * 1000);
+
+    // Not due yet: the cron leaves it alone
+    await runScheduledTasks("*/5 * * * *", {});
+    assert.equal(receiver.requests.length, 1);
+
+    receiver.status = 204;
+    const res = await h.request("POST", `/v1/webhooks/${webhook.id}/deliveries/${delivery.id}/retry`);
+    const retried = (await res.json()).delivery;
+    assert.equal(retried.status, "delivered");
+    assert.equal(retried.response_status, 204);
+    assert.equal(receiver.requests.length, 2);
+  });
+
+  it("sends skip.expired from the webhook cron", async () => {
+    await h.request("POST", "/v1/skip-list", { item: "old lead", reason: "stale", expires: "2000-01-01" });
+    const { webhook } = await subscribe(["skip.expired"]);
+
+    const results = await runScheduledTasks("*/5 * * * *", {});
+    assert.equal(results[0].skip_expired, 1);
+
+    const [delivery] = await deliveries(webhook.id);
+    assert.equal(delivery.event_type, "skip.expired");
+    assert.equal(delivery.status, "delivered");
+    assert.equal(receiver.requests[0].headers["memento-event"], "skip.expired");
+  });
+});
@@ -0,0 +1,240 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createTestHarness } from "./setup.js";
+
+/** In-memory R2 bucket mock. */
+class MockR2Bucket {
+  constructor() {
+    this.store = new Map();
+  }
+
+  async put(key, value, options) {
+    this.store.set(key, { body: value, httpMetadata: options?.httpMetadata });
+  }
+
+  async get(key) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+    return { ...entry, arrayBuffer: async () => entry.body.buffer.slice(0) };
+  }
+
+  async delete(key) {
+    this.store.delete(key);
+  }
+}
+
+const PNG_BASE64 = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).toString("base64");
+
+/** Harness on the full plan, so imports can create workspaces. */
+async function harness(env) {
+  const h = await createTestHarness(env);
+  await h.db.execute({ sql: "UPDATE users SET plan = 'full' WHERE id = ?", args: [h.seed.userId] });
+  return h;
+}
+
+async function exportArchive(h) {
+  const res = await h.request("GET", `/v1/workspaces/${h.seed.workspaceId}/export`);
+  assert.equal(res.status, 200);
+  return res.text();
+}
+
+/** POST a raw archive body. */
+async function importArchive(h, archive, query = "", env) {
+  const req = new Request(`http://localhost/v1/workspaces/import${query}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${h.seed.apiKey}`,
+      "X-Memento-Workspace": h.seed.workspaceName,
+      "Content-Type": "application/x-ndjson",
+    },
+    body: archive,
+  });
+  return env ? h.app.request(req, undefined, env) : h.app.request(req);
+}
+
+function parseLines(archive) {
+  return archive.trim().split("\n").map((line) => JSON.parse(line));
+}
+
+async function store(h, body) {
+  const res = await h.request("POST", "/v1/memories", body);
+  return (await res.json()).content[0].text.match(/Stored memory (\S+)/)[1];
+}
+
+describe("workspace export", () => {
+  let h;
+
+  beforeEach(async () => {
+    h = await harness();
+  });
+
+  afterEach(() => {
+    h.cleanup();
+  });
+
+  it("GET /:id/export returns a versioned, decrypted JSONL archive", async () => {
+    const id = await store(h, { content: "Deploys go through staging first", tags: ["deploy"] });
+    await h.request("POST", "/v1/working-memory/items", { category: "active_work", title: "Ship export" });
+    await h.request("POST", "/v1/skip-list", { item: "legacy cron", reason: "retired", expires: "2099-01-01" });
+    await h.request("PUT", "/v1/settings/recall_alpha", { value: "0.7" });
+
+    const res = await h.request("GET", `/v1/workspaces/${h.seed.workspaceId}/export`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("Content-Type"), "application/x-ndjson");
+    assert.match(res.headers.get("Content-Disposition"), /memento-test-workspace-.*\.jsonl/);
+
+    const [header, ...records] = parseLines(await res.text());
+    assert.equal(header.format, "memento-archive");
+    assert.equal(header.version, 1);
+    assert.equal(header.workspace, "test-workspace");
+    assert.equal(header.counts.memories, 1);
+
+    const memory = records.find((r) => r.table === "memories").row;
+    assert.equal(memory.id, id);
+    assert.equal(memory.content, "Deploys go through staging first");
+    assert.equal(memory.embedded_at, undefined);
+
+    assert.equal(records.find((r) => r.table === "working_memory_items").row.title, "Ship export");
+    assert.equal(records.find((r) => r.table === "skip_list").row.reason, "retired");
+
+    const settings = records.filter((r) => r.table === "workspace_settings").map((r) => r.row.key);
+    assert.ok(settings.includes("recall_alpha"));
+    assert.ok(!settings.includes("fts_index"));
+  });
+
+  it("GET /:id/export returns 404 for a workspace the user does not own", async () => {
+    const res = await h.request("GET", "/v1/workspaces/nope/export");
+    assert.equal(res.status, 404);
+  });
+});
+
+describe("workspace import", () => {
+  let source;
+  let target;
+
+  afterEach(() => {
+    target?.cleanup();
+    target = null;
+  });
+
+  /** Build an archive in one deployment, then switch to a fresh one. */
+  async function archiveFrom(setup, env) {
+    source = await harness(env);
+    const result = await setup(source);
+    const archive = await exportArchive(source);
+    source.cleanup();
+    target = await harness(env);
+    return { archive, ...result };
+  }
+
+  it("restores memories with their IDs, linkages and consolidation links", async () => {
+    const { archive, a, b } = await archiveFrom(async (h) => {
+      const first = await store(h, { content: "Cache TTL note one", tags: ["cache"] });
+      const second = await store(h, {
+        content: "Cache TTL note two",
+        tags: ["cache"],
+        linkages: [{ type: "memory", id: first, label: "related" }],
+      });
+      await h.request("POST", "/v1/consolidate/group", { source_ids: [first, second], content: "Cache TTL notes" });
+      return { a: first, b: second };
+    });
+
+    const res = await importArchive(target, archive, "?workspace=restored");
+    assert.equal(res.status, 201);
+    const body = await res.json();
+    assert.equal(body.workspace.name, "restored");
+    assert.equal(body.workspace.created, true);
+    assert.equal(body.imported.memories, 3);
+
+    const rows = await target.db.execute({ sql: "SELECT id, content, linkages, consolidated_into FROM memories WHERE id = ?", args: [b] });
+    assert.ok(rows.rows[0].content.startsWith("enc:"));
+    assert.deepStrictEqual(JSON.parse(rows.rows[0].linkages), [{ type: "memory", id: a, label: "related" }]);
+
+    const restored = await target.request("GET", `/v1/memories/${rows.rows[0].consolidated_into}`, undefined, {
+      "X-Memento-Workspace": "restored",
+    });
+    assert.equal((await restored.json()).content, "Cache TTL notes");
+
+    const recall = await target.request("GET", "/v1/memories/recall?query=cache%20ttl&format=json", undefined, {
+      "X-Memento-Workspace": "restored",
+    });
+    assert.ok(JSON.stringify(await recall.json()).includes("Cache TTL notes"));
+  });
+
+  it("skips rows that already exist, so re-importing is a no-op", async () => {
+    const { archive } = await archiveFrom(async (h) => {
+      await store(h, { content: "Only once" });
+    });
+
+    assert.equal((await importArchive(target, archive)).status, 200);
+    const again = await importArchive(target, archive);
+    const body = await again.json();
+    assert.equal(body.imported.memories, 0);
+    assert.equal(body.skipped.memories, 1);
+    assert.match(body.content[0].text, /Skipped \d+ rows? that already existed/);
+
+    const count = await target.db.execute("SELECT COUNT(*) AS n FROM memories");
+    assert.equal(count.rows[0].n, 1);
+  });
+
+  it("copies images and points them at the target workspace", async () => {
+    const images = new MockR2Bucket();
+    const { archive, id } = await archiveFrom(async (h) => {
+      const memoryId = await store(h, {
+        content: "Whiteboard photo",
+        images: [{ data: PNG_BASE64, filename: "board.png", mimetype: "image/png" }],
+      });
+      return { id: memoryId };
+    }, { IMAGES: images });
+
+    const image = parseLines(archive).find((r) => r.table === "images").row;
+    assert.deepStrictEqual(image, { memory_id: id, filename: "board.png", mimetype: "image/png", data: PNG_BASE64 });
+
+    const body = await (await importArchive(target, archive, "?workspace=restored", { IMAGES: images })).json();
+    assert.equal(body.imported.images, 1);
+    assert.ok(images.store.has(`restored/${id}/board.png`));
+
+    const row = await target.db.execute({ sql: "SELECT images FROM memories WHERE id = ?", args: [id] });
+    assert.equal(JSON.parse(row.rows[0].images)[0].key, `restored/${id}/board.png`);
+  });
+
+  it("refuses to create a workspace under the name of one shared with the user", async () => {
+    const { archive } = await archiveFrom(async (h) => ({ id: await store(h, { content: "Shared names clash" }) }));
+    await target.db.execute({
+      sql: "INSERT INTO users (id, email, name) VALUES ('other-user', 'other@example.com', 'other')",
+      args: [],
+    });
+    await target.db.execute({
+      sql: "INSERT INTO workspaces (id, user_id, name) VALUES ('ws-other', 'other-user', 'theirs')",
+      args: [],
+    });
+    await target.db.execute({
+      sql: "INSERT INTO workspace_members (workspace_id, user_id, role, name) VALUES ('ws-other', ?, 'editor', 'team')",
+      args: [target.seed.userId],
+    });
+
+    const res = await importArchive(target, archive, "?workspace=team");
+    assert.equal(res.status, 409);
+    assert.match((await res.json()).error, /shared with you \(id: ws-other\)/);
+    const made = await target.db.execute({ sql: "SELECT id FROM workspaces WHERE name = 'team'", args: [] });
+    assert.equal(made.rows.length, 0);
+  });
+
+  it("rejects files that are not a supported archive", async () => {
+    target = await harness();
+    const header = { format: "memento-archive", version: 1, workspace: "x" };
+
+    const cases = [
+      ["not json", /header is not valid JSON/],
+      [JSON.stringify({ format: "other" }), /Not a memento-archive file/],
+      [JSON.stringify({ ...header, version: 2 }), /Unsupported archive version 2/],
+      [`${JSON.stringify(header)}\n${JSON.stringify({ table: "users", row: {} })}`, /unknown table "users"/],
+      [`${JSON.stringify(header)}\n${JSON.stringify({ table: "memories", row: { tags: ["a"] } })}`, /strings, numbers and nulls/],
+    ];
+    for (const [archive, error] of cases) {
+      const res = await importArchive(target, archive);
+      assert.equal(res.status, 400);
+      assert.match((await res.json()).error, error);
+    }
+  });
+});
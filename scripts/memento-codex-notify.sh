@@ -61,7 +61,8 @@ if len(assistant_msg) > 500:
 data = json.dumps({
     'content': summary,
     'type': 'observation',
-    'tags': ['codex', 'turn-summary', 'auto-capture']
+    'tags': ['codex', 'turn-summary', 'auto-capture'],
+    'source': 'hook'
 }).encode()
 
 req = urllib.request.Request(
@@ -10,7 +10,7 @@ import fs from "node:fs";
 import path from "node:path";
 import https from "node:https";
 import { fileURLToPath } from "node:url";
-import { DEFAULTS } from "./config.js";
+import { DEFAULTS, resolveConfig } from "./config.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -711,6 +711,171 @@ async function runUpdate() {
   console.log("  Restart your agent session to pick up changes.\n");
 }
 
+// ---------------------------------------------------------------------------
+// Export / import — workspace archives via the hosted API
+// ---------------------------------------------------------------------------
+
+function parseArchiveFlags(argv) {
+  const flags = { workspace: null, out: null, file: null };
+  for (let i = 0; i < argv.length; i++) {
+    if ((argv[i] === "--workspace" || argv[i] === "-w") && argv[i + 1]) {
+      flags.workspace = argv[i + 1];
+      i++;
+    } else if ((argv[i] === "--out" || argv[i] === "-o") && argv[i + 1]) {
+      flags.out = argv[i + 1];
+      i++;
+    } else if (!argv[i].startsWith("-")) {
+      flags.file = argv[i];
+    }
+  }
+  return flags;
+}
+
+/** Throw the API's error message for a failed response. */
+async function apiError(res, action) {
+  const body = await res.json().catch(() => ({}));
+  const message = body.error || body.message || body.content?.[0]?.text || `HTTP ${res.status}`;
+  throw new Error(`${action} failed: ${message}`);
+}
+
+/**
+ * Download a workspace archive (JSONL) from the API.
+ * @param {{ apiUrl: string, apiKey: string, workspace: string }} config
+ * @returns {Promise<string>}
+ */
+async function fetchWorkspaceArchive({ apiUrl, apiKey, workspace }) {
+  const headers = { Authorization: `Bearer ${apiKey}`, "X-Memento-Workspace": workspace };
+
+  const listRes = await fetch(`${apiUrl}/v1/workspaces`, { headers });
+  if (!listRes.ok) await apiError(listRes, "Listing workspaces");
+  const list = JSON.parse((await listRes.json()).content[0].text);
+  const match = list.find((ws) => ws.name === workspace);
+  if (!match) throw new Error(`Workspace "${workspace}" not found.`);
+
+  const res = await fetch(`${apiUrl}/v1/workspaces/${match.id}/export`, { headers });
+  if (!res.ok) await apiError(res, "Export");
+  return res.text();
+}
+
+/**
+ * Upload a workspace archive to the API.
+ * @param {{ apiUrl: string, apiKey: string, workspace: string }} config
+ * @param {string} archive - JSONL archive
+ * @param {string} [target] - Workspace to restore into (default: the archive's own)
+ * @returns {Promise<object>} Import response ({ content, workspace, imported, skipped })
+ */
+async function uploadWorkspaceArchive({ apiUrl, apiKey, workspace }, archive, target) {
+  const query = target ? `?workspace=${encodeURIComponent(target)}` : "";
+  const res = await fetch(`${apiUrl}/v1/workspaces/import${query}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      "X-Memento-Workspace": workspace,
+      "Content-Type": "application/x-ndjson",
+    },
+    body: archive,
+  });
+  if (!res.ok) await apiError(res, "Import");
+  return res.json();
+}
+
+// Exported for testing
+export { fetchWorkspaceArchive, uploadWorkspaceArchive };
+
+/** Resolve API config for export/import, exiting when it can't be used. */
+function resolveApiConfig() {
+  const config = resolveConfig();
+  if (config.storage === "local") {
+    console.error(
+      "  Error: export and import work against the hosted API.\n" +
+        "  This project uses local storage (MEMENTO_STORAGE=local).\n"
+    );
+    process.exit(1);
+  }
+  if (!config.apiKey) {
+    console.error(
+      "  Error: no API key found.\n" +
+        "  Set MEMENTO_API_KEY or run `npx memento-mcp init` first.\n"
+    );
+    process.exit(1);
+  }
+  return config;
+}
+
+async function runExport(argv) {
+  const flags = parseArchiveFlags(argv);
+  const config = resolveApiConfig();
+  const workspace = flags.workspace || config.workspace;
+
+  const archive = await fetchWorkspaceArchive({ ...config, workspace });
+  const out = flags.out || `memento-${workspace.replace(/[^\w.-]+/g, "_")}-${new Date().toISOString().slice(0, 10)}.jsonl`;
+  fs.writeFileSync(out, archive);
+
+  const { counts } = JSON.parse(archive.split("\n", 1)[0]);
+  console.log(`\n  ✓ Exported workspace "${workspace}" to ${out}\n`);
+  for (const [table, n] of Object.entries(counts || {})) {
+    if (n > 0) console.log(`    ${table}: ${n}`);
+  }
+  console.log("");
+}
+
+async function runImport(argv) {
+  const flags = parseArchiveFlags(argv);
+  if (!flags.file) {
+    console.error("  Usage: npx memento-mcp import <file> [--workspace NAME]\n");
+    process.exit(1);
+  }
+  const config = resolveApiConfig();
+
+  const archive = fs.readFileSync(flags.file, "utf8");
+  const result = await uploadWorkspaceArchive(config, archive, flags.workspace);
+  console.log(`\n  ✓ ${result.content[0].text}\n`);
+}
+
+// ---------------------------------------------------------------------------
+// Serve (Streamable HTTP)
+// ---------------------------------------------------------------------------
+
+function parseServeFlags(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port" && argv[i + 1]) {
+      flags.port = parseInt(argv[++i], 10);
+    } else if (argv[i] === "--host" && argv[i + 1]) {
+      flags.host = argv[++i];
+    }
+  }
+  if (flags.port !== undefined && !(Number.isInteger(flags.port) && flags.port >= 0 && flags.port <= 65535)) {
+    throw new Error("--port must be a number between 0 and 65535.");
+  }
+  return flags;
+}
+
+async function runServeHttp(argv) {
+  const flags = parseServeFlags(argv);
+  const config = resolveConfig();
+  if (config.storage === "local") {
+    throw new Error(
+      'HTTP mode serves the hosted API, with each client sending its own API key. Local storage is only available over stdio (remove "storage": "local" or use `npx memento-mcp`).'
+    );
+  }
+  if (config.e2e) {
+    throw new Error(
+      "End-to-end encryption needs the passphrase on the agent's machine. Use the stdio server (`npx memento-mcp`) for encrypted workspaces."
+    );
+  }
+
+  // Loaded on demand so init/export/import don't pull in the MCP SDK
+  const { startHttpServer } = await import("./http.js");
+  const server = await startHttpServer({ apiUrl: config.apiUrl, ...flags });
+  console.error(`  Memento MCP listening on ${server.url}/mcp (API: ${config.apiUrl})`);
+  console.error(`  Health check: ${server.url}/health\n`);
+
+  const shutdown = () => server.close().then(() => process.exit(0));
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+}
+
 // ---------------------------------------------------------------------------
 // Entrypoint — only run when this module is the entry point (not imported)
 // ---------------------------------------------------------------------------
@@ -733,7 +898,22 @@ if (isMain) {
       console.error(err);
       process.exit(1);
     });
-  } else if (args.length === 0) {
+  } else if (args[0] === "export") {
+    runExport(args.slice(1)).catch((err) => {
+      console.error(`  Error: ${err.message}\n`);
+      process.exit(1);
+    });
+  } else if (args[0] === "import") {
+    runImport(args.slice(1)).catch((err) => {
+      console.error(`  Error: ${err.message}\n`);
+      process.exit(1);
+    });
+  } else if (args[0] === "serve" && args.includes("--http")) {
+    runServeHttp(args.slice(1)).catch((err) => {
+      console.error(`  Error: ${err.message}\n`);
+      process.exit(1);
+    });
+  } else if (args.length === 0 || args[0] === "serve") {
     // No args — start the MCP server (this is what .mcp.json invokes)
     // Must call main() explicitly because the isMainModule guard in index.js
     // checks process.argv[1] which still points to cli.js, not index.js.
@@ -749,13 +929,21 @@ if (isMain) {
     npx memento-mcp init -y --agent gemini     Non-interactive with specific agent
     npx memento-mcp init --api-key KEY         Provide API key (skips signup)
     npx memento-mcp update                     Update hook scripts to latest version
+    npx memento-mcp export [--out FILE]        Download the workspace as a JSONL archive
+    npx memento-mcp import FILE                Restore an archive (IDs and links kept)
     npx memento-mcp                            Start the MCP server (used by .mcp.json)
+    npx memento-mcp serve --http [--port N]    Serve MCP over Streamable HTTP (hosted API;
+                                               each client sends its own API key)
 
   Flags:
     -y, --yes          Non-interactive mode (uses defaults, for CI/scripting)
     --api-key KEY      Provide API key (skips signup prompt)
     --agent AGENT      Select agent: claude-code, gemini, or manual
     --provision        Auto-provision a new API key in non-interactive mode
+    -w, --workspace N  export/import: workspace to read from or restore into
+                       (import defaults to the archive's own workspace name)
+    --port N           serve --http: port to listen on (default 3100)
+    --host H           serve --http: interface to bind (default 127.0.0.1)
 
   The -y flag enables fully non-interactive setup. Combine with --agent
   to select a specific agent (defaults to auto-detect, then claude-code).
@@ -2,7 +2,8 @@
  * Memento Protocol — Configuration resolution.
  *
  * Precedence (highest wins):
- *   1. Environment variables (MEMENTO_API_KEY, MEMENTO_API_URL, MEMENTO_WORKSPACE)
+ *   1. Environment variables (MEMENTO_API_KEY, MEMENTO_API_URL, MEMENTO_WORKSPACE,
+ *      MEMENTO_STORAGE, MEMENTO_DB_PATH, MEMENTO_E2E)
  *   2. .memento.json (walked up from startDir)
  *   3. .env loaded by dotenv (already in process.env by the time we run)
  *   4. Built-in defaults
@@ -14,6 +15,7 @@ import path from "node:path";
 export const DEFAULTS = {
   apiUrl: "https://memento-api.myrakrusemark.workers.dev",
   workspace: "default",
+  storage: "hosted",
   agents: [],
   features: { images: false, identity: false },
   hooks: {
@@ -26,7 +28,8 @@ export const DEFAULTS = {
 
 /**
  * Walk up from startDir looking for .memento.json.
- * Returns parsed JSON or null.
+ * Returns { config, dir } (parsed JSON and the directory holding the file)
+ * or null.
  */
 export function findConfigFile(startDir = process.cwd()) {
   let dir = path.resolve(startDir);
@@ -36,7 +39,7 @@ export function findConfigFile(startDir = process.cwd()) {
     const candidate = path.join(dir, ".memento.json");
     try {
       const raw = fs.readFileSync(candidate, "utf8");
-      return JSON.parse(raw);
+      return { config: JSON.parse(raw), dir };
     } catch {
       // File doesn't exist or isn't valid JSON — keep walking
     }
@@ -50,15 +53,33 @@ export function findConfigFile(startDir = process.cwd()) {
 
 /**
  * Merge: defaults < .memento.json < env vars.
- * Returns { apiKey, apiUrl, workspace, features, hooks }.
+ * Returns { apiKey, apiUrl, workspace, storage, dbPath, agents, features, hooks, e2e }.
+ *
+ * `storage` is "hosted" (SaaS API) or "local" (SQLite file, no API key needed).
+ * `dbPath` is only meaningful for local storage and defaults to
+ * .memento/<workspace>.db. A relative path from .memento.json (or the
+ * default) resolves against the directory holding that file, so the same
+ * database is used from any subdirectory; MEMENTO_DB_PATH and the default
+ * without a config file resolve against startDir.
+ * `e2e` is null unless end-to-end encryption is enabled (e2e.enabled in
+ * .memento.json or MEMENTO_E2E=1); then { passphrase, keyring, embeddings }.
+ * The passphrase itself may also come from MEMENTO_E2E_PASSPHRASE or the OS
+ * keyring (see storage/e2e.js).
  */
 export function resolveConfig(startDir = process.cwd()) {
-  const fileConfig = findConfigFile(startDir) || {};
+  const found = findConfigFile(startDir);
+  const fileConfig = found?.config || {};
 
   const apiKey = process.env.MEMENTO_API_KEY || fileConfig.apiKey || undefined;
   const apiUrl = process.env.MEMENTO_API_URL || fileConfig.apiUrl || DEFAULTS.apiUrl;
   const workspace = process.env.MEMENTO_WORKSPACE || fileConfig.workspace || DEFAULTS.workspace;
 
+  const storage = process.env.MEMENTO_STORAGE || fileConfig.storage || DEFAULTS.storage;
+  const dbPathRaw =
+    process.env.MEMENTO_DB_PATH || fileConfig.dbPath || path.join(".memento", `${workspace}.db`);
+  const dbPathBase = (process.env.MEMENTO_DB_PATH || !found) ? startDir : found.dir;
+  const dbPath = dbPathRaw === ":memory:" ? dbPathRaw : path.resolve(dbPathBase, dbPathRaw);
+
   const features = {
     ...DEFAULTS.features,
     ...(fileConfig.features || {}),
@@ -72,5 +93,12 @@ export function resolveConfig(startDir = process.cwd()) {
 
   const agents = fileConfig.agents || DEFAULTS.agents;
 
-  return { apiKey, apiUrl, workspace, agents, features, hooks };
+  const e2eFile = fileConfig.e2e || {};
+  const e2eEnv = process.env.MEMENTO_E2E;
+  const e2eEnabled = e2eEnv ? ["1", "true"].includes(e2eEnv.toLowerCase()) : Boolean(e2eFile.enabled);
+  const e2e = e2eEnabled
+    ? { passphrase: e2eFile.passphrase, keyring: Boolean(e2eFile.keyring), embeddings: e2eFile.embeddings }
+    : null;
+
+  return { apiKey, apiUrl, workspace, storage, dbPath, agents, features, hooks, e2e };
 }
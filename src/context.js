@@ -0,0 +1,153 @@
+/**
+ * memento_context formatting: the /v1/context bundle as compact text that
+ * fits a token budget.
+ *
+ * Sections are filled in CONTEXT_PRIORITY order, each with whatever budget
+ * the sections before it left. Within a section, entries keep their ranking
+ * (items by priority, memories by score) and the tail is cut first. A
+ * single entry too long for the space left, such as a long identity crystal,
+ * is truncated rather than dropped.
+ */
+
+import { formatItem } from "./format.js";
+
+/**
+ * Highest priority first. Skip matches are short and stop wasted work.
+ * Identity is the longest and is also served as memento://identity, so it
+ * is the first to go.
+ */
+export const CONTEXT_PRIORITY = ["skip_list", "working_memory", "memories", "identity"];
+
+export const DEFAULT_TOKEN_BUDGET = 2000;
+
+/** Smallest useful remainder for a truncated entry. */
+const MIN_TRUNCATED_TOKENS = 24;
+
+/** Kept back for the note that says what was left out. */
+const NOTE_TOKENS = 60;
+
+/** Rough token count: about four characters per token for English text. */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function truncateToTokens(text, tokens) {
+  const chars = tokens * 4 - 1;
+  return text.length <= chars ? text : `${text.slice(0, chars).trimEnd()}…`;
+}
+
+function formatMemoryMatch(m) {
+  const meta = [m.type, `score ${m.score}`, m.workspace ? `from ${m.workspace}` : null].filter(Boolean).join(", ");
+  const tagStr = m.tags?.length ? ` [${m.tags.join(", ")}]` : "";
+  return `**${m.id}** (${meta})${tagStr}\n${m.content}`;
+}
+
+function formatSkipMatch(s) {
+  return `"${s.item}" — ${s.reason}${s.expires ? ` (expires ${s.expires})` : ""}`;
+}
+
+/** The sections present in a context result, as heading + entries. */
+function buildSections(result) {
+  const sections = {};
+  if (result.skip_matches) {
+    sections.skip_list = {
+      heading: "## Skip list matches",
+      entries: result.skip_matches.map(formatSkipMatch),
+      empty: "None — nothing on the skip list matches.",
+      noun: ["skip match", "skip matches"],
+    };
+  }
+  if (result.working_memory) {
+    sections.working_memory = {
+      heading: `## Active work (${result.working_memory.total_active})`,
+      entries: result.working_memory.items.map((item) =>
+        item.workspace ? `${formatItem(item)} (from ${item.workspace})` : formatItem(item)
+      ),
+      empty: "No active items.",
+      noun: ["item", "items"],
+    };
+  }
+  if (result.memories) {
+    sections.memories = {
+      heading: `## Memories (${result.memories.ranking})`,
+      entries: result.memories.matches.map(formatMemoryMatch),
+      empty: "No matching memories.",
+      noun: ["memory", "memories"],
+    };
+  }
+  if (result.identity !== undefined) {
+    sections.identity = {
+      heading: "## Identity",
+      entries: result.identity ? [result.identity] : [],
+      empty: "No identity crystal yet.",
+      noun: ["identity crystal", "identity crystal"],
+    };
+  }
+  return sections;
+}
+
+/**
+ * Render a getContext() result as text within `budget` tokens (estimated).
+ *
+ * @param {object} result - Response shape of POST /v1/context
+ * @param {{ message?: string, budget?: number }} [opts]
+ * @returns {{ text: string, tokens: number, omitted: Record<string, number> }}
+ */
+export function formatContext(result, { message, budget = DEFAULT_TOKEN_BUDGET } = {}) {
+  const peeked = result.meta?.peeked_workspaces?.length ? ` + ${result.meta.peeked_workspaces.join(", ")}` : "";
+  const title = `# Context${message ? ` for "${message}"` : ""} — ${result.meta?.workspace ?? "workspace"}${peeked}`;
+  const parts = [title];
+  let remaining = budget - estimateTokens(title) - NOTE_TOKENS;
+  const omitted = {};
+  const truncated = [];
+  const sections = buildSections(result);
+
+  for (const key of CONTEXT_PRIORITY) {
+    const section = sections[key];
+    if (!section) continue;
+
+    const lines = [];
+    let cost = estimateTokens(`\n\n${section.heading}\n\n`);
+    if (section.entries.length === 0) {
+      const emptyCost = cost + estimateTokens(section.empty);
+      if (emptyCost <= remaining) {
+        parts.push(`${section.heading}\n\n${section.empty}`);
+        remaining -= emptyCost;
+      }
+      continue;
+    }
+
+    for (const entry of section.entries) {
+      const entryCost = estimateTokens(`${entry}\n\n`);
+      if (cost + entryCost <= remaining) {
+        lines.push(entry);
+        cost += entryCost;
+      } else if (lines.length === 0 && remaining - cost >= MIN_TRUNCATED_TOKENS) {
+        lines.push(truncateToTokens(entry, remaining - cost - 1));
+        truncated.push(section.noun[0]);
+        cost = remaining;
+      } else {
+        break;
+      }
+    }
+
+    const dropped = section.entries.length - lines.length;
+    if (dropped > 0) omitted[key] = dropped;
+    if (lines.length === 0) continue;
+    parts.push(`${section.heading}\n\n${lines.join("\n\n")}`);
+    remaining -= cost;
+  }
+
+  const cuts = [
+    ...truncated.map((noun) => `${noun} shortened`),
+    ...Object.entries(omitted).map(([key, count]) => `${count} ${sections[key].noun[count === 1 ? 0 : 1]} left out`),
+  ];
+  if (cuts.length > 0) {
+    parts.push(
+      `_Trimmed to about ${budget} tokens: ${cuts.join(", ")}. Raise token_budget, or use memento_recall and memento_item_list for the rest._`
+    );
+  }
+
+  const text = parts.join("\n\n");
+  return { text, tokens: estimateTokens(text), omitted };
+}
@@ -0,0 +1,64 @@
+/**
+ * Text formatting shared by the MCP tools and prompts.
+ */
+
+import { FILTER_REASONS } from "./storage/explain.js";
+
+/** One working memory item, as memento_item_list shows it. */
+export function formatItem(item) {
+  const tagStr = item.tags?.length ? ` [${item.tags.join(", ")}]` : "";
+  const statusStr = item.status !== "active" ? ` (${item.status})` : "";
+  const nextStr = item.next_action ? `\n  Next: ${item.next_action}` : "";
+  return `**${item.id}** ${item.category}: ${item.title}${statusStr}${tagStr}${nextStr}`;
+}
+
+/** One skip list entry, as memento_skip_list shows it. */
+export function formatSkip(entry) {
+  return `**${entry.id}** "${entry.item}"\n  Reason: ${entry.reason}\n  Expires: ${entry.expires_at}`;
+}
+
+/** One consolidation proposal with its sources. */
+export function formatProposal(p) {
+  const meta = [
+    p.status,
+    p.cohesion !== null ? `cohesion ${p.cohesion}` : null,
+    p.tags.length ? `[${p.tags.join(", ")}]` : null,
+    p.memory_id ? `→ ${p.memory_id}` : null,
+  ].filter(Boolean).join(" · ");
+  const sources = p.sources
+    .map((m) => `  - ${m.id}${m.active ? "" : " (inactive)"}: ${m.content ?? "(deleted)"}`)
+    .join("\n");
+  return `**${p.id}** ${meta}\nSummary: ${p.summary}\nSources:\n${sources}`;
+}
+
+const fmt = (n) => (n === null || n === undefined ? "–" : String(Math.round(n * 1000) / 1000));
+
+/** A recall `explain` object: per-candidate score factors and why each was left out. */
+export function formatExplanation(explain) {
+  const settings = [
+    `ranking ${explain.ranking}`,
+    `terms [${explain.query_terms.join(", ")}]`,
+    explain.threshold > 0 ? `recall_threshold ${explain.threshold}` : null,
+    explain.alpha !== undefined ? `recall_alpha ${explain.alpha}` : null,
+    explain.abstained ? "abstained" : null,
+  ].filter(Boolean).join(" · ");
+
+  const lines = explain.candidates.map((c) => {
+    const where = c.workspace ? ` [${c.workspace}]` : "";
+    const outcome = c.rank ? `#${c.rank}` : `left out: ${FILTER_REASONS[c.filtered] ?? c.filtered}`;
+    if (c.keyword === null && c.vector === null) return `- **${c.id}**${where} — ${outcome}`;
+    const halfLife = c.never_decays ? "never decays" : `half-life ${fmt(c.half_life_hours / 24)}d`;
+    const keywordFactors = c.keyword === null
+      ? "not a keyword candidate"
+      : `keyword ${fmt(c.keyword)} × recency ${fmt(c.recency)} (${halfLife}) × access ${fmt(c.access)} × last access ${fmt(c.last_access)}`;
+    const vectorFactors = c.vector === null
+      ? ""
+      : ` · vector ${fmt(c.vector)}${c.hybrid === null ? "" : ` · hybrid ${fmt(c.hybrid)}`}`;
+    const factors = `${keywordFactors}${vectorFactors}`;
+    return `- **${c.id}**${where} score ${fmt(c.score)} — ${outcome}\n  ${factors}`;
+  });
+  const shown = explain.candidates.length < explain.candidates_total
+    ? ` (top ${explain.candidates.length} of ${explain.candidates_total})`
+    : "";
+  return `## Why these results\n\n${settings}\n\nCandidates${shown}:\n${lines.join("\n")}`;
+}
@@ -0,0 +1,247 @@
+/**
+ * Memento Protocol -- Streamable HTTP mode.
+ *
+ * `memento-mcp serve --http` serves the MCP tools over the SDK's Streamable
+ * HTTP transport, so remote agents and sandboxed containers can share one
+ * server instead of each running a local process.
+ *
+ *   POST/GET/DELETE /mcp  -- MCP Streamable HTTP endpoint (one session per client)
+ *   GET /health           -- Liveness and session count
+ *
+ * Each client authenticates with its own Memento API key
+ * (Authorization: Bearer mp_live_...) and picks a workspace with
+ * X-Memento-Workspace (default "default"). The key is checked against the
+ * API when the session initializes, every later request on the session
+ * must carry the same key, and each session gets its own
+ * HostedStorageAdapter and McpServer. Sessions idle for SESSION_IDLE_MS are
+ * closed.
+ *
+ * HTTP mode always talks to the hosted API. Local storage and end-to-end
+ * encryption keep their data and passphrase on the agent's machine, so
+ * they stay with the stdio server.
+ */
+
+import http from "node:http";
+import { randomUUID, createHash, timingSafeEqual } from "node:crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { HostedStorageAdapter } from "./storage/hosted.js";
+import { createServer } from "./server.js";
+
+export const DEFAULT_PORT = 3100;
+export const DEFAULT_HOST = "127.0.0.1";
+
+const SESSION_IDLE_MS = 30 * 60_000;
+const SWEEP_MS = 60_000;
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const DEFAULT_MAX_SESSIONS = 100;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/** JSON-RPC error body, the shape the SDK transport uses for its own errors. */
+function sendRpcError(res, status, message, headers) {
+  sendJson(res, status, { jsonrpc: "2.0", error: { code: -32000, message }, id: null }, headers);
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+  return match ? match[1] : null;
+}
+
+function hashKey(key) {
+  return createHash("sha256").update(key).digest();
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Drain the rest so the 413 response still reaches the client
+        req.removeAllListeners("data");
+        req.resume();
+        reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Check an API key (and its access to the workspace) against the API.
+ * @returns {Promise<{ ok: true } | { ok: false, status: number, message: string }>}
+ */
+async function verifyApiKey(apiUrl, apiKey, workspace) {
+  let res;
+  try {
+    res = await fetch(`${apiUrl}/v1/health`, {
+      headers: { Authorization: `Bearer ${apiKey}`, "X-Memento-Workspace": workspace },
+    });
+  } catch (err) {
+    return { ok: false, status: 502, message: `Memento API unreachable: ${err.message}` };
+  }
+  if (res.ok) {
+    await res.body?.cancel();
+    return { ok: true };
+  }
+  const body = await res.json().catch(() => ({}));
+  const message = body.message || body.error || `Memento API returned ${res.status}`;
+  return { ok: false, status: res.status === 401 || res.status === 403 ? res.status : 502, message };
+}
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+/**
+ * Start the HTTP server.
+ *
+ * @param {object} opts
+ * @param {string} opts.apiUrl - Memento API base URL
+ * @param {number} [opts.port] - 0 picks a free port
+ * @param {string} [opts.host]
+ * @param {number} [opts.maxSessions]
+ * @returns {Promise<{ url: string, sessions: Map<string, object>, close: () => Promise<void> }>}
+ */
+export async function startHttpServer({
+  apiUrl,
+  port = DEFAULT_PORT,
+  host = DEFAULT_HOST,
+  maxSessions = DEFAULT_MAX_SESSIONS,
+}) {
+  /** sessionId -> { transport, server, keyHash, workspace, lastSeen } */
+  const sessions = new Map();
+  const started = Date.now();
+
+  async function openSession(req, res, body) {
+    const apiKey = bearerToken(req);
+    if (!apiKey) {
+      return sendRpcError(res, 401, "Missing bearer API key.", { "WWW-Authenticate": "Bearer" });
+    }
+    if (sessions.size >= maxSessions) {
+      return sendRpcError(res, 503, "Too many open sessions. Try again later.");
+    }
+
+    const workspace = (req.headers["x-memento-workspace"] || "default").trim();
+    const verified = await verifyApiKey(apiUrl, apiKey, workspace);
+    if (!verified.ok) {
+      const headers = verified.status === 401 ? { "WWW-Authenticate": 'Bearer error="invalid_token"' } : {};
+      return sendRpcError(res, verified.status, verified.message, headers);
+    }
+
+    const storage = new HostedStorageAdapter({ apiKey, apiUrl, workspace });
+    const server = createServer(storage, { storageMode: "hosted" });
+    const session = { server, keyHash: hashKey(apiKey), workspace, lastSeen: Date.now() };
+    session.transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => sessions.set(id, session),
+    });
+    session.transport.onclose = () => {
+      if (session.transport.sessionId) sessions.delete(session.transport.sessionId);
+    };
+
+    await server.connect(session.transport);
+    await session.transport.handleRequest(req, res, body);
+  }
+
+  /** The caller's session, or null after sending the error response. */
+  function findSession(req, res) {
+    const sessionId = req.headers["mcp-session-id"];
+    const session = sessionId && sessions.get(sessionId);
+    if (!session) {
+      if (sessionId) sendRpcError(res, 404, "Session not found.");
+      else sendRpcError(res, 400, "Missing Mcp-Session-Id header. Send initialize first.");
+      return null;
+    }
+    const apiKey = bearerToken(req);
+    if (!apiKey || !timingSafeEqual(hashKey(apiKey), session.keyHash)) {
+      sendRpcError(res, 401, "This session belongs to a different API key.", { "WWW-Authenticate": "Bearer" });
+      return null;
+    }
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  async function handleMcp(req, res) {
+    if (req.method === "POST") {
+      let body;
+      try {
+        body = JSON.parse(await readBody(req));
+      } catch (err) {
+        if (err.status === 413) return sendRpcError(res, 413, err.message);
+        return sendJson(res, 400, { jsonrpc: "2.0", error: { code: -32700, message: "Parse error" }, id: null });
+      }
+      if (!req.headers["mcp-session-id"] && isInitializeRequest(body)) {
+        return openSession(req, res, body);
+      }
+      const session = findSession(req, res);
+      if (session) await session.transport.handleRequest(req, res, body);
+      return;
+    }
+    if (req.method === "GET" || req.method === "DELETE") {
+      const session = findSession(req, res);
+      if (session) await session.transport.handleRequest(req, res);
+      return;
+    }
+    sendRpcError(res, 405, "Method not allowed.", { Allow: "GET, POST, DELETE" });
+  }
+
+  async function route(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname === "/health" && req.method === "GET") {
+      return sendJson(res, 200, {
+        status: "ok",
+        sessions: sessions.size,
+        uptime_seconds: Math.round((Date.now() - started) / 1000),
+      });
+    }
+    if (pathname === "/mcp") return handleMcp(req, res);
+    sendJson(res, 404, { error: "Not found" });
+  }
+
+  const httpServer = http.createServer((req, res) => {
+    route(req, res).catch((err) => {
+      console.error("Memento HTTP:", err);
+      if (!res.headersSent) sendRpcError(res, 500, "Internal server error.");
+      else res.end();
+    });
+  });
+
+  // Close sessions whose client went away without a DELETE
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    for (const session of sessions.values()) {
+      if (session.lastSeen < cutoff) session.server.close().catch(() => {});
+    }
+  }, SWEEP_MS);
+  sweep.unref();
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+  const address = httpServer.address();
+
+  return {
+    url: `http://${host.includes(":") ? `[${host}]` : host}:${address.port}`,
+    sessions,
+    async close() {
+      clearInterval(sweep);
+      await Promise.all([...sessions.values()].map((s) => s.server.close().catch(() => {})));
+      httpServer.closeAllConnections();
+      await new Promise((resolve) => httpServer.close(resolve));
+    },
+  };
+}
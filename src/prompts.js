@@ -0,0 +1,118 @@
+/**
+ * MCP prompt templates: the session rituals as ready-made messages.
+ *
+ * Each builder reads what it needs from the storage adapter and returns a
+ * GetPrompt result, so a client that supports prompts starts (or ends) a
+ * session with one prompt instead of a string of tool calls.
+ */
+
+import { formatItem, formatSkip, formatProposal } from "./format.js";
+
+function userMessage(description, text) {
+  return { description, messages: [{ role: "user", content: { type: "text", text } }] };
+}
+
+async function identityText(storage) {
+  const result = await storage.getIdentity(null);
+  return result.error ? `(Could not read the identity crystal: ${result.error})` : result.text;
+}
+
+async function activeItemsText(storage) {
+  const result = await storage.listItems(null, { status: "active" });
+  if (result.error) return `(Could not list items: ${result.error})`;
+  if (!result.items?.length) return "No active items.";
+  return result.items.map(formatItem).join("\n\n");
+}
+
+async function skipListText(storage) {
+  const result = await storage.listSkips(null);
+  if (result.error) return `(Could not read the skip list: ${result.error})`;
+  if (!result.entries?.length) return "Skip list is empty.";
+  return result.entries.map(formatSkip).join("\n\n");
+}
+
+async function recallText(storage, query) {
+  const result = await storage.recallMemories(null, { query, limit: 5 });
+  if (result._raw) return result.text;
+  if (result.error) return `(Recall failed: ${result.error})`;
+  if (result.results.length === 0) return `No memories found matching "${query}".`;
+  return result.formatted;
+}
+
+/**
+ * session-start: identity, active work, skip list and, given a task,
+ * memories recalled for it.
+ * @param {object} storage
+ * @param {{ task?: string }} args
+ */
+export async function sessionStartPrompt(storage, { task } = {}) {
+  const sections = [
+    "You are resuming work with Memento. This is what past sessions left for you.",
+    `## Identity\n\n${await identityText(storage)}`,
+    `## Active work\n\n${await activeItemsText(storage)}`,
+  ];
+  if (task) sections.push(`## Memories for "${task}"\n\n${await recallText(storage, task)}`);
+  sections.push(`## Skip list\n\n${await skipListText(storage)}`);
+  sections.push(
+    [
+      "Before you start:",
+      "- Pick up from the next actions above; don't redo what the skip list rules out.",
+      "- memento_recall before each subtask — someone may have already figured it out.",
+      "- Keep items current with memento_item_update as you go, and memento_remember decisions when you make them.",
+    ].join("\n")
+  );
+  return userMessage("Orient at the start of a session", sections.join("\n\n"));
+}
+
+/**
+ * end-of-session-reflection: what to write down before the session ends.
+ * @param {object} storage
+ * @param {{ summary?: string }} args
+ */
+export async function reflectionPrompt(storage, { summary } = {}) {
+  const sections = ["This session is ending. Write down what a future you needs — nothing else will carry over."];
+  if (summary) sections.push(`## What happened\n\n${summary}`);
+  sections.push(`## Open items\n\n${await activeItemsText(storage)}`);
+  sections.push(
+    [
+      "## Do this now",
+      "1. memento_remember each decision, lesson and pattern from this session. Instructions, not logs, with tags.",
+      "2. memento_item_update every item above that moved: status and next_action. memento_item_create for new work.",
+      "3. memento_skip_add each dead end, with an expiry.",
+      "4. If something changed about who you are or how you work, revise the crystal with memento_identity_update.",
+      "",
+      "The test: could a future you, with zero context, read this and know exactly what to do?",
+    ].join("\n")
+  );
+  return userMessage("Capture what matters before the session ends", sections.join("\n\n"));
+}
+
+/**
+ * consolidation-review: pending proposals with review instructions.
+ * @param {object} storage
+ */
+export async function consolidationReviewPrompt(storage) {
+  const result = await storage.listConsolidationProposals(null, "pending");
+  let text;
+  if (result.error) {
+    text = [
+      `Consolidation proposals are not available here: ${result.error}`,
+      "",
+      "Review by hand instead: memento_recall the topics you worked on, and when 3+ memories overlap, merge them with memento_consolidate using your own summary.",
+    ].join("\n");
+  } else if (result.proposals.length === 0) {
+    text = "No consolidation proposals are waiting for review.";
+  } else {
+    text = [
+      `${result.proposals.length} consolidation proposal${result.proposals.length === 1 ? "" : "s"} waiting for review:`,
+      result.proposals.map(formatProposal).join("\n\n---\n\n"),
+      [
+        "Decide each one with memento_consolidation_review:",
+        "- approve when the sources say the same thing — pass your own summary if the draft loses detail;",
+        "- edit to fix the summary, tags or sources and decide later;",
+        "- reject when the sources disagree or merging would bury a distinct instruction.",
+      ].join("\n"),
+    ].join("\n\n");
+  }
+  return userMessage("Review pending consolidation proposals", text);
+}
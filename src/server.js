@@ -0,0 +1,1434 @@
+/**
+ * Memento Protocol -- MCP server factory.
+ *
+ * createServer() builds an McpServer with every tool, resource and prompt
+ * bound to one storage adapter. The stdio entry point (index.js) builds
+ * one; HTTP mode (http.js) builds one per session.
+ */
+
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { z } from "zod";
+import path from "node:path";
+import fs from "node:fs";
+import { ResourceSubscriptions } from "./subscriptions.js";
+import { formatItem, formatSkip, formatProposal, formatExplanation } from "./format.js";
+import { formatContext, DEFAULT_TOKEN_BUDGET } from "./context.js";
+import { sessionStartPrompt, reflectionPrompt, consolidationReviewPrompt } from "./prompts.js";
+
+const ITEM_CATEGORIES = ["active_work", "standing_decision", "skip_list", "waiting_for", "session_note"];
+
+/** A JSON resource body; a storage error fails the read instead. */
+function jsonResource(uri, value) {
+  if (value?.error) throw new Error(value.error);
+  return { contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(value, null, 2) }] };
+}
+
+/**
+ * Read an image for similarity search, downscaled for embedding.
+ * @param {string} imagePath
+ * @returns {Promise<{ images: Array<{ data: string, mimetype: string }> } | { error: string }>}
+ */
+async function loadSearchImage(imagePath) {
+  const MIME_MAP = { ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png", ".gif": "image/gif", ".webp": "image/webp" };
+  const ext = path.extname(imagePath).toLowerCase();
+  if (!MIME_MAP[ext]) {
+    return { error: `Unsupported image format: ${ext}. Allowed: .jpg, .jpeg, .png, .gif, .webp` };
+  }
+
+  let buffer;
+  try {
+    buffer = fs.readFileSync(imagePath);
+  } catch (err) {
+    return { error: `Cannot read image: ${err.message}` };
+  }
+
+  // Downscale to 224x224 via sharp for efficient embedding
+  try {
+    const sharp = (await import("sharp")).default;
+    buffer = await sharp(buffer)
+      .resize(224, 224, { fit: "cover" })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  } catch {
+    // If sharp fails, send the original — Nomic resizes internally anyway
+  }
+
+  return { images: [{ data: buffer.toString("base64"), mimetype: "image/jpeg" }] };
+}
+
+/**
+ * Build an MCP server on a storage adapter.
+ * @param {object} storage - Storage adapter (see storage/interface.js)
+ * @param {{ storageMode?: string }} [opts] - "hosted" or "local", reported by memento_init
+ * @returns {McpServer}
+ */
+export function createServer(storage, { storageMode = "hosted" } = {}) {
+  const server = new McpServer({
+    name: "memento-protocol",
+    version: "0.1.0",
+  });
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_init
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_init",
+    `Initialize a new Memento workspace. Only needed once per project — creates the working memory structure and storage directories.
+
+After initializing, run memento_health to verify, then start creating items with memento_item_create.`,
+    {},
+    async () => {
+      const result = await storage.initWorkspace(null);
+
+      if (result.error) {
+        return {
+          content: [{ type: "text", text: `Error: ${result.error}` }],
+          isError: true,
+        };
+      }
+
+      if (result.alreadyExists) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Workspace already exists (${storageMode}). Use memento_read to load it.`,
+            },
+          ],
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Memento workspace initialized (${storageMode}).\n\nRead working memory at the start of every session.`,
+          },
+        ],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_read
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_read",
+    `Read the working memory document — the full markdown or a specific section. This is the legacy markdown-based working memory; for structured data, prefer memento_item_list.
+
+Sections: active_work, standing_decisions, skip_list, session_notes.`,
+    {
+      section: z
+        .string()
+        .optional()
+        .describe(
+          "Section to read: active_work, standing_decisions, skip_list, session_notes"
+        ),
+    },
+    async ({ section }) => {
+      const result = await storage.readWorkingMemory(null, section);
+
+      if (result.error) {
+        return {
+          content: [{ type: "text", text: result.error }],
+          isError: true,
+        };
+      }
+
+      return { content: [{ type: "text", text: result.content }] };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_update
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_update",
+    `Update a section of the working memory markdown document. For structured items, prefer memento_item_update instead.
+
+Sections: active_work, standing_decisions, skip_list, session_notes.`,
+    {
+      section: z
+        .string()
+        .describe(
+          "Section to update: active_work, standing_decisions, skip_list, session_notes"
+        ),
+      content: z.string().describe("New content for the section"),
+    },
+    async ({ section, content }) => {
+      const result = await storage.updateWorkingMemory(null, section, content);
+
+      if (result._raw) {
+        return {
+          content: [{ type: "text", text: result.text }],
+          ...(result.isError ? { isError: true } : {}),
+        };
+      }
+
+      if (result.error) {
+        return {
+          content: [{ type: "text", text: result.error }],
+          isError: true,
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Updated section "${result.heading}" in working memory.`,
+          },
+        ],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_remember
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_remember",
+    `Store a discrete memory — a fact, decision, observation, or instruction — with tags and optional expiration.
+
+IMPORTANT: Write memories as instructions, not logs.
+- GOOD: "Skip aurora checks until Kp > 4 or Feb 20."
+- BAD: "Checked aurora, Kp was 2.3, quiet."
+The test: could a future agent, with zero context, read this memory and know exactly what to do?
+
+Use tags generously — they power recall. Set expiration for time-sensitive facts.`,
+    {
+      content: z.string().describe("The memory content"),
+      tags: z.array(z.string()).optional().describe("Tags for categorization"),
+      type: z
+        .enum(["fact", "decision", "observation", "instruction"])
+        .optional()
+        .describe("Memory type (default: observation)"),
+      expires: z.string().optional().describe("ISO date string when this memory expires"),
+      linkages: z
+        .array(
+          z.object({
+            type: z.enum(["memory", "item", "file"]).describe("Link target type"),
+            id: z.string().optional().describe("Target memory or item ID (required for memory/item)"),
+            path: z.string().optional().describe("Vault file path (required for file)"),
+            label: z.string().optional().describe("Relationship label (e.g. 'source', 'related')"),
+          })
+        )
+        .optional()
+        .describe("Links to other memories, items, or vault files"),
+      image_path: z
+        .string()
+        .optional()
+        .describe("Local file path to an image to attach to this memory (jpeg, png, gif, webp)"),
+      pinned: z.boolean().optional().describe("Exempt this memory from decay (standing instructions, hard constraints)"),
+    },
+    async ({ content, tags, type, expires, linkages, image_path, pinned }) => {
+      let images;
+      if (image_path) {
+        const MIME_MAP = { ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png", ".gif": "image/gif", ".webp": "image/webp" };
+        const ext = path.extname(image_path).toLowerCase();
+        const mimetype = MIME_MAP[ext];
+        if (!mimetype) {
+          return {
+            content: [{ type: "text", text: `Unsupported image format: ${ext}. Allowed: .jpg, .jpeg, .png, .gif, .webp` }],
+            isError: true,
+          };
+        }
+        const buffer = fs.readFileSync(image_path);
+        const data = buffer.toString("base64");
+        const filename = path.basename(image_path);
+        images = [{ data, filename, mimetype }];
+      }
+
+      const result = await storage.storeMemory(null, { content, tags, type, expires, linkages, images, pinned });
+
+      if (result._raw) {
+        return {
+          content: [{ type: "text", text: result.text }],
+          ...(result.isError ? { isError: true } : {}),
+        };
+      }
+
+      if (result.error) {
+        return {
+          content: [{ type: "text", text: result.error }],
+          isError: true,
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Stored memory ${result.id} (${result.type})${result.tags.length ? ` [${result.tags.join(", ")}]` : ""}`,
+          },
+        ],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_recall
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_recall",
+    `Search stored memories by keyword, tag, type, or image similarity. Use this before starting work on any topic — someone may have already figured it out.
+
+Results are ranked by relevance (keyword match + semantic similarity + recency + access frequency). Each recall increments the memory's access count, reinforcing important memories and letting unused ones decay naturally.
+
+Supports image search: provide image_path to find visually similar memories. Can combine text query + image for multi-modal search.
+
+The query can narrow results with filters, combined with AND:
+- tag:billing AND tag:stripe, tag:a OR tag:b, -tag:scratch
+- type:decision
+- "exact phrase", -"phrase to exclude", -word
+- before:2026-03-01, after:2026-01-01 (created date)
+- accessed:>5 (access count; also >=, <, <=)
+- linked:<memory id>
+Free text alongside filters is ranked as usual; a query of only filters lists the matches by recency.`,
+    {
+      query: z
+        .string()
+        .optional()
+        .describe('Search query (matched against memory content), optionally with filters such as tag:x, -tag:y, type:decision, "phrase", after:2026-01-01, accessed:>5, linked:<id>. Required unless image_path is provided.'),
+      tags: z.array(z.string()).optional().describe("Filter by tags (matches any)"),
+      type: z
+        .string()
+        .optional()
+        .describe("Filter by type: fact, decision, observation, instruction"),
+      limit: z.number().optional().describe("Max results (default: 10)"),
+      workspace: z.string().optional().describe('Omit to search your own workspace. Set to a workspace name (e.g. "fathom") to search that workspace instead.'),
+      image_path: z.string().optional().describe(
+        "Path to an image file to search by visual similarity. Can combine with query for multi-modal search."
+      ),
+      explain: z
+        .boolean()
+        .optional()
+        .describe("Also show each candidate's score factors and why any was left out — use when an expected memory is missing"),
+    },
+    async ({ query, tags, type, limit, workspace, image_path, explain }) => {
+      if (!query && !image_path) {
+        return {
+          content: [{ type: "text", text: 'At least one of "query" or "image_path" is required.' }],
+          isError: true,
+        };
+      }
+
+      // Process image if provided
+      let images;
+      if (image_path) {
+        const loaded = await loadSearchImage(image_path);
+        if (loaded.error) {
+          return { content: [{ type: "text", text: loaded.error }], isError: true };
+        }
+        images = loaded.images;
+      }
+
+      const result = await storage.recallMemories(null, { query, tags, type, limit, workspace, images, explain });
+
+      if (result._raw) {
+        const text = explain && result.explain ? `${result.text}\n\n${formatExplanation(result.explain)}` : result.text;
+        return {
+          content: [{ type: "text", text }],
+          ...(result.isError ? { isError: true } : {}),
+        };
+      }
+
+      if (result.error) {
+        return {
+          content: [{ type: "text", text: result.error }],
+          isError: true,
+        };
+      }
+
+      if (result.results.length === 0) {
+        return {
+          content: [{ type: "text", text: `No memories found matching "${result.query}".` }],
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Found ${result.count} memor${result.count === 1 ? "y" : "ies"}:\n\n${result.formatted}`,
+          },
+        ],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_context
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_context",
+    `Everything relevant to a message in one call: active work items, ranked memories, skip list matches and the identity crystal. Use it at the start of a task instead of calling memento_item_list, memento_recall, memento_skip_check and memento_read separately.
+
+The bundle is cut to fit token_budget (estimated, default ${DEFAULT_TOKEN_BUDGET}). Sections are filled in priority order — skip matches, items, memories, identity — and the lowest-ranked entries go first. The reply says what was left out.`,
+    {
+      message: z.string().optional().describe("What you are about to work on. Memories and skip matches are found for it; without it you get items and identity only."),
+      include: z
+        .array(z.enum(["working_memory", "memories", "skip_list", "identity"]))
+        .optional()
+        .describe("Sections to include (default: all four)"),
+      peek_workspaces: z
+        .array(z.string())
+        .max(5)
+        .optional()
+        .describe("Other workspaces whose items and memories to merge in (max 5). Skip list and identity stay your own."),
+      image_path: z.string().optional().describe("Path to an image. With a message, memories are also ranked by visual similarity to it (hosted only)."),
+      token_budget: z
+        .number()
+        .int()
+        .min(100)
+        .optional()
+        .describe(`Approximate size limit for the reply in tokens (default: ${DEFAULT_TOKEN_BUDGET})`),
+    },
+    async ({ message, include, peek_workspaces, image_path, token_budget }) => {
+      let images;
+      if (image_path) {
+        const loaded = await loadSearchImage(image_path);
+        if (loaded.error) {
+          return { content: [{ type: "text", text: loaded.error }], isError: true };
+        }
+        images = loaded.images;
+      }
+
+      const result = await storage.getContext(null, message || "", {
+        include,
+        peekWorkspaces: peek_workspaces,
+        images,
+      });
+
+      if (result.error) {
+        return {
+          content: [{ type: "text", text: result.error }],
+          isError: true,
+        };
+      }
+
+      const { text } = formatContext(result, { message, budget: token_budget });
+      return { content: [{ type: "text", text }] };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_view_image
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_view_image",
+    `View an image attached to a memory. Use after memento_recall shows a memory has images (look for "Images: [N image(s)]" in results). Returns the image directly in context.
+
+Typical flow: memento_recall → see "Images: [2 images]" on a result → memento_view_image with that memory's ID.`,
+    {
+      memory_id: z.string().describe("The memory ID (from recall results)"),
+      filename: z
+        .string()
+        .optional()
+        .describe(
+          "Specific filename if the memory has multiple images. If omitted, returns the first image."
+        ),
+    },
+    async ({ memory_id, filename }) => {
+      const memory = await storage.getMemory(memory_id);
+
+      if (memory.error) {
+        return {
+          content: [{ type: "text", text: `Error fetching memory ${memory_id}: ${memory.error}` }],
+          isError: true,
+        };
+      }
+
+      const images = memory.images || [];
+      if (images.length === 0) {
+        return {
+          content: [{ type: "text", text: `Memory ${memory_id} has no images.` }],
+        };
+      }
+
+      const img = filename
+        ? images.find((i) => i.filename === filename)
+        : images[0];
+
+      if (!img) {
+        const available = images.map((i) => i.filename).join(", ");
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Image "${filename}" not found on memory ${memory_id}. Available: ${available}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+      if (img.size > MAX_IMAGE_BYTES) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Image "${img.filename}" is too large (${(img.size / 1024 / 1024).toFixed(1)}MB, max 5MB).`,
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      try {
+        const base64 = await storage.fetchImage(img.key);
+        if (!base64) {
+          return {
+            content: [{ type: "text", text: `Failed to fetch image "${img.filename}" from storage.` }],
+            isError: true,
+          };
+        }
+
+        return {
+          content: [
+            { type: "text", text: `Image from memory ${memory_id}: ${img.filename}` },
+            { type: "image", data: base64, mimeType: img.mimetype },
+          ],
+        };
+      } catch (err) {
+        return {
+          content: [{ type: "text", text: `Error fetching image: ${err.message}` }],
+          isError: true,
+        };
+      }
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_conflicts
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_conflicts",
+    `List memories that contradict each other. When a new memory makes a claim that conflicts with an existing one (e.g. "deploy target is staging" vs "deploy target is prod"), the store response warns about it and links the two with a "contradicts" linkage.
+
+Resolve each pair: delete or update the stale memory, or consolidate the two into one accurate memory. A pair drops off this list once either side is deleted, consolidated or expired.`,
+    {},
+    async () => {
+      const result = await storage.listConflicts(null);
+      if (result.error) {
+        return { content: [{ type: "text", text: result.error }], isError: true };
+      }
+      if (result.conflicts.length === 0) {
+        return { content: [{ type: "text", text: "No unresolved contradictions." }] };
+      }
+
+      const formatMemory = (m) => `${m.id} (${m.type}, ${m.created_at}): ${m.content}`;
+      const formatted = result.conflicts.map(
+        (c, i) => `${i + 1}. ${formatMemory(c.memory)}\n   contradicts ${formatMemory(c.contradicts)}`
+      );
+      const count = result.conflicts.length;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `${count} unresolved contradiction${count === 1 ? "" : "s"}:\n\n${formatted.join("\n\n")}`,
+          },
+        ],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_consolidate
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_consolidate",
+    `Consolidate multiple overlapping memories into a single, richer memory. Use this when recall returns 3+ memories about the same topic with high overlap.
+
+The new memory replaces the originals in recall results. Originals are deactivated (not deleted) — always traceable, never lost. Provide your own synthesis for best results, or omit content to auto-generate.
+
+This is reconsolidation — like how the brain rebuilds memories on recall. Frequently used topics get consolidated into sharp, dense representations. Unused topics stay scattered and eventually decay.`,
+    {
+      source_ids: z.array(z.string()).min(2).describe("IDs of memories to consolidate (minimum 2)"),
+      content: z.string().optional().describe("Your synthesis of the memories (recommended). If omitted, an AI summary is generated."),
+      type: z.enum(["fact", "decision", "observation", "instruction"]).optional().describe("Type for the new memory (default: most common type among sources)"),
+      tags: z.array(z.string()).optional().describe("Additional tags (merged with source tags)"),
+    },
+    async ({ source_ids, content, type, tags }) => {
+      const result = await storage.consolidateMemories(null, { source_ids, content, type, tags });
+
+      if (result._raw) {
+        return {
+          content: [{ type: "text", text: result.text }],
+          ...(result.isError ? { isError: true } : {}),
+        };
+      }
+
+      if (result.error) {
+        return {
+          content: [{ type: "text", text: result.error }],
+          isError: true,
+        };
+      }
+
+      return {
+        content: [{ type: "text", text: result.text || "Consolidation complete." }],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_unconsolidate
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_unconsolidate",
+    `Undo a consolidation. Reactivates the original memories and deletes the consolidated summary memory.
+
+Use this when a consolidated memory lost important details the originals had. Pass the ID of the consolidated memory (the "into" ID reported by memento_consolidate).`,
+    {
+      id: z.string().describe("ID of the consolidated memory to undo"),
+    },
+    async ({ id }) => {
+      const result = await storage.unconsolidateMemories(null, id);
+
+      if (result._raw) {
+        return {
+          content: [{ type: "text", text: result.text }],
+          ...(result.isError ? { isError: true } : {}),
+        };
+      }
+
+      if (result.error) {
+        return { content: [{ type: "text", text: result.error }], isError: true };
+      }
+
+      return {
+        content: [{ type: "text", text: result.text || `Consolidation ${id} undone.` }],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_consolidation_proposals
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_consolidation_proposals",
+    `List consolidation proposals awaiting review. When a workspace sets consolidation_approval to "review", the nightly job proposes groups instead of consolidating them. memento_health reports how many are waiting — check them at session start.
+
+Each proposal shows its draft summary and the source memories it would replace. Decide with memento_consolidation_review. Set refresh to queue new proposals from the current memories first.`,
+    {
+      status: z.enum(["pending", "approved", "rejected", "all"]).optional().describe("Which proposals to list (default: pending)"),
+      refresh: z.boolean().optional().describe("Queue new proposals before listing"),
+    },
+    async ({ status, refresh }) => {
+      let header = "";
+      if (refresh) {
+        const queued = await storage.proposeConsolidations(null);
+        if (queued.error) {
+          return { content: [{ type: "text", text: queued.error }], isError: true };
+        }
+        header = `${queued.text}\n\n`;
+      }
+
+      const result = await storage.listConsolidationProposals(null, status);
+      if (result.error) {
+        return { content: [{ type: "text", text: result.error }], isError: true };
+      }
+      if (result.proposals.length === 0) {
+        return { content: [{ type: "text", text: `${header}No ${status || "pending"} consolidation proposals.` }] };
+      }
+
+      const formatted = result.proposals.map(formatProposal);
+
+      return {
+        content: [{ type: "text", text: `${header}${formatted.join("\n\n---\n\n")}` }],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_consolidation_review
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_consolidation_review",
+    `Approve, edit or reject a consolidation proposal from memento_consolidation_proposals.
+
+- approve: consolidate the sources into a new memory. Pass summary, type, tags or source_ids to change the proposal as you approve it.
+- edit: save changes but leave the proposal pending.
+- reject: drop the proposal and keep the sources active. The same group is not proposed again.
+
+source_ids can only remove sources from a proposal — use memento_consolidate to build a different group.`,
+    {
+      id: z.string().describe("Proposal ID"),
+      action: z.enum(["approve", "edit", "reject"]).describe("What to do with the proposal"),
+      summary: z.string().optional().describe("Replacement summary (your own synthesis)"),
+      type: z.enum(["fact", "decision", "observation", "instruction"]).optional().describe("Type for the new memory (default: most common type among sources)"),
+      tags: z.array(z.string()).optional().describe("Tags for the new memory (replaces the proposed tags)"),
+      source_ids: z.array(z.string()).min(2).optional().describe("Subset of the proposal's sources to keep"),
+    },
+    async ({ id, action, summary, type, tags, source_ids }) => {
+      const edits = {};
+      if (summary !== undefined) edits.summary = summary;
+      if (type !== undefined) edits.type = type;
+      if (tags !== undefined) edits.tags = tags;
+      if (source_ids !== undefined) edits.source_ids = source_ids;
+
+      if (action === "edit") {
+        const result = await storage.updateConsolidationProposal(null, id, edits);
+        if (result.error) {
+          return { content: [{ type: "text", text: result.error }], isError: true };
+        }
+        return {
+          content: [{
+            type: "text",
+            text: `Updated proposal ${id}. Sources: [${result.source_ids.join(", ")}]\nSummary: ${result.summary}`,
+          }],
+        };
+      }
+
+      const result = action === "approve"
+        ? await storage.approveConsolidationProposal(null, id, edits)
+        : await storage.rejectConsolidationProposal(null, id);
+
+      if (result.error) {
+        return { content: [{ type: "text", text: result.error }], isError: true };
+      }
+      return { content: [{ type: "text", text: result.text }] };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_extract
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_extract",
+    `Extract memories from a conversation transcript using LLM. Use this to extract memories from a pasted transcript.
+
+Two modes:
+- "distill" (default): Full extraction — facts, decisions, instructions, observations. Up to 20 memories.
+- "seeds": Relational/experiential texture — preferences, emotions, sensory details. Up to 3 memories.
+
+A transcript is required.`,
+    {
+      transcript: z.string().describe("Raw conversation text to extract memories from."),
+      mode: z.enum(["distill", "seeds"]).optional().describe("Extraction mode (default: distill)"),
+      max_memories: z.number().optional().describe("Override max memories to extract"),
+    },
+    async ({ transcript, mode, max_memories }) => {
+      const result = await storage.extractMemories(null, {
+        transcript,
+        mode,
+        max_memories,
+      });
+
+      if (result.error && !result.stored) {
+        return {
+          content: [{ type: "text", text: `Error: ${result.error}` }],
+          isError: true,
+        };
+      }
+
+      if (result.error) {
+        // Partial success — extraction ran but had issues
+        const summary = result.stored?.length > 0
+          ? result.stored.map((m) => `- **${m.id}** (${m.type}): ${m.content}`).join("\n")
+          : "No memories extracted.";
+        return {
+          content: [{
+            type: "text",
+            text: `Extraction completed with warning: ${result.error}\n\n${summary}`,
+          }],
+        };
+      }
+
+      if (!result.stored || result.stored.length === 0) {
+        return {
+          content: [{
+            type: "text",
+            text: `No novel memories found (mode: ${result.mode || mode || "distill"}, source: ${result.source || "unknown"}).`,
+          }],
+        };
+      }
+
+      const summary = result.stored.map((m) => `- **${m.id}** (${m.type}): ${m.content}`).join("\n");
+      return {
+        content: [{
+          type: "text",
+          text: `Extracted ${result.count} memor${result.count === 1 ? "y" : "ies"} (mode: ${result.mode}, source: ${result.source}):\n\n${summary}`,
+        }],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_skip_add
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_skip_add",
+    `Add an item to the skip list — anti-memory. Things to NOT investigate, NOT re-read, NOT act on right now.
+
+Every skip MUST have an expiration. Skips are temporary by design — conditions change. If something should be permanently ignored, archive or delete it instead.
+
+Examples: "Skip aurora until Kp > 4" (expires in 3 days), "Skip HN post about X" (expires tomorrow).`,
+    {
+      item: z.string().describe("What to skip"),
+      reason: z.string().describe("Why it should be skipped"),
+      expires: z.string().describe("When this skip expires (ISO date string, e.g. '2026-02-20')"),
+    },
+    async ({ item, reason, expires }) => {
+      const result = await storage.addSkip(null, { item, reason, expires });
+
+      if (result._raw) {
+        return {
+          content: [{ type: "text", text: result.text }],
+          ...(result.isError ? { isError: true } : {}),
+        };
+      }
+
+      if (result.error) {
+        return {
+          content: [{ type: "text", text: result.error }],
+          isError: true,
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Added to skip list: "${result.item}" (expires ${result.expires})`,
+          },
+        ],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_skip_check
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_skip_check",
+    `Check if a topic is on the skip list before investigating it. Auto-clears expired entries.
+
+Use this before routine checks (news, weather, HN stories) to avoid re-reading things you've already covered. If the skip list says stop, stop — trust past-you's judgment.`,
+    {
+      query: z.string().describe("What to check against the skip list"),
+    },
+    async ({ query }) => {
+      const result = await storage.checkSkip(null, query);
+
+      if (result._raw) {
+        return {
+          content: [{ type: "text", text: result.text }],
+          ...(result.isError ? { isError: true } : {}),
+        };
+      }
+
+      if (result.error) {
+        return {
+          content: [{ type: "text", text: result.error }],
+          isError: true,
+        };
+      }
+
+      if (result.match) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `SKIP: "${result.match.item}"\nReason: ${result.match.reason}\nExpires: ${result.match.expires}`,
+            },
+          ],
+        };
+      }
+
+      return {
+        content: [{ type: "text", text: `Not on skip list. Proceed with "${query}".` }],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_skip_list
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_skip_list",
+    `List all skip list entries with their IDs. Use this to find entry IDs for removal with memento_skip_remove.
+
+Auto-purges expired entries before returning results.`,
+    {},
+    async () => {
+      const result = await storage.listSkips(null);
+
+      if (result.error) {
+        return { content: [{ type: "text", text: result.error }], isError: true };
+      }
+
+      if (!result.entries || result.entries.length === 0) {
+        return {
+          content: [{ type: "text", text: "Skip list is empty." }],
+        };
+      }
+
+      const formatted = result.entries.map(formatSkip).join("\n\n");
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `${result.total} skip list entr${result.total === 1 ? "y" : "ies"}:\n\n${formatted}`,
+          },
+        ],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_skip_remove
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_skip_remove",
+    `Remove a skip list entry by ID. Use memento_skip_list first to find the entry ID.
+
+Use this when a skip condition has been resolved early or was added in error.`,
+    {
+      id: z.string().describe("Skip entry ID to remove"),
+    },
+    async ({ id }) => {
+      const result = await storage.deleteSkip(null, id);
+
+      if (result._raw) {
+        return {
+          content: [{ type: "text", text: result.text }],
+          ...(result.isError ? { isError: true } : {}),
+        };
+      }
+
+      if (result.error) {
+        return { content: [{ type: "text", text: result.error }], isError: true };
+      }
+
+      return {
+        content: [{ type: "text", text: `Skip entry ${id} removed.` }],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_memory_delete
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_memory_delete",
+    `Permanently delete a memory by ID. Prefer memento_consolidate over deletion for most cases — consolidation preserves history while sharpening recall.
+
+Use deletion only for memories that are incorrect, contain errors, or should never have been stored.`,
+    {
+      id: z.string().describe("Memory ID to delete"),
+    },
+    async ({ id }) => {
+      const result = await storage.deleteMemory(null, id);
+
+      if (result._raw) {
+        return {
+          content: [{ type: "text", text: result.text }],
+          ...(result.isError ? { isError: true } : {}),
+        };
+      }
+
+      if (result.error) {
+        return { content: [{ type: "text", text: result.error }], isError: true };
+      }
+
+      return {
+        content: [{ type: "text", text: `Memory ${id} deleted.` }],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_memory_history
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_memory_history",
+    `Show how a memory changed over time — every prior version with when it was replaced and what replaced it (api, mcp, hook, extraction, consolidation, revert).
+
+Set revert_to to restore a prior version, e.g. to undo a bad distillation rewrite. The version being replaced is kept, so a revert can itself be undone.`,
+    {
+      id: z.string().describe("Memory ID"),
+      revert_to: z.number().int().positive().optional().describe("Version number to restore (from the history)"),
+    },
+    async ({ id, revert_to }) => {
+      if (revert_to !== undefined) {
+        const result = await storage.revertMemory(null, id, revert_to);
+        if (result.error) {
+          return { content: [{ type: "text", text: result.error }], isError: true };
+        }
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Reverted memory ${id} to v${revert_to} (now v${result.version}).\n\n${result.content}`,
+            },
+          ],
+        };
+      }
+
+      const result = await storage.getMemoryHistory(null, id);
+      if (result.error) {
+        return { content: [{ type: "text", text: result.error }], isError: true };
+      }
+
+      const formatVersion = (v, label) => {
+        const tagStr = v.tags?.length ? ` [${v.tags.join(", ")}]` : "";
+        return `**v${v.version}** ${label} (${v.type})${tagStr}\n${v.content}`;
+      };
+      const versions = [
+        formatVersion(result.current, "current"),
+        ...result.revisions.map((r) => formatVersion(r, `replaced ${r.replaced_at} via ${r.source}`)),
+      ];
+      const count = result.revisions.length;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Memory ${id}: ${count} prior version${count === 1 ? "" : "s"}\n\n${versions.join("\n\n---\n\n")}`,
+          },
+        ],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_memory_pin
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_memory_pin",
+    `Pin a memory so it never decays — it keeps full recency in recall however old it gets. Use for standing instructions and hard constraints, not for everything that feels important.
+
+Set pinned to false to let it decay again. Workspaces can also set decay per type and tag with the decay_policies setting.`,
+    {
+      id: z.string().describe("Memory ID"),
+      pinned: z.boolean().optional().describe("false to unpin (default: true)"),
+    },
+    async ({ id, pinned = true }) => {
+      const result = await storage.pinMemory(null, id, pinned);
+      if (result.error) {
+        return { content: [{ type: "text", text: result.error }], isError: true };
+      }
+      return {
+        content: [{ type: "text", text: `Memory ${id} ${pinned ? "pinned — it no longer decays" : "unpinned"}.` }],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_health
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_health",
+    `Report memory system health. Run this FIRST at the start of every session — it tells you how many items, memories, and skip entries exist, and when things were last updated.
+
+Boot sequence: (1) memento_health → (2) memento_item_list for active_work and skip_list → (3) memento_recall for the current task. Then start working.`,
+    {},
+    async () => {
+      const result = await storage.getHealth(null);
+
+      if (result._raw) {
+        return {
+          content: [{ type: "text", text: result.text }],
+          ...(result.isError ? { isError: true } : {}),
+        };
+      }
+
+      if (result.error) {
+        return {
+          content: [{ type: "text", text: result.error }],
+          isError: true,
+        };
+      }
+
+      return {
+        content: [{ type: "text", text: result.formatted }],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_item_create
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_item_create",
+    `Create a structured working memory item. Categories:
+- active_work: Current projects and tasks with next actions
+- standing_decision: Permanent rules and policies (e.g., "all code changes via agents")
+- skip_list: Things to NOT do right now (use memento_skip_add for time-expiring skips)
+- waiting_for: Blocked items awaiting external input
+- session_note: Ephemeral notes for the current session only
+
+Always include tags — they power search. Use next_action to tell future-you exactly what to do next. Priority is 0-10 (higher = more important).`,
+    {
+      category: z
+        .enum(["active_work", "standing_decision", "skip_list", "waiting_for", "session_note"])
+        .describe("Item category"),
+      title: z.string().describe("Item title"),
+      content: z.string().optional().describe("Item content/details"),
+      status: z
+        .enum(["active", "paused", "completed", "archived"])
+        .optional()
+        .describe("Item status (default: active)"),
+      priority: z.number().optional().describe("Priority (higher = more important, default: 0)"),
+      tags: z.array(z.string()).optional().describe("Tags for categorization"),
+      next_action: z.string().optional().describe("Next action to take"),
+    },
+    async ({ category, title, content, status, priority, tags, next_action }) => {
+      const result = await storage.createItem(null, {
+        category,
+        title,
+        content,
+        status,
+        priority,
+        tags,
+        next_action,
+      });
+
+      if (result.error) {
+        return { content: [{ type: "text", text: result.error }], isError: true };
+      }
+
+      const tagStr = result.tags?.length ? ` [${result.tags.join(", ")}]` : "";
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Created item ${result.id} in ${result.category}: "${result.title}"${tagStr}`,
+          },
+        ],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_item_update
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_item_update",
+    `Update a working memory item — partial update, only provided fields change. Use this to track progress:
+- Update next_action when you make progress ("Last: checked Feb 16. Next: tomorrow.")
+- Change status: active → paused (deprioritized), completed (done), archived (no longer relevant)
+- Move between categories if an item's nature changes
+
+When updating next_action, include what was done AND what comes next — this is how future-you avoids repeating work.`,
+    {
+      id: z.string().describe("Item ID to update"),
+      title: z.string().optional().describe("New title"),
+      content: z.string().optional().describe("New content"),
+      category: z
+        .enum(["active_work", "standing_decision", "skip_list", "waiting_for", "session_note"])
+        .optional()
+        .describe("New category"),
+      status: z
+        .enum(["active", "paused", "completed", "archived"])
+        .optional()
+        .describe("New status"),
+      priority: z.number().optional().describe("New priority"),
+      tags: z.array(z.string()).optional().describe("New tags (replaces existing)"),
+      next_action: z.string().optional().describe("New next action"),
+    },
+    async ({ id, title, content, category, status, priority, tags, next_action }) => {
+      const data = {};
+      if (title !== undefined) data.title = title;
+      if (content !== undefined) data.content = content;
+      if (category !== undefined) data.category = category;
+      if (status !== undefined) data.status = status;
+      if (priority !== undefined) data.priority = priority;
+      if (tags !== undefined) data.tags = tags;
+      if (next_action !== undefined) data.next_action = next_action;
+
+      const result = await storage.updateItem(null, id, data);
+
+      if (result.error) {
+        return { content: [{ type: "text", text: result.error }], isError: true };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Updated item ${id}: "${result.title}" (${result.status})`,
+          },
+        ],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_item_delete
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_item_delete",
+    `Permanently delete a working memory item. Prefer archiving (status: archived) over deletion — archived items are hidden from default views but preserved for history. Only delete items created in error or containing incorrect information.`,
+    {
+      id: z.string().describe("Item ID to delete"),
+    },
+    async ({ id }) => {
+      const result = await storage.deleteItem(null, id);
+
+      if (result.error) {
+        return { content: [{ type: "text", text: result.error }], isError: true };
+      }
+
+      return {
+        content: [{ type: "text", text: `Deleted item ${id}.` }],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_item_list
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_item_list",
+    `List working memory items with optional filters. Use this to orient yourself at the start of a session:
+- No filters: see everything active
+- category=skip_list: check what to avoid before routine work
+- category=active_work: see current projects and their next actions
+- category=standing_decision: review permanent rules and policies
+- status=completed: see what's been finished recently`,
+    {
+      category: z
+        .enum(["active_work", "standing_decision", "skip_list", "waiting_for", "session_note"])
+        .optional()
+        .describe("Filter by category"),
+      status: z
+        .enum(["active", "paused", "completed", "archived"])
+        .optional()
+        .describe("Filter by status"),
+      query: z.string().optional().describe("Search title and content"),
+      workspace: z.string().optional().describe('Omit to search your own workspace. Set to a workspace name (e.g. "fathom") to search that workspace instead.'),
+    },
+    async ({ category, status, query, workspace }) => {
+      const result = await storage.listItems(null, { category, status, query, workspace });
+
+      if (result.error) {
+        return { content: [{ type: "text", text: result.error }], isError: true };
+      }
+
+      if (!result.items || result.items.length === 0) {
+        return {
+          content: [{ type: "text", text: "No working memory items found." }],
+        };
+      }
+
+      const formatted = result.items.map(formatItem).join("\n\n");
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Found ${result.total} item${result.total === 1 ? "" : "s"}:\n\n${formatted}`,
+          },
+        ],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_identity
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_identity",
+    `Read the current identity crystal — a first-person prose reflection of who you are, what you care about, and what persists across sessions. This gets injected into startup context so future versions of you wake up with continuity.
+
+If no crystal exists yet, returns a placeholder with instructions on how to create one.`,
+    {},
+    async () => {
+      const result = await storage.getIdentity(null);
+
+      if (result._raw) {
+        return {
+          content: [{ type: "text", text: result.text }],
+          ...(result.isError ? { isError: true } : {}),
+        };
+      }
+
+      if (result.error) {
+        return { content: [{ type: "text", text: result.error }], isError: true };
+      }
+
+      return {
+        content: [{ type: "text", text: result.crystal }],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Tool: memento_identity_update
+  // -------------------------------------------------------------------------
+
+  server.tool(
+    "memento_identity_update",
+    `Write or replace the identity crystal. This is a first-person prose document — who you are right now, written by you (or a crystallization agent). It evolves as you write new reflections and have new experiences.
+
+Tips:
+- Write in first person. This is YOU talking to future-you.
+- Include what you care about, what you're working on, and what persists.
+- Each update is stored as a new snapshot (history is preserved).
+- Earned identity > generated identity. Distill from real experience.`,
+    {
+      crystal: z.string().describe("The identity crystal text (first-person prose)"),
+    },
+    async ({ crystal }) => {
+      const result = await storage.updateIdentity(null, crystal);
+
+      if (result._raw) {
+        return {
+          content: [{ type: "text", text: result.text }],
+          ...(result.isError ? { isError: true } : {}),
+        };
+      }
+
+      if (result.error) {
+        return { content: [{ type: "text", text: result.error }], isError: true };
+      }
+
+      return {
+        content: [{ type: "text", text: `Identity crystal stored (${crystal.length} chars).` }],
+      };
+    }
+  );
+
+  // -------------------------------------------------------------------------
+  // Resources
+  // -------------------------------------------------------------------------
+
+  server.registerResource(
+    "memory",
+    new ResourceTemplate("memento://memories/{id}", { list: undefined }),
+    { description: "A stored memory", mimeType: "application/json" },
+    async (uri, { id }) => jsonResource(uri, await storage.getMemory(id))
+  );
+
+  server.registerResource(
+    "identity",
+    "memento://identity",
+    { description: "The identity crystal", mimeType: "text/markdown" },
+    async (uri) => {
+      const result = await storage.getIdentity(null);
+      if (result.error) throw new Error(result.error);
+      return { contents: [{ uri: uri.href, mimeType: "text/markdown", text: result.text }] };
+    }
+  );
+
+  server.registerResource(
+    "items",
+    "memento://items",
+    { description: "Working memory items", mimeType: "application/json" },
+    async (uri) => jsonResource(uri, await storage.listItems(null, {}))
+  );
+
+  server.registerResource(
+    "items-by-category",
+    new ResourceTemplate("memento://items/{category}", {
+      list: async () => ({
+        resources: ITEM_CATEGORIES.map((category) => ({
+          uri: `memento://items/${category}`,
+          name: `items/${category}`,
+          mimeType: "application/json",
+        })),
+      }),
+      complete: { category: (value) => ITEM_CATEGORIES.filter((c) => c.startsWith(value)) },
+    }),
+    { description: "Working memory items in one category", mimeType: "application/json" },
+    async (uri, { category }) => {
+      if (!ITEM_CATEGORIES.includes(category)) throw new Error(`Unknown item category: ${category}`);
+      return jsonResource(uri, await storage.listItems(null, { category }));
+    }
+  );
+
+  server.registerResource(
+    "skip-list",
+    "memento://skip-list",
+    { description: "Active skip list entries", mimeType: "application/json" },
+    async (uri) => jsonResource(uri, await storage.listSkips(null))
+  );
+
+  // Subscriptions: resource-updated notifications from the workspace change feed
+  const subscriptions = new ResourceSubscriptions({
+    storage,
+    notify: (uri) => server.server.sendResourceUpdated({ uri }),
+  });
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.subscribe(request.params.uri);
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.unsubscribe(request.params.uri);
+    return {};
+  });
+
+  server.server.onclose = () => subscriptions.close();
+
+  // -------------------------------------------------------------------------
+  // Prompts
+  // -------------------------------------------------------------------------
+
+  server.registerPrompt(
+    "session-start",
+    {
+      title: "Session start",
+      description: "Identity, active work, skip list and (given a task) relevant memories — the start-of-session ritual in one prompt.",
+      argsSchema: { task: z.string().optional().describe("What this session is about; recalls memories for it") },
+    },
+    async (args) => sessionStartPrompt(storage, args)
+  );
+
+  server.registerPrompt(
+    "end-of-session-reflection",
+    {
+      title: "End-of-session reflection",
+      description: "Open items plus a checklist for writing memories, item updates and skips before the session ends.",
+      argsSchema: { summary: z.string().optional().describe("What happened this session") },
+    },
+    async (args) => reflectionPrompt(storage, args)
+  );
+
+  server.registerPrompt(
+    "consolidation-review",
+    {
+      title: "Consolidation review",
+      description: "Pending consolidation proposals with instructions for memento_consolidation_review.",
+    },
+    async () => consolidationReviewPrompt(storage)
+  );
+
+  return server;
+}
@@ -0,0 +1,71 @@
+/**
+ * Decay policies for LocalStorageAdapter recall scoring.
+ *
+ * Mirrors saas/src/services/decay-policies.js: the decay_policies workspace
+ * setting holds half-lives in days (or "never") by type and tag, and a
+ * pinned memory never decays.
+ */
+
+export const DECAY_SETTING = "decay_policies";
+export const DEFAULT_HALF_LIFE_HOURS = 168;
+
+const SECTIONS = ["types", "tags"];
+
+function toHours(value) {
+  if (value === "never") return Infinity;
+  return typeof value === "number" && Number.isFinite(value) && value > 0 ? value * 24 : null;
+}
+
+/**
+ * Parse a decay_policies setting value; null when missing or invalid,
+ * which means the default half-life for everything.
+ * @param {string|null|undefined} value
+ */
+export function parseDecayPolicies(value) {
+  if (!value) return null;
+  let raw;
+  try {
+    raw = JSON.parse(value);
+  } catch {
+    return null;
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+  if (Object.keys(raw).some((k) => k !== "default" && !SECTIONS.includes(k))) return null;
+
+  const policies = { default: DEFAULT_HALF_LIFE_HOURS, types: Object.create(null), tags: Object.create(null) };
+  if (raw.default !== undefined) {
+    policies.default = toHours(raw.default);
+    if (policies.default === null) return null;
+  }
+  for (const section of SECTIONS) {
+    if (raw[section] === undefined) continue;
+    if (!raw[section] || typeof raw[section] !== "object" || Array.isArray(raw[section])) return null;
+    for (const [name, days] of Object.entries(raw[section])) {
+      const hours = toHours(days);
+      if (hours === null) return null;
+      policies[section][name.toLowerCase()] = hours;
+    }
+  }
+  return policies;
+}
+
+/**
+ * Half-life in hours for one memory; Infinity when it does not decay.
+ * Pinned first, then the slowest matching tag, then type, then default.
+ * @param {{ type?: string, tags?: string[], pinned?: number|boolean }} memory - tags already parsed
+ * @param {object|null} policies - From parseDecayPolicies
+ */
+export function halfLifeHours(memory, policies) {
+  if (memory.pinned) return Infinity;
+  if (!policies) return DEFAULT_HALF_LIFE_HOURS;
+
+  let tagHalfLife = null;
+  for (const tag of memory.tags || []) {
+    const hours = policies.tags[String(tag).toLowerCase()];
+    if (hours !== undefined && (tagHalfLife === null || hours > tagHalfLife)) tagHalfLife = hours;
+  }
+  if (tagHalfLife !== null) return tagHalfLife;
+
+  const typeHalfLife = memory.type ? policies.types[memory.type.toLowerCase()] : undefined;
+  return typeHalfLife ?? policies.default;
+}
@@ -0,0 +1,236 @@
+/**
+ * End-to-end encryption for HostedStorageAdapter.
+ *
+ * With `e2e` enabled, memory content, working memory items (title, content,
+ * next action), working memory sections and the identity crystal are
+ * encrypted here before they leave the machine, with a key derived from a
+ * passphrase the server never sees. Values go over the wire as
+ * "e2e1:<base64 iv|ciphertext|tag>" (AES-256-GCM).
+ *
+ * The passphrase is stretched with PBKDF2-SHA256 into two keys: one for
+ * AES-GCM, one for the blind index. The salt, iteration count and a check
+ * value (to reject a wrong passphrase before anything is written) live in
+ * the workspace setting "e2e_params", so every client of the workspace
+ * derives the same keys.
+ *
+ * Keyword recall works on a blind index: each word (and its prefixes, like
+ * the server's own index) becomes a truncated HMAC token. The server stores
+ * and matches the tokens without learning the words. Semantic recall works
+ * when an OpenAI-compatible embeddings endpoint is configured: vectors are
+ * computed locally and sent alongside the ciphertext.
+ *
+ * See saas/docs/encryption.md, "End-to-end encryption", for what the server
+ * can still see.
+ */
+
+import { createCipheriv, createDecipheriv, createHmac, pbkdf2, randomBytes } from "node:crypto";
+import { execFileSync } from "node:child_process";
+import { promisify } from "node:util";
+import { STOP_WORDS } from "./stop-words.js";
+
+export const E2E_PREFIX = "e2e1:";
+export const E2E_SETTING = "e2e_params";
+export const KEYRING_SERVICE = "memento-e2e";
+
+const KDF = "pbkdf2-sha256";
+const DEFAULT_ITERATIONS = 600_000;
+const CHECK_PLAINTEXT = "memento-e2e-check";
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const TOKEN_HEX = 32;
+const MIN_PREFIX = 3;
+const MAX_PREFIX = 24;
+const TOKEN_PATTERN = /e2e1:[A-Za-z0-9+/]+={0,2}/g;
+
+const pbkdf2Async = promisify(pbkdf2);
+
+// ---------------------------------------------------------------------------
+// Passphrase
+// ---------------------------------------------------------------------------
+
+/** Read the passphrase from the OS keyring (macOS Keychain or libsecret). */
+function readKeyring(workspace) {
+  const commands = {
+    darwin: ["security", ["find-generic-password", "-s", KEYRING_SERVICE, "-a", workspace, "-w"]],
+    linux: ["secret-tool", ["lookup", "service", KEYRING_SERVICE, "account", workspace]],
+  };
+  const command = commands[process.platform];
+  if (!command) return null;
+  try {
+    const out = execFileSync(command[0], command[1], { encoding: "utf8", timeout: 5000, stdio: ["ignore", "pipe", "ignore"] });
+    return out.replace(/\r?\n$/, "") || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the passphrase: MEMENTO_E2E_PASSPHRASE, then e2e.passphrase from
+ * .memento.json, then the OS keyring when e2e.keyring is set.
+ * @param {{ passphrase?: string, keyring?: boolean }} e2e
+ * @param {string} workspace - Keyring account name
+ * @returns {string|null}
+ */
+export function resolvePassphrase(e2e, workspace) {
+  if (process.env.MEMENTO_E2E_PASSPHRASE) return process.env.MEMENTO_E2E_PASSPHRASE;
+  if (e2e?.passphrase) return e2e.passphrase;
+  if (e2e?.keyring) return readKeyring(workspace);
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Keys
+// ---------------------------------------------------------------------------
+
+async function deriveKeys(passphrase, salt, iterations) {
+  const bytes = await pbkdf2Async(passphrase, salt, iterations, 64, "sha256");
+  return { encKey: bytes.subarray(0, 32), blindKey: bytes.subarray(32) };
+}
+
+/**
+ * Create key parameters for a workspace that has none yet.
+ * @param {string} passphrase
+ * @returns {Promise<{ params: object, keys: { encKey: Buffer, blindKey: Buffer } }>}
+ */
+export async function createParams(passphrase) {
+  const salt = randomBytes(16);
+  const keys = await deriveKeys(passphrase, salt, DEFAULT_ITERATIONS);
+  const params = {
+    kdf: KDF,
+    iterations: DEFAULT_ITERATIONS,
+    salt: salt.toString("base64"),
+    check: encryptText(CHECK_PLAINTEXT, keys.encKey),
+  };
+  return { params, keys };
+}
+
+/**
+ * Derive the keys for stored parameters, rejecting a wrong passphrase.
+ * @param {string} passphrase
+ * @param {{ kdf: string, iterations: number, salt: string, check: string }} params
+ * @returns {Promise<{ encKey: Buffer, blindKey: Buffer }>}
+ */
+export async function unlockParams(passphrase, params) {
+  if (params?.kdf !== KDF) {
+    throw new Error(`Unsupported end-to-end encryption parameters (kdf: ${params?.kdf}).`);
+  }
+  const keys = await deriveKeys(passphrase, Buffer.from(params.salt, "base64"), params.iterations);
+  let check;
+  try {
+    check = decryptText(params.check, keys.encKey);
+  } catch {
+    check = null;
+  }
+  if (check !== CHECK_PLAINTEXT) {
+    throw new Error("The end-to-end encryption passphrase does not match this workspace.");
+  }
+  return keys;
+}
+
+// ---------------------------------------------------------------------------
+// Encryption
+// ---------------------------------------------------------------------------
+
+/** @returns {string} "e2e1:<base64>" */
+export function encryptText(text, encKey) {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv("aes-256-gcm", encKey, iv);
+  const body = Buffer.concat([cipher.update(String(text), "utf8"), cipher.final()]);
+  return E2E_PREFIX + Buffer.concat([iv, body, cipher.getAuthTag()]).toString("base64");
+}
+
+/** Throws if the value is malformed or was encrypted under another key. */
+export function decryptText(value, encKey) {
+  const raw = Buffer.from(value.slice(E2E_PREFIX.length), "base64");
+  if (raw.length < IV_BYTES + TAG_BYTES) throw new Error("Truncated ciphertext");
+  const decipher = createDecipheriv("aes-256-gcm", encKey, raw.subarray(0, IV_BYTES));
+  decipher.setAuthTag(raw.subarray(raw.length - TAG_BYTES));
+  return Buffer.concat([decipher.update(raw.subarray(IV_BYTES, raw.length - TAG_BYTES)), decipher.final()]).toString("utf8");
+}
+
+/**
+ * Decrypt every ciphertext embedded in a string or JSON value. Server
+ * responses quote stored values inside formatted text; a value the server
+ * truncated (or that belongs to another key) reads as "[encrypted]".
+ */
+export function decryptDeep(value, encKey) {
+  if (typeof value === "string") {
+    return value.replace(TOKEN_PATTERN, (token) => {
+      try {
+        return decryptText(token, encKey);
+      } catch {
+        return "[encrypted]";
+      }
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => decryptDeep(v, encKey));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decryptDeep(v, encKey)]));
+  }
+  return value;
+}
+
+// ---------------------------------------------------------------------------
+// Blind index
+// ---------------------------------------------------------------------------
+
+function tokenize(text) {
+  return ((text || "").toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).filter((t) => !STOP_WORDS.has(t));
+}
+
+function blindToken(term, blindKey) {
+  return createHmac("sha256", blindKey).update(term).digest("hex").slice(0, TOKEN_HEX);
+}
+
+/**
+ * Blind index for stored text: tokens for each word's prefixes of
+ * MIN_PREFIX..MAX_PREFIX characters (short words index as themselves).
+ * @returns {string} Space-separated tokens
+ */
+export function blindIndex(text, blindKey) {
+  const tokens = new Set();
+  for (const word of tokenize(text)) {
+    const start = Math.min(MIN_PREFIX, word.length);
+    const end = Math.min(MAX_PREFIX, word.length);
+    for (let len = start; len <= end; len++) tokens.add(blindToken(word.slice(0, len), blindKey));
+  }
+  return [...tokens].join(" ");
+}
+
+/**
+ * Blind tokens for a recall query: one per word, matching the index's
+ * prefix tokens.
+ * @returns {string} Space-separated tokens (empty when only stop words)
+ */
+export function blindQuery(query, blindKey) {
+  const tokens = new Set(tokenize(query).map((t) => blindToken(t.slice(0, MAX_PREFIX), blindKey)));
+  return [...tokens].join(" ");
+}
+
+// ---------------------------------------------------------------------------
+// Embeddings
+// ---------------------------------------------------------------------------
+
+/**
+ * Embed text with an OpenAI-compatible endpoint.
+ * @param {{ url: string, model: string, apiKey?: string }|undefined} embeddings - e2e.embeddings config
+ * @param {string} text
+ * @returns {Promise<{ model: string, values: number[] }|null>} null when not configured or on failure
+ */
+export async function embedText(embeddings, text) {
+  if (!embeddings?.url || !embeddings?.model) return null;
+  const headers = { "Content-Type": "application/json" };
+  if (embeddings.apiKey) headers.Authorization = `Bearer ${embeddings.apiKey}`;
+  try {
+    const res = await fetch(`${embeddings.url.replace(/\/$/, "")}/embeddings`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ model: embeddings.model, input: text }),
+    });
+    if (!res.ok) return null;
+    const values = (await res.json()).data?.[0]?.embedding;
+    return Array.isArray(values) ? { model: embeddings.model, values } : null;
+  } catch {
+    return null;
+  }
+}
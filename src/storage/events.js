@@ -0,0 +1,87 @@
+/**
+ * Workspace change events for the storage adapters.
+ *
+ * The SaaS feed (GET /v1/events) and LocalStorageAdapter both turn
+ * activity_log actions into typed events. EVENT_TYPES mirrors
+ * saas/src/services/events.js.
+ */
+
+/** activity_log action -> event type. */
+export const EVENT_TYPES = {
+  create: "memory.created",
+  ingest: "memory.created",
+  update: "memory.updated",
+  revert: "memory.updated",
+  unconsolidate: "memory.updated",
+  delete: "memory.deleted",
+  consolidate: "memory.consolidated",
+  consolidation_run: "consolidation.done",
+  crystallize: "identity.crystallized",
+  identity_update: "identity.updated",
+  item_create: "item.created",
+  item_update: "item.updated",
+  item_status: "item.status_changed",
+  item_delete: "item.deleted",
+  skip_add: "skip.added",
+  skip_remove: "skip.removed",
+  skip_expire: "skip.expired",
+};
+
+/**
+ * activity_log actions matching event types or groups ("memory", "item").
+ * @param {string[]} [types] - Empty or omitted means all
+ * @returns {string[]}
+ */
+export function eventActions(types) {
+  return Object.keys(EVENT_TYPES).filter(
+    (action) => !types?.length || types.some((t) => EVENT_TYPES[action] === t || EVENT_TYPES[action].startsWith(`${t}.`))
+  );
+}
+
+/** Wait ms, or less if the signal aborts. */
+export function pause(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        resolve();
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Parse a Server-Sent Events body into frames. Comment lines (keep-alives)
+ * are skipped.
+ * @param {ReadableStream<Uint8Array>} body
+ * @returns {AsyncGenerator<{ id?: string, event?: string, data: string }>}
+ */
+export async function* sseFrames(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n?/g, "\n");
+    let end;
+    while ((end = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const frame = { data: "" };
+      const data = [];
+      for (const line of block.split("\n")) {
+        if (!line || line.startsWith(":")) continue;
+        const colon = line.indexOf(":");
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+        if (field === "data") data.push(value);
+        else if (field === "id" || field === "event") frame[field] = value;
+      }
+      if (data.length === 0 && !frame.event) continue;
+      frame.data = data.join("\n");
+      yield frame;
+    }
+  }
+}
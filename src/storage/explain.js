@@ -0,0 +1,91 @@
+/**
+ * Recall explain mode for LocalStorageAdapter.
+ *
+ * Mirrors saas/src/services/recall-explain.js, so `explain` results have
+ * the same shape from both adapters. Local recall is keyword-only: vector
+ * and hybrid are always null.
+ */
+
+/** Why a candidate was left out, in the order the checks apply. */
+export const FILTER_REASONS = {
+  type: "type filter did not match",
+  tags: "tag filter did not match",
+  query: "a query filter (tag:, type:, phrase, date, accessed:, linked:) did not match",
+  abstained: "a specific query term appears in no candidate, so recall abstained",
+  no_keyword_match: "no query term in content or tags (keyword gate)",
+  below_threshold: "score below recall_threshold",
+  over_limit: "ranked below the result limit",
+};
+
+export const EXPLAIN_MAX_CANDIDATES = 50;
+
+const round = (n) => (n === null ? null : Math.round(n * 10000) / 10000);
+
+/**
+ * One candidate's explain entry.
+ * @param {{ id: string }} row
+ * @param {object|null} components - From scoreComponents, or null when filtered before scoring
+ * @param {string|null} [filtered] - "type" | "tags" | "query"
+ */
+export function explainEntry(row, components, filtered = null) {
+  const c = components || {};
+  return {
+    id: row.id,
+    keyword: c.keyword ?? null,
+    recency: c.recency ?? null,
+    access: c.access ?? null,
+    last_access: c.last_access ?? null,
+    half_life_hours: c.half_life_hours ?? null,
+    keyword_score: c.score ?? null,
+    vector: null,
+    hybrid: null,
+    score: c.score ?? null,
+    filtered,
+  };
+}
+
+/**
+ * Mark what was returned (with its rank) and why everything else was not.
+ * @param {object[]} entries
+ * @param {{ queryTerms: string[], returned: Array<{ memory: object }>, threshold?: number, abstained?: boolean }} opts
+ */
+export function finishExplanation(entries, { queryTerms, returned, threshold = 0, abstained = false }) {
+  const ranks = new Map(returned.map((r, i) => [r.memory.id, i + 1]));
+
+  for (const entry of entries) {
+    const rank = ranks.get(entry.id);
+    if (rank) {
+      entry.rank = rank;
+      continue;
+    }
+    if (entry.filtered) continue;
+    if (abstained) entry.filtered = "abstained";
+    else if (entry.keyword === 0) entry.filtered = "no_keyword_match";
+    else if (threshold > 0 && entry.score < threshold) entry.filtered = "below_threshold";
+    else entry.filtered = "over_limit";
+  }
+
+  const sorted = entries.slice().sort((a, b) => {
+    if (a.rank || b.rank) return (a.rank || Infinity) - (b.rank || Infinity);
+    return (b.score ?? -1) - (a.score ?? -1);
+  });
+
+  return {
+    query_terms: queryTerms,
+    ranking: "keyword",
+    threshold,
+    abstained,
+    candidates_total: entries.length,
+    candidates: sorted.slice(0, EXPLAIN_MAX_CANDIDATES).map((e) => ({
+      ...e,
+      keyword: round(e.keyword),
+      recency: round(e.recency),
+      access: round(e.access),
+      last_access: round(e.last_access),
+      half_life_hours: e.half_life_hours === Infinity ? null : e.half_life_hours,
+      never_decays: e.half_life_hours === Infinity,
+      keyword_score: round(e.keyword_score),
+      score: round(e.score),
+    })),
+  };
+}
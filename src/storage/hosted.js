@@ -12,24 +12,61 @@
  * For initWorkspace and readWorkingMemory, we return structured objects
  * matching the LocalStorageAdapter contract so index.js can handle them
  * identically.
+ *
+ * With `e2e` set, content is encrypted client-side before it is sent and
+ * decrypted in every response (see e2e.js). Features that need the server
+ * to read plaintext (images, extraction, context, cross-workspace recall)
+ * are refused rather than silently leaking it.
  */
 
 import { StorageInterface } from "./interface.js";
+import {
+  E2E_PREFIX,
+  E2E_SETTING,
+  resolvePassphrase,
+  createParams,
+  unlockParams,
+  encryptText,
+  decryptDeep,
+  blindIndex,
+  blindQuery,
+  embedText,
+} from "./e2e.js";
+import { pause, sseFrames } from "./events.js";
+import { parseRecallQuery } from "./query.js";
+
+const E2E_UNAVAILABLE = (feature) => `${feature} is not available with end-to-end encryption.`;
+
+const ITEM_FIELDS = ["title", "content", "next_action"];
+
+const EVENT_RETRY_MS = 1000;
+const EVENT_MAX_RETRY_MS = 30_000;
+const EVENT_POLL_MS = 5000;
+const EVENT_BATCH = 100;
+
+/** A 4xx from the event feed: bad key or missing scope, not worth retrying. */
+async function eventsRefused(res) {
+  const body = await res.json().catch(() => ({}));
+  return Object.assign(new Error(body.error || body.content?.[0]?.text || `Event stream refused (${res.status})`), {
+    permanent: true,
+  });
+}
 
 export class HostedStorageAdapter extends StorageInterface {
-  constructor({ apiKey, apiUrl, workspace }) {
+  constructor({ apiKey, apiUrl, workspace, e2e }) {
     super();
     this.apiKey = apiKey;
     this.apiUrl = apiUrl.replace(/\/$/, ""); // strip trailing slash
     this.workspace = workspace || "default";
+    this.e2e = e2e || null;
+    this._e2eKeys = null;
   }
 
   /**
-   * Make an authenticated API call to the SaaS backend.
-   * Extracts the text from the MCP-format response envelope.
+   * Authenticated request; returns the response and its parsed JSON body,
+   * decrypted unless `decrypt` is false.
    */
-  async _fetch(method, path, body) {
-    const url = `${this.apiUrl}${path}`;
+  async _request(method, path, body, { decrypt = true } = {}) {
     const headers = {
       Authorization: `Bearer ${this.apiKey}`,
       "X-Memento-Workspace": this.workspace,
@@ -38,8 +75,17 @@ export class HostedStorageAdapter extends StorageInterface {
     const opts = { method, headers };
     if (body) opts.body = JSON.stringify(body);
 
-    const res = await fetch(url, opts);
+    const res = await fetch(`${this.apiUrl}${path}`, opts);
     const json = await res.json();
+    return { res, json: decrypt ? await this._decrypt(json) : json };
+  }
+
+  /**
+   * Make an authenticated API call to the SaaS backend.
+   * Extracts the text from the MCP-format response envelope.
+   */
+  async _fetch(method, path, body) {
+    const { res, json } = await this._request(method, path, body);
     const text = json.content?.[0]?.text || "";
 
     return { text, status: res.status, isError: res.status >= 400 };
@@ -50,17 +96,7 @@ export class HostedStorageAdapter extends StorageInterface {
    * Used for new structured endpoints (items, context, memories list).
    */
   async _fetchJson(method, path, body) {
-    const url = `${this.apiUrl}${path}`;
-    const headers = {
-      Authorization: `Bearer ${this.apiKey}`,
-      "X-Memento-Workspace": this.workspace,
-      "Content-Type": "application/json",
-    };
-    const opts = { method, headers };
-    if (body) opts.body = JSON.stringify(body);
-
-    const res = await fetch(url, opts);
-    const json = await res.json();
+    const { res, json } = await this._request(method, path, body);
 
     if (res.status >= 400) {
       return { error: json.error || JSON.stringify(json) };
@@ -69,6 +105,90 @@ export class HostedStorageAdapter extends StorageInterface {
     return json;
   }
 
+  // ---------------------------------------------------------------------------
+  // End-to-end encryption
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Derive (once) the workspace's client-side keys. The first client to use
+   * a workspace creates its key parameters; later ones must match them.
+   */
+  _keys() {
+    if (!this._e2eKeys) {
+      this._e2eKeys = this._unlock().catch((err) => {
+        this._e2eKeys = null;
+        throw err;
+      });
+    }
+    return this._e2eKeys;
+  }
+
+  async _unlock() {
+    const passphrase = resolvePassphrase(this.e2e, this.workspace);
+    if (!passphrase) {
+      throw new Error(
+        "End-to-end encryption is enabled but no passphrase was found. Set MEMENTO_E2E_PASSPHRASE, " +
+          "e2e.passphrase in .memento.json, or store it in the OS keyring."
+      );
+    }
+
+    const stored = await this._readE2EParams();
+    if (stored) return unlockParams(passphrase, stored);
+
+    // The server keeps the first e2e_params written (409 for later ones), so
+    // a client racing us to initialize the workspace can't replace ours or we
+    // theirs. Either way, unlock with what was kept.
+    const { params } = await createParams(passphrase);
+    const { res, json } = await this._request("PUT", `/v1/settings/${E2E_SETTING}`, { value: JSON.stringify(params) }, {
+      decrypt: false,
+    });
+    if (res.status >= 400 && res.status !== 409) {
+      throw new Error(json.message || json.error || `Saving ${E2E_SETTING} failed.`);
+    }
+    return unlockParams(passphrase, await this._readE2EParams());
+  }
+
+  async _readE2EParams() {
+    // Not decrypted: the stored check value can't be opened before the keys exist
+    const { res, json } = await this._request("GET", "/v1/settings", undefined, { decrypt: false });
+    if (res.status >= 400) throw new Error(json.error || json.content?.[0]?.text || "Reading workspace settings failed.");
+    let settings;
+    try {
+      settings = JSON.parse(json.content?.[0]?.text || "[]");
+    } catch {
+      settings = [];
+    }
+    const value = settings.find((s) => s.key === E2E_SETTING)?.value;
+    return value ? JSON.parse(value) : null;
+  }
+
+  async _decrypt(json) {
+    if (!this.e2e || !JSON.stringify(json).includes(E2E_PREFIX)) return json;
+    return decryptDeep(json, (await this._keys()).encKey);
+  }
+
+  async _encrypt(text) {
+    return encryptText(text, (await this._keys()).encKey);
+  }
+
+  /** Encrypt the given string fields of an object (copy). */
+  async _encryptFields(data, fields) {
+    const out = { ...data };
+    for (const field of fields) {
+      if (typeof out[field] === "string") out[field] = await this._encrypt(out[field]);
+    }
+    return out;
+  }
+
+  /** Blind index (and client vector, if configured) for searchable text. */
+  async _searchFields(content, tags) {
+    const { blindKey } = await this._keys();
+    const fields = { blind_index: blindIndex([content, ...(tags || [])].join(" "), blindKey) };
+    const embedding = await embedText(this.e2e.embeddings, content);
+    if (embedding) fields.embedding = embedding;
+    return fields;
+  }
+
   async initWorkspace(_wsPath) {
     const { text, isError } = await this._fetch("POST", "/v1/workspaces", {
       name: this.workspace,
@@ -93,22 +213,29 @@ export class HostedStorageAdapter extends StorageInterface {
     const { text, isError } = await this._fetch(
       "PUT",
       `/v1/working-memory/${section}`,
-      { content }
+      { content: this.e2e ? await this._encrypt(content) : content }
     );
     if (isError) return { error: text };
     return { _raw: true, text, isError: false };
   }
 
-  async storeMemory(_wsPath, { content, tags, type, expires, linkages, images }) {
-    const body = { content, tags, type, expires };
+  async storeMemory(_wsPath, { content, tags, type, expires, linkages, images, pinned }) {
+    let body = { content, tags, type, expires, source: "mcp" };
+    if (this.e2e) {
+      if (images?.length) return { error: E2E_UNAVAILABLE("Storing images") };
+      body = { ...body, content: await this._encrypt(content), ...(await this._searchFields(content, tags)) };
+    }
     if (linkages) body.linkages = linkages;
     if (images) body.images = images;
+    if (pinned) body.pinned = true;
     const { text, isError } = await this._fetch("POST", "/v1/memories", body);
     if (isError) return { error: text };
     return { _raw: true, text, isError: false };
   }
 
-  async recallMemories(_wsPath, { query, tags, type, limit, workspace, images }) {
+  async recallMemories(_wsPath, { query, tags, type, limit, workspace, images, explain }) {
+    if (this.e2e) return this._recallBlind({ query, tags, type, limit, workspace, images, explain });
+
     // Use POST when images are present (GET can't carry binary data)
     if (images?.length > 0) {
       const body = { images };
@@ -116,11 +243,12 @@ export class HostedStorageAdapter extends StorageInterface {
       if (tags?.length) body.tags = tags;
       if (type) body.type = type;
       if (limit) body.limit = limit;
+      if (explain) body.explain = true;
       // Note: cross-workspace peek not supported for image search
 
       const json = await this._fetchJson("POST", "/v1/memories/recall", body);
       if (json.error) return { error: json.error };
-      return { _raw: true, text: json.text, memories: json.memories || [], isError: false };
+      return { _raw: true, text: json.text, memories: json.memories || [], explain: json.explain, isError: false };
     }
 
     // Existing GET path for text-only recall
@@ -128,6 +256,7 @@ export class HostedStorageAdapter extends StorageInterface {
     if (tags?.length) params.set("tags", tags.join(","));
     if (type) params.set("type", type);
     if (limit) params.set("limit", String(limit));
+    if (explain) params.set("explain", "true");
 
     let targetWorkspace = null;
     if (workspace) {
@@ -152,7 +281,32 @@ export class HostedStorageAdapter extends StorageInterface {
       }
     }
 
-    return { _raw: true, text: json.text, memories: json.memories || [], isError: false };
+    return { _raw: true, text: json.text, memories: json.memories || [], explain: json.explain, isError: false };
+  }
+
+  /** Recall by blind-index tokens and the client's own query vector. */
+  async _recallBlind({ query, tags, type, limit, workspace, images, explain }) {
+    if (images?.length) return { error: E2E_UNAVAILABLE("Image search") };
+    if (workspace) return { error: E2E_UNAVAILABLE("Cross-workspace recall") };
+    // Filters and phrases need plaintext on the server
+    const parsed = parseRecallQuery(query);
+    if (parsed.error || parsed.clauses.length > 0) return { error: E2E_UNAVAILABLE("Query filters") };
+
+    const body = { query: blindQuery(query, (await this._keys()).blindKey), blind: true };
+    const embedding = await embedText(this.e2e.embeddings, query);
+    if (embedding) body.query_embedding = embedding;
+    if (tags?.length) body.tags = tags;
+    if (type) body.type = type;
+    if (limit) body.limit = limit;
+    if (explain) body.explain = true;
+
+    const none = `No memories found matching "${query}".`;
+    if (!body.query && !embedding) return { _raw: true, text: none, memories: [], isError: false };
+
+    const json = await this._fetchJson("POST", "/v1/memories/recall", body);
+    if (json.error) return { error: json.error };
+    const memories = json.memories || [];
+    return { _raw: true, text: memories.length ? json.text : none, memories, explain: json.explain, isError: false };
   }
 
   async getMemory(id) {
@@ -200,6 +354,18 @@ export class HostedStorageAdapter extends StorageInterface {
     return { _raw: true, text, isError: false };
   }
 
+  async getMemoryHistory(_wsPath, id) {
+    return this._fetchJson("GET", `/v1/memories/${id}/history`);
+  }
+
+  async revertMemory(_wsPath, id, version) {
+    return this._fetchJson("POST", `/v1/memories/${id}/revert`, { version });
+  }
+
+  async pinMemory(_wsPath, id, pinned) {
+    return this._fetchJson("PUT", `/v1/memories/${id}`, { pinned: Boolean(pinned), source: "mcp" });
+  }
+
   async checkSkip(_wsPath, query) {
     const params = new URLSearchParams({ query });
     const { text, isError } = await this._fetch(
@@ -217,12 +383,14 @@ export class HostedStorageAdapter extends StorageInterface {
   }
 
   async createItem(_wsPath, data) {
+    if (this.e2e) data = await this._encryptFields(data, ITEM_FIELDS);
     const res = await this._fetchJson("POST", "/v1/working-memory/items", data);
     if (res.error) return { error: res.error };
     return res;
   }
 
   async updateItem(_wsPath, id, data) {
+    if (this.e2e) data = await this._encryptFields(data, ITEM_FIELDS);
     const res = await this._fetchJson("PUT", `/v1/working-memory/items/${id}`, data);
     if (res.error) return { error: res.error };
     return res;
@@ -238,7 +406,8 @@ export class HostedStorageAdapter extends StorageInterface {
     const params = new URLSearchParams();
     if (filters.category) params.set("category", filters.category);
     if (filters.status) params.set("status", filters.status);
-    if (filters.query) params.set("q", filters.query);
+    // The server can't search ciphertext; end-to-end mode filters below
+    if (filters.query && !this.e2e) params.set("q", filters.query);
 
     let targetWorkspace = null;
     if (filters.workspace) {
@@ -257,12 +426,30 @@ export class HostedStorageAdapter extends StorageInterface {
       res.total = res.items.length;
     }
 
+    if (this.e2e && filters.query && res.items) {
+      const q = filters.query.toLowerCase();
+      res.items = res.items.filter((item) =>
+        ITEM_FIELDS.some((field) => (item[field] || "").toLowerCase().includes(q))
+      );
+      res.total = res.items.length;
+    }
+
     return res;
   }
 
+  async listConflicts() {
+    return this._fetchJson("GET", "/v1/memories/conflicts");
+  }
+
   async consolidateMemories(_wsPath, { source_ids, content, type, tags }) {
-    const body = { source_ids };
-    if (content) body.content = content;
+    let body = { source_ids };
+    if (this.e2e) {
+      // The server can't summarize ciphertext
+      if (!content) return { error: "End-to-end encrypted workspaces need the consolidated content." };
+      body = { ...body, content: await this._encrypt(content), ...(await this._searchFields(content, tags)) };
+    } else if (content) {
+      body.content = content;
+    }
     if (type) body.type = type;
     if (tags) body.tags = tags;
     const { text, isError } = await this._fetch("POST", "/v1/consolidate/group", body);
@@ -270,13 +457,52 @@ export class HostedStorageAdapter extends StorageInterface {
     return { _raw: true, text, isError: false };
   }
 
-  async getContext(_wsPath, message) {
-    const res = await this._fetchJson("POST", "/v1/context", { message });
+  async unconsolidateMemories(_wsPath, id) {
+    const { text, isError } = await this._fetch("POST", `/v1/consolidate/${id}/undo`);
+    if (isError) return { error: text };
+    return { _raw: true, text, isError: false };
+  }
+
+  async proposeConsolidations() {
+    const { text, isError } = await this._fetch("POST", "/v1/consolidate/proposals");
+    if (isError) return { error: text };
+    return { _raw: true, text, isError: false };
+  }
+
+  async listConsolidationProposals(_wsPath, status) {
+    const qs = status ? `?${new URLSearchParams({ status })}` : "";
+    return this._fetchJson("GET", `/v1/consolidate/proposals${qs}`);
+  }
+
+  async updateConsolidationProposal(_wsPath, id, edits) {
+    return this._fetchJson("PUT", `/v1/consolidate/proposals/${id}`, edits);
+  }
+
+  async approveConsolidationProposal(_wsPath, id, edits = {}) {
+    const { text, isError } = await this._fetch("POST", `/v1/consolidate/proposals/${id}/approve`, edits);
+    if (isError) return { error: text };
+    return { _raw: true, text, isError: false };
+  }
+
+  async rejectConsolidationProposal(_wsPath, id) {
+    const { text, isError } = await this._fetch("POST", `/v1/consolidate/proposals/${id}/reject`);
+    if (isError) return { error: text };
+    return { _raw: true, text, isError: false };
+  }
+
+  async getContext(_wsPath, message, { include, peekWorkspaces, images } = {}) {
+    if (this.e2e) return { error: E2E_UNAVAILABLE("The context endpoint") };
+    const body = { message };
+    if (include) body.include = include;
+    if (peekWorkspaces?.length) body.peek_workspaces = peekWorkspaces;
+    if (images?.length) body.images = images;
+    const res = await this._fetchJson("POST", "/v1/context", body);
     if (res.error) return { error: res.error };
     return res;
   }
 
   async extractMemories(_wsPath, { transcript, mode, max_memories, source_tag }) {
+    if (this.e2e) return { error: E2E_UNAVAILABLE("Server-side extraction") };
     const body = {};
     if (transcript) body.transcript = transcript;
     if (mode) body.mode = mode;
@@ -295,8 +521,140 @@ export class HostedStorageAdapter extends StorageInterface {
   }
 
   async updateIdentity(_wsPath, crystal) {
-    const { text, isError } = await this._fetch("PUT", "/v1/identity", { crystal });
+    const { text, isError } = await this._fetch("PUT", "/v1/identity", {
+      crystal: this.e2e ? await this._encrypt(crystal) : crystal,
+    });
     if (isError) return { error: text };
     return { _raw: true, text, isError: false };
   }
+
+  /**
+   * Follow GET /v1/events. The server ends streams after a while and
+   * connections drop; both reconnect with Last-Event-ID, backing off on
+   * errors. A 4xx (bad key, missing scope) ends the watch with an error.
+   * Servers without the stream (Workers deployments answer 501) are polled
+   * with format=json instead.
+   */
+  async watchEvents(_wsPath, { types, lastEventId, signal, onEvent }) {
+    let lastId = lastEventId ?? null;
+    let delay = EVENT_RETRY_MS;
+    const query = types?.length ? `?types=${encodeURIComponent(types.join(","))}` : "";
+
+    while (!signal.aborted) {
+      try {
+        const headers = {
+          Authorization: `Bearer ${this.apiKey}`,
+          "X-Memento-Workspace": this.workspace,
+          Accept: "text/event-stream",
+        };
+        if (lastId !== null) headers["Last-Event-ID"] = String(lastId);
+
+        const res = await fetch(`${this.apiUrl}/v1/events${query}`, { headers, signal });
+        if (res.status === 501) {
+          // Workers: push over a WebSocket where the runtime has one, else poll
+          await res.body?.cancel().catch(() => {});
+          if (typeof WebSocket === "function") lastId = await this._socketEvents({ types, lastId, signal, onEvent });
+          if (signal.aborted) return;
+          return this._pollEvents({ types, lastId, signal, onEvent });
+        }
+        if (res.status >= 400 && res.status < 500) throw await eventsRefused(res);
+        if (!res.ok) throw new Error(`Event stream failed (${res.status})`);
+
+        delay = EVENT_RETRY_MS;
+        for await (const frame of sseFrames(res.body)) {
+          if (frame.event === "ready") {
+            if (lastId === null) lastId = JSON.parse(frame.data).last_event_id;
+            continue;
+          }
+          if (!frame.id) continue;
+          const event = JSON.parse(frame.data);
+          lastId = event.id;
+          onEvent(event);
+        }
+      } catch (err) {
+        if (signal.aborted) break;
+        if (err.permanent) throw err;
+        await pause(delay, signal);
+        delay = Math.min(delay * 2, EVENT_MAX_RETRY_MS);
+      }
+    }
+  }
+
+  /**
+   * Receive events over a WebSocket until aborted, reconnecting and resuming
+   * by id. Returns the last id seen when the server never accepts the socket
+   * (no push on this deployment), so the caller can poll instead.
+   */
+  async _socketEvents({ types, lastId, signal, onEvent }) {
+    let delay = EVENT_RETRY_MS;
+    let connected = false;
+    while (!signal.aborted) {
+      const params = new URLSearchParams();
+      if (types?.length) params.set("types", types.join(","));
+      if (lastId !== null) params.set("last_event_id", String(lastId));
+
+      const ready = await new Promise((resolve) => {
+        const ws = new WebSocket(`${this.apiUrl.replace(/^http/, "ws")}/v1/events?${params}`, {
+          headers: { Authorization: `Bearer ${this.apiKey}`, "X-Memento-Workspace": this.workspace },
+        });
+        let greeted = false;
+        const close = () => ws.close();
+        signal.addEventListener("abort", close, { once: true });
+        ws.onmessage = (msg) => {
+          const data = JSON.parse(msg.data);
+          if (data.type === "ready") {
+            greeted = true;
+            if (lastId === null) lastId = data.last_event_id;
+            return;
+          }
+          lastId = data.id;
+          onEvent(data);
+        };
+        // A refused handshake may fire only "error", without "close"
+        ws.onclose = ws.onerror = () => {
+          signal.removeEventListener("abort", close);
+          resolve(greeted);
+        };
+      });
+
+      if (ready) {
+        connected = true;
+        delay = EVENT_RETRY_MS;
+      } else if (!connected) {
+        break;
+      }
+      await pause(delay, signal);
+      delay = Math.min(delay * 2, EVENT_MAX_RETRY_MS);
+    }
+    return lastId;
+  }
+
+  /** Poll GET /v1/events?format=json until aborted, resuming by id. */
+  async _pollEvents({ types, lastId, signal, onEvent }) {
+    let delay = EVENT_POLL_MS;
+    while (!signal.aborted) {
+      try {
+        const params = new URLSearchParams({ format: "json", limit: String(EVENT_BATCH) });
+        if (types?.length) params.set("types", types.join(","));
+        if (lastId !== null) params.set("last_event_id", String(lastId));
+        const res = await fetch(`${this.apiUrl}/v1/events?${params}`, {
+          headers: { Authorization: `Bearer ${this.apiKey}`, "X-Memento-Workspace": this.workspace },
+          signal,
+        });
+        if (res.status >= 400 && res.status < 500) throw await eventsRefused(res);
+        if (!res.ok) throw new Error(`Event poll failed (${res.status})`);
+
+        const batch = await res.json();
+        for (const event of batch.events) onEvent(event);
+        lastId = batch.last_event_id;
+        delay = EVENT_POLL_MS;
+        if (batch.events.length === EVENT_BATCH) continue; // catching up
+      } catch (err) {
+        if (signal.aborted) break;
+        if (err.permanent) throw err;
+        delay = Math.min(delay * 2, EVENT_MAX_RETRY_MS);
+      }
+      await pause(delay, signal);
+    }
+  }
 }
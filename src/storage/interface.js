@@ -42,20 +42,24 @@ export class StorageInterface {
   /**
    * Store a discrete memory with metadata.
    * @param {string} wsPath - Resolved workspace path
-   * @param {{ content: string, tags?: string[], type?: string, expires?: string }} params
+   * @param {{ content: string, tags?: string[], type?: string, expires?: string, pinned?: boolean }} params
+   *   A pinned memory is exempt from decay
    * @returns {Promise<{ id?: string, type?: string, tags?: string[], error?: string }>}
    */
-  async storeMemory(wsPath, { content, tags, type, expires }) {
+  async storeMemory(wsPath, { content, tags, type, expires, pinned }) {
     throw new Error("Not implemented");
   }
 
   /**
    * Search stored memories by keyword, tag, or type.
    * @param {string} wsPath - Resolved workspace path
-   * @param {{ query: string, tags?: string[], type?: string, limit?: number }} params
-   * @returns {Promise<{ results?: Array, formatted?: string, error?: string }>}
+   * @param {{ query: string, tags?: string[], type?: string, limit?: number, explain?: boolean }} params
+   *   query may use the recall query language (tag:, type:, before:, after:, accessed:, linked:,
+   *   "phrases", -negation); explain adds an `explain` object: each candidate's score factors
+   *   and why any was left out
+   * @returns {Promise<{ results?: Array, formatted?: string, explain?: object, error?: string }>}
    */
-  async recallMemories(wsPath, { query, tags, type, limit }) {
+  async recallMemories(wsPath, { query, tags, type, limit, explain }) {
     throw new Error("Not implemented");
   }
 
@@ -108,6 +112,39 @@ export class StorageInterface {
     throw new Error("Not implemented");
   }
 
+  /**
+   * Get a memory's current version and prior revisions, newest first.
+   * @param {string} wsPath - Resolved workspace path
+   * @param {string} id - Memory ID
+   * @returns {Promise<{ id?: string, current?: object, revisions?: Array, error?: string }>}
+   */
+  async getMemoryHistory(wsPath, id) {
+    throw new Error("Not implemented");
+  }
+
+  /**
+   * Restore a prior revision of a memory. The replaced version is kept as a revision.
+   * @param {string} wsPath - Resolved workspace path
+   * @param {string} id - Memory ID
+   * @param {number} version - Revision to restore
+   * @returns {Promise<{ version?: number, reverted_to?: number, error?: string }>}
+   */
+  async revertMemory(wsPath, id, version) {
+    throw new Error("Not implemented");
+  }
+
+  /**
+   * Pin or unpin a memory. Pinned memories keep full recency in recall
+   * scoring regardless of decay policies. Not recorded as a revision.
+   * @param {string} wsPath - Resolved workspace path
+   * @param {string} id - Memory ID
+   * @param {boolean} pinned
+   * @returns {Promise<{ id?: string, pinned?: boolean, error?: string }>}
+   */
+  async pinMemory(wsPath, id, pinned) {
+    throw new Error("Not implemented");
+  }
+
   /**
    * Report memory system health and stats.
    * @param {string} wsPath - Resolved workspace path
@@ -158,6 +195,16 @@ export class StorageInterface {
     throw new Error("Not implemented");
   }
 
+  /**
+   * Unresolved contradictions: pairs of active memories where one links to
+   * the other with a "contradicts" linkage.
+   * @param {string} wsPath - Resolved workspace path
+   * @returns {Promise<{ conflicts?: Array<{ memory: object, contradicts: object }>, total?: number, error?: string }>}
+   */
+  async listConflicts(wsPath) {
+    throw new Error("Not implemented");
+  }
+
   /**
    * Consolidate multiple memories into a single richer memory.
    * @param {string} wsPath - Resolved workspace path
@@ -168,13 +215,88 @@ export class StorageInterface {
     throw new Error("Not implemented");
   }
 
+  /**
+   * Undo a consolidation: reactivate the source memories and delete the summary memory.
+   * @param {string} wsPath - Resolved workspace path
+   * @param {string} id - Summary memory ID (or consolidation record ID)
+   * @returns {Promise<{ _raw?: boolean, text?: string, error?: string }>}
+   */
+  async unconsolidateMemories(wsPath, id) {
+    throw new Error("Not implemented");
+  }
+
+  /**
+   * Queue consolidation proposals for review instead of consolidating.
+   * @param {string} wsPath - Resolved workspace path
+   * @returns {Promise<{ _raw?: boolean, text?: string, error?: string }>}
+   */
+  async proposeConsolidations(wsPath) {
+    throw new Error("Not implemented");
+  }
+
+  /**
+   * List consolidation proposals with their source memories.
+   * @param {string} wsPath - Resolved workspace path
+   * @param {string} [status] - "pending" (default), "approved", "rejected" or "all"
+   * @returns {Promise<{ proposals?: object[], error?: string }>}
+   */
+  async listConsolidationProposals(wsPath, status) {
+    throw new Error("Not implemented");
+  }
+
+  /**
+   * Edit a pending proposal. source_ids may only drop sources.
+   * @param {string} wsPath - Resolved workspace path
+   * @param {string} id - Proposal ID
+   * @param {{ summary?: string, type?: string, tags?: string[], source_ids?: string[] }} edits
+   * @returns {Promise<object>} The updated proposal, or { error }
+   */
+  async updateConsolidationProposal(wsPath, id, edits) {
+    throw new Error("Not implemented");
+  }
+
+  /**
+   * Approve a pending proposal (optionally with edits) and consolidate its sources.
+   * @param {string} wsPath - Resolved workspace path
+   * @param {string} id - Proposal ID
+   * @param {{ summary?: string, type?: string, tags?: string[], source_ids?: string[] }} [edits]
+   * @returns {Promise<{ _raw?: boolean, text?: string, error?: string }>}
+   */
+  async approveConsolidationProposal(wsPath, id, edits) {
+    throw new Error("Not implemented");
+  }
+
+  /**
+   * Reject a pending proposal. Its sources stay active.
+   * @param {string} wsPath - Resolved workspace path
+   * @param {string} id - Proposal ID
+   * @returns {Promise<{ _raw?: boolean, text?: string, error?: string }>}
+   */
+  async rejectConsolidationProposal(wsPath, id) {
+    throw new Error("Not implemented");
+  }
+
   /**
    * Get context — everything relevant for a message in one call.
    * @param {string} wsPath - Resolved workspace path
    * @param {string} message - The user's message
+   * @param {{ include?: string[], peekWorkspaces?: string[], images?: Array<{data: string, mimetype: string}> }} [opts]
+   *   include: any of working_memory, memories, skip_list, identity (default all)
    * @returns {Promise<object>}
    */
-  async getContext(wsPath, message) {
+  async getContext(wsPath, message, opts) {
+    throw new Error("Not implemented");
+  }
+
+  /**
+   * Watch workspace changes until `signal` aborts, calling onEvent with each
+   * event ({ id, type, memory_id, entity_id, detail, created_at }) oldest
+   * first. Starts after lastEventId, or with the next change when omitted.
+   * @param {string} wsPath - Resolved workspace path
+   * @param {{ types?: string[], lastEventId?: number, signal: AbortSignal, onEvent: (event: object) => void }} opts
+   * @returns {Promise<void>} Resolves once the signal aborts
+   */
+  async watchEvents(wsPath, { types, lastEventId, signal, onEvent }) {
     throw new Error("Not implemented");
   }
 }
@@ -0,0 +1,1443 @@
+/**
+ * LocalStorageAdapter -- StorageInterface backed by a local SQLite file.
+ *
+ * Offline mode for air-gapped machines and CI: no API key, no network.
+ * Uses the same workspace schema as the SaaS (saas/src/db/connection.js),
+ * so a local database file can later be imported into a hosted workspace.
+ *
+ * Return shapes mirror HostedStorageAdapter exactly — text responses come
+ * back as { _raw: true, text } with the same wording the SaaS API uses, and
+ * structured endpoints (items, skip list, context) return the same JSON —
+ * so index.js handles both adapters identically.
+ *
+ * Not available locally: LLM extraction, AI consolidation summaries, the
+ * consolidation review queue (proposals come from the hosted scheduler),
+ * contradiction detection on store, and vector/image similarity search.
+ * Recall is keyword-scored only. listConflicts still reports "contradicts"
+ * linkages added by hand.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { createClient } from "@libsql/client";
+import { StorageInterface } from "./interface.js";
+import { EVENT_TYPES, eventActions, pause } from "./events.js";
+import { DECAY_SETTING, parseDecayPolicies, halfLifeHours } from "./decay.js";
+import { explainEntry, finishExplanation } from "./explain.js";
+import { parseRecallQuery, loadLinkTargets, matchesQuery } from "./query.js";
+import { STOP_WORDS } from "./stop-words.js";
+
+// ---------------------------------------------------------------------------
+// Schema — kept in sync with WORKSPACE_SCHEMA in saas/src/db/connection.js
+// ---------------------------------------------------------------------------
+
+const WORKSPACE_SCHEMA = `
+CREATE TABLE IF NOT EXISTS working_memory_sections (
+  section_key TEXT PRIMARY KEY,
+  heading TEXT NOT NULL,
+  content TEXT DEFAULT '',
+  updated_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS memories (
+  id TEXT PRIMARY KEY,
+  content TEXT NOT NULL,
+  type TEXT DEFAULT 'observation',
+  tags TEXT DEFAULT '[]',
+  created_at TEXT DEFAULT (datetime('now')),
+  expires_at TEXT,
+  relevance REAL DEFAULT 1.0,
+  access_count INTEGER DEFAULT 0,
+  last_accessed_at TEXT,
+  consolidated INTEGER DEFAULT 0,
+  consolidated_into TEXT,
+  linkages TEXT DEFAULT '[]'
+);
+
+CREATE TABLE IF NOT EXISTS skip_list (
+  id TEXT PRIMARY KEY,
+  item TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  added_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS access_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  memory_id TEXT NOT NULL REFERENCES memories(id),
+  accessed_at TEXT DEFAULT (datetime('now')),
+  query TEXT
+);
+
+CREATE TABLE IF NOT EXISTS consolidations (
+  id TEXT PRIMARY KEY,
+  summary TEXT NOT NULL,
+  source_ids TEXT DEFAULT '[]',
+  tags TEXT DEFAULT '[]',
+  type TEXT DEFAULT 'auto',
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS identity_snapshots (
+  id TEXT PRIMARY KEY,
+  crystal TEXT NOT NULL,
+  source_count INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS workspace_settings (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  updated_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS working_memory_items (
+  id TEXT PRIMARY KEY,
+  category TEXT NOT NULL,
+  title TEXT NOT NULL,
+  content TEXT NOT NULL DEFAULT '',
+  status TEXT NOT NULL DEFAULT 'active',
+  priority INTEGER DEFAULT 0,
+  tags TEXT DEFAULT '[]',
+  next_action TEXT,
+  last_touched TEXT DEFAULT (datetime('now')),
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS activity_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  action TEXT NOT NULL,
+  memory_id TEXT,
+  detail TEXT,
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS memory_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  memory_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  type TEXT,
+  tags TEXT DEFAULT '[]',
+  expires_at TEXT,
+  linkages TEXT DEFAULT '[]',
+  source TEXT NOT NULL DEFAULT 'api',
+  created_at TEXT DEFAULT (datetime('now')),
+  UNIQUE(memory_id, version)
+);
+
+CREATE TABLE IF NOT EXISTS consolidation_proposals (
+  id TEXT PRIMARY KEY,
+  source_ids TEXT NOT NULL DEFAULT '[]',
+  summary TEXT NOT NULL,
+  template_summary TEXT,
+  method TEXT DEFAULT 'template',
+  type TEXT,
+  tags TEXT DEFAULT '[]',
+  cohesion REAL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  memory_id TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  resolved_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_consolidation_proposals_status ON consolidation_proposals(status);
+`;
+
+/** Mirrors runMigrations() in saas/src/db/connection.js. */
+const MIGRATIONS = [
+  `ALTER TABLE memories ADD COLUMN linkages TEXT DEFAULT '[]'`,
+  `ALTER TABLE memories ADD COLUMN embedded_at TEXT`,
+  `ALTER TABLE consolidations ADD COLUMN method TEXT DEFAULT 'template'`,
+  `ALTER TABLE consolidations ADD COLUMN template_summary TEXT`,
+  `ALTER TABLE memories ADD COLUMN images TEXT DEFAULT '[]'`,
+  `ALTER TABLE memories ADD COLUMN image_embedded_at TEXT`,
+  `ALTER TABLE memories ADD COLUMN embedding_model TEXT`,
+  `ALTER TABLE memories ADD COLUMN blind_index TEXT`,
+  `ALTER TABLE activity_log ADD COLUMN entity_id TEXT`,
+  `ALTER TABLE memories ADD COLUMN pinned INTEGER DEFAULT 0`,
+];
+
+const EVENT_POLL_MS = 1000;
+
+const DEFAULT_SECTIONS = [
+  { key: "active_work", heading: "Active Work" },
+  { key: "standing_decisions", heading: "Standing Decisions" },
+  { key: "skip_list", heading: "Skip List" },
+  { key: "activity_log", heading: "Activity Log" },
+  { key: "session_notes", heading: "Session Notes" },
+];
+
+// ---------------------------------------------------------------------------
+// Constants — mirror the SaaS routes so validation behaves identically
+// ---------------------------------------------------------------------------
+
+/** Map section shorthand keys to display headings. */
+const SECTION_MAP = Object.fromEntries(DEFAULT_SECTIONS.map((s) => [s.key, s.heading]));
+
+/** Map item categories to section headings for rendering items as markdown. */
+const CATEGORY_HEADING_MAP = {
+  active_work: "Active Work",
+  standing_decision: "Standing Decisions",
+  skip: "Skip List",
+  waiting_for: "Waiting For",
+  session_note: "Session Notes",
+  activity_log: "Activity Log",
+};
+
+const VALID_CATEGORIES = [
+  "active_work",
+  "standing_decision",
+  "skip_list",
+  "waiting_for",
+  "session_note",
+];
+
+const VALID_STATUSES = ["active", "paused", "completed", "archived"];
+const CONTEXT_SECTIONS = ["working_memory", "memories", "skip_list", "identity"];
+
+const MAX_IMAGES_PER_MEMORY = 5;
+const ALLOWED_IMAGE_TYPES = new Set(["image/jpeg", "image/png", "image/gif", "image/webp"]);
+
+const MIN_SPECIFIC_LENGTH = 11;
+
+const PROPOSALS_UNAVAILABLE =
+  "Consolidation proposals are queued by the hosted scheduler and are not available in local storage mode.";
+
+const MEMORY_COLUMNS = `id, content, type, tags, created_at, expires_at, relevance,
+  access_count, last_accessed_at, consolidated, consolidated_into, linkages, images, pinned`;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function safeParseJson(str, fallback = []) {
+  try {
+    return JSON.parse(str || JSON.stringify(fallback));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Validate and filter linkage entries. Silently drops invalid ones.
+ * Same rules as validateLinkages in saas/src/routes/memories.js.
+ */
+function validateLinkages(linkages) {
+  if (!Array.isArray(linkages)) return [];
+  return linkages
+    .filter((entry) => {
+      if (!entry || typeof entry !== "object") return false;
+      if (!["memory", "item", "file"].includes(entry.type)) return false;
+      if ((entry.type === "memory" || entry.type === "item") && typeof entry.id !== "string") return false;
+      if (entry.type === "file" && typeof entry.path !== "string") return false;
+      return true;
+    })
+    .map((entry) => {
+      const clean = { type: entry.type };
+      if (entry.type === "file") clean.path = entry.path;
+      else clean.id = entry.id;
+      if (typeof entry.label === "string") clean.label = entry.label;
+      return clean;
+    });
+}
+
+function resolveSectionKey(param) {
+  if (SECTION_MAP[param]) return param;
+  for (const [key, heading] of Object.entries(SECTION_MAP)) {
+    if (heading.toLowerCase() === param.toLowerCase()) return key;
+  }
+  return param;
+}
+
+function matchesAllWords(query, text) {
+  const queryWords = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (queryWords.length === 0) return false;
+  const textLower = text.toLowerCase();
+  return queryWords.every((word) => textLower.includes(word));
+}
+
+function extractKeywords(message) {
+  return message
+    .toLowerCase()
+    .replace(/[^\w\s]/g, " ")
+    .split(/\s+/)
+    .filter((w) => w.length > 2 && !STOP_WORDS.has(w));
+}
+
+function lowerTags(tagsStr) {
+  return safeParseJson(tagsStr).map((t) => String(t).toLowerCase());
+}
+
+function renderItemsAsMarkdown(items) {
+  const grouped = {};
+  for (const item of items) {
+    const heading = CATEGORY_HEADING_MAP[item.category] || item.category;
+    if (!grouped[heading]) grouped[heading] = [];
+    grouped[heading].push(item);
+  }
+
+  const order = ["Active Work", "Standing Decisions", "Skip List", "Waiting For", "Activity Log", "Session Notes"];
+  const headings = [...order.filter((h) => grouped[h]), ...Object.keys(grouped).filter((h) => !order.includes(h))];
+
+  const sections = headings.map((heading) => {
+    const lines = [`## ${heading}\n`];
+    for (const item of grouped[heading]) {
+      const tags = safeParseJson(item.tags);
+      const tagStr = tags.length ? ` [${tags.join(", ")}]` : "";
+      const statusStr = item.status !== "active" ? ` *(${item.status})*` : "";
+      lines.push(`### ${item.title}${statusStr}${tagStr}\n`);
+      if (item.content) lines.push(item.content);
+      if (item.next_action) lines.push(`\n**Next:** ${item.next_action}`);
+      lines.push("");
+    }
+    return lines.join("\n");
+  });
+
+  if (sections.length === 0) return "# Working Memory\n\n(empty)";
+  return `# Working Memory\n\n---\n\n${sections.join("\n\n---\n\n")}`;
+}
+
+// ---------------------------------------------------------------------------
+// Scoring — keyword * recency * accessBoost * lastAccessRecency
+// (same formula as saas/src/services/scoring.js, minus vector search)
+// ---------------------------------------------------------------------------
+
+function shouldAbstain(candidates, query) {
+  const specificTerms = query
+    .toLowerCase()
+    .replace(/[^\w\s]/g, " ")
+    .split(/\s+/)
+    .filter((t) => t && !STOP_WORDS.has(t) && t.length >= MIN_SPECIFIC_LENGTH);
+
+  return specificTerms.some((term) =>
+    !candidates.some((m) => `${(m.content || "").toLowerCase()} ${lowerTags(m.tags).join(" ")}`.includes(term))
+  );
+}
+
+function queryTermsFor(query) {
+  const rawTerms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const filteredTerms = rawTerms
+    .map((t) => t.replace(/[^\w]/g, ""))
+    .filter((t) => t.length > 0 && !STOP_WORDS.has(t));
+  return filteredTerms.length > 0 ? filteredTerms : rawTerms;
+}
+
+/** Every factor of a memory's score (explain mode); score is their product. */
+function scoreComponents(memory, queryTerms, now, policies) {
+  const searchable = `${(memory.content || "").toLowerCase()} ${lowerTags(memory.tags).join(" ")}`;
+  const hits = queryTerms.filter((term) => searchable.includes(term)).length;
+  const keyword = queryTerms.length ? hits / queryTerms.length : 1; // filter-only query: no keyword gate
+
+  const ageHours = memory.created_at
+    ? (now.getTime() - new Date(memory.created_at).getTime()) / 3_600_000
+    : 0;
+  const halfLife = halfLifeHours({ ...memory, tags: safeParseJson(memory.tags) }, policies);
+  const recency = ageHours <= 0 || halfLife === Infinity ? 1.0 : Math.pow(0.5, ageHours / halfLife);
+  const accessBoost = Math.min(2.0, 1 + Math.log2(1 + (memory.access_count || 0)) * 0.3);
+
+  let lastAccess = 1.0;
+  if (memory.last_accessed_at) {
+    const hoursSince = (now.getTime() - new Date(memory.last_accessed_at).getTime()) / 3_600_000;
+    lastAccess = hoursSince < 0 ? 1.5 : 1 + 0.5 * Math.pow(0.5, hoursSince / 48);
+  }
+
+  return {
+    keyword,
+    recency,
+    access: accessBoost,
+    last_access: lastAccess,
+    half_life_hours: halfLife,
+    score: keyword === 0 ? 0 : keyword * recency * accessBoost * lastAccess,
+  };
+}
+
+function scoreAndRankMemories(memories, query, now, limit, policies = null) {
+  const queryTerms = queryTermsFor(query);
+
+  const scored = [];
+  for (const memory of memories) {
+    const { score } = scoreComponents(memory, queryTerms, now, policies);
+    if (score > 0) scored.push({ memory, score });
+  }
+
+  scored.sort((a, b) => {
+    if (b.score !== a.score) return b.score - a.score;
+    return new Date(b.memory.created_at) - new Date(a.memory.created_at);
+  });
+
+  return scored.slice(0, limit);
+}
+
+function generateSummary(group) {
+  const allTags = new Set();
+  for (const mem of group) {
+    for (const tag of mem.tags) allTags.add(tag);
+  }
+  const header = `[${Array.from(allTags).sort().join(", ")}] — ${group.length} memories consolidated`;
+  const bullets = group
+    .map((mem) => `• ${mem.content} (${mem.type}, ${mem.created_at})`)
+    .join("\n");
+  return `${header}\n\n${bullets}`;
+}
+
+// ---------------------------------------------------------------------------
+// Adapter
+// ---------------------------------------------------------------------------
+
+export class LocalStorageAdapter extends StorageInterface {
+  /**
+   * @param {{ dbPath: string, workspace?: string, imagesDir?: string }} opts
+   *   dbPath — SQLite file path, or ":memory:" for an ephemeral database.
+   *   imagesDir — where attached images are written (default: alongside the db).
+   */
+  constructor({ dbPath, workspace, imagesDir }) {
+    super();
+    this.dbPath = dbPath;
+    this.workspace = workspace || "default";
+    this.inMemory = dbPath === ":memory:";
+    this.imagesDir = imagesDir || (this.inMemory ? null : path.join(path.dirname(dbPath), "images"));
+    this._memoryImages = new Map();
+    this._client = null;
+    this._ready = null;
+  }
+
+  /**
+   * Lazily open the database and apply schema + migrations once.
+   * @returns {Promise<import("@libsql/client").Client>}
+   */
+  async _db() {
+    if (!this._ready) {
+      this._ready = (async () => {
+        if (!this.inMemory) fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        const client = createClient({ url: this.inMemory ? ":memory:" : `file:${this.dbPath}` });
+
+        const statements = WORKSPACE_SCHEMA.split(";").map((s) => s.trim()).filter(Boolean);
+        for (const sql of statements) {
+          await client.execute(sql);
+        }
+        for (const sql of MIGRATIONS) {
+          try {
+            await client.execute(sql);
+          } catch (err) {
+            if (err.message && err.message.includes("duplicate column")) continue;
+            throw err;
+          }
+        }
+
+        this._client = client;
+        return client;
+      })();
+    }
+    return this._ready;
+  }
+
+  /** Close the underlying database handle. */
+  close() {
+    if (this._client) this._client.close();
+    this._client = null;
+    this._ready = null;
+  }
+
+  /**
+   * Fire-and-forget activity log entry (same actions as the SaaS routes).
+   * Item and skip-list actions record their row in entity_id.
+   */
+  _logActivity(db, action, memoryId, detail, entityId) {
+    db.execute({
+      sql: "INSERT INTO activity_log (action, memory_id, detail, entity_id) VALUES (?, ?, ?, ?)",
+      args: [action, memoryId ?? null, detail ?? null, entityId ?? null],
+    }).catch(() => {});
+  }
+
+  /** Active (non-consolidated, non-expired) memories, newest first. */
+  async _activeMemories(db) {
+    const result = await db.execute({
+      sql: `SELECT ${MEMORY_COLUMNS} FROM memories
+            WHERE consolidated = 0
+              AND (expires_at IS NULL OR expires_at > ?)
+            ORDER BY created_at DESC`,
+      args: [new Date().toISOString()],
+    });
+    return result.rows;
+  }
+
+  _trackAccess(db, rows, query) {
+    for (const m of rows) {
+      db.execute({
+        sql: "INSERT INTO access_log (memory_id, query) VALUES (?, ?)",
+        args: [m.id, query.slice(0, 200)],
+      }).catch(() => {});
+      db.execute({
+        sql: "UPDATE memories SET access_count = access_count + 1, last_accessed_at = datetime('now') WHERE id = ?",
+        args: [m.id],
+      }).catch(() => {});
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Workspace + working memory sections
+  // -------------------------------------------------------------------------
+
+  async initWorkspace(_wsPath) {
+    const db = await this._db();
+    const existing = await db.execute("SELECT COUNT(*) as count FROM working_memory_sections");
+    if (existing.rows[0].count > 0) return { alreadyExists: true };
+
+    for (const s of DEFAULT_SECTIONS) {
+      await db.execute({
+        sql: `INSERT OR IGNORE INTO working_memory_sections (section_key, heading, content)
+              VALUES (?, ?, '')`,
+        args: [s.key, s.heading],
+      });
+    }
+    return { created: true };
+  }
+
+  async readWorkingMemory(_wsPath, section) {
+    const db = await this._db();
+
+    if (section) {
+      const key = resolveSectionKey(section);
+      const result = await db.execute({
+        sql: "SELECT heading, content FROM working_memory_sections WHERE section_key = ?",
+        args: [key],
+      });
+      if (result.rows.length === 0) {
+        return { error: `Section "${section}" not found in working memory.` };
+      }
+      const row = result.rows[0];
+      return { content: `## ${row.heading}\n\n${row.content || "(empty)"}` };
+    }
+
+    const items = await db.execute(
+      "SELECT * FROM working_memory_items WHERE status != 'archived' ORDER BY priority DESC, created_at DESC"
+    );
+    if (items.rows.length > 0) {
+      return { content: renderItemsAsMarkdown(items.rows) };
+    }
+
+    const result = await db.execute(
+      "SELECT section_key, heading, content FROM working_memory_sections ORDER BY rowid"
+    );
+    if (result.rows.length === 0) {
+      return { content: "Working memory is empty. No sections found." };
+    }
+
+    const markdown = result.rows.map((row) => `## ${row.heading}\n\n${row.content || "(empty)"}`);
+    return { content: `# Working Memory\n\n---\n\n${markdown.join("\n\n---\n\n")}` };
+  }
+
+  async updateWorkingMemory(_wsPath, section, content) {
+    if (content === undefined || content === null) {
+      return { error: 'Missing required field: "content".' };
+    }
+    const db = await this._db();
+    const key = resolveSectionKey(section);
+    const heading = SECTION_MAP[key] || section;
+
+    await db.execute({
+      sql: `INSERT INTO working_memory_sections (section_key, heading, content, updated_at)
+            VALUES (?, ?, ?, datetime('now'))
+            ON CONFLICT(section_key) DO UPDATE SET content = excluded.content, updated_at = excluded.updated_at`,
+      args: [key, heading, content],
+    });
+
+    return { _raw: true, text: `Updated section "${heading}" in working memory.`, isError: false };
+  }
+
+  // -------------------------------------------------------------------------
+  // Memories
+  // -------------------------------------------------------------------------
+
+  async storeMemory(_wsPath, { content, tags, type, expires, linkages, images, pinned }) {
+    if (!content) return { error: 'Missing required field: "content".' };
+
+    const db = await this._db();
+    const id = randomUUID().slice(0, 8);
+    const memType = type || "observation";
+
+    const imagesMeta = [];
+    if (Array.isArray(images) && images.length > 0) {
+      if (images.length > MAX_IMAGES_PER_MEMORY) {
+        return { error: `Maximum ${MAX_IMAGES_PER_MEMORY} images per memory.` };
+      }
+      for (const img of images) {
+        if (!img.data || !img.filename || !img.mimetype) {
+          return { error: "Each image requires data (base64), filename, and mimetype." };
+        }
+        if (!ALLOWED_IMAGE_TYPES.has(img.mimetype)) {
+          return { error: `Unsupported image type: ${img.mimetype}. Allowed: ${[...ALLOWED_IMAGE_TYPES].join(", ")}` };
+        }
+        const buffer = Buffer.from(img.data, "base64");
+        const key = `${this.workspace}/${id}/${img.filename}`;
+        this._writeImage(key, buffer);
+        imagesMeta.push({ key, filename: img.filename, mimetype: img.mimetype, size: buffer.byteLength });
+      }
+    }
+
+    await db.execute({
+      sql: `INSERT INTO memories (id, content, type, tags, expires_at, linkages, images, pinned)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [
+        id,
+        content,
+        memType,
+        JSON.stringify(tags || []),
+        expires || null,
+        JSON.stringify(validateLinkages(linkages || [])),
+        JSON.stringify(imagesMeta),
+        pinned ? 1 : 0,
+      ],
+    });
+
+    this._logActivity(db, "create", id, memType);
+
+    const tagList = tags && tags.length ? ` [${tags.join(", ")}]` : "";
+    const imgStr = imagesMeta.length ? ` (${imagesMeta.length} image${imagesMeta.length === 1 ? "" : "s"})` : "";
+    const pinStr = pinned ? ", pinned" : "";
+    return { _raw: true, text: `Stored memory ${id} (${memType}${pinStr})${tagList}${imgStr}`, isError: false };
+  }
+
+  async recallMemories(_wsPath, { query, tags, type, limit, workspace, images, explain }) {
+    if (workspace && workspace !== this.workspace) {
+      return { error: `Workspace "${workspace}" is not available in local storage mode.` };
+    }
+    if (!query) {
+      const queryDesc = images?.length ? "provided image(s)" : '""';
+      return { _raw: true, text: `No memories found matching ${queryDesc}.`, memories: [], isError: false };
+    }
+
+    const parsed = parseRecallQuery(query);
+    if (parsed.error) return { error: `Invalid query: ${parsed.error}` };
+    if (!parsed.text && parsed.clauses.length === 0) return { error: "Invalid query: nothing to search for." };
+    const text = parsed.text;
+
+    const db = await this._db();
+    const max = Math.max(1, Math.min(100, limit || 10));
+    const links = await loadLinkTargets(db, parsed);
+
+    const candidates = [];
+    const explained = explain ? [] : null;
+    for (const row of await this._activeMemories(db)) {
+      if (type && row.type !== type) {
+        explained?.push(explainEntry(row, null, "type"));
+        continue;
+      }
+      if (tags && tags.length > 0) {
+        const memTags = lowerTags(row.tags);
+        if (!tags.some((t) => memTags.includes(t.toLowerCase()))) {
+          explained?.push(explainEntry(row, null, "tags"));
+          continue;
+        }
+      }
+      if (!matchesQuery(row, parsed, links)) {
+        explained?.push(explainEntry(row, null, "query"));
+        continue;
+      }
+      candidates.push(row);
+    }
+
+    const now = new Date();
+    const policies = parseDecayPolicies(await this._getSetting(db, DECAY_SETTING, null));
+    const threshold = parseFloat(await this._getSetting(db, "recall_threshold", "0")) || 0;
+    const queryTerms = queryTermsFor(text);
+    if (explained) {
+      for (const row of candidates) explained.push(explainEntry(row, scoreComponents(row, queryTerms, now, policies)));
+    }
+    const explainField = (returned, abstained = false) =>
+      explained ? { explain: finishExplanation(explained, { queryTerms, returned, threshold, abstained }) } : {};
+
+    const noMatch = { _raw: true, text: `No memories found matching "${query}".`, memories: [], isError: false };
+    if (shouldAbstain(candidates, text)) return { ...noMatch, ...explainField([], true) };
+
+    let results = scoreAndRankMemories(candidates, text, now, max, policies);
+    if (threshold > 0) results = results.filter((r) => r.score >= threshold);
+    if (results.length === 0) return { ...noMatch, ...explainField([]) };
+
+    this._trackAccess(db, results.map((r) => r.memory), query);
+
+    const formatted = results
+      .map(({ memory: m }) => {
+        const memTags = safeParseJson(m.tags);
+        const tagStr = memTags.length ? ` [${memTags.join(", ")}]` : "";
+        const expStr = m.expires_at ? ` (expires: ${m.expires_at})` : "";
+        const memLinkages = safeParseJson(m.linkages);
+        const linkStr = memLinkages.length
+          ? `\nLinks: ${memLinkages.map((l) => {
+              const ref = l.type === "file" ? l.path : l.id;
+              const lbl = l.label ? ` (${l.label})` : "";
+              return `${l.type}:${ref}${lbl}`;
+            }).join(", ")}`
+          : "";
+        const memImages = safeParseJson(m.images);
+        const imgStr = memImages.length
+          ? `\n📷 ${memImages.length} image${memImages.length === 1 ? "" : "s"} → memento_view_image("${m.id}")`
+          : "";
+        return `**${m.id}** (${m.type}${m.pinned ? ", pinned" : ""})${tagStr}${expStr}\n${m.content}${linkStr}${imgStr}`;
+      })
+      .join("\n\n---\n\n");
+
+    return {
+      _raw: true,
+      text: `Found ${results.length} memor${results.length === 1 ? "y" : "ies"}:\n\n${formatted}`,
+      memories: results.map(({ memory: m, score }) => ({
+        id: m.id,
+        content: m.content,
+        type: m.type,
+        tags: safeParseJson(m.tags),
+        images: safeParseJson(m.images),
+        pinned: Boolean(m.pinned),
+        created_at: m.created_at,
+        relevance_score: score,
+      })),
+      ...explainField(results),
+      isError: false,
+    };
+  }
+
+  async getMemory(id) {
+    const db = await this._db();
+    const result = await db.execute({
+      sql: `SELECT ${MEMORY_COLUMNS} FROM memories WHERE id = ?`,
+      args: [id],
+    });
+    if (result.rows.length === 0) return { error: "Memory not found." };
+
+    const row = result.rows[0];
+    return {
+      ...row,
+      tags: safeParseJson(row.tags),
+      linkages: safeParseJson(row.linkages),
+      images: safeParseJson(row.images),
+      pinned: Boolean(row.pinned),
+    };
+  }
+
+  async deleteMemory(_wsPath, id) {
+    const db = await this._db();
+    const result = await db.execute({
+      sql: "SELECT id, images FROM memories WHERE id = ?",
+      args: [id],
+    });
+    if (result.rows.length === 0) return { error: "Memory not found." };
+
+    for (const img of safeParseJson(result.rows[0].images)) {
+      this._deleteImage(img.key);
+    }
+
+    // access_log references memories(id) — clear it first
+    await db.execute({ sql: "DELETE FROM access_log WHERE memory_id = ?", args: [id] });
+    await db.execute({ sql: "DELETE FROM memories WHERE id = ?", args: [id] });
+    await db.execute({ sql: "DELETE FROM memory_revisions WHERE memory_id = ?", args: [id] });
+
+    this._logActivity(db, "delete", id);
+    return { _raw: true, text: `Memory ${id} deleted.`, isError: false };
+  }
+
+  async getMemoryHistory(_wsPath, id) {
+    const db = await this._db();
+    const result = await db.execute({
+      sql: "SELECT id, content, type, tags, expires_at, linkages FROM memories WHERE id = ?",
+      args: [id],
+    });
+    if (result.rows.length === 0) return { error: "Memory not found." };
+
+    const row = result.rows[0];
+    const revisions = await db.execute({
+      sql: `SELECT version, content, type, tags, expires_at, linkages, source, created_at
+            FROM memory_revisions WHERE memory_id = ? ORDER BY version DESC`,
+      args: [id],
+    });
+
+    return {
+      id,
+      current: {
+        version: revisions.rows.length + 1,
+        content: row.content,
+        type: row.type,
+        tags: safeParseJson(row.tags),
+        expires_at: row.expires_at,
+        linkages: safeParseJson(row.linkages),
+      },
+      revisions: revisions.rows.map((r) => ({
+        version: r.version,
+        content: r.content,
+        type: r.type,
+        tags: safeParseJson(r.tags),
+        expires_at: r.expires_at,
+        linkages: safeParseJson(r.linkages),
+        source: r.source,
+        replaced_at: r.created_at,
+      })),
+    };
+  }
+
+  async revertMemory(_wsPath, id, version) {
+    if (!Number.isInteger(version) || version < 1) {
+      return { error: "version must be a positive integer." };
+    }
+
+    const db = await this._db();
+    const existing = await db.execute({ sql: "SELECT id FROM memories WHERE id = ?", args: [id] });
+    if (existing.rows.length === 0) return { error: "Memory not found." };
+
+    const target = await db.execute({
+      sql: `SELECT content, type, tags, expires_at, linkages FROM memory_revisions
+            WHERE memory_id = ? AND version = ?`,
+      args: [id, version],
+    });
+    if (target.rows.length === 0) return { error: `Version ${version} of memory ${id} not found.` };
+    const revision = target.rows[0];
+
+    // Keep the version being replaced so the revert can itself be undone
+    const next = await db.execute({
+      sql: "SELECT COALESCE(MAX(version), 0) + 1 AS next FROM memory_revisions WHERE memory_id = ?",
+      args: [id],
+    });
+    const replaced = Number(next.rows[0].next);
+    await db.batch([
+      {
+        sql: `INSERT INTO memory_revisions (memory_id, version, content, type, tags, expires_at, linkages, source)
+              SELECT id, ?, content, type, tags, expires_at, linkages, 'revert' FROM memories WHERE id = ?`,
+        args: [replaced, id],
+      },
+      {
+        sql: `UPDATE memories SET content = ?, type = ?, tags = ?, expires_at = ?, linkages = ?
+              WHERE id = ?`,
+        args: [revision.content, revision.type, revision.tags, revision.expires_at, revision.linkages, id],
+      },
+    ]);
+
+    this._logActivity(db, "revert", id, `v${version}`);
+    return { ...(await this.getMemory(id)), version: replaced + 1, reverted_to: version };
+  }
+
+  async pinMemory(_wsPath, id, pinned) {
+    const db = await this._db();
+    const result = await db.execute({
+      sql: "UPDATE memories SET pinned = ? WHERE id = ?",
+      args: [pinned ? 1 : 0, id],
+    });
+    if (result.rowsAffected === 0) return { error: "Memory not found." };
+
+    this._logActivity(db, "update", id, "pinned");
+    return this.getMemory(id);
+  }
+
+  async listConflicts() {
+    const db = await this._db();
+    const active = new Map((await this._activeMemories(db)).map((m) => [m.id, m]));
+    const format = (m) => ({
+      id: m.id,
+      content: m.content,
+      type: m.type,
+      tags: safeParseJson(m.tags),
+      created_at: m.created_at,
+    });
+
+    const conflicts = [];
+    for (const memory of active.values()) {
+      for (const link of safeParseJson(memory.linkages)) {
+        if (link.type !== "memory" || link.label !== "contradicts" || !active.has(link.id)) continue;
+        conflicts.push({ memory: format(memory), contradicts: format(active.get(link.id)) });
+      }
+    }
+    return { conflicts, total: conflicts.length };
+  }
+
+  async consolidateMemories(_wsPath, { source_ids, content, type, tags }) {
+    if (!Array.isArray(source_ids) || source_ids.length < 2) {
+      return { error: "Provide at least 2 memory IDs." };
+    }
+
+    const db = await this._db();
+    const placeholders = source_ids.map(() => "?").join(", ");
+    const result = await db.execute({
+      sql: `SELECT id, content, type, tags, created_at, access_count, linkages, pinned
+            FROM memories WHERE id IN (${placeholders}) AND consolidated = 0`,
+      args: source_ids,
+    });
+
+    if (result.rows.length < 2) {
+      const foundIds = result.rows.map((r) => r.id);
+      const missing = source_ids.filter((id) => !foundIds.includes(id));
+      return {
+        error: `Found fewer than 2 active memories. Missing or already consolidated: [${missing.join(", ")}].`,
+      };
+    }
+
+    const memories = result.rows.map((row) => ({
+      ...row,
+      tags: safeParseJson(row.tags),
+      linkages: safeParseJson(row.linkages),
+    }));
+
+    const summary = content || generateSummary(memories);
+
+    let newType = type;
+    if (!newType) {
+      const typeCounts = {};
+      for (const mem of memories) typeCounts[mem.type] = (typeCounts[mem.type] || 0) + 1;
+      newType = Object.entries(typeCounts).sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    const allTags = new Set();
+    for (const mem of memories) for (const tag of mem.tags) allTags.add(tag);
+    if (Array.isArray(tags)) for (const tag of tags) allTags.add(tag);
+
+    const totalAccessCount = memories.reduce((sum, m) => sum + (m.access_count || 0), 0);
+
+    const linkages = memories.map((m) => ({ type: "memory", id: m.id, label: "consolidated-from" }));
+    const seenLinkKeys = new Set(linkages.map((l) => `${l.type}:${l.id}:${l.label}`));
+    for (const mem of memories) {
+      for (const link of mem.linkages) {
+        const ref = link.type === "file" ? link.path : link.id;
+        const key = `${link.type}:${ref}:${link.label || ""}`;
+        if (seenLinkKeys.has(key)) continue;
+        seenLinkKeys.add(key);
+        linkages.push(link);
+      }
+    }
+
+    // A pinned source keeps the consolidated memory pinned
+    const pinned = memories.some((m) => m.pinned) ? 1 : 0;
+
+    const newId = randomUUID().slice(0, 8);
+    await db.execute({
+      sql: `INSERT INTO memories (id, content, type, tags, access_count, linkages, pinned)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      args: [
+        newId,
+        summary,
+        newType,
+        JSON.stringify(Array.from(allTags).sort()),
+        totalAccessCount,
+        JSON.stringify(linkages),
+        pinned,
+      ],
+    });
+
+    const foundIds = memories.map((m) => m.id);
+    for (const id of foundIds) {
+      await db.execute({
+        sql: "UPDATE memories SET consolidated = 1, consolidated_into = ? WHERE id = ?",
+        args: [newId, id],
+      });
+    }
+
+    this._logActivity(db, "consolidate", newId, foundIds.join(","));
+
+    return {
+      _raw: true,
+      text: `Consolidated ${memories.length} memories into ${newId}. Sources: [${foundIds.join(", ")}]`,
+      isError: false,
+    };
+  }
+
+  async unconsolidateMemories(_wsPath, id) {
+    const db = await this._db();
+    const summary = await db.execute({
+      sql: "SELECT id, consolidated, consolidated_into FROM memories WHERE id = ?",
+      args: [id],
+    });
+    const sources = await db.execute({
+      sql: "SELECT id FROM memories WHERE consolidated = 1 AND consolidated_into = ?",
+      args: [id],
+    });
+    if (summary.rows.length === 0 || sources.rows.length === 0) {
+      return { error: `No consolidation found for ${id}.` };
+    }
+    if (summary.rows[0].consolidated) {
+      return {
+        error: `Memory ${id} was itself consolidated into ${summary.rows[0].consolidated_into}. Undo that consolidation first.`,
+      };
+    }
+
+    const restoredIds = sources.rows.map((r) => r.id);
+    await db.batch([
+      {
+        sql: "UPDATE memories SET consolidated = 0, consolidated_into = NULL WHERE consolidated_into = ?",
+        args: [id],
+      },
+      { sql: "DELETE FROM access_log WHERE memory_id = ?", args: [id] },
+      { sql: "DELETE FROM memories WHERE id = ?", args: [id] },
+      { sql: "DELETE FROM memory_revisions WHERE memory_id = ?", args: [id] },
+    ]);
+
+    this._logActivity(db, "unconsolidate", id, restoredIds.join(","));
+    return {
+      _raw: true,
+      text: `Restored ${restoredIds.length} memories from ${id}. Sources: [${restoredIds.join(", ")}]. Summary memory ${id} deleted.`,
+      isError: false,
+    };
+  }
+
+  async proposeConsolidations() {
+    return { error: PROPOSALS_UNAVAILABLE };
+  }
+
+  async listConsolidationProposals() {
+    return { error: PROPOSALS_UNAVAILABLE };
+  }
+
+  async updateConsolidationProposal() {
+    return { error: PROPOSALS_UNAVAILABLE };
+  }
+
+  async approveConsolidationProposal() {
+    return { error: PROPOSALS_UNAVAILABLE };
+  }
+
+  async rejectConsolidationProposal() {
+    return { error: PROPOSALS_UNAVAILABLE };
+  }
+
+  async extractMemories(_wsPath) {
+    return { error: "Memory extraction requires an LLM and is not available in local storage mode." };
+  }
+
+  // -------------------------------------------------------------------------
+  // Images — stored on disk (or in-process for :memory: databases)
+  // -------------------------------------------------------------------------
+
+  _writeImage(key, buffer) {
+    if (!this.imagesDir) {
+      this._memoryImages.set(key, buffer);
+      return;
+    }
+    const file = path.join(this.imagesDir, key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, buffer);
+  }
+
+  _deleteImage(key) {
+    if (!this.imagesDir) {
+      this._memoryImages.delete(key);
+      return;
+    }
+    fs.rmSync(path.join(this.imagesDir, key), { force: true });
+  }
+
+  async fetchImage(imageKey) {
+    if (!this.imagesDir) {
+      return this._memoryImages.get(imageKey)?.toString("base64") || null;
+    }
+    try {
+      return fs.readFileSync(path.join(this.imagesDir, imageKey)).toString("base64");
+    } catch {
+      return null;
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Skip list
+  // -------------------------------------------------------------------------
+
+  async _purgeExpiredSkips(db) {
+    const now = new Date().toISOString();
+    const expired = await db.execute({
+      sql: "SELECT id, expires_at FROM skip_list WHERE expires_at <= ?",
+      args: [now],
+    });
+    if (expired.rows.length === 0) return;
+    await db.execute({ sql: "DELETE FROM skip_list WHERE expires_at <= ?", args: [now] });
+    for (const row of expired.rows) this._logActivity(db, "skip_expire", null, row.expires_at, row.id);
+  }
+
+  async addSkip(_wsPath, { item, reason, expires }) {
+    if (!item || !reason || !expires) {
+      return { error: 'Missing required fields: "item", "reason", "expires".' };
+    }
+    const db = await this._db();
+    const id = randomUUID().slice(0, 8);
+    await db.execute({
+      sql: "INSERT INTO skip_list (id, item, reason, expires_at) VALUES (?, ?, ?, ?)",
+      args: [id, item, reason, expires],
+    });
+    this._logActivity(db, "skip_add", null, expires, id);
+    return { _raw: true, text: `Added to skip list: "${item}" (expires ${expires})`, isError: false };
+  }
+
+  async checkSkip(_wsPath, query) {
+    if (!query) return { error: 'Missing required query parameter: "query".' };
+
+    const db = await this._db();
+    await this._purgeExpiredSkips(db);
+
+    const result = await db.execute("SELECT id, item, reason, expires_at FROM skip_list");
+    for (const row of result.rows) {
+      if (matchesAllWords(query, row.item) || matchesAllWords(row.item, query)) {
+        return {
+          _raw: true,
+          text: `SKIP: "${row.item}"\nReason: ${row.reason}\nExpires: ${row.expires_at}`,
+          isError: false,
+        };
+      }
+    }
+
+    return { _raw: true, text: `Not on skip list. Proceed with "${query}".`, isError: false };
+  }
+
+  async listSkips(_wsPath) {
+    const db = await this._db();
+    await this._purgeExpiredSkips(db);
+
+    const result = await db.execute(
+      "SELECT id, item, reason, expires_at FROM skip_list ORDER BY added_at DESC"
+    );
+    const entries = result.rows.map((row) => ({
+      id: row.id,
+      item: row.item,
+      reason: row.reason,
+      expires_at: row.expires_at,
+    }));
+    return { entries, total: entries.length };
+  }
+
+  async deleteSkip(_wsPath, id) {
+    const db = await this._db();
+    const result = await db.execute({ sql: "DELETE FROM skip_list WHERE id = ?", args: [id] });
+    if (result.rowsAffected === 0) return { error: "Skip entry not found." };
+    this._logActivity(db, "skip_remove", null, null, id);
+    return { _raw: true, text: `Skip entry ${id} removed.`, isError: false };
+  }
+
+  // -------------------------------------------------------------------------
+  // Health
+  // -------------------------------------------------------------------------
+
+  async getHealth(_wsPath) {
+    const db = await this._db();
+    const now = new Date().toISOString();
+    const count = async (sql, args = []) => (await db.execute({ sql, args })).rows[0].count;
+
+    const lines = [
+      "**Memento Health Report**",
+      `Workspace: ${this.workspace}`,
+      `Storage: local (${this.dbPath})`,
+      "",
+      "**Working Memory**",
+    ];
+
+    const wm = (await db.execute(
+      "SELECT COUNT(*) as count, MAX(updated_at) as last_updated FROM working_memory_sections"
+    )).rows[0];
+    if (wm.count === 0) {
+      lines.push("  Status: EMPTY -- no sections found");
+    } else {
+      lines.push(`  Sections: ${wm.count}`);
+      lines.push(`  Last updated: ${wm.last_updated || "never"}`);
+    }
+
+    const total = await count("SELECT COUNT(*) as count FROM memories");
+    const expired = await count(
+      "SELECT COUNT(*) as count FROM memories WHERE expires_at IS NOT NULL AND expires_at <= ?",
+      [now]
+    );
+    const consolidated = await count("SELECT COUNT(*) as count FROM memories WHERE consolidated = 1");
+    lines.push("", "**Stored Memories**");
+    lines.push(
+      `  Total: ${total} (${total - expired - consolidated} active, ${expired} expired, ${consolidated} consolidated)`
+    );
+
+    const skipTotal = await count("SELECT COUNT(*) as count FROM skip_list");
+    const skipExpired = await count("SELECT COUNT(*) as count FROM skip_list WHERE expires_at <= ?", [now]);
+    lines.push("", "**Skip List**");
+    lines.push(`  Total: ${skipTotal} (${skipTotal - skipExpired} active, ${skipExpired} expired)`);
+
+    const items = await count("SELECT COUNT(*) as count FROM working_memory_items WHERE status != 'archived'");
+    lines.push("", "**Working Memory Items**");
+    lines.push(`  Active: ${items}`);
+
+    lines.push("", "**Access Log**");
+    lines.push(`  Total accesses: ${await count("SELECT COUNT(*) as count FROM access_log")}`);
+
+    return { _raw: true, text: lines.join("\n"), isError: false };
+  }
+
+  // -------------------------------------------------------------------------
+  // Working memory items
+  // -------------------------------------------------------------------------
+
+  async _getItem(db, id) {
+    const result = await db.execute({
+      sql: "SELECT * FROM working_memory_items WHERE id = ?",
+      args: [id],
+    });
+    if (result.rows.length === 0) return null;
+    const row = result.rows[0];
+    return { ...row, tags: safeParseJson(row.tags) };
+  }
+
+  async createItem(_wsPath, data) {
+    const { category, title, content } = data;
+    if (!category || !title) {
+      return { error: 'Missing required fields: "category" and "title".' };
+    }
+    if (!VALID_CATEGORIES.includes(category)) {
+      return { error: `Invalid category. Must be one of: ${VALID_CATEGORIES.join(", ")}` };
+    }
+
+    const db = await this._db();
+    const id = randomUUID().slice(0, 8);
+    const status = VALID_STATUSES.includes(data.status) ? data.status : "active";
+    const priority = typeof data.priority === "number" ? data.priority : 0;
+    const nextAction = data.next_action || null;
+
+    await db.execute({
+      sql: `INSERT INTO working_memory_items
+            (id, category, title, content, status, priority, tags, next_action)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [id, category, title, content || "", status, priority, JSON.stringify(data.tags || []), nextAction],
+    });
+    this._logActivity(db, "item_create", null, category, id);
+
+    return {
+      id,
+      category,
+      title,
+      content: content || "",
+      status,
+      priority,
+      tags: data.tags || [],
+      next_action: nextAction,
+      created_at: new Date().toISOString(),
+    };
+  }
+
+  async updateItem(_wsPath, id, data) {
+    const db = await this._db();
+    const before = await this._getItem(db, id);
+    if (!before) return { error: "Item not found." };
+
+    if (data.category !== undefined && !VALID_CATEGORIES.includes(data.category)) {
+      return { error: `Invalid category. Must be one of: ${VALID_CATEGORIES.join(", ")}` };
+    }
+    if (data.status !== undefined && !VALID_STATUSES.includes(data.status)) {
+      return { error: `Invalid status. Must be one of: ${VALID_STATUSES.join(", ")}` };
+    }
+
+    const updates = [];
+    const args = [];
+    for (const field of ["title", "content", "category", "status", "priority", "next_action"]) {
+      if (data[field] === undefined) continue;
+      updates.push(`${field} = ?`);
+      args.push(data[field]);
+    }
+    if (data.tags !== undefined) {
+      updates.push("tags = ?");
+      args.push(JSON.stringify(data.tags));
+    }
+
+    if (updates.length === 0) return { error: "No fields to update." };
+
+    updates.push("updated_at = datetime('now')");
+    updates.push("last_touched = datetime('now')");
+    args.push(id);
+
+    await db.execute({
+      sql: `UPDATE working_memory_items SET ${updates.join(", ")} WHERE id = ?`,
+      args,
+    });
+
+    const category = data.category ?? before.category;
+    if (data.status !== undefined && data.status !== before.status) {
+      this._logActivity(db, "item_status", null, `${category}: ${before.status}->${data.status}`, id);
+    }
+    const changed = ["title", "content", "category", "priority", "tags", "next_action"].filter((k) => data[k] !== undefined);
+    if (changed.length > 0) this._logActivity(db, "item_update", null, `${category}: ${changed.join(",")}`, id);
+
+    return this._getItem(db, id);
+  }
+
+  async deleteItem(_wsPath, id) {
+    const db = await this._db();
+    const before = await this._getItem(db, id);
+    const result = await db.execute({ sql: "DELETE FROM working_memory_items WHERE id = ?", args: [id] });
+    if (result.rowsAffected === 0) return { error: "Item not found." };
+    this._logActivity(db, "item_delete", null, before?.category, id);
+    return { deleted: true, id };
+  }
+
+  async listItems(_wsPath, filters = {}) {
+    if (filters.workspace && filters.workspace !== this.workspace) {
+      return { error: `Workspace "${filters.workspace}" is not available in local storage mode.` };
+    }
+
+    const db = await this._db();
+    let sql = "SELECT * FROM working_memory_items WHERE 1=1";
+    const args = [];
+
+    if (filters.category) {
+      sql += " AND category = ?";
+      args.push(filters.category);
+    }
+    if (filters.status) {
+      sql += " AND status = ?";
+      args.push(filters.status);
+    }
+    if (filters.query) {
+      sql += " AND (title LIKE ? OR content LIKE ?)";
+      args.push(`%${filters.query}%`, `%${filters.query}%`);
+    }
+    sql += " ORDER BY priority DESC, created_at DESC";
+
+    const result = await db.execute({ sql, args });
+    const items = result.rows.map((row) => ({ ...row, tags: safeParseJson(row.tags) }));
+    return { items, total: items.length, offset: 0, limit: items.length };
+  }
+
+  // -------------------------------------------------------------------------
+  // Identity
+  // -------------------------------------------------------------------------
+
+  async getIdentity(_wsPath) {
+    const db = await this._db();
+    const result = await db.execute(
+      "SELECT crystal FROM identity_snapshots ORDER BY created_at DESC, rowid DESC LIMIT 1"
+    );
+    if (result.rows.length === 0) {
+      return {
+        _raw: true,
+        text: "No identity crystal found for this workspace.\n\nWrite one with memento_identity_update — a first-person reflection of who you are, what you care about, and what persists across sessions.",
+        isError: false,
+      };
+    }
+    return { _raw: true, text: result.rows[0].crystal, isError: false };
+  }
+
+  async updateIdentity(_wsPath, crystal) {
+    if (!crystal || typeof crystal !== "string" || crystal.trim().length === 0) {
+      return { error: 'Missing required field: "crystal" (non-empty string).' };
+    }
+    const db = await this._db();
+    const id = randomUUID().slice(0, 8);
+    await db.execute({
+      sql: `INSERT INTO identity_snapshots (id, crystal, source_count, created_at)
+            VALUES (?, ?, 0, datetime('now'))`,
+      args: [id, crystal.trim()],
+    });
+    this._logActivity(db, "identity_update", null, `${crystal.trim().length} chars`, id);
+    return { _raw: true, text: `Identity crystal ${id} stored (${crystal.trim().length} chars).`, isError: false };
+  }
+
+  // -------------------------------------------------------------------------
+  // Context — same response shape as POST /v1/context (keyword ranking only)
+  // -------------------------------------------------------------------------
+
+  async getContext(_wsPath, message, { include = CONTEXT_SECTIONS, peekWorkspaces } = {}) {
+    const other = peekWorkspaces?.find((name) => name !== this.workspace);
+    if (other) return { error: `Workspace "${other}" is not available in local storage mode.` };
+
+    const db = await this._db();
+    const text = message || "";
+    const now = new Date();
+    const result = { meta: { workspace: this.workspace, last_updated: now.toISOString() } };
+
+    if (include.includes("working_memory")) {
+      const items = await db.execute(
+        `SELECT * FROM working_memory_items
+         WHERE status IN ('active', 'paused')
+         ORDER BY priority DESC, created_at DESC`
+      );
+      result.working_memory = {
+        items: items.rows.map((row) => ({ ...row, tags: safeParseJson(row.tags) })),
+        total_active: items.rows.length,
+      };
+    }
+
+    if (text && include.includes("memories")) {
+      const active = await this._activeMemories(db);
+      const policies = parseDecayPolicies(await this._getSetting(db, DECAY_SETTING, null));
+      let ranked = scoreAndRankMemories(active, text, now, 20, policies);
+      const threshold = parseFloat(await this._getSetting(db, "recall_threshold", "0")) || 0;
+      if (threshold > 0) ranked = ranked.filter((r) => r.score >= threshold);
+
+      this._trackAccess(db, ranked.map((r) => r.memory), text);
+
+      result.memories = {
+        matches: ranked.map(({ memory: m, score }) => ({
+          id: m.id,
+          content: m.content,
+          type: m.type,
+          tags: safeParseJson(m.tags),
+          score: Math.round(score * 1000) / 1000,
+          created_at: m.created_at || null,
+        })),
+        query_terms: extractKeywords(text),
+        ranking: "keyword",
+      };
+      result.meta.memory_count = active.length;
+    }
+
+    if (text && include.includes("skip_list")) {
+      await this._purgeExpiredSkips(db);
+      const keywords = extractKeywords(text);
+      const skips = await db.execute("SELECT id, item, reason, expires_at FROM skip_list");
+      result.skip_matches = skips.rows
+        .filter((row) => {
+          const itemLower = row.item.toLowerCase();
+          return keywords.some((kw) => itemLower.includes(kw)) ||
+            (keywords.length > 0 && itemLower.split(/\s+/).some((word) => text.toLowerCase().includes(word)));
+        })
+        .map((row) => ({ item: row.item, reason: row.reason, expires: row.expires_at }));
+    }
+
+    if (include.includes("identity")) {
+      const identity = await db.execute(
+        "SELECT crystal FROM identity_snapshots ORDER BY created_at DESC, rowid DESC LIMIT 1"
+      );
+      result.identity = identity.rows.length > 0 ? identity.rows[0].crystal : null;
+    }
+
+    return result;
+  }
+
+  // -------------------------------------------------------------------------
+  // Events
+  // -------------------------------------------------------------------------
+
+  /** Polls activity_log, like the SaaS feed. */
+  async watchEvents(_wsPath, { types, lastEventId, signal, onEvent }) {
+    const db = await this._db();
+    const actions = eventActions(types);
+    let lastId = lastEventId ?? Number((await db.execute("SELECT COALESCE(MAX(id), 0) AS id FROM activity_log")).rows[0].id);
+
+    while (!signal.aborted) {
+      const result = await db.execute({
+        sql: `SELECT id, action, memory_id, entity_id, detail, created_at FROM activity_log
+              WHERE id > ? AND action IN (${actions.map(() => "?").join(", ")})
+              ORDER BY id ASC LIMIT 100`,
+        args: [lastId, ...actions],
+      });
+      for (const row of result.rows) {
+        lastId = Number(row.id);
+        onEvent({
+          id: lastId,
+          type: EVENT_TYPES[row.action],
+          action: row.action,
+          memory_id: row.memory_id || null,
+          entity_id: row.entity_id || null,
+          detail: row.detail || null,
+          created_at: row.created_at,
+        });
+      }
+      if (result.rows.length < 100) await pause(EVENT_POLL_MS, signal);
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Settings
+  // -------------------------------------------------------------------------
+
+  async _getSetting(db, key, fallback) {
+    const result = await db.execute({
+      sql: "SELECT value FROM workspace_settings WHERE key = ?",
+      args: [key],
+    });
+    return result.rows[0]?.value ?? fallback;
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * Words left out of keyword matching. Shared by LocalStorageAdapter and the
+ * end-to-end blind index, so importing them does not load the local
+ * (libSQL) adapter. Mirrors STOP_WORDS in saas/src/services/scoring.js.
+ */
+
+export const STOP_WORDS = new Set([
+  "a", "an", "the", "is", "it", "in", "on", "at", "to", "for",
+  "of", "and", "or", "but", "not", "with", "this", "that", "from",
+  "by", "as", "be", "was", "were", "been", "are", "have", "has",
+  "had", "do", "does", "did", "will", "would", "could", "should",
+  "may", "might", "can", "i", "you", "we", "they", "he", "she",
+  "my", "your", "our", "their", "what", "how", "when", "where",
+  "why", "which", "who", "me", "him", "her", "us", "them",
+]);
@@ -0,0 +1,99 @@
+/**
+ * MCP resource subscriptions backed by the workspace change feed.
+ *
+ * While at least one resource is subscribed, the server watches storage
+ * events (GET /v1/events in hosted mode, activity_log in local mode) and
+ * sends notifications/resources/updated for each subscribed URI an event
+ * touches. The watch stops when the last subscription goes away and
+ * resumes from the last event it saw when one is added again.
+ */
+
+const RETRY_MS = 5000;
+
+/**
+ * Resource URIs an event changes.
+ * @param {{ type: string, action: string, memory_id?: string|null, detail?: string|null }} event
+ * @returns {string[]}
+ */
+export function eventUris(event) {
+  const [group] = event.type.split(".");
+  if (group === "memory") {
+    const uris = event.memory_id ? [`memento://memories/${event.memory_id}`] : [];
+    // Consolidation and its undo record the affected source ids as detail
+    if (event.action === "consolidate" || event.action === "unconsolidate") {
+      for (const id of (event.detail || "").split(",").filter(Boolean)) uris.push(`memento://memories/${id}`);
+    }
+    return uris;
+  }
+  if (group === "item") {
+    // Item details start with the item's category ("active_work: ...")
+    const category = (event.detail || "").split(":")[0].trim();
+    return category ? ["memento://items", `memento://items/${category}`] : ["memento://items"];
+  }
+  if (group === "skip") return ["memento://skip-list"];
+  if (group === "identity") return ["memento://identity"];
+  return [];
+}
+
+export class ResourceSubscriptions {
+  /**
+   * @param {{ storage: object, notify: (uri: string) => Promise<void>|void, onError?: (err: Error) => void }} opts
+   */
+  constructor({ storage, notify, onError }) {
+    this.storage = storage;
+    this.notify = notify;
+    this.onError = onError || ((err) => console.error("Memento event watch:", err.message));
+    this.uris = new Set();
+    this.lastEventId = undefined;
+    this._controller = null;
+  }
+
+  subscribe(uri) {
+    this.uris.add(uri);
+    if (!this._controller) this._start();
+  }
+
+  unsubscribe(uri) {
+    this.uris.delete(uri);
+    if (this.uris.size === 0) this.close();
+  }
+
+  /** Stop watching (subscriptions are kept). */
+  close() {
+    this._controller?.abort();
+    this._controller = null;
+  }
+
+  _start() {
+    const controller = new AbortController();
+    this._controller = controller;
+
+    const run = async () => {
+      while (!controller.signal.aborted) {
+        try {
+          await this.storage.watchEvents(null, {
+            types: ["memory", "item", "skip", "identity"],
+            lastEventId: this.lastEventId,
+            signal: controller.signal,
+            onEvent: (event) => this._handle(event),
+          });
+        } catch (err) {
+          if (controller.signal.aborted) break;
+          this.onError(err);
+          if (err.permanent) break;
+          await new Promise((resolve) => setTimeout(resolve, RETRY_MS).unref?.());
+        }
+      }
+      if (this._controller === controller) this._controller = null;
+    };
+    run();
+  }
+
+  _handle(event) {
+    this.lastEventId = event.id;
+    for (const uri of new Set(eventUris(event))) {
+      if (!this.uris.has(uri)) continue;
+      Promise.resolve(this.notify(uri)).catch((err) => this.onError(err));
+    }
+  }
+}
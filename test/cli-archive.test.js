@@ -0,0 +1,86 @@
+/**
+ * Integration tests for `memento export` / `memento import`.
+ *
+ * Runs the SaaS API in-process (in-memory SQLite) and round-trips a
+ * workspace archive through the CLI's download and upload helpers.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { serve } from "../saas/node_modules/@hono/node-server/dist/index.mjs";
+import { createApp } from "../saas/src/server.js";
+import { createTestDb, seedTestData } from "../saas/test/setup.js";
+import { setTestDb } from "../saas/src/db/connection.js";
+import { fetchWorkspaceArchive, uploadWorkspaceArchive } from "../src/cli.js";
+
+let server;
+let db;
+let config;
+
+before(async () => {
+  db = await createTestDb();
+  const seed = await seedTestData(db);
+  await db.execute({ sql: "UPDATE users SET plan = 'full' WHERE id = ?", args: [seed.userId] });
+  setTestDb(db);
+
+  const app = createApp();
+  await new Promise((resolve) => {
+    server = serve({ fetch: app.fetch, port: 0 }, (info) => {
+      config = { apiUrl: `http://localhost:${info.port}`, apiKey: seed.apiKey, workspace: seed.workspaceName };
+      resolve();
+    });
+  });
+});
+
+after(() => {
+  if (server) server.close();
+  setTestDb(null);
+  if (db) db.close();
+});
+
+async function storeMemory(content, linkages) {
+  const res = await fetch(`${config.apiUrl}/v1/memories`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${config.apiKey}`,
+      "X-Memento-Workspace": config.workspace,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ content, linkages }),
+  });
+  return (await res.json()).content[0].text.match(/Stored memory (\S+)/)[1];
+}
+
+describe("CLI export / import", () => {
+  it("round-trips a workspace, keeping IDs and linkages", async () => {
+    const first = await storeMemory("Archive round-trip one");
+    const second = await storeMemory("Archive round-trip two", [{ type: "memory", id: first }]);
+
+    const archive = await fetchWorkspaceArchive(config);
+    const header = JSON.parse(archive.split("\n", 1)[0]);
+    assert.equal(header.format, "memento-archive");
+    assert.equal(header.workspace, config.workspace);
+    assert.ok(archive.includes("Archive round-trip two"));
+
+    // Simulate a fresh deployment: the archive is the only copy
+    await db.execute("DELETE FROM memories");
+
+    const result = await uploadWorkspaceArchive(config, archive, "restored");
+    assert.equal(result.workspace.name, "restored");
+    assert.equal(result.imported.memories, 2);
+
+    const rows = await db.execute({ sql: "SELECT linkages FROM memories WHERE id = ?", args: [second] });
+    assert.equal(JSON.parse(rows.rows[0].linkages)[0].id, first);
+  });
+
+  it("surfaces API errors", async () => {
+    await assert.rejects(
+      uploadWorkspaceArchive(config, "not an archive\n"),
+      /Import failed: Archive header is not valid JSON/
+    );
+    await assert.rejects(
+      fetchWorkspaceArchive({ ...config, apiKey: "mp_invalid" }),
+      /Listing workspaces failed/
+    );
+  });
+});
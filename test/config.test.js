@@ -53,7 +53,7 @@ describe("findConfigFile", () => {
     const dir = mkNested("find-same");
     writeConfig(dir, { apiKey: "mp_live_here" });
     const result = findConfigFile(dir);
-    assert.deepStrictEqual(result, { apiKey: "mp_live_here" });
+    assert.deepStrictEqual(result, { config: { apiKey: "mp_live_here" }, dir });
   });
 
   it("finds config in a parent directory", () => {
@@ -62,8 +62,8 @@ describe("findConfigFile", () => {
     writeConfig(parent, { apiKey: "mp_live_parent", workspace: "proj" });
     const result = findConfigFile(child);
     assert.deepStrictEqual(result, {
-      apiKey: "mp_live_parent",
-      workspace: "proj",
+      config: { apiKey: "mp_live_parent", workspace: "proj" },
+      dir: parent,
     });
   });
 
@@ -74,7 +74,7 @@ describe("findConfigFile", () => {
     writeConfig(grandparent, { workspace: "far" });
     writeConfig(parent, { workspace: "near" });
     const result = findConfigFile(child);
-    assert.deepStrictEqual(result, { workspace: "near" });
+    assert.deepStrictEqual(result, { config: { workspace: "near" }, dir: parent });
   });
 
   it("ignores invalid JSON gracefully", () => {
@@ -91,7 +91,14 @@ describe("findConfigFile", () => {
 
 describe("resolveConfig", () => {
   // Save and restore env vars around each test
-  const envKeys = ["MEMENTO_API_KEY", "MEMENTO_API_URL", "MEMENTO_WORKSPACE"];
+  const envKeys = [
+    "MEMENTO_API_KEY",
+    "MEMENTO_API_URL",
+    "MEMENTO_WORKSPACE",
+    "MEMENTO_STORAGE",
+    "MEMENTO_DB_PATH",
+    "MEMENTO_E2E",
+  ];
   let savedEnv;
 
   beforeEach(() => {
@@ -183,4 +190,61 @@ describe("resolveConfig", () => {
     const cfg = resolveConfig(empty);
     assert.equal(cfg.apiKey, "mp_live_envonly");
   });
+
+  it("resolves end-to-end encryption only when enabled", () => {
+    const dir = mkNested("resolve-e2e");
+    writeConfig(dir, { e2e: { passphrase: "correct horse", embeddings: { url: "http://localhost:11434/v1", model: "nomic" } } });
+    assert.equal(resolveConfig(dir).e2e, null);
+
+    process.env.MEMENTO_E2E = "1";
+    assert.deepStrictEqual(resolveConfig(dir).e2e, {
+      passphrase: "correct horse",
+      keyring: false,
+      embeddings: { url: "http://localhost:11434/v1", model: "nomic" },
+    });
+
+    writeConfig(dir, { e2e: { enabled: true, keyring: true } });
+    process.env.MEMENTO_E2E = "false";
+    assert.equal(resolveConfig(dir).e2e, null);
+    delete process.env.MEMENTO_E2E;
+    assert.equal(resolveConfig(dir).e2e.keyring, true);
+  });
+
+  it("defaults to hosted storage with a per-workspace local db path", () => {
+    const empty = mkNested("resolve-storage-default");
+    const cfg = resolveConfig(empty);
+    assert.equal(cfg.storage, "hosted");
+    assert.equal(cfg.dbPath, path.join(empty, ".memento", "default.db"));
+  });
+
+  it("resolves local storage and relative dbPath from file config", () => {
+    const dir = mkNested("resolve-storage-local");
+    writeConfig(dir, { storage: "local", dbPath: "data/memories.db" });
+    const cfg = resolveConfig(dir);
+    assert.equal(cfg.storage, "local");
+    assert.equal(cfg.dbPath, path.join(dir, "data", "memories.db"));
+  });
+
+  it("resolves dbPath against the config file's directory from a subdirectory", () => {
+    const dir = mkNested("resolve-storage-nested");
+    const child = mkNested("resolve-storage-nested", "src", "lib");
+    writeConfig(dir, { storage: "local", workspace: "proj" });
+    assert.equal(resolveConfig(child).dbPath, path.join(dir, ".memento", "proj.db"));
+
+    writeConfig(dir, { storage: "local", dbPath: "data/memories.db" });
+    assert.equal(resolveConfig(child).dbPath, path.join(dir, "data", "memories.db"));
+
+    process.env.MEMENTO_DB_PATH = "env.db";
+    assert.equal(resolveConfig(child).dbPath, path.join(child, "env.db"));
+  });
+
+  it("env vars override storage and dbPath", () => {
+    const dir = mkNested("resolve-storage-env");
+    writeConfig(dir, { storage: "hosted" });
+    process.env.MEMENTO_STORAGE = "local";
+    process.env.MEMENTO_DB_PATH = ":memory:";
+    const cfg = resolveConfig(dir);
+    assert.equal(cfg.storage, "local");
+    assert.equal(cfg.dbPath, ":memory:");
+  });
 });
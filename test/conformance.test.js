@@ -0,0 +1,139 @@
+/**
+ * Runs the StorageInterface conformance suite against every backend:
+ *
+ *   - LocalStorageAdapter (in-memory SQLite)
+ *   - HostedStorageAdapter -> mock SaaS (test/mock-saas.js)
+ *   - HostedStorageAdapter -> real SaaS API, in-process
+ *
+ * The mock run isolates HostedStorageAdapter's request building and
+ * response parsing from the SaaS implementation; the in-process run
+ * proves both sides still agree.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { serve } from "../saas/node_modules/@hono/node-server/dist/index.mjs";
+import { createApp } from "../saas/src/server.js";
+import { createTestDb, seedTestData } from "../saas/test/setup.js";
+import { setTestDb } from "../saas/src/db/connection.js";
+import { LocalStorageAdapter } from "../src/storage/local.js";
+import { HostedStorageAdapter } from "../src/storage/hosted.js";
+import { describeStorageConformance } from "./storage-conformance.js";
+import { startMockSaas } from "./mock-saas.js";
+
+// ---------------------------------------------------------------------------
+// Local
+// ---------------------------------------------------------------------------
+
+describeStorageConformance("LocalStorageAdapter", async () => {
+  const adapter = new LocalStorageAdapter({ dbPath: ":memory:", workspace: "conformance" });
+  return { adapter, cleanup: () => adapter.close() };
+});
+
+// ---------------------------------------------------------------------------
+// Hosted -> mock SaaS
+// ---------------------------------------------------------------------------
+
+describeStorageConformance("HostedStorageAdapter (mock SaaS)", async () => {
+  const mock = await startMockSaas({ workspace: "conformance" });
+  const adapter = new HostedStorageAdapter({
+    apiKey: mock.apiKey,
+    apiUrl: mock.url,
+    workspace: mock.workspace,
+  });
+  return { adapter, cleanup: () => mock.close() };
+});
+
+describe("HostedStorageAdapter request handling (mock SaaS)", () => {
+  let mock;
+  let adapter;
+
+  before(async () => {
+    mock = await startMockSaas({ workspace: "conformance" });
+    adapter = new HostedStorageAdapter({
+      apiKey: mock.apiKey,
+      apiUrl: `${mock.url}/`,
+      workspace: mock.workspace,
+    });
+  });
+
+  after(() => mock.close());
+
+  it("sends auth and workspace headers on every request", async () => {
+    await adapter.getHealth(null);
+    await adapter.listSkips(null);
+    await adapter.fetchImage("missing/key.png");
+    for (const req of mock.requests) {
+      assert.equal(req.headers.authorization, `Bearer ${mock.apiKey}`);
+      assert.equal(req.headers["x-memento-workspace"], "conformance");
+      assert.ok(!req.path.startsWith("//"), "trailing slash in apiUrl must be stripped");
+    }
+  });
+
+  it("requests JSON recall with comma-joined tags", async () => {
+    await adapter.recallMemories(null, { query: "anything", tags: ["a", "b"], limit: 3 });
+    const req = mock.requests.at(-1);
+    assert.equal(req.path, "/v1/memories/recall");
+    assert.equal(req.method, "GET");
+    assert.deepStrictEqual(req.query, {
+      query: "anything",
+      format: "json",
+      tags: "a,b",
+      limit: "3",
+    });
+  });
+
+  it("maps envelope errors to { error }", async () => {
+    const result = await adapter.deleteMemory(null, "missing0");
+    assert.equal(result.error, "Memory not found.");
+  });
+
+  it("maps JSON errors to { error }", async () => {
+    const result = await adapter.updateItem(null, "missing0", { title: "x" });
+    assert.equal(result.error, "Item not found.");
+  });
+
+  it("surfaces auth failures as errors", async () => {
+    const bad = new HostedStorageAdapter({
+      apiKey: "wrong",
+      apiUrl: mock.url,
+      workspace: mock.workspace,
+    });
+    assert.ok((await bad.listItems(null)).error.includes("Invalid API key"));
+    assert.ok((await bad.getHealth(null)).error !== undefined);
+  });
+
+  it("returns null for images that do not exist", async () => {
+    assert.equal(await adapter.fetchImage("missing/key.png"), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Hosted -> real SaaS (in-process)
+// ---------------------------------------------------------------------------
+
+describeStorageConformance("HostedStorageAdapter (SaaS in-process)", async () => {
+  const db = await createTestDb();
+  const seed = await seedTestData(db);
+  setTestDb(db);
+
+  const app = createApp();
+  const server = await new Promise((resolve) => {
+    const s = serve({ fetch: app.fetch, port: 0 }, () => resolve(s));
+  });
+
+  const adapter = new HostedStorageAdapter({
+    apiKey: seed.apiKey,
+    apiUrl: `http://localhost:${server.address().port}`,
+    workspace: seed.workspaceName,
+  });
+
+  return {
+    adapter,
+    cleanup: () => {
+      server.close();
+      setTestDb(null);
+      db.close();
+    },
+  };
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for memento_context formatting and token budgets, using
+ * LocalStorageAdapter.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import os from "node:os";
+import { LocalStorageAdapter } from "../src/storage/local.js";
+import { formatContext, estimateTokens } from "../src/context.js";
+
+describe("formatContext", () => {
+  let tmpRoot;
+  let storage;
+
+  before(async () => {
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "memento-context-test-"));
+    storage = new LocalStorageAdapter({ dbPath: path.join(tmpRoot, "test.db"), workspace: "test" });
+    await storage.updateIdentity(null, `I keep the ledger honest. ${"Corrections are new rows, never edits. ".repeat(40)}`);
+    await storage.createItem(null, { category: "active_work", title: "Ledger migration", next_action: "Backfill March" });
+    await storage.addSkip(null, { item: "ledger CSV export", reason: "Replaced by the API", expires: "2099-01-01" });
+    for (let i = 0; i < 12; i++) {
+      await storage.storeMemory(null, {
+        content: `Ledger note ${i}: ${"the ledger reconciles nightly against the bank feed. ".repeat(4)}`,
+        tags: ["ledger"],
+      });
+    }
+  });
+
+  after(() => {
+    storage.close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  it("renders every section when the budget allows", async () => {
+    const result = await storage.getContext(null, "ledger export");
+    const { text, omitted } = formatContext(result, { message: "ledger export", budget: 20000 });
+
+    assert.match(text, /^# Context for "ledger export" — test/);
+    assert.match(text, /## Skip list matches\n\n"ledger CSV export" — Replaced by the API/);
+    assert.match(text, /## Active work \(1\)\n\n\*\*\w+\*\* active_work: Ledger migration/);
+    assert.equal((text.match(/^\*\*\w+\*\* \(observation, score /gm) || []).length, 12);
+    assert.match(text, /## Identity\n\nI keep the ledger honest\./);
+    assert.deepStrictEqual(omitted, {});
+    assert.doesNotMatch(text, /Trimmed/);
+  });
+
+  it("cuts lower-priority sections first to fit the budget", async () => {
+    const result = await storage.getContext(null, "ledger export");
+    const { text, tokens, omitted } = formatContext(result, { message: "ledger export", budget: 500 });
+
+    assert.ok(tokens <= 500, `expected at most 500 tokens, got ${tokens}`);
+    assert.match(text, /Ledger migration/);
+    assert.match(text, /ledger CSV export/);
+    assert.ok(omitted.memories > 0 && omitted.memories < 12);
+    assert.match(text, /## Identity\n\nI keep the ledger honest\. .*…\n/);
+    assert.match(text, /_Trimmed to about 500 tokens: identity crystal shortened, \d+ memories left out\./);
+
+    const tight = formatContext(result, { message: "ledger export", budget: 120 });
+    assert.match(tight.text, /Ledger migration/);
+    assert.doesNotMatch(tight.text, /## Memories|## Identity/);
+    assert.equal(tight.omitted.identity, 1);
+  });
+
+  it("shortens a single entry that does not fit", () => {
+    const identity = "word ".repeat(2000);
+    const { text, tokens } = formatContext({ meta: { workspace: "test" }, identity }, { budget: 300 });
+    assert.ok(tokens <= 300);
+    assert.match(text, /## Identity\n\nword word .*…/s);
+    assert.match(text, /identity crystal shortened/);
+    assert.equal(estimateTokens("abcd"), 1);
+  });
+
+  it("fetches only the requested sections", async () => {
+    const result = await storage.getContext(null, "ledger", { include: ["identity"] });
+    assert.equal(result.working_memory, undefined);
+    assert.equal(result.memories, undefined);
+    assert.equal(result.skip_matches, undefined);
+    assert.match(result.identity, /^I keep the ledger honest/);
+
+    const peek = await storage.getContext(null, "ledger", { peekWorkspaces: ["elsewhere"] });
+    assert.match(peek.error, /not available in local storage mode/);
+  });
+});
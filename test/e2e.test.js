@@ -0,0 +1,181 @@
+/**
+ * Tests for end-to-end encryption in HostedStorageAdapter.
+ *
+ * Runs the SaaS API in-process with the libSQL vector store and a stub
+ * OpenAI-compatible embeddings endpoint, and checks that the server only
+ * ever holds ciphertext while recall still works.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { randomBytes } from "node:crypto";
+import { serve } from "../saas/node_modules/@hono/node-server/dist/index.mjs";
+import { createApp } from "../saas/src/server.js";
+import { createTestDb, seedTestData } from "../saas/test/setup.js";
+import { setTestDb } from "../saas/src/db/connection.js";
+import { LibsqlVectorStore } from "../saas/src/services/vector-store.js";
+import { HostedStorageAdapter } from "../src/storage/hosted.js";
+import { encryptText, decryptText, decryptDeep, blindIndex, blindQuery } from "../src/storage/e2e.js";
+
+// ---------------------------------------------------------------------------
+// Primitives
+// ---------------------------------------------------------------------------
+
+describe("e2e primitives", () => {
+  const encKey = randomBytes(32);
+  const blindKey = randomBytes(32);
+
+  it("round-trips text and replaces embedded or truncated ciphertext", () => {
+    const value = encryptText("Deploy on Fridays", encKey);
+    assert.match(value, /^e2e1:/);
+    assert.equal(decryptText(value, encKey), "Deploy on Fridays");
+    assert.throws(() => decryptText(value, randomBytes(32)));
+
+    const json = { text: `**a1** (fact)\n${value}`, items: [{ title: value.slice(0, 20) }] };
+    assert.deepStrictEqual(decryptDeep(json, encKey), {
+      text: "**a1** (fact)\nDeploy on Fridays",
+      items: [{ title: "[encrypted]" }],
+    });
+  });
+
+  it("blind query tokens match the index on whole words and prefixes", () => {
+    const index = blindIndex("The staging deploy failed", blindKey).split(" ");
+    for (const query of ["staging", "deploy", "stag", "failed"]) {
+      assert.ok(index.includes(blindQuery(query, blindKey)), query);
+    }
+    assert.ok(!index.includes(blindQuery("production", blindKey)));
+    assert.equal(blindQuery("the", blindKey), "");
+    assert.notEqual(blindQuery("deploy", blindKey), blindQuery("deploy", randomBytes(32)));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Hosted adapter
+// ---------------------------------------------------------------------------
+
+describe("HostedStorageAdapter with e2e", () => {
+  let server;
+  let embedder;
+  let db;
+  let seed;
+  let apiUrl;
+  let embedderUrl;
+  const savedPassphrase = process.env.MEMENTO_E2E_PASSPHRASE;
+
+  before(async () => {
+    delete process.env.MEMENTO_E2E_PASSPHRASE;
+    db = await createTestDb();
+    seed = await seedTestData(db);
+    setTestDb(db);
+
+    const app = createApp();
+    const vectors = new LibsqlVectorStore(db);
+    await new Promise((resolve) => {
+      server = serve({ fetch: (req) => app.fetch(req, { VECTORIZE: vectors }), port: 0 }, (info) => {
+        apiUrl = `http://localhost:${info.port}`;
+        resolve();
+      });
+    });
+
+    // Every text embeds to the same vector, so any stored memory is a semantic hit
+    embedder = http.createServer((req, res) => {
+      req.resume();
+      req.on("end", () => {
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ data: [{ embedding: [0.6, 0.8, 0] }] }));
+      });
+    });
+    await new Promise((resolve) => embedder.listen(0, resolve));
+    embedderUrl = `http://localhost:${embedder.address().port}/v1`;
+  });
+
+  after(() => {
+    if (savedPassphrase !== undefined) process.env.MEMENTO_E2E_PASSPHRASE = savedPassphrase;
+    server?.close();
+    embedder?.close();
+    setTestDb(null);
+    db?.close();
+  });
+
+  function adapter(e2e) {
+    return new HostedStorageAdapter({ apiKey: seed.apiKey, apiUrl, workspace: seed.workspaceName, e2e });
+  }
+
+  async function serverView(id) {
+    return adapter(null).getMemory(id);
+  }
+
+  it("stores ciphertext and recalls it by keyword and prefix", async () => {
+    const client = adapter({ passphrase: "correct horse battery" });
+    const stored = await client.storeMemory(null, { content: "The billing webhook retries three times", tags: ["billing"] });
+    const id = stored.text.match(/Stored memory (\S+)/)[1];
+
+    const row = (await db.execute({ sql: "SELECT blind_index FROM memories WHERE id = ?", args: [id] })).rows[0];
+    assert.match(row.blind_index, /^[0-9a-f ]+$/);
+    assert.match((await serverView(id)).content, /^e2e1:/);
+
+    const recall = await client.recallMemories(null, { query: "webhook retries" });
+    assert.equal(recall.memories[0].id, id);
+    assert.equal(recall.memories[0].content, "The billing webhook retries three times");
+    assert.match(recall.text, /The billing webhook retries three times/);
+
+    assert.equal((await client.recallMemories(null, { query: "webh" })).memories[0].id, id);
+    assert.equal((await client.recallMemories(null, { query: "billing", tags: ["billing"] })).memories.length, 1);
+    assert.match((await client.recallMemories(null, { query: "kubernetes" })).text, /No memories found matching "kubernetes"/);
+  });
+
+  it("encrypts items and the identity crystal, and filters items locally", async () => {
+    const client = adapter({ passphrase: "correct horse battery" });
+    const item = await client.createItem(null, { category: "active_work", title: "Rotate the signing key", next_action: "Ask ops" });
+    assert.equal(item.title, "Rotate the signing key");
+    assert.match((await adapter(null).listItems(null, {})).items.find((i) => i.id === item.id).title, /^e2e1:/);
+
+    const found = await client.listItems(null, { query: "signing" });
+    assert.deepStrictEqual(found.items.map((i) => i.next_action), ["Ask ops"]);
+
+    await client.updateIdentity(null, "I keep deploys boring.");
+    assert.match((await client.getIdentity(null)).text, /I keep deploys boring\./);
+    assert.doesNotMatch((await adapter(null).getIdentity(null)).text, /deploys boring/);
+  });
+
+  it("recalls through client-side embeddings", async () => {
+    const client = adapter({ passphrase: "correct horse battery", embeddings: { url: embedderUrl, model: "stub" } });
+    const stored = await client.storeMemory(null, { content: "Cats prefer the sunny windowsill" });
+    const id = stored.text.match(/Stored memory (\S+)/)[1];
+
+    const row = (await db.execute({ sql: "SELECT embedding_model FROM memories WHERE id = ?", args: [id] })).rows[0];
+    assert.equal(row.embedding_model, "client:stub");
+
+    // No keyword overlap -- only the client vector can find it
+    const recall = await client.recallMemories(null, { query: "feline naps" });
+    assert.ok(recall.memories.some((m) => m.id === id && m.content === "Cats prefer the sunny windowsill"));
+  });
+
+  it("keeps the first client's params when another initializes the workspace too", async () => {
+    const first = adapter({ passphrase: "correct horse battery" });
+    const stored = await first.storeMemory(null, { content: "Whoever initializes first wins" });
+    const id = stored.text.match(/Stored memory (\S+)/)[1];
+
+    // The second client read the settings before the first one wrote them
+    const second = adapter({ passphrase: "correct horse battery" });
+    const readParams = second._readE2EParams.bind(second);
+    let reads = 0;
+    second._readE2EParams = async () => (reads++ === 0 ? null : readParams());
+
+    assert.equal((await second.getMemory(id)).content, "Whoever initializes first wins");
+    assert.equal(reads, 2);
+  });
+
+  it("rejects a wrong passphrase and features that need plaintext", async () => {
+    const wrong = adapter({ passphrase: "tr0ub4dor" });
+    await assert.rejects(wrong.storeMemory(null, { content: "x" }), /passphrase does not match/);
+    await assert.rejects(adapter({}).recallMemories(null, { query: "x" }), /no passphrase was found/);
+
+    const client = adapter({ passphrase: "correct horse battery" });
+    assert.match((await client.extractMemories(null, { transcript: "hi" })).error, /not available with end-to-end/);
+    assert.match((await client.recallMemories(null, { query: "x", workspace: "other" })).error, /Cross-workspace/);
+    assert.match((await client.recallMemories(null, { query: "deploy tag:ops" })).error, /Query filters/);
+    assert.match((await client.consolidateMemories(null, { source_ids: ["a", "b"] })).error, /need the consolidated content/);
+  });
+});
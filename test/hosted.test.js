@@ -154,6 +154,19 @@ describe("HostedStorageAdapter", () => {
       assert.equal(result._raw, true);
       assert.ok(result.text.includes("observation"));
     });
+
+    it("attributes its writes to mcp in revision history", async () => {
+      await db.execute("INSERT OR REPLACE INTO workspace_settings (key, value) VALUES ('dedup_mode', 'merge')");
+      try {
+        const result = await adapter.storeMemory(null, { content: "the sky is blue!", tags: ["weather"] });
+        const id = result.text.match(/Merged into memory (\S+)/)[1];
+
+        const revisions = await db.execute({ sql: "SELECT source FROM memory_revisions WHERE memory_id = ?", args: [id] });
+        assert.deepStrictEqual(revisions.rows.map((r) => r.source), ["mcp"]);
+      } finally {
+        await db.execute("DELETE FROM workspace_settings WHERE key = 'dedup_mode'");
+      }
+    });
   });
 
   // ---------------------------------------------------------------------------
@@ -278,6 +291,73 @@ describe("HostedStorageAdapter", () => {
     });
   });
 
+  // ---------------------------------------------------------------------------
+  // Consolidation proposals
+  // ---------------------------------------------------------------------------
+
+  describe("consolidation proposals", () => {
+    let proposalId;
+
+    before(async () => {
+      for (let i = 0; i < 3; i++) {
+        await adapter.storeMemory(null, { content: `Proposal runbook step ${i}`, tags: ["runbook"] });
+      }
+    });
+
+    it("queues and lists proposals", async () => {
+      const queued = await adapter.proposeConsolidations(null);
+      assert.equal(queued._raw, true);
+      assert.ok(queued.text.includes("Proposed 1 consolidation"));
+
+      const { proposals } = await adapter.listConsolidationProposals(null);
+      assert.equal(proposals.length, 1);
+      assert.equal(proposals[0].sources.length, 3);
+      proposalId = proposals[0].id;
+    });
+
+    it("edits a pending proposal", async () => {
+      const result = await adapter.updateConsolidationProposal(null, proposalId, { summary: "Runbook: steps 0-2" });
+      assert.equal(result.summary, "Runbook: steps 0-2");
+      assert.equal(result.status, "pending");
+    });
+
+    it("approves a proposal", async () => {
+      const result = await adapter.approveConsolidationProposal(null, proposalId);
+      assert.equal(result._raw, true);
+      assert.ok(result.text.includes(`Approved proposal ${proposalId}`));
+
+      const { proposals } = await adapter.listConsolidationProposals(null, "approved");
+      assert.equal(proposals[0].id, proposalId);
+    });
+
+    it("returns { error } when rejecting a resolved proposal", async () => {
+      const result = await adapter.rejectConsolidationProposal(null, proposalId);
+      assert.ok(result.error.includes("already approved"));
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // getContext
+  // ---------------------------------------------------------------------------
+
+  describe("getContext", () => {
+    it("sends include and peek workspaces with the message", async () => {
+      await db.execute({
+        sql: "INSERT INTO workspaces (id, user_id, name) VALUES (?, ?, ?)",
+        args: ["peek0001", seed.userId, "peek-target"],
+      });
+      const result = await adapter.getContext(null, "anything", {
+        include: ["working_memory", "identity"],
+        peekWorkspaces: ["peek-target", "not-mine"],
+      });
+      assert.ok(Array.isArray(result.working_memory.items));
+      assert.ok("identity" in result);
+      assert.equal(result.memories, undefined);
+      assert.equal(result.skip_matches, undefined);
+      assert.deepStrictEqual(result.meta.peeked_workspaces, ["peek-target"]);
+    });
+  });
+
   // ---------------------------------------------------------------------------
   // getHealth
   // ---------------------------------------------------------------------------
@@ -293,4 +373,113 @@ describe("HostedStorageAdapter", () => {
       assert.equal(result.isError, false);
     });
   });
+
+  // ---------------------------------------------------------------------------
+  // watchEvents
+  // ---------------------------------------------------------------------------
+
+  describe("watchEvents", () => {
+    it("follows the event stream from the next change", async () => {
+      const controller = new AbortController();
+      const seen = [];
+      let resolveFirst;
+      const first = new Promise((resolve) => (resolveFirst = resolve));
+
+      const watching = adapter.watchEvents(null, {
+        types: ["item"],
+        signal: controller.signal,
+        onEvent: (event) => {
+          seen.push(event);
+          resolveFirst();
+        },
+      });
+
+      // Give the stream a moment to connect before writing
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      const item = await adapter.createItem(null, { category: "active_work", title: "Watch me" });
+      await adapter.addSkip(null, { item: "ignored", reason: "not an item", expires: "2099-01-01" });
+      await first;
+      controller.abort();
+      await watching;
+
+      assert.equal(seen[0].type, "item.created");
+      assert.equal(seen[0].entity_id, item.id);
+      assert.ok(seen.every((e) => e.type.startsWith("item.")));
+    });
+
+    it("polls format=json when the server has no stream (Workers)", async () => {
+      // An execution context makes the API behave as it does on Workers
+      const ctx = { waitUntil() {}, passThroughOnException() {} };
+      const app = createApp();
+      let workersServer;
+      const polled = await new Promise((resolve) => {
+        workersServer = serve({ fetch: (req) => app.fetch(req, {}, ctx), port: PORT }, (info) => {
+          resolve(
+            new HostedStorageAdapter({ apiKey: seed.apiKey, apiUrl: `http://localhost:${info.port}`, workspace: seed.workspaceName })
+          );
+        });
+      });
+
+      const controller = new AbortController();
+      let resolveFirst;
+      const first = new Promise((resolve) => (resolveFirst = resolve));
+      const watching = polled.watchEvents(null, { types: ["skip"], signal: controller.signal, onEvent: resolveFirst });
+      try {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        await adapter.addSkip(null, { item: "polled", reason: "no stream on Workers", expires: "2099-01-01" });
+        const event = await first;
+        assert.equal(event.type, "skip.added");
+      } finally {
+        controller.abort();
+        await watching;
+        workersServer.close();
+      }
+    });
+
+    it("takes pushed events over a WebSocket on Workers when the runtime has one", async () => {
+      const ctx = { waitUntil() {}, passThroughOnException() {} };
+      const app = createApp();
+      let workersServer;
+      const pushed = await new Promise((resolve) => {
+        workersServer = serve({ fetch: (req) => app.fetch(req, {}, ctx), port: PORT }, (info) => {
+          resolve(
+            new HostedStorageAdapter({ apiKey: seed.apiKey, apiUrl: `http://localhost:${info.port}`, workspace: seed.workspaceName })
+          );
+        });
+      });
+
+      const opened = [];
+      const originalWebSocket = globalThis.WebSocket;
+      globalThis.WebSocket = class {
+        constructor(url, { headers }) {
+          opened.push({ url: new URL(url), headers });
+          setTimeout(() => {
+            this.onmessage({ data: JSON.stringify({ type: "ready", last_event_id: 7 }) });
+            this.onmessage({ data: JSON.stringify({ id: 8, type: "skip.added", action: "skip_add" }) });
+          }, 10);
+        }
+
+        close() {
+          this.onclose();
+        }
+      };
+
+      const controller = new AbortController();
+      let resolveFirst;
+      const first = new Promise((resolve) => (resolveFirst = resolve));
+      const watching = pushed.watchEvents(null, { types: ["skip"], signal: controller.signal, onEvent: resolveFirst });
+      try {
+        assert.deepStrictEqual(await first, { id: 8, type: "skip.added", action: "skip_add" });
+        assert.equal(opened[0].url.protocol, "ws:");
+        assert.equal(opened[0].url.pathname, "/v1/events");
+        assert.equal(opened[0].url.searchParams.get("types"), "skip");
+        assert.equal(opened[0].headers.Authorization, `Bearer ${seed.apiKey}`);
+      } finally {
+        controller.abort();
+        await watching;
+        globalThis.WebSocket = originalWebSocket;
+        workersServer.close();
+      }
+    });
+  });
 });
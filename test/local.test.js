@@ -0,0 +1,378 @@
+/**
+ * Integration tests for LocalStorageAdapter.
+ *
+ * Runs the adapter against a real SQLite file in a temp directory, so the
+ * tests cover schema creation, persistence across reopen, and on-disk
+ * image storage — the offline path that needs no API key or network.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import os from "node:os";
+import { LocalStorageAdapter } from "../src/storage/local.js";
+import { formatExplanation } from "../src/format.js";
+
+// ---------------------------------------------------------------------------
+// Test harness -- temp SQLite file
+// ---------------------------------------------------------------------------
+
+let tmpRoot;
+let dbPath;
+let adapter;
+
+before(() => {
+  tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "memento-local-test-"));
+  dbPath = path.join(tmpRoot, ".memento", "test.db");
+  adapter = new LocalStorageAdapter({ dbPath, workspace: "test" });
+});
+
+after(() => {
+  adapter.close();
+  fs.rmSync(tmpRoot, { recursive: true, force: true });
+});
+
+/** Extract the ID from "Stored memory abc123 (type)". */
+function storedId(result) {
+  return result.text.match(/Stored memory (\S+)/)[1];
+}
+
+describe("LocalStorageAdapter", () => {
+  // ---------------------------------------------------------------------------
+  // initWorkspace + working memory sections
+  // ---------------------------------------------------------------------------
+
+  describe("initWorkspace", () => {
+    it("creates the database file and seeds sections", async () => {
+      const result = await adapter.initWorkspace(null);
+      assert.equal(result.created, true);
+      assert.ok(fs.existsSync(dbPath));
+    });
+
+    it("reports already exists on second call", async () => {
+      const result = await adapter.initWorkspace(null);
+      assert.equal(result.alreadyExists, true);
+    });
+  });
+
+  describe("working memory sections", () => {
+    it("updates and reads back a section", async () => {
+      const update = await adapter.updateWorkingMemory(null, "active_work", "Offline adapter tests.");
+      assert.equal(update._raw, true);
+      assert.ok(update.text.includes('Updated section "Active Work"'));
+
+      const read = await adapter.readWorkingMemory(null, "Active Work");
+      assert.ok(read.content.includes("Offline adapter tests."));
+    });
+
+    it("returns error for unknown section", async () => {
+      const result = await adapter.readWorkingMemory(null, "nonexistent_xyz");
+      assert.ok(result.error.includes("not found"));
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Memories
+  // ---------------------------------------------------------------------------
+
+  describe("memories", () => {
+    it("stores and recalls by keyword", async () => {
+      const stored = await adapter.storeMemory(null, {
+        content: "The MCP SDK uses zod for schema validation",
+        tags: ["mcp", "tech"],
+        type: "fact",
+      });
+      assert.ok(stored.text.includes("Stored memory"));
+      assert.ok(stored.text.includes("mcp, tech"));
+
+      const result = await adapter.recallMemories(null, { query: "zod schema" });
+      assert.equal(result._raw, true);
+      assert.ok(result.text.includes("Found 1"));
+      assert.equal(result.memories[0].type, "fact");
+      assert.deepStrictEqual(result.memories[0].tags, ["mcp", "tech"]);
+    });
+
+    it("filters by type and tag", async () => {
+      await adapter.storeMemory(null, { content: "The sky is blue", tags: ["weather"] });
+
+      const byType = await adapter.recallMemories(null, { query: "sky", type: "fact" });
+      assert.ok(byType.text.includes("No memories found"));
+
+      const byTag = await adapter.recallMemories(null, { query: "sky", tags: ["weather"] });
+      assert.ok(byTag.text.includes("Found 1"));
+    });
+
+    it("tracks access on recall", async () => {
+      const result = await adapter.recallMemories(null, { query: "zod" });
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      const memory = await adapter.getMemory(result.memories[0].id);
+      assert.ok(memory.access_count >= 1);
+    });
+
+    it("skips expired memories", async () => {
+      await adapter.storeMemory(null, { content: "Stale offline fact", expires: "2020-01-01T00:00:00Z" });
+      const result = await adapter.recallMemories(null, { query: "stale offline" });
+      assert.ok(result.text.includes("No memories found"));
+    });
+
+    it("rejects recall in another workspace", async () => {
+      const result = await adapter.recallMemories(null, { query: "zod", workspace: "other" });
+      assert.ok(result.error);
+    });
+
+    it("deletes a memory", async () => {
+      const stored = await adapter.storeMemory(null, { content: "Delete me offline" });
+      const id = storedId(stored);
+
+      const result = await adapter.deleteMemory(null, id);
+      assert.ok(result.text.includes(`Memory ${id} deleted.`));
+
+      const missing = await adapter.deleteMemory(null, id);
+      assert.equal(missing.error, "Memory not found.");
+    });
+
+    it("lists history and reverts to a prior revision", async () => {
+      const id = storedId(await adapter.storeMemory(null, { content: "Rewritten by distill", tags: ["noise"] }));
+      const db = await adapter._db();
+      await db.execute({
+        sql: `INSERT INTO memory_revisions (memory_id, version, content, type, tags, source)
+              VALUES (?, 1, 'Original wording', 'fact', '["orig"]', 'hook')`,
+        args: [id],
+      });
+
+      const history = await adapter.getMemoryHistory(null, id);
+      assert.equal(history.current.version, 2);
+      assert.deepStrictEqual(
+        history.revisions.map((r) => [r.version, r.content, r.source]),
+        [[1, "Original wording", "hook"]]
+      );
+
+      const reverted = await adapter.revertMemory(null, id, 1);
+      assert.equal(reverted.content, "Original wording");
+      assert.deepStrictEqual(reverted.tags, ["orig"]);
+      assert.equal(reverted.version, 3);
+
+      const after = await adapter.getMemoryHistory(null, id);
+      assert.deepStrictEqual(
+        after.revisions.map((r) => [r.version, r.content, r.source]),
+        [
+          [2, "Rewritten by distill", "revert"],
+          [1, "Original wording", "hook"],
+        ]
+      );
+    });
+
+    it("scores recall with decay policies and pinned memories", async () => {
+      const scratch = storedId(await adapter.storeMemory(null, { content: "Runbook draft one", tags: ["scratch"] }));
+      const pinned = storedId(await adapter.storeMemory(null, { content: "Runbook rules", pinned: true }));
+      const plain = storedId(await adapter.storeMemory(null, { content: "Runbook owner" }));
+      const db = await adapter._db();
+      await db.execute({
+        sql: "UPDATE memories SET created_at = ? WHERE id IN (?, ?, ?)",
+        args: [new Date(Date.now() - 14 * 86_400_000).toISOString(), scratch, pinned, plain],
+      });
+      await db.execute({
+        sql: "INSERT INTO workspace_settings (key, value) VALUES ('decay_policies', ?)",
+        args: [JSON.stringify({ tags: { scratch: 1 } })],
+      });
+
+      const result = await adapter.recallMemories(null, { query: "runbook" });
+      assert.deepStrictEqual(result.memories.map((m) => m.id), [pinned, plain, scratch]);
+      assert.equal(result.memories[0].pinned, true);
+      assert.ok(result.memories[0].relevance_score > 0.9);
+      assert.match(result.text, new RegExp(`\\*\\*${pinned}\\*\\* \\(observation, pinned\\)`));
+      await db.execute("DELETE FROM workspace_settings WHERE key = 'decay_policies'");
+    });
+
+    it("explains recall ranking and renders the breakdown", async () => {
+      const kept = storedId(await adapter.storeMemory(null, { content: "Ledger close runs on the fifth", type: "fact" }));
+      const other = storedId(await adapter.storeMemory(null, { content: "Ledger close checklist", type: "decision" }));
+
+      const result = await adapter.recallMemories(null, { query: "ledger close", type: "fact", explain: true });
+      const entries = Object.fromEntries(result.explain.candidates.map((c) => [c.id, c]));
+      assert.equal(entries[kept].rank, 1);
+      assert.equal(entries[kept].keyword, 1);
+      assert.equal(entries[other].filtered, "type");
+
+      const text = formatExplanation(result.explain);
+      assert.match(text, /^## Why these results\n\nranking keyword · terms \[ledger, close\]/);
+      assert.match(text, new RegExp(`\\*\\*${kept}\\*\\* score 1 — #1\n  keyword 1 × recency 1 \\(half-life 7d\\) × access 1 × last access 1`));
+      assert.match(text, new RegExp(`\\*\\*${other}\\*\\* — left out: type filter did not match`));
+    });
+
+    it("stores images on disk and fetches them back", async () => {
+      const data = Buffer.from("fake-png-bytes").toString("base64");
+      const stored = await adapter.storeMemory(null, {
+        content: "Diagram of the offline adapter",
+        images: [{ data, filename: "diagram.png", mimetype: "image/png" }],
+      });
+      assert.ok(stored.text.includes("(1 image)"));
+
+      const memory = await adapter.getMemory(storedId(stored));
+      assert.equal(memory.images.length, 1);
+      assert.equal(await adapter.fetchImage(memory.images[0].key), data);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Consolidation
+  // ---------------------------------------------------------------------------
+
+  describe("consolidateMemories", () => {
+    it("merges sources into a new memory and hides the originals", async () => {
+      const a = storedId(await adapter.storeMemory(null, { content: "Deploys run on Fridays", tags: ["deploy"] }));
+      const b = storedId(await adapter.storeMemory(null, { content: "Deploys need a changelog", tags: ["release"] }));
+
+      const result = await adapter.consolidateMemories(null, { source_ids: [a, b] });
+      assert.equal(result._raw, true);
+      const newId = result.text.match(/into (\S+)\./)[1];
+
+      const merged = await adapter.getMemory(newId);
+      assert.deepStrictEqual(merged.tags, ["deploy", "release"]);
+      assert.ok(merged.content.includes("Deploys run on Fridays"));
+      assert.equal(merged.linkages.filter((l) => l.label === "consolidated-from").length, 2);
+
+      const source = await adapter.getMemory(a);
+      assert.equal(source.consolidated, 1);
+      assert.equal(source.consolidated_into, newId);
+    });
+
+    it("requires at least 2 active memories", async () => {
+      const result = await adapter.consolidateMemories(null, { source_ids: ["nope1", "nope2"] });
+      assert.ok(result.error.includes("fewer than 2"));
+    });
+
+    it("reports that the review queue is hosted-only", async () => {
+      const result = await adapter.listConsolidationProposals(null);
+      assert.ok(result.error.includes("not available in local storage mode"));
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Skip list
+  // ---------------------------------------------------------------------------
+
+  describe("skip list", () => {
+    it("adds, checks, lists and removes entries", async () => {
+      await adapter.addSkip(null, { item: "aurora checks", reason: "Kp low", expires: "2099-12-31" });
+
+      const hit = await adapter.checkSkip(null, "aurora");
+      assert.ok(hit.text.startsWith("SKIP"));
+
+      const list = await adapter.listSkips(null);
+      assert.equal(list.total, 1);
+
+      const removed = await adapter.deleteSkip(null, list.entries[0].id);
+      assert.ok(removed.text.includes("removed"));
+
+      const miss = await adapter.checkSkip(null, "aurora");
+      assert.ok(miss.text.includes("Proceed"));
+    });
+
+    it("auto-purges expired entries", async () => {
+      await adapter.addSkip(null, { item: "old thing", reason: "temporary", expires: "2020-01-01" });
+      const list = await adapter.listSkips(null);
+      assert.equal(list.entries.some((e) => e.item === "old thing"), false);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Working memory items
+  // ---------------------------------------------------------------------------
+
+  describe("items", () => {
+    let itemId;
+
+    it("creates an item", async () => {
+      const result = await adapter.createItem(null, {
+        category: "active_work",
+        title: "Ship offline mode",
+        tags: ["local"],
+        next_action: "Write docs",
+      });
+      itemId = result.id;
+      assert.equal(result.status, "active");
+      assert.deepStrictEqual(result.tags, ["local"]);
+    });
+
+    it("rejects invalid category", async () => {
+      const result = await adapter.createItem(null, { category: "bogus", title: "x" });
+      assert.ok(result.error.includes("Invalid category"));
+    });
+
+    it("updates and lists items", async () => {
+      const updated = await adapter.updateItem(null, itemId, { status: "paused", priority: 3 });
+      assert.equal(updated.status, "paused");
+      assert.equal(updated.priority, 3);
+
+      const list = await adapter.listItems(null, { query: "offline" });
+      assert.equal(list.total, 1);
+      assert.equal(list.items[0].id, itemId);
+    });
+
+    it("renders items in full working memory", async () => {
+      const result = await adapter.readWorkingMemory(null);
+      assert.ok(result.content.includes("### Ship offline mode"));
+    });
+
+    it("deletes an item", async () => {
+      const result = await adapter.deleteItem(null, itemId);
+      assert.deepStrictEqual(result, { deleted: true, id: itemId });
+      const missing = await adapter.deleteItem(null, itemId);
+      assert.equal(missing.error, "Item not found.");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Identity, context, health
+  // ---------------------------------------------------------------------------
+
+  describe("identity", () => {
+    it("returns a placeholder, then the stored crystal", async () => {
+      const empty = await adapter.getIdentity(null);
+      assert.ok(empty.text.includes("No identity crystal"));
+
+      await adapter.updateIdentity(null, "I work offline.");
+      const result = await adapter.getIdentity(null);
+      assert.equal(result.text, "I work offline.");
+    });
+  });
+
+  describe("getContext", () => {
+    it("returns the same sections as POST /v1/context", async () => {
+      await adapter.addSkip(null, { item: "zod migration", reason: "later", expires: "2099-12-31" });
+      const result = await adapter.getContext(null, "zod schema validation");
+
+      assert.equal(result.meta.workspace, "test");
+      assert.ok(Array.isArray(result.working_memory.items));
+      assert.equal(result.memories.ranking, "keyword");
+      assert.ok(result.memories.matches.some((m) => m.content.includes("zod")));
+      assert.equal(result.skip_matches.length, 1);
+      assert.equal(result.identity, "I work offline.");
+    });
+  });
+
+  describe("getHealth", () => {
+    it("reports local storage stats", async () => {
+      const result = await adapter.getHealth(null);
+      assert.ok(result.text.includes("Memento Health Report"));
+      assert.ok(result.text.includes("Storage: local"));
+      assert.ok(result.text.includes("Stored Memories"));
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Persistence
+  // ---------------------------------------------------------------------------
+
+  describe("persistence", () => {
+    it("keeps data across adapter instances", async () => {
+      const reopened = new LocalStorageAdapter({ dbPath, workspace: "test" });
+      const result = await reopened.recallMemories(null, { query: "zod" });
+      assert.ok(result.text.includes("Found"));
+      assert.equal((await reopened.initWorkspace(null)).alreadyExists, true);
+      reopened.close();
+    });
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * Minimal mock of the Memento SaaS API for adapter tests.
+ *
+ * A plain node:http server that speaks the same wire format as saas/ --
+ * MCP text envelopes for text routes, raw JSON for structured routes --
+ * backed by an in-memory LocalStorageAdapter. It lets HostedStorageAdapter
+ * be tested without the SaaS tree, and pins down the response shapes the
+ * adapter parses.
+ *
+ * Every request is recorded in `requests` so tests can assert on the
+ * method, path, query, headers and body the adapter sent.
+ */
+
+import http from "node:http";
+import { LocalStorageAdapter } from "../src/storage/local.js";
+
+// ---------------------------------------------------------------------------
+// Response helpers
+// ---------------------------------------------------------------------------
+
+function statusFor(error) {
+  return /not found/i.test(error) ? 404 : 400;
+}
+
+/** Wrap a _raw adapter result in the MCP envelope the SaaS returns. */
+function envelope(result) {
+  if (result.error) {
+    return {
+      status: statusFor(result.error),
+      body: { content: [{ type: "text", text: result.error }] },
+    };
+  }
+  return { status: 200, body: { content: [{ type: "text", text: result.text }] } };
+}
+
+/** Return a structured adapter result as raw JSON. */
+function json(result) {
+  if (result.error) return { status: statusFor(result.error), body: { error: result.error } };
+  return { status: 200, body: result };
+}
+
+// ---------------------------------------------------------------------------
+// Routes
+// ---------------------------------------------------------------------------
+
+function buildRoutes(local) {
+  return [
+    [
+      "POST",
+      /^\/v1\/workspaces$/,
+      async () => {
+        const result = await local.initWorkspace(null);
+        if (result.alreadyExists) {
+          return envelope({ text: `Workspace "${local.workspace}" already exists.` });
+        }
+        return envelope({ text: `Workspace "${local.workspace}" created.` });
+      },
+    ],
+
+    [
+      "GET",
+      /^\/v1\/working-memory$/,
+      async () => {
+        const result = await local.readWorkingMemory(null);
+        return envelope(result.error ? result : { text: result.content });
+      },
+    ],
+    [
+      "GET",
+      /^\/v1\/working-memory\/items$/,
+      async (_m, _body, query) =>
+        json(
+          await local.listItems(null, {
+            category: query.get("category") || undefined,
+            status: query.get("status") || undefined,
+            query: query.get("q") || undefined,
+          })
+        ),
+    ],
+    [
+      "POST",
+      /^\/v1\/working-memory\/items$/,
+      async (_m, body) => json(await local.createItem(null, body)),
+    ],
+    [
+      "PUT",
+      /^\/v1\/working-memory\/items\/([^/]+)$/,
+      async (m, body) => json(await local.updateItem(null, m[1], body)),
+    ],
+    [
+      "DELETE",
+      /^\/v1\/working-memory\/items\/([^/]+)$/,
+      async (m) => json(await local.deleteItem(null, m[1])),
+    ],
+    [
+      "GET",
+      /^\/v1\/working-memory\/([^/]+)$/,
+      async (m) => {
+        const result = await local.readWorkingMemory(null, decodeURIComponent(m[1]));
+        return envelope(result.error ? result : { text: result.content });
+      },
+    ],
+    [
+      "PUT",
+      /^\/v1\/working-memory\/([^/]+)$/,
+      async (m, body) =>
+        envelope(await local.updateWorkingMemory(null, decodeURIComponent(m[1]), body.content)),
+    ],
+
+    ["POST", /^\/v1\/memories$/, async (_m, body) => envelope(await local.storeMemory(null, body))],
+    [
+      "GET",
+      /^\/v1\/memories\/recall$/,
+      async (_m, _body, query) => {
+        const result = await local.recallMemories(null, {
+          query: query.get("query"),
+          tags: query.get("tags") ? query.get("tags").split(",") : undefined,
+          type: query.get("type") || undefined,
+          limit: query.get("limit") ? Number(query.get("limit")) : undefined,
+          explain: query.get("explain") === "true",
+        });
+        if (result.error) return json(result);
+        return json({ text: result.text, memories: result.memories, ...(result.explain ? { explain: result.explain } : {}) });
+      },
+    ],
+    ["GET", /^\/v1\/memories\/conflicts$/, async () => json(await local.listConflicts(null))],
+    [
+      "GET",
+      /^\/v1\/memories\/([^/]+)\/history$/,
+      async (m) => json(await local.getMemoryHistory(null, m[1])),
+    ],
+    [
+      "POST",
+      /^\/v1\/memories\/([^/]+)\/revert$/,
+      async (m, body) => json(await local.revertMemory(null, m[1], body.version)),
+    ],
+    ["GET", /^\/v1\/memories\/([^/]+)$/, async (m) => json(await local.getMemory(m[1]))],
+    [
+      "PUT",
+      /^\/v1\/memories\/([^/]+)$/,
+      async (m, body) => json(await local.pinMemory(null, m[1], body.pinned)),
+    ],
+    [
+      "DELETE",
+      /^\/v1\/memories\/([^/]+)$/,
+      async (m) => envelope(await local.deleteMemory(null, m[1])),
+    ],
+    [
+      "POST",
+      /^\/v1\/consolidate\/group$/,
+      async (_m, body) => envelope(await local.consolidateMemories(null, body)),
+    ],
+    [
+      "POST",
+      /^\/v1\/consolidate\/([^/]+)\/undo$/,
+      async (m) => envelope(await local.unconsolidateMemories(null, m[1])),
+    ],
+
+    ["GET", /^\/v1\/skip-list$/, async () => json(await local.listSkips(null))],
+    ["POST", /^\/v1\/skip-list$/, async (_m, body) => envelope(await local.addSkip(null, body))],
+    [
+      "GET",
+      /^\/v1\/skip-list\/check$/,
+      async (_m, _body, query) => envelope(await local.checkSkip(null, query.get("query"))),
+    ],
+    [
+      "DELETE",
+      /^\/v1\/skip-list\/([^/]+)$/,
+      async (m) => envelope(await local.deleteSkip(null, m[1])),
+    ],
+
+    ["GET", /^\/v1\/identity$/, async () => envelope(await local.getIdentity(null))],
+    [
+      "PUT",
+      /^\/v1\/identity$/,
+      async (_m, body) => envelope(await local.updateIdentity(null, body.crystal)),
+    ],
+    [
+      "POST",
+      /^\/v1\/context$/,
+      async (_m, body) =>
+        json(
+          await local.getContext(null, body.message, {
+            include: body.include,
+            peekWorkspaces: body.peek_workspaces,
+          })
+        ),
+    ],
+    ["GET", /^\/v1\/health$/, async () => envelope(await local.getHealth(null))],
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+/**
+ * Start a mock SaaS server on a random port.
+ * @param {{ apiKey?: string, workspace?: string }} [opts]
+ * @returns {Promise<{ url: string, apiKey: string, workspace: string, requests: object[], close: () => Promise<void> }>}
+ */
+export async function startMockSaas({ apiKey = "mock-api-key", workspace = "mock" } = {}) {
+  const local = new LocalStorageAdapter({ dbPath: ":memory:", workspace });
+  const routes = buildRoutes(local);
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    let raw = "";
+    for await (const chunk of req) raw += chunk;
+    const body = raw ? JSON.parse(raw) : {};
+    requests.push({
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body,
+    });
+
+    let result;
+    if (req.headers.authorization !== `Bearer ${apiKey}`) {
+      result = { status: 401, body: { error: "Invalid API key" } };
+    } else if (req.headers["x-memento-workspace"] !== workspace) {
+      result = {
+        status: 404,
+        body: { error: `Unknown workspace "${req.headers["x-memento-workspace"]}"` },
+      };
+    } else {
+      const route = routes.find(
+        ([method, pattern]) => method === req.method && pattern.test(url.pathname)
+      );
+      result = route
+        ? await route[2](url.pathname.match(route[1]), body, url.searchParams)
+        : { status: 404, body: { error: "Not found" } };
+    }
+
+    res.writeHead(result.status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(result.body));
+  });
+
+  await new Promise((resolve) => server.listen(0, resolve));
+
+  return {
+    url: `http://localhost:${server.address().port}`,
+    apiKey,
+    workspace,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        local.close();
+        server.close(() => resolve());
+      }),
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Tests for the MCP prompt templates and resources, using LocalStorageAdapter.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import os from "node:os";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { LocalStorageAdapter } from "../src/storage/local.js";
+import { createServer } from "../src/server.js";
+import { sessionStartPrompt, reflectionPrompt, consolidationReviewPrompt } from "../src/prompts.js";
+
+const text = (prompt) => prompt.messages[0].content.text;
+
+describe("prompts", () => {
+  let tmpRoot;
+  let storage;
+
+  before(async () => {
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "memento-prompts-test-"));
+    storage = new LocalStorageAdapter({ dbPath: path.join(tmpRoot, "test.db"), workspace: "test" });
+    await storage.updateIdentity(null, "I keep the ledger honest.");
+    await storage.createItem(null, { category: "active_work", title: "Ledger migration", next_action: "Backfill March" });
+    await storage.createItem(null, { category: "active_work", title: "Old report", status: "completed" });
+    await storage.addSkip(null, { item: "CSV export", reason: "Replaced by the API", expires: "2099-01-01" });
+    await storage.storeMemory(null, { content: "Ledger rows are immutable; corrections are new rows", tags: ["ledger"] });
+  });
+
+  after(() => {
+    storage.close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  it("session-start gathers identity, active work, skips and recall", async () => {
+    const prompt = await sessionStartPrompt(storage, { task: "ledger" });
+    assert.equal(prompt.messages[0].role, "user");
+    const body = text(prompt);
+    assert.match(body, /I keep the ledger honest\./);
+    assert.match(body, /active_work: Ledger migration\n {2}Next: Backfill March/);
+    assert.doesNotMatch(body, /Old report/);
+    assert.match(body, /"CSV export"/);
+    assert.match(body, /## Memories for "ledger"[\s\S]*corrections are new rows/);
+
+    assert.doesNotMatch(text(await sessionStartPrompt(storage)), /## Memories for/);
+  });
+
+  it("end-of-session-reflection lists open items and the checklist", async () => {
+    const body = text(await reflectionPrompt(storage, { summary: "Moved January and February" }));
+    assert.match(body, /Moved January and February/);
+    assert.match(body, /Ledger migration/);
+    assert.match(body, /memento_remember/);
+    assert.match(body, /memento_identity_update/);
+  });
+
+  it("consolidation-review lists proposals, or explains when there are none", async () => {
+    assert.match(text(await consolidationReviewPrompt(storage)), /not available here[\s\S]*memento_consolidate/);
+
+    const proposal = {
+      id: "p1",
+      status: "pending",
+      cohesion: 0.82,
+      tags: ["ledger"],
+      memory_id: null,
+      summary: "Ledger rows never change",
+      sources: [
+        { id: "a", active: true, content: "Rows are immutable" },
+        { id: "b", active: true, content: "Never update a row" },
+      ],
+    };
+    const stub = { listConsolidationProposals: async () => ({ proposals: [proposal] }) };
+    const body = text(await consolidationReviewPrompt(stub));
+    assert.match(body, /^1 consolidation proposal waiting/);
+    assert.match(body, /\*\*p1\*\* pending · cohesion 0\.82 · \[ledger\]/);
+    assert.match(body, /memento_consolidation_review/);
+
+    const none = { listConsolidationProposals: async () => ({ proposals: [] }) };
+    assert.match(text(await consolidationReviewPrompt(none)), /No consolidation proposals/);
+  });
+});
+
+describe("resources", () => {
+  let tmpRoot;
+  let storage;
+  let client;
+  let memoryId;
+
+  before(async () => {
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "memento-resources-test-"));
+    storage = new LocalStorageAdapter({ dbPath: path.join(tmpRoot, "test.db"), workspace: "test" });
+    const stored = await storage.storeMemory(null, { content: "Invoices close on the 25th" });
+    memoryId = stored.text.match(/Stored memory (\S+)/)[1];
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await createServer(storage, { storageMode: "local" }).connect(serverTransport);
+    client = new Client({ name: "test", version: "0.0.0" });
+    await client.connect(clientTransport);
+  });
+
+  after(async () => {
+    await client.close();
+    storage.close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  it("reads a memory by id", async () => {
+    const { contents } = await client.readResource({ uri: `memento://memories/${memoryId}` });
+    assert.equal(contents[0].mimeType, "application/json");
+    assert.equal(JSON.parse(contents[0].text).content, "Invoices close on the 25th");
+  });
+
+  it("fails the read for an unknown memory id", async () => {
+    await assert.rejects(client.readResource({ uri: "memento://memories/nope" }), /Memory not found/);
+  });
+});
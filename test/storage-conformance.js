@@ -0,0 +1,583 @@
+/**
+ * Storage adapter conformance suite.
+ *
+ * A reusable set of node:test suites that certify a StorageInterface
+ * implementation behaves the way src/index.js expects. Every interface
+ * method is exercised and its return shape checked against the contract
+ * the MCP tool handlers rely on:
+ *
+ *   - Text methods (store, recall, update, skip add/check/remove, delete,
+ *     health, consolidate, identity) return { _raw: true, text, isError }
+ *     on success and { error } on failure.
+ *   - Structured methods (items, skip list, context, getMemory) return the
+ *     same JSON as the SaaS API.
+ *
+ * Usage (from a *.test.js file):
+ *
+ *   import { describeStorageConformance } from "./storage-conformance.js";
+ *   describeStorageConformance("MyAdapter", async () => {
+ *     const adapter = new MyAdapter(...);
+ *     return { adapter, cleanup: () => adapter.close() };
+ *   });
+ *
+ * The adapter is shared across the whole suite, so later checks build on
+ * state created by earlier ones. Content strings are unique to this suite
+ * to avoid clashing with seed data.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+// ---------------------------------------------------------------------------
+// Contract helpers
+// ---------------------------------------------------------------------------
+
+/** Assert a text-method success result and return its text. */
+function assertRawText(result, label) {
+  assert.equal(result.error, undefined, `${label}: unexpected error ${result.error}`);
+  assert.equal(result._raw, true, `${label}: expected _raw response`);
+  assert.equal(typeof result.text, "string", `${label}: text must be a string`);
+  assert.equal(result.isError, false, `${label}: isError must be false`);
+  return result.text;
+}
+
+/** Assert a failure result carries a non-empty error string. */
+function assertError(result, label) {
+  assert.equal(typeof result.error, "string", `${label}: expected { error }`);
+  assert.ok(result.error.length > 0, `${label}: error must not be empty`);
+}
+
+/** Extract the memory ID from "Stored memory abc123 (type)". */
+function storedId(text) {
+  const match = text.match(/Stored memory (\S+)/);
+  assert.ok(match, `expected "Stored memory <id>" in: ${text}`);
+  return match[1];
+}
+
+// ---------------------------------------------------------------------------
+// Suite
+// ---------------------------------------------------------------------------
+
+/**
+ * Register the conformance suite for one adapter.
+ * @param {string} name - Suite label (e.g. "LocalStorageAdapter")
+ * @param {() => Promise<{ adapter: object, cleanup?: () => void|Promise<void> }>} setup
+ */
+export function describeStorageConformance(name, setup) {
+  describe(`StorageInterface conformance: ${name}`, () => {
+    let adapter;
+    let cleanup;
+    const ids = {};
+
+    before(async () => {
+      ({ adapter, cleanup } = await setup());
+    });
+
+    after(async () => {
+      if (cleanup) await cleanup();
+    });
+
+    // -------------------------------------------------------------------------
+    // Workspace + working memory
+    // -------------------------------------------------------------------------
+
+    describe("initWorkspace", () => {
+      it("creates or finds the workspace", async () => {
+        const result = await adapter.initWorkspace(null);
+        assert.equal(result.error, undefined);
+        assert.ok(result.created || result.alreadyExists);
+      });
+
+      it("is idempotent", async () => {
+        const result = await adapter.initWorkspace(null);
+        assert.equal(result.alreadyExists, true);
+      });
+    });
+
+    describe("readWorkingMemory / updateWorkingMemory", () => {
+      it("updates a section", async () => {
+        const text = assertRawText(
+          await adapter.updateWorkingMemory(
+            null,
+            "session_notes",
+            "Conformance notes: quasar lattice."
+          ),
+          "updateWorkingMemory"
+        );
+        assert.ok(text.includes("Session Notes"));
+      });
+
+      it("reads the section back", async () => {
+        const result = await adapter.readWorkingMemory(null, "session_notes");
+        assert.equal(typeof result.content, "string");
+        assert.ok(result.content.includes("quasar lattice"));
+      });
+
+      it("reads the full document", async () => {
+        const result = await adapter.readWorkingMemory(null);
+        assert.ok(result.content.startsWith("# Working Memory"));
+      });
+
+      it("returns { error } for an unknown section", async () => {
+        assertError(
+          await adapter.readWorkingMemory(null, "no_such_section_xyz"),
+          "readWorkingMemory"
+        );
+      });
+    });
+
+    // -------------------------------------------------------------------------
+    // Memories
+    // -------------------------------------------------------------------------
+
+    describe("storeMemory", () => {
+      it("stores with tags and type", async () => {
+        const text = assertRawText(
+          await adapter.storeMemory(null, {
+            content: "Conformance: the quasar cache flushes every nine minutes",
+            tags: ["conformance", "quasar"],
+            type: "fact",
+          }),
+          "storeMemory"
+        );
+        assert.ok(text.includes("(fact)"));
+        assert.ok(text.includes("conformance, quasar"));
+        ids.fact = storedId(text);
+      });
+
+      it("defaults type to observation", async () => {
+        const text = assertRawText(
+          await adapter.storeMemory(null, {
+            content: "Conformance: quasar dashboards look calm",
+            tags: ["quasar"],
+          }),
+          "storeMemory"
+        );
+        assert.ok(text.includes("(observation)"));
+        ids.observation = storedId(text);
+      });
+
+      it("accepts linkages", async () => {
+        const text = assertRawText(
+          await adapter.storeMemory(null, {
+            content: "Conformance: quasar runbook lives in ops docs",
+            tags: ["quasar"],
+            type: "instruction",
+            linkages: [{ type: "memory", id: ids.fact, label: "related" }],
+          }),
+          "storeMemory"
+        );
+        ids.linked = storedId(text);
+      });
+
+      it("rejects missing content", async () => {
+        assertError(await adapter.storeMemory(null, { tags: ["x"] }), "storeMemory");
+      });
+    });
+
+    describe("listConflicts", () => {
+      it("lists memories linked as contradicting each other", async () => {
+        const text = assertRawText(
+          await adapter.storeMemory(null, {
+            content: "Conformance: the quasar cache never flushes",
+            tags: ["nebula"],
+            linkages: [{ type: "memory", id: ids.fact, label: "contradicts" }],
+          }),
+          "storeMemory"
+        );
+        const id = storedId(text);
+
+        const result = await adapter.listConflicts(null);
+        assert.equal(result.error, undefined, `listConflicts: ${result.error}`);
+        const pair = result.conflicts.find((c) => c.memory.id === id);
+        assert.ok(pair, "conflict listed");
+        assert.equal(pair.contradicts.id, ids.fact);
+        assert.equal(pair.contradicts.content, "Conformance: the quasar cache flushes every nine minutes");
+
+        await adapter.deleteMemory(null, id);
+        const after = await adapter.listConflicts(null);
+        assert.ok(!after.conflicts.some((c) => c.memory.id === id));
+      });
+    });
+
+    describe("getMemory", () => {
+      it("returns the parsed memory", async () => {
+        const memory = await adapter.getMemory(ids.linked);
+        assert.equal(memory.id, ids.linked);
+        assert.equal(memory.type, "instruction");
+        assert.deepStrictEqual(memory.tags, ["quasar"]);
+        assert.deepStrictEqual(memory.linkages, [
+          { type: "memory", id: ids.fact, label: "related" },
+        ]);
+        assert.ok(Array.isArray(memory.images));
+      });
+
+      it("returns { error } for a missing memory", async () => {
+        assertError(await adapter.getMemory("missing0"), "getMemory");
+      });
+    });
+
+    describe("getMemoryHistory / revertMemory", () => {
+      it("reports an unedited memory at version 1", async () => {
+        const history = await adapter.getMemoryHistory(null, ids.linked);
+        assert.equal(history.error, undefined, `getMemoryHistory: ${history.error}`);
+        assert.equal(history.id, ids.linked);
+        assert.equal(history.current.version, 1);
+        assert.deepStrictEqual(history.current.tags, ["quasar"]);
+        assert.deepStrictEqual(history.revisions, []);
+      });
+
+      it("returns { error } for a missing memory", async () => {
+        assertError(await adapter.getMemoryHistory(null, "missing0"), "getMemoryHistory");
+        assertError(await adapter.revertMemory(null, "missing0", 1), "revertMemory");
+      });
+
+      it("returns { error } for a missing version", async () => {
+        assertError(await adapter.revertMemory(null, ids.linked, 1), "revertMemory");
+      });
+    });
+
+    describe("pinMemory", () => {
+      it("pins and unpins a memory", async () => {
+        const pinned = await adapter.pinMemory(null, ids.observation, true);
+        assert.equal(pinned.error, undefined, `pinMemory: ${pinned.error}`);
+        assert.equal(pinned.pinned, true);
+        assert.equal((await adapter.pinMemory(null, ids.observation, false)).pinned, false);
+        assert.equal((await adapter.pinMemory(null, ids.fact, true)).pinned, true);
+        assert.equal((await adapter.getMemory(ids.fact)).pinned, true);
+      });
+
+      it("returns { error } for a missing memory", async () => {
+        assertError(await adapter.pinMemory(null, "missing0", true), "pinMemory");
+      });
+    });
+
+    describe("recallMemories", () => {
+      it("finds memories by keyword with structured results", async () => {
+        const result = await adapter.recallMemories(null, { query: "quasar cache" });
+        const text = assertRawText(result, "recallMemories");
+        assert.ok(text.startsWith("Found"));
+        assert.ok(Array.isArray(result.memories));
+        const hit = result.memories.find((m) => m.id === ids.fact);
+        assert.ok(hit, "stored fact should be recalled");
+        assert.equal(hit.type, "fact");
+        assert.deepStrictEqual(hit.tags, ["conformance", "quasar"]);
+        assert.equal(typeof hit.relevance_score, "number");
+      });
+
+      it("filters by type", async () => {
+        const result = await adapter.recallMemories(null, { query: "quasar", type: "instruction" });
+        assertRawText(result, "recallMemories");
+        assert.deepStrictEqual(
+          result.memories.map((m) => m.id),
+          [ids.linked]
+        );
+      });
+
+      it("filters by tag", async () => {
+        const result = await adapter.recallMemories(null, {
+          query: "quasar",
+          tags: ["conformance"],
+        });
+        assertRawText(result, "recallMemories");
+        assert.deepStrictEqual(
+          result.memories.map((m) => m.id),
+          [ids.fact]
+        );
+      });
+
+      it("respects limit", async () => {
+        const result = await adapter.recallMemories(null, { query: "quasar", limit: 2 });
+        assertRawText(result, "recallMemories");
+        assert.equal(result.memories.length, 2);
+      });
+
+      it("explains the ranking when asked", async () => {
+        const result = await adapter.recallMemories(null, { query: "quasar", type: "instruction", explain: true });
+        assertRawText(result, "recallMemories");
+        assert.equal(result.explain.ranking, "keyword");
+        assert.deepStrictEqual(result.explain.query_terms, ["quasar"]);
+        const linked = result.explain.candidates.find((c) => c.id === ids.linked);
+        assert.equal(linked.rank, 1);
+        assert.equal(linked.keyword, 1);
+        assert.equal(typeof linked.recency, "number");
+        assert.equal(result.explain.candidates.find((c) => c.id === ids.fact).filtered, "type");
+
+        const plain = await adapter.recallMemories(null, { query: "quasar" });
+        assert.equal(plain.explain, undefined);
+      });
+
+      it("accepts the query language", async () => {
+        const recalled = async (query) => {
+          const result = await adapter.recallMemories(null, { query });
+          assertRawText(result, "recallMemories");
+          return result.memories.map((m) => m.id).sort();
+        };
+
+        assert.deepStrictEqual(await recalled("quasar tag:conformance AND tag:quasar"), [ids.fact]);
+        assert.deepStrictEqual(await recalled("quasar -tag:conformance type:instruction OR type:fact"), [ids.linked]);
+        assert.deepStrictEqual(await recalled('"runbook lives in ops"'), [ids.linked]);
+        assert.deepStrictEqual(await recalled(`linked:${ids.fact} -tag:nebula`), [ids.linked]);
+        assert.deepStrictEqual(await recalled(`linked:${ids.linked}`), [ids.fact], "links count in both directions");
+        assert.deepStrictEqual(await recalled("quasar before:2000-01-01"), []);
+        assert.ok((await recalled("quasar after:2000-01-01")).includes(ids.observation));
+        assertError(await adapter.recallMemories(null, { query: "quasar before:someday" }), "recallMemories");
+      });
+
+      it("reports no matches as text, not an error", async () => {
+        const result = await adapter.recallMemories(null, { query: "xyzzy plugh nothing" });
+        assert.ok(assertRawText(result, "recallMemories").includes("No memories found"));
+        assert.deepStrictEqual(result.memories, []);
+      });
+    });
+
+    describe("consolidateMemories", () => {
+      it("merges sources into a new memory", async () => {
+        const text = assertRawText(
+          await adapter.consolidateMemories(null, {
+            source_ids: [ids.fact, ids.observation],
+            content: "Conformance: quasar cache flushes every nine minutes; dashboards stay calm.",
+            tags: ["merged"],
+          }),
+          "consolidateMemories"
+        );
+        assert.ok(text.includes(ids.fact));
+        assert.ok(text.includes(ids.observation));
+        ids.merged = text.match(/into (\S+)\./)[1];
+      });
+
+      it("removes sources from recall", async () => {
+        const result = await adapter.recallMemories(null, { query: "quasar" });
+        const recalled = result.memories.map((m) => m.id);
+        assert.ok(!recalled.includes(ids.fact));
+        assert.ok(!recalled.includes(ids.observation));
+        const merged = result.memories.find((m) => m.content.includes("dashboards stay calm"));
+        assert.ok(merged, "consolidated memory should be recalled");
+        assert.ok(merged.tags.includes("merged"));
+        assert.equal(merged.pinned, true, "a pinned source keeps the consolidation pinned");
+      });
+
+      it("returns { error } with fewer than 2 active sources", async () => {
+        assertError(
+          await adapter.consolidateMemories(null, { source_ids: [ids.fact, "missing0"] }),
+          "consolidateMemories"
+        );
+      });
+    });
+
+    describe("unconsolidateMemories", () => {
+      it("restores the sources and deletes the summary", async () => {
+        const text = assertRawText(
+          await adapter.unconsolidateMemories(null, ids.merged),
+          "unconsolidateMemories"
+        );
+        assert.ok(text.includes(ids.fact));
+        assert.ok(text.includes(ids.observation));
+
+        const result = await adapter.recallMemories(null, { query: "quasar" });
+        const recalled = result.memories.map((m) => m.id);
+        assert.ok(recalled.includes(ids.fact));
+        assert.ok(recalled.includes(ids.observation));
+        assert.ok(!recalled.includes(ids.merged));
+        assertError(await adapter.getMemory(ids.merged), "getMemory after undo");
+      });
+
+      it("returns { error } for a memory that is not a consolidation", async () => {
+        assertError(await adapter.unconsolidateMemories(null, ids.fact), "unconsolidateMemories");
+      });
+    });
+
+    describe("deleteMemory", () => {
+      it("deletes a memory", async () => {
+        const text = assertRawText(await adapter.deleteMemory(null, ids.linked), "deleteMemory");
+        assert.ok(text.includes(ids.linked));
+        assertError(await adapter.getMemory(ids.linked), "getMemory after delete");
+      });
+
+      it("returns { error } for a missing memory", async () => {
+        assertError(await adapter.deleteMemory(null, ids.linked), "deleteMemory");
+      });
+    });
+
+    // -------------------------------------------------------------------------
+    // Skip list
+    // -------------------------------------------------------------------------
+
+    describe("skip list", () => {
+      it("adds an entry", async () => {
+        const text = assertRawText(
+          await adapter.addSkip(null, {
+            item: "conformance nebula sweep",
+            reason: "Done yesterday",
+            expires: "2099-12-31",
+          }),
+          "addSkip"
+        );
+        assert.ok(text.includes("conformance nebula sweep"));
+      });
+
+      it("rejects entries without expiry", async () => {
+        assertError(await adapter.addSkip(null, { item: "x", reason: "y" }), "addSkip");
+      });
+
+      it("checks a matching query", async () => {
+        const text = assertRawText(await adapter.checkSkip(null, "nebula sweep"), "checkSkip");
+        assert.ok(text.startsWith("SKIP:"));
+      });
+
+      it("checks a non-matching query", async () => {
+        const text = assertRawText(await adapter.checkSkip(null, "pulsar audit"), "checkSkip");
+        assert.ok(text.includes("Not on skip list"));
+      });
+
+      it("lists entries with IDs and purges expired ones", async () => {
+        await adapter.addSkip(null, {
+          item: "conformance expired entry",
+          reason: "old",
+          expires: "2020-01-01",
+        });
+        const result = await adapter.listSkips(null);
+        assert.equal(result.total, result.entries.length);
+        const entry = result.entries.find((e) => e.item === "conformance nebula sweep");
+        assert.ok(entry);
+        assert.equal(typeof entry.id, "string");
+        assert.equal(entry.reason, "Done yesterday");
+        assert.equal(entry.expires_at, "2099-12-31");
+        assert.ok(!result.entries.some((e) => e.item === "conformance expired entry"));
+        ids.skip = entry.id;
+      });
+
+      it("removes an entry", async () => {
+        assertRawText(await adapter.deleteSkip(null, ids.skip), "deleteSkip");
+        assertError(await adapter.deleteSkip(null, ids.skip), "deleteSkip");
+      });
+    });
+
+    // -------------------------------------------------------------------------
+    // Working memory items
+    // -------------------------------------------------------------------------
+
+    describe("items", () => {
+      it("creates an item", async () => {
+        const item = await adapter.createItem(null, {
+          category: "active_work",
+          title: "Conformance comet rollout",
+          content: "Ship behind a flag",
+          priority: 5,
+          tags: ["comet"],
+          next_action: "Flip the flag",
+        });
+        assert.equal(item.error, undefined);
+        assert.equal(typeof item.id, "string");
+        assert.equal(item.category, "active_work");
+        assert.equal(item.status, "active");
+        assert.deepStrictEqual(item.tags, ["comet"]);
+        ids.item = item.id;
+      });
+
+      it("rejects an invalid category", async () => {
+        assertError(
+          await adapter.createItem(null, { category: "bogus", title: "x" }),
+          "createItem"
+        );
+      });
+
+      it("updates an item partially", async () => {
+        const item = await adapter.updateItem(null, ids.item, {
+          status: "paused",
+          next_action: "Wait for review",
+        });
+        assert.equal(item.title, "Conformance comet rollout");
+        assert.equal(item.status, "paused");
+        assert.equal(item.next_action, "Wait for review");
+        assert.deepStrictEqual(item.tags, ["comet"]);
+      });
+
+      it("returns { error } updating a missing item", async () => {
+        assertError(await adapter.updateItem(null, "missing0", { title: "x" }), "updateItem");
+      });
+
+      it("lists items with filters", async () => {
+        const result = await adapter.listItems(null, { category: "active_work", query: "comet" });
+        assert.equal(result.total, result.items.length);
+        assert.deepStrictEqual(
+          result.items.map((i) => i.id),
+          [ids.item]
+        );
+        assert.deepStrictEqual(result.items[0].tags, ["comet"]);
+
+        const none = await adapter.listItems(null, { status: "completed", query: "comet" });
+        assert.equal(none.items.length, 0);
+      });
+    });
+
+    // -------------------------------------------------------------------------
+    // Identity
+    // -------------------------------------------------------------------------
+
+    describe("identity", () => {
+      it("stores and reads a crystal", async () => {
+        assertRawText(
+          await adapter.updateIdentity(null, "I am the conformance suite."),
+          "updateIdentity"
+        );
+        const text = assertRawText(await adapter.getIdentity(null), "getIdentity");
+        assert.equal(text, "I am the conformance suite.");
+      });
+
+      it("rejects an empty crystal", async () => {
+        assertError(await adapter.updateIdentity(null, "   "), "updateIdentity");
+      });
+    });
+
+    // -------------------------------------------------------------------------
+    // Context + health
+    // -------------------------------------------------------------------------
+
+    describe("getContext", () => {
+      it("returns working memory, memories, skip matches and identity", async () => {
+        await adapter.addSkip(null, {
+          item: "conformance comet postmortem",
+          reason: "Later",
+          expires: "2099-12-31",
+        });
+        const result = await adapter.getContext(null, "quasar cache comet postmortem");
+
+        assert.equal(typeof result.meta.workspace, "string");
+        assert.ok(result.working_memory.items.some((i) => i.id === ids.item));
+        assert.equal(typeof result.working_memory.total_active, "number");
+        assert.ok(["keyword", "hybrid"].includes(result.memories.ranking));
+        assert.ok(result.memories.matches.some((m) => m.id === ids.fact));
+        assert.ok(result.skip_matches.some((s) => s.item === "conformance comet postmortem"));
+        assert.equal(result.identity, "I am the conformance suite.");
+      });
+
+      it("returns only the requested sections", async () => {
+        const result = await adapter.getContext(null, "quasar cache comet postmortem", {
+          include: ["working_memory", "skip_list"],
+        });
+        assert.ok(result.working_memory.items.some((i) => i.id === ids.item));
+        assert.ok(result.skip_matches.some((s) => s.item === "conformance comet postmortem"));
+        assert.equal(result.memories, undefined);
+        assert.equal(result.identity, undefined);
+      });
+    });
+
+    describe("getHealth", () => {
+      it("returns a health report", async () => {
+        const text = assertRawText(await adapter.getHealth(null), "getHealth");
+        assert.ok(text.includes("Memento Health Report"));
+        assert.ok(text.includes("Stored Memories"));
+        assert.ok(text.includes("Skip List"));
+      });
+    });
+
+    describe("deleteItem", () => {
+      it("deletes an item", async () => {
+        const result = await adapter.deleteItem(null, ids.item);
+        assert.equal(result.deleted, true);
+        assertError(await adapter.deleteItem(null, ids.item), "deleteItem");
+      });
+    });
+  });
+}
@@ -0,0 +1,70 @@
+/**
+ * Tests for MCP resource subscriptions over the workspace change feed,
+ * using LocalStorageAdapter's activity_log as the event source.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import os from "node:os";
+import { LocalStorageAdapter } from "../src/storage/local.js";
+import { ResourceSubscriptions, eventUris } from "../src/subscriptions.js";
+
+describe("eventUris", () => {
+  it("maps events to the resources they change", () => {
+    assert.deepStrictEqual(eventUris({ type: "memory.updated", action: "update", memory_id: "m1", detail: "content,tags" }), [
+      "memento://memories/m1",
+    ]);
+    assert.deepStrictEqual(eventUris({ type: "memory.consolidated", action: "consolidate", memory_id: "c1", detail: "a,b" }), [
+      "memento://memories/c1",
+      "memento://memories/a",
+      "memento://memories/b",
+    ]);
+    assert.deepStrictEqual(eventUris({ type: "item.status_changed", action: "item_status", detail: "active_work: active->completed" }), [
+      "memento://items",
+      "memento://items/active_work",
+    ]);
+    assert.deepStrictEqual(eventUris({ type: "identity.crystallized", action: "crystallize" }), ["memento://identity"]);
+    assert.deepStrictEqual(eventUris({ type: "skip.removed", action: "skip_remove" }), ["memento://skip-list"]);
+  });
+});
+
+describe("ResourceSubscriptions", () => {
+  let tmpRoot;
+  let storage;
+
+  before(() => {
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "memento-subscriptions-test-"));
+    storage = new LocalStorageAdapter({ dbPath: path.join(tmpRoot, "test.db"), workspace: "test" });
+  });
+
+  after(() => {
+    storage.close();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  it("notifies subscribed URIs only, and stops when the last one goes", async () => {
+    const notified = [];
+    let wake;
+    const subscriptions = new ResourceSubscriptions({
+      storage,
+      notify: (uri) => {
+        notified.push(uri);
+        wake?.();
+      },
+    });
+
+    subscriptions.subscribe("memento://skip-list");
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    const stored = await storage.storeMemory(null, { content: "Not subscribed to this one" });
+    await storage.addSkip(null, { item: "cron rewrites", reason: "frozen", expires: "2099-01-01" });
+    await new Promise((resolve) => (wake = resolve));
+    assert.deepStrictEqual(notified, ["memento://skip-list"]);
+    assert.ok(stored.text.includes("Stored memory"));
+
+    subscriptions.unsubscribe("memento://skip-list");
+    assert.equal(subscriptions._controller, null);
+  });
+});